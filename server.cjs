@@ -13,10 +13,27 @@ const { WebSocketServer } = require('ws');
 const roomManager = require('./src/server/roomManager.cjs');
 const gameServer = require('./src/server/gameServer.cjs');
 const leaderboard = require('./src/server/leaderboard.cjs');
+const chat = require('./src/server/chat.cjs');
+const accounts = require('./src/server/accounts.cjs');
+const storage = require('./src/server/storage.cjs');
+const roomSweeper = require('./src/server/roomSweeper.cjs');
+const tournaments = require('./src/server/tournamentManager.cjs');
+const { SETTINGS_SCHEMA, validateSettings } = require('./src/engine/gameConfig.js');
 
 const PORT = process.env.PORT || 3000;
 const ROOT = path.join(__dirname, 'dist');
 const SRC_ROOT = __dirname;
+/** Server-side data (accounts, snapshots, leaderboard) — never served */
+const DATA_ROOT = path.join(__dirname, 'src', 'data');
+/** Largest accepted JSON request body (bytes) */
+const MAX_BODY_BYTES = 8 * 1024;
+/** Room controls a tournament table doesn't offer — the tournament seats and starts it */
+const TOURNAMENT_TABLE_LOCKED = new Set([
+    'add_bot', 'remove_bot', 'update_settings', 'set_seat_order', 'shuffle_seats',
+    'set_first_dealer', 'kick_player', 'lock_room', 'start_game', 'next_round'
+]);
+/** Message fields that are credentials — never written to the log */
+const REDACTED_FIELDS = new Set(['authToken', 'seatSecret', 'tournamentSecret', 'password']);
 
 const MIME_TYPES = {
     '.html': 'text/html; charset=utf-8',
@@ -44,6 +61,26 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    if (urlPath === '/api/leaderboard/history' && method === 'GET') {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const accountId = params.get('accountId');
+        const name = params.get('name');
+        const data = (accountId || name) ? leaderboard.getRatingHistory({ accountId, name }) : null;
+        if (!data) sendJson(res, 404, { error: 'No rated games for that player' });
+        else sendJson(res, 200, data);
+        return;
+    }
+
+    if (urlPath === '/api/settings/schema' && method === 'GET') {
+        sendJson(res, 200, SETTINGS_SCHEMA);
+        return;
+    }
+
+    if (urlPath === '/api/rooms/stats' && method === 'GET') {
+        sendJson(res, 200, roomSweeper.getStats());
+        return;
+    }
+
     if (urlPath === '/api/rooms' && method === 'GET') {
         const data = roomManager.getOpenRooms();
         res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
@@ -51,6 +88,43 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    if (urlPath === '/api/tournaments' && method === 'GET') {
+        sendJson(res, 200, tournaments.listTournaments());
+        return;
+    }
+
+    const tournamentMatch = urlPath.match(/^\/api\/tournaments\/([A-Za-z0-9]+)$/);
+    if (tournamentMatch && method === 'GET') {
+        const tournament = tournaments.getTournament(tournamentMatch[1].toUpperCase());
+        if (!tournament) sendJson(res, 404, { error: 'Tournament not found' });
+        else sendJson(res, 200, tournaments.describeTournament(tournament));
+        return;
+    }
+
+    if (urlPath.startsWith('/api/accounts')) {
+        handleAccountsApi(req, res, urlPath, method);
+        return;
+    }
+
+    const replayMatch = urlPath.match(/^\/api\/replay\/([A-Za-z0-9]+)$/);
+    if (replayMatch && method === 'GET') {
+        const code = replayMatch[1].toUpperCase();
+        const room = roomManager.getRoom(code);
+        // Rooms swept away after the game keep their replay in the history
+        const { replay, error } = room ? gameServer.getReplay(room) : roomSweeper.getArchivedReplay(code);
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ error }));
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="remik-${code}.json"`
+        });
+        res.end(JSON.stringify(replay));
+        return;
+    }
+
     // ── STATIC FILE SERVING ──
     if (urlPath === '/') urlPath = '/index.html';
 
@@ -67,6 +141,11 @@ const server = http.createServer((req, res) => {
         res.end('Forbidden');
         return;
     }
+    if (resolvedPath.startsWith(path.resolve(DATA_ROOT))) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
 
     fs.readFile(filePath, (err, data) => {
         if (err) {
@@ -86,6 +165,118 @@ const server = http.createServer((req, res) => {
     });
 });
 
+// ═══════════════════════════════
+// ACCOUNT API
+// ═══════════════════════════════
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} data
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Read a small JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch {
+                reject(new Error('Invalid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Device token from an `Authorization: Bearer …` header.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+    const match = (req.headers.authorization || '').match(/^Bearer (\S+)$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Routes under /api/accounts:
+ *   POST /register { username, password? } → { token, account }
+ *   POST /login    { username, password }  → { token, account }
+ *   GET  /me                                → { account, stats }
+ *   POST /me       { displayName?, colour?, icon?, password?, currentPassword? } → { account }
+ *   POST /logout
+ */
+async function handleAccountsApi(req, res, urlPath, method) {
+    const route = `${method} ${urlPath.replace(/^\/api\/accounts/, '') || '/'}`;
+    const token = bearerToken(req);
+
+    let body = {};
+    if (method === 'POST') {
+        try {
+            body = await readJsonBody(req);
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+            return;
+        }
+    }
+
+    switch (route) {
+        case 'POST /register': {
+            const { account, token: newToken, error, retryAfterSeconds } = accounts.register(body.username, body.password, req.socket.remoteAddress || null);
+            if (retryAfterSeconds) {
+                res.setHeader('Retry-After', String(retryAfterSeconds));
+                sendJson(res, 429, { error });
+            } else if (error) sendJson(res, 400, { error });
+            else sendJson(res, 201, { token: newToken, account });
+            return;
+        }
+        case 'POST /login': {
+            const { account, token: newToken, error, retryAfterSeconds } = accounts.login(body.username, body.password, req.socket.remoteAddress || null);
+            if (retryAfterSeconds) {
+                res.setHeader('Retry-After', String(retryAfterSeconds));
+                sendJson(res, 429, { error });
+            } else if (error) sendJson(res, 401, { error });
+            else sendJson(res, 200, { token: newToken, account });
+            return;
+        }
+        case 'GET /me': {
+            const account = accounts.authenticate(token);
+            if (!account) sendJson(res, 401, { error: 'Not signed in' });
+            else sendJson(res, 200, { account, stats: leaderboard.getAccountStats(account.id) });
+            return;
+        }
+        case 'POST /me': {
+            const { account, error } = accounts.updateAccount(token, body);
+            if (error) sendJson(res, error === 'Not signed in' ? 401 : 400, { error });
+            else sendJson(res, 200, { account });
+            return;
+        }
+        case 'POST /logout':
+            if (token) accounts.logout(token);
+            sendJson(res, 200, { ok: true });
+            return;
+        default:
+            sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
 // ═══════════════════════════════
 // WEBSOCKET SERVER
 // ═══════════════════════════════
@@ -98,6 +289,12 @@ wss.on('connection', (ws) => {
     let currentPlayerId = null;
     /** @type {string|null} room code */
     let currentRoomCode = null;
+    /** @type {string|null} spectator ID when this socket is only watching */
+    let currentSpectatorId = null;
+    /** @type {string|null} tournament this socket registered for or rejoined */
+    let currentTournamentCode = null;
+    /** @type {string|null} this socket's player in that tournament */
+    let currentTournamentPlayerId = null;
 
     ws.on('message', (raw) => {
         let msg;
@@ -108,7 +305,13 @@ wss.on('connection', (ws) => {
             return;
         }
 
-        console.log(`[WS] Message received: type=${msg.type}`, JSON.stringify(msg).slice(0, 200));
+        const logged = JSON.stringify(msg, (key, value) => (REDACTED_FIELDS.has(key) && value ? '[redacted]' : value));
+        console.log(`[WS] Message received: type=${msg.type}`, logged.slice(0, 200));
+
+        if (TOURNAMENT_TABLE_LOCKED.has(msg.type) && currentRoomCode && roomManager.getRoom(currentRoomCode)?.tournament) {
+            ws.send(JSON.stringify({ type: 'action_error', error: 'Tournament tables are run by the tournament' }));
+            return;
+        }
 
         switch (msg.type) {
             case 'create_room':
@@ -117,6 +320,39 @@ wss.on('connection', (ws) => {
             case 'join_room':
                 handleJoinRoom(ws, msg);
                 break;
+            case 'add_bot':
+                handleAddBot(ws, msg);
+                break;
+            case 'remove_bot':
+                handleRemoveBot(ws, msg);
+                break;
+            case 'update_settings':
+                handleUpdateSettings(ws, msg);
+                break;
+            case 'set_ready':
+                handleWaitingRoomChange(ws, 'ready', msg);
+                break;
+            case 'set_appearance':
+                handleWaitingRoomChange(ws, 'appearance', msg);
+                break;
+            case 'set_seat_order':
+                handleWaitingRoomChange(ws, 'seat_order', msg);
+                break;
+            case 'shuffle_seats':
+                handleWaitingRoomChange(ws, 'shuffle_seats', msg);
+                break;
+            case 'set_first_dealer':
+                handleWaitingRoomChange(ws, 'first_dealer', msg);
+                break;
+            case 'kick_player':
+                handleKickPlayer(ws, msg);
+                break;
+            case 'transfer_host':
+                handleTransferHost(ws, msg);
+                break;
+            case 'lock_room':
+                handleLockRoom(ws, msg);
+                break;
             case 'start_game':
                 handleStartGame(ws, msg);
                 break;
@@ -126,18 +362,57 @@ wss.on('connection', (ws) => {
             case 'next_round':
                 handleNextRound(ws, msg);
                 break;
+            case 'ack_round':
+                handleAckRound(ws);
+                break;
+            case 'request_vote':
+                handleRequestVote(ws, msg);
+                break;
+            case 'cast_vote':
+                handleCastVote(ws, msg);
+                break;
             case 'reconnect':
                 handleReconnect(ws, msg);
                 break;
+            case 'get_replay':
+                handleGetReplay(ws);
+                break;
+            case 'spectate_room':
+                handleSpectateRoom(ws, msg);
+                break;
+            case 'set_spectating':
+                handleSetSpectating(ws, msg);
+                break;
+            case 'chat':
+                handleChat(ws, msg);
+                break;
             case 'leave_room':
                 handleLeave(ws);
                 break;
+            case 'create_tournament':
+                handleCreateTournament(ws, msg);
+                break;
+            case 'register_tournament':
+                handleRegisterTournament(ws, msg);
+                break;
+            case 'rejoin_tournament':
+                handleRejoinTournament(ws, msg);
+                break;
+            case 'withdraw_tournament':
+                handleWithdrawTournament(ws);
+                break;
+            case 'start_tournament':
+                handleStartTournament(ws);
+                break;
             default:
                 ws.send(JSON.stringify({ type: 'error', error: `Unknown message type: ${msg.type}` }));
         }
+        if (currentPlayerId) roomManager.touchRoom(currentRoomCode);
     });
 
     ws.on('close', () => {
+        // An abandoned game's idle clock starts when its last player leaves
+        if (currentPlayerId) roomManager.touchRoom(currentRoomCode);
         handleDisconnect(ws);
     });
 
@@ -148,14 +423,47 @@ wss.on('connection', (ws) => {
 
     // ── MESSAGE HANDLERS ──
 
-    function handleCreateRoom(socket, msg) {
+    /**
+     * Resolve the optional `authToken` on a message. A stale token is an
+     * error rather than a silent fall back to playing as a guest.
+     * @returns {{ account: object|null, error?: string }}
+     */
+    function resolveAccount(msg) {
+        if (!msg.authToken) return { account: null };
+        const account = accounts.authenticate(msg.authToken);
+        if (!account) return { account: null, error: 'Your sign-in has expired — sign in again' };
+        return { account };
+    }
+
+    /**
+     * Name, colour and icon for a seat. Signed-in players sit as their saved
+     * profile, which only changes through `POST /api/accounts/me`; guests as
+     * the room form says.
+     */
+    function seatIdentity(msg, account, defaults) {
+        if (account) {
+            return { name: account.displayName, colour: account.colour || defaults.colour, icon: account.icon || defaults.icon };
+        }
         const name = (msg.playerName || msg.name || '').trim().slice(0, 20) || 'Player';
-        const settings = msg.settings || {};
-        const colour = msg.colour || '#e63946';
-        const icon = msg.icon || '♠';
-        console.log(`[ROOM] Creating room — host: "${name}", colour: ${colour}, icon: ${icon}`);
+        return { name, colour: msg.colour || defaults.colour, icon: msg.icon || defaults.icon };
+    }
+
+    function handleCreateRoom(socket, msg) {
+        const { account, error } = resolveAccount(msg);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        const { name, colour, icon } = seatIdentity(msg, account, { colour: '#e63946', icon: '♠' });
+        const { settings, errors } = validateSettings(msg.settings || {});
+        if (!settings) {
+            console.log(`[ROOM] Rejected room settings from "${name}":`, errors);
+            socket.send(JSON.stringify({ type: 'error', error: 'Invalid room settings', fields: errors }));
+            return;
+        }
+        console.log(`[ROOM] Creating room — host: "${name}", colour: ${colour}, icon: ${icon}${account ? `, account: ${account.username}` : ''}`);
 
-        const { room, playerId } = roomManager.createRoom(name, socket, settings, colour, icon);
+        const { room, playerId, secret } = roomManager.createRoom(name, socket, settings, colour, icon, account?.id || null);
         currentPlayerId = playerId;
         currentRoomCode = room.code;
         console.log(`[ROOM] Room ${room.code} created — host ID: ${playerId}`);
@@ -164,25 +472,26 @@ wss.on('connection', (ws) => {
             type: 'room_created',
             roomCode: room.code,
             playerId,
-            players: room.players.map(p => ({
-                id: p.id,
-                name: p.name,
-                colour: p.colour,
-                icon: p.icon,
-                isHost: p.id === room.host
-            })),
-            settings: room.settings
+            seatSecret: secret,
+            playerIndex: 0,
+            players: roomManager.getPlayerList(room),
+            settings: room.settings,
+            firstDealer: roomManager.getFirstDealer(room),
+            locked: room.locked
         }));
     }
 
     function handleJoinRoom(socket, msg) {
         const code = (msg.roomCode || '').trim().toUpperCase();
-        const name = (msg.playerName || msg.name || '').trim().slice(0, 20) || 'Player';
-        const colour = msg.colour || '#457b9d';
-        const icon = msg.icon || '♥';
+        const { account, error: authError } = resolveAccount(msg);
+        if (authError) {
+            socket.send(JSON.stringify({ type: 'error', error: authError }));
+            return;
+        }
+        const { name, colour, icon } = seatIdentity(msg, account, { colour: '#457b9d', icon: '♥' });
         console.log(`[ROOM] Join request — room: ${code}, name: "${name}", colour: ${colour}`);
 
-        const { room, playerId, error } = roomManager.joinRoom(code, name, socket, colour, icon);
+        const { room, playerId, secret, adjusted, error } = roomManager.joinRoom(code, name, socket, colour, icon, account?.id || null);
         if (error) {
             console.log(`[ROOM] Join REJECTED — room: ${code}, name: "${name}", error: ${error}`);
             socket.send(JSON.stringify({ type: 'error', error }));
@@ -192,32 +501,228 @@ wss.on('connection', (ws) => {
 
         currentPlayerId = playerId;
         currentRoomCode = room.code;
+        const seat = room.players.find(p => p.id === playerId);
 
-        const playerList = room.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            colour: p.colour,
-            icon: p.icon,
-            isHost: p.id === room.host
-        }));
-
-        // Notify the joining player
+        // Notify the joining player — the only time their seat's secret is sent
         socket.send(JSON.stringify({
             type: 'room_joined',
             roomCode: room.code,
             playerId,
-            players: playerList,
-            settings: room.settings
+            seatSecret: secret,
+            playerIndex: room.players.indexOf(seat),
+            players: roomManager.getPlayerList(room),
+            settings: room.settings,
+            firstDealer: roomManager.getFirstDealer(room),
+            locked: room.locked,
+            // Set when the chosen colour or icon was taken and swapped for a free one
+            adjusted: adjusted.colour || adjusted.icon ? adjusted : null
         }));
 
         // Notify all other players in the room
-        gameServer.broadcastToRoom(room, {
+        gameServer.broadcastRoster(room, {
+            type: 'player_joined',
+            roomCode: room.code,
+            newPlayer: { name, colour: seat.colour, icon: seat.icon }
+        });
+    }
+
+    function handleAddBot(socket, msg) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return;
+        }
+        if (room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Only the host can add bots' }));
+            return;
+        }
+
+        const { bot, error } = roomManager.addBot(room.code, msg.difficulty);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        console.log(`[ROOM] Bot "${bot.name}" (${bot.difficulty}) added to room ${room.code}`);
+
+        gameServer.broadcastRoster(room, {
             type: 'player_joined',
-            players: playerList,
-            newPlayer: { id: playerId, name, colour, icon }
+            roomCode: room.code,
+            newPlayer: { name: bot.name, colour: bot.colour, icon: bot.icon, isBot: true }
         });
     }
 
+    function handleRemoveBot(socket, msg) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return;
+        }
+        if (room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Only the host can remove bots' }));
+            return;
+        }
+
+        const { error } = roomManager.removeBot(room.code, targetPlayerId(room, msg));
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+
+        gameServer.broadcastRoster(room, { type: 'player_left', roomCode: room.code });
+    }
+
+    function handleUpdateSettings(socket, msg) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return;
+        }
+        if (room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Only the host can change settings' }));
+            return;
+        }
+        const { errors } = validateSettings(msg.settings || {});
+        if (Object.keys(errors).length > 0) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Invalid room settings', fields: errors }));
+            return;
+        }
+
+        const { changed, error } = roomManager.updateSettings(room.code, msg.settings || {});
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        console.log(`[ROOM] Settings updated in room ${room.code}: ${changed.join(', ') || 'no changes'}`);
+
+        gameServer.broadcastRoster(room, {
+            type: 'settings_updated',
+            roomCode: room.code,
+            settings: room.settings,
+            changed
+        });
+    }
+
+    /**
+     * Ready toggles, looks, seat order and first dealer — every waiting-room
+     * tweak answers with the same `room_updated` broadcast.
+     * @param {WebSocket} socket
+     * @param {'ready'|'appearance'|'seat_order'|'shuffle_seats'|'first_dealer'} change
+     * @param {object} msg
+     */
+    function handleWaitingRoomChange(socket, change, msg) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return;
+        }
+        const hostOnly = change === 'seat_order' || change === 'shuffle_seats' || change === 'first_dealer';
+        if (hostOnly && room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Only the host can arrange seats' }));
+            return;
+        }
+
+        let result;
+        switch (change) {
+            case 'ready':
+                result = roomManager.setReady(room.code, currentPlayerId, msg.ready);
+                break;
+            case 'appearance':
+                result = roomManager.setAppearance(room.code, currentPlayerId, msg.colour, msg.icon);
+                break;
+            case 'seat_order':
+                result = roomManager.setSeatOrder(room.code, msg.order);
+                break;
+            case 'shuffle_seats':
+                result = roomManager.shuffleSeats(room.code);
+                break;
+            case 'first_dealer':
+                result = roomManager.setFirstDealer(room.code, msg.dealer ?? null);
+                break;
+        }
+        if (result.error) {
+            socket.send(JSON.stringify({ type: 'error', error: result.error }));
+            return;
+        }
+
+        gameServer.broadcastRoster(room, { type: 'room_updated', roomCode: room.code });
+    }
+
+    /**
+     * The room, if this socket's player hosts it — otherwise answers with an error.
+     * @returns {object|null}
+     */
+    function hostRoom(socket, what) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return null;
+        }
+        if (room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: `Only the host can ${what}` }));
+            return null;
+        }
+        return room;
+    }
+
+    /**
+     * Seat to act on, by `playerIndex`. The waiting room also sends the
+     * seat's `playerName`, so a seat that moved in the meantime is refused
+     * rather than mistaken for another.
+     */
+    function targetPlayerId(room, msg) {
+        const seat = Number.isInteger(msg.playerIndex) ? room.players[msg.playerIndex] : null;
+        if (!seat || (msg.playerName !== undefined && seat.name !== msg.playerName)) return null;
+        return seat.id;
+    }
+
+    function handleKickPlayer(socket, msg) {
+        const room = hostRoom(socket, 'kick players');
+        if (!room) return;
+
+        const { player, socket: kickedSocket, error } = roomManager.kickPlayer(room.code, targetPlayerId(room, msg), !!msg.ban);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        console.log(`[ROOM] ${player.name} kicked from room ${room.code}${msg.ban ? ' (banned)' : ''}`);
+        chat.forgetSender(player.id);
+
+        if (kickedSocket?.readyState === 1) {
+            kickedSocket.send(JSON.stringify({ type: 'kicked', roomCode: room.code, banned: !!msg.ban }));
+            kickedSocket.close();
+        }
+
+        if (room.status === 'playing') {
+            gameServer.broadcastToRoom(room, { type: 'player_kicked', playerName: player.name, banned: !!msg.ban });
+            gameServer.removeFromGame(room, player.id, msg.mode === 'forfeit' ? 'forfeit' : 'bot');
+        } else {
+            gameServer.broadcastRoster(room, { type: 'player_left', roomCode: room.code, kicked: player.name });
+        }
+    }
+
+    function handleTransferHost(socket, msg) {
+        const room = hostRoom(socket, 'hand over host');
+        if (!room) return;
+
+        const { error } = roomManager.transferHost(room.code, targetPlayerId(room, msg));
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        console.log(`[ROOM] Host of room ${room.code} is now ${room.players.find(p => p.id === room.host).name}`);
+
+        gameServer.announceHost(room);
+        if (room.status === 'playing') roomManager.saveSnapshot(room);
+    }
+
+    function handleLockRoom(socket, msg) {
+        const room = hostRoom(socket, 'lock the room');
+        if (!room) return;
+
+        roomManager.setLocked(room.code, msg.locked);
+        gameServer.broadcastToRoom(room, { type: 'room_locked', roomCode: room.code, locked: room.locked });
+    }
+
     function handleStartGame(socket, msg) {
         if (!currentRoomCode) {
             socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
@@ -236,11 +741,23 @@ wss.on('connection', (ws) => {
             return;
         }
 
+        // Mid-game every seat is still ready — another game only comes from a rematch vote
+        if (room.status !== 'waiting') {
+            socket.send(JSON.stringify({ type: 'error', error: 'The game has already started — call a rematch vote to play again' }));
+            return;
+        }
+
         if (room.players.length < 2) {
             socket.send(JSON.stringify({ type: 'error', error: 'Need at least 2 players' }));
             return;
         }
 
+        const unready = roomManager.getUnreadyPlayers(room);
+        if (unready.length > 0) {
+            socket.send(JSON.stringify({ type: 'error', error: `Waiting for ${unready.join(', ')} to be ready` }));
+            return;
+        }
+
         console.log(`[GAME] Starting game in room ${currentRoomCode} with ${room.players.length} players`);
         gameServer.startGame(room);
     }
@@ -256,6 +773,10 @@ wss.on('connection', (ws) => {
             socket.send(JSON.stringify({ type: 'error', error: 'No active game' }));
             return;
         }
+        if (room.players.find(p => p.id === currentPlayerId)?.ws !== socket) {
+            socket.send(JSON.stringify({ type: 'error', error: 'You are no longer in this game' }));
+            return;
+        }
 
         const result = gameServer.handleAction(room, currentPlayerId, msg);
         if (!result.success) {
@@ -274,47 +795,204 @@ wss.on('connection', (ws) => {
             return;
         }
 
-        gameServer.nextRound(room);
+        const result = gameServer.nextRound(room);
+        if (!result.success) {
+            socket.send(JSON.stringify({ type: 'action_error', error: result.error }));
+        }
+    }
+
+    function handleAckRound(socket) {
+        if (!currentRoomCode || !currentPlayerId) return;
+
+        const room = roomManager.getRoom(currentRoomCode);
+        if (!room) return;
+
+        const result = gameServer.acknowledgeRound(room, currentPlayerId);
+        if (!result.success) {
+            socket.send(JSON.stringify({ type: 'action_error', error: result.error }));
+        }
+    }
+
+    function handleRequestVote(socket, msg) {
+        if (!currentRoomCode || !currentPlayerId) return;
+
+        const room = roomManager.getRoom(currentRoomCode);
+        if (!room) return;
+
+        const result = gameServer.requestVote(room, currentPlayerId, msg.kind);
+        if (!result.success) {
+            socket.send(JSON.stringify({ type: 'action_error', error: result.error }));
+        }
+    }
+
+    function handleCastVote(socket, msg) {
+        if (!currentRoomCode || !currentPlayerId) return;
+
+        const room = roomManager.getRoom(currentRoomCode);
+        if (!room) return;
+
+        const result = gameServer.castVote(room, currentPlayerId, msg.yes === true);
+        if (!result.success) {
+            socket.send(JSON.stringify({ type: 'action_error', error: result.error }));
+        }
+    }
+
+    function handleSpectateRoom(socket, msg) {
+        if (currentRoomCode) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Already in a room' }));
+            return;
+        }
+        const code = (msg.roomCode || '').trim().toUpperCase();
+        const name = (msg.playerName || msg.name || '').trim().slice(0, 20) || 'Spectator';
+
+        const { room, spectator, error } = roomManager.addSpectator(code, name, socket);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        console.log(`[ROOM] "${name}" is spectating room ${code}`);
+
+        currentRoomCode = code;
+        currentSpectatorId = spectator.id;
+
+        const delaySeconds = Number(room.settings.SPECTATOR_DELAY_SECONDS) || 0;
+        socket.send(JSON.stringify({
+            type: 'spectating',
+            roomCode: code,
+            spectatorId: spectator.id,
+            players: roomManager.getPlayerList(room),
+            delaySeconds
+        }));
+        gameServer.welcomeSpectator(room, spectator);
+        // Delayed feeds only get the chat that has already "happened" for them
+        const cutoff = Date.now() - delaySeconds * 1000;
+        socket.send(JSON.stringify({
+            type: 'chat_history',
+            messages: chat.getHistory(room).filter(m => m.at <= cutoff)
+        }));
+        broadcastSpectators(room);
+    }
+
+    function handleSetSpectating(socket, msg) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room || room.host !== currentPlayerId) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Only the host can change spectating' }));
+            return;
+        }
+
+        const { removed } = roomManager.setSpectating(room.code, msg.allowed !== false);
+        for (const spectator of removed) {
+            if (spectator.ws?.readyState === 1) {
+                spectator.ws.send(JSON.stringify({ type: 'spectate_ended', reason: 'The host turned spectating off' }));
+            }
+        }
+        broadcastSpectators(room);
+    }
+
+    /** Tell the room (players and spectators) who is watching */
+    function broadcastSpectators(room) {
+        gameServer.broadcastToRoom(room, {
+            type: 'spectators_changed',
+            spectators: roomManager.getSpectatorList(room),
+            allowed: room.settings.ALLOW_SPECTATORS !== false
+        });
+    }
+
+    function handleChat(socket, msg) {
+        const room = currentRoomCode && currentPlayerId ? roomManager.getRoom(currentRoomCode) : null;
+        const sender = room?.players.find(p => p.id === currentPlayerId);
+        if (!sender) {
+            socket.send(JSON.stringify({ type: 'chat_error', error: 'Only players can chat' }));
+            return;
+        }
+
+        const { message, error } = chat.postMessage(room, sender, msg);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'chat_error', error }));
+            return;
+        }
+        gameServer.broadcastToRoom(room, { type: 'chat', message });
+        if (room.status === 'playing') roomManager.saveSnapshot(room);
+    }
+
+    function handleGetReplay(socket) {
+        const room = currentRoomCode ? roomManager.getRoom(currentRoomCode) : null;
+        if (!room) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a room' }));
+            return;
+        }
+
+        const { replay, error } = gameServer.getReplay(room);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'action_error', error }));
+            return;
+        }
+        socket.send(JSON.stringify({ type: 'replay', replay }));
     }
 
     function handleReconnect(socket, msg) {
         const code = (msg.roomCode || '').trim().toUpperCase();
-        const playerId = msg.playerId;
+        const { account, error: authError } = resolveAccount(msg);
+        if (authError) {
+            socket.send(JSON.stringify({ type: 'reconnect_failed', error: authError }));
+            return;
+        }
 
-        if (!code || !playerId) {
+        if (!code || (!msg.playerId && !account)) {
             socket.send(JSON.stringify({ type: 'error', error: 'Missing roomCode or playerId' }));
             return;
         }
 
-        const { room, playerIndex, error } = roomManager.reconnectPlayer(code, playerId, socket);
+        const { room, playerIndex, error } = roomManager.reconnectPlayer(code, msg.playerId || null, msg.seatSecret || null, socket, account?.id || null);
         if (error) {
             socket.send(JSON.stringify({ type: 'reconnect_failed', error }));
             return;
         }
 
+        const seat = room.players[playerIndex];
+        const playerId = seat.id;
         currentPlayerId = playerId;
         currentRoomCode = code;
+        const serverDowntimeSeconds = seat.missedRestart ? room.downtimeSeconds : null;
+        seat.missedRestart = false;
 
         socket.send(JSON.stringify({
             type: 'reconnected',
             roomCode: code,
             playerId,
+            // A signed-in player may have come back without it
+            seatSecret: seat.secret,
             playerIndex,
             status: room.status,
-            players: room.players.map(p => ({
-                id: p.id,
-                name: p.name,
-                colour: p.colour,
-                icon: p.icon,
-                isHost: p.id === room.host,
-                connected: p.connected
-            }))
+            players: roomManager.getPlayerList(room),
+            settings: room.settings,
+            firstDealer: roomManager.getFirstDealer(room),
+            locked: room.locked,
+            // Set on a player's first return to a room restored after a restart
+            serverDowntimeSeconds
         }));
 
+        // Take the seat back from the bot (or cancel its pending takeover)
+        gameServer.handBack(room, playerId);
+        // A tournament table deals once everyone has sat down
+        if (room.tournament) tournaments.checkTable(room);
+        gameServer.checkHost(room);
+        gameServer.scheduleBotTurn(room);
+
+        if (room.status === 'waiting') {
+            gameServer.broadcastRoster(room, { type: 'room_updated', roomCode: room.code });
+        }
+
         // If game is in progress, send current state
         if (room.status === 'playing' && room.gameState) {
             gameServer.broadcastGameState(room);
+            socket.send(JSON.stringify({
+                type: 'spectators_changed',
+                spectators: roomManager.getSpectatorList(room),
+                allowed: room.settings.ALLOW_SPECTATORS !== false
+            }));
         }
+        socket.send(JSON.stringify({ type: 'chat_history', messages: chat.getHistory(room) }));
 
         // Notify others
         gameServer.broadcastToRoom(room, {
@@ -328,40 +1006,172 @@ wss.on('connection', (ws) => {
     }
 
     function handleDisconnect(socket) {
-        console.log(`[WS] Disconnect — player: ${currentPlayerId || 'none'}, room: ${currentRoomCode || 'none'}`);
+        console.log(`[WS] Disconnect — player: ${currentPlayerId || currentSpectatorId || 'none'}, room: ${currentRoomCode || 'none'}`);
+        // Shutting down: every room is already saved as it is
+        if (shuttingDown) return;
+        if (currentTournamentCode) {
+            tournaments.socketClosed(socket);
+            currentTournamentCode = null;
+            currentTournamentPlayerId = null;
+        }
+        if (currentSpectatorId) {
+            const room = roomManager.removeSpectator(currentRoomCode, currentSpectatorId);
+            if (room) broadcastSpectators(room);
+            currentSpectatorId = null;
+            currentRoomCode = null;
+            return;
+        }
         if (!currentRoomCode || !currentPlayerId) return;
 
         const room = roomManager.getRoom(currentRoomCode);
         if (!room) return;
 
-        if (room.status === 'playing') {
+        // Kicked, or the seat has already moved to a newer connection
+        const seat = room.players.find(p => p.id === currentPlayerId);
+        if (!seat || seat.ws !== socket) {
+            currentPlayerId = null;
+            currentRoomCode = null;
+            return;
+        }
+
+        if (room.tournament && room.status === 'waiting') {
+            // Tournament seats are assigned — the seat waits for its player
+            roomManager.markDisconnected(currentRoomCode, currentPlayerId);
+            tournaments.checkTable(room);
+        } else if (room.status === 'playing') {
             // Mark as disconnected, don't remove (allow reconnection)
             roomManager.markDisconnected(currentRoomCode, currentPlayerId);
             gameServer.broadcastToRoom(room, {
                 type: 'player_disconnected',
-                playerId: currentPlayerId,
-                playerName: room.players.find(p => p.id === currentPlayerId)?.name || '?'
+                playerName: room.players.find(p => p.id === currentPlayerId)?.name || '?',
+                takeoverSeconds: room.gameState?.config?.botTakeoverSeconds ?? 0
             });
+            // A bot steps in if they're not back within the grace period
+            gameServer.scheduleTakeover(room, currentPlayerId);
+            // ...and host moves on if it was the host
+            gameServer.checkHost(room);
+            gameServer.checkRoundAcks(room);
+            gameServer.checkVote(room);
         } else {
             // In lobby, remove player
+            chat.forgetSender(currentPlayerId);
             const { room: updatedRoom, destroyed } = roomManager.leaveRoom(currentRoomCode, currentPlayerId);
             if (!destroyed && updatedRoom) {
-                gameServer.broadcastToRoom(updatedRoom, {
-                    type: 'player_left',
-                    players: updatedRoom.players.map(p => ({
-                        id: p.id,
-                        name: p.name,
-                        colour: p.colour,
-                        icon: p.icon,
-                        isHost: p.id === updatedRoom.host
-                    }))
-                });
+                gameServer.broadcastRoster(updatedRoom, { type: 'player_left', roomCode: updatedRoom.code });
             }
         }
 
         currentPlayerId = null;
         currentRoomCode = null;
     }
+
+    // ── TOURNAMENTS ──
+
+    function handleCreateTournament(socket, msg) {
+        const { account, error } = resolveAccount(msg);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        const { name, colour, icon } = seatIdentity(msg, account, { colour: '#e63946', icon: '♠' });
+        const { settings, errors } = validateSettings(msg.settings || {});
+        if (!settings) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Invalid table settings', fields: errors }));
+            return;
+        }
+
+        const { tournament, playerId, error: createError } = tournaments.createTournament({
+            name: msg.tournamentName,
+            format: msg.format,
+            tableSize: msg.tableSize,
+            advancePerTable: msg.advancePerTable,
+            swissRounds: msg.swissRounds,
+            settings
+        }, { name, colour, icon, accountId: account?.id || null, ws: socket });
+        if (createError) {
+            socket.send(JSON.stringify({ type: 'error', error: createError }));
+            return;
+        }
+        console.log(`[TOURNAMENT] ${tournament.code} "${tournament.name}" opened by "${name}"`);
+        enterTournament(socket, tournament, playerId);
+    }
+
+    function handleRegisterTournament(socket, msg) {
+        const code = (msg.tournamentCode || '').trim().toUpperCase();
+        const { account, error } = resolveAccount(msg);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        const { name, colour, icon } = seatIdentity(msg, account, { colour: '#457b9d', icon: '♥' });
+
+        const { tournament, playerId, error: registerError } = tournaments.register(code, {
+            name, colour, icon, accountId: account?.id || null, ws: socket
+        });
+        if (registerError) {
+            socket.send(JSON.stringify({ type: 'error', error: registerError }));
+            return;
+        }
+        console.log(`[TOURNAMENT] "${name}" registered for ${code}`);
+        enterTournament(socket, tournament, playerId);
+    }
+
+    function handleRejoinTournament(socket, msg) {
+        const code = (msg.tournamentCode || '').trim().toUpperCase();
+        const { account, error: authError } = resolveAccount(msg);
+        if (authError) {
+            socket.send(JSON.stringify({ type: 'tournament_rejoin_failed', error: authError }));
+            return;
+        }
+
+        const { tournament, error } = tournaments.rejoin(code, msg.playerId, msg.tournamentSecret || null, socket, account?.id || null);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'tournament_rejoin_failed', error }));
+            return;
+        }
+        enterTournament(socket, tournament, msg.playerId);
+    }
+
+    /**
+     * Remember the tournament on this socket and send the player its
+     * standings page, with the secret that lets them rejoin.
+     */
+    function enterTournament(socket, tournament, playerId) {
+        currentTournamentCode = tournament.code;
+        currentTournamentPlayerId = playerId;
+        socket.send(JSON.stringify({
+            type: 'tournament_joined',
+            playerId,
+            tournamentSecret: tournament.players.find(p => p.id === playerId).secret,
+            tournament: tournaments.describeTournament(tournament),
+            myTable: tournaments.currentTable(tournament, playerId),
+            isOrganiser: tournament.organiser === playerId
+        }));
+    }
+
+    function handleWithdrawTournament(socket) {
+        if (!currentTournamentCode) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a tournament' }));
+            return;
+        }
+        const { error } = tournaments.withdraw(currentTournamentCode, currentTournamentPlayerId);
+        if (error) {
+            socket.send(JSON.stringify({ type: 'error', error }));
+            return;
+        }
+        socket.send(JSON.stringify({ type: 'tournament_left', tournamentCode: currentTournamentCode }));
+        currentTournamentCode = null;
+        currentTournamentPlayerId = null;
+    }
+
+    function handleStartTournament(socket) {
+        if (!currentTournamentCode) {
+            socket.send(JSON.stringify({ type: 'error', error: 'Not in a tournament' }));
+            return;
+        }
+        const { error } = tournaments.startTournament(currentTournamentCode, currentTournamentPlayerId);
+        if (error) socket.send(JSON.stringify({ type: 'error', error }));
+    }
 });
 
 // ═══════════════════════════════
@@ -369,13 +1179,52 @@ wss.on('connection', (ws) => {
 // ═══════════════════════════════
 
 // Restore rooms from snapshots on startup
-const restoredCount = roomManager.loadSnapshots();
-if (restoredCount > 0) {
-    console.log(`  🔄 Restored ${restoredCount} room(s) from snapshots`);
+const restoredRooms = roomManager.loadSnapshots();
+restoredRooms.forEach(room => gameServer.restoreRoom(room));
+if (restoredRooms.length > 0) {
+    console.log(`  🔄 Restored ${restoredRooms.length} room(s) from snapshots`);
+}
+const loadedTournaments = tournaments.loadTournaments();
+if (loadedTournaments.length > 0) {
+    console.log(`  🏆 Loaded ${loadedTournaments.length} tournament(s)`);
 }
+roomSweeper.startSweeper();
+
+/** Set once a shutdown has begun — disconnects no longer change any room */
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown: warn every player and spectator, save every room so the
+ * next start can restore it, then close the sockets and exit.
+ * @param {string} signal
+ */
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`\n  ${signal} received — saving rooms and shutting down`);
+    roomSweeper.stopSweeper();
+
+    for (const room of roomManager.getAllRooms()) {
+        gameServer.broadcastToRoom(room, { type: 'server_restarting', roomCode: room.code });
+    }
+    const saved = roomManager.saveAllSnapshots();
+    const flushed = storage.flush();
+    console.log(`  💾 Saved ${saved} room(s)`);
+
+    // Give the notices a moment to go out before the sockets close
+    setTimeout(() => {
+        for (const client of wss.clients) client.close(1012, 'Server restarting');
+        server.close(() => flushed.then(() => process.exit(0)));
+        setTimeout(() => process.exit(0), 2000).unref();
+    }, 250);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 server.listen(PORT, () => {
     console.log(`\n  ♠ ♥ ♦ ♣  Remik — Polish Rummy  ♠ ♥ ♦ ♣\n`);
-    console.log(`  HTTP + WebSocket server running at: http://localhost:${PORT}\n`);
+    console.log(`  HTTP + WebSocket server running at: http://localhost:${PORT}`);
+    console.log(`  Storage backend: ${storage.getStore().backend}\n`);
     console.log(`  Press Ctrl+C to stop.\n`);
 });
@@ -0,0 +1,136 @@
+/**
+ * Player account client — talks to /api/accounts and keeps this device's
+ * token (plus a cached copy of the profile) in localStorage.
+ * @module engine/accountClient
+ */
+
+const ACCOUNT_KEY = 'remik_account';
+
+/**
+ * @returns {{ token: string, account: object }|null}
+ */
+function loadStored() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ACCOUNT_KEY) || 'null');
+        return stored?.token ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * @param {string} token
+ * @param {object} account
+ */
+function store(token, account) {
+    localStorage.setItem(ACCOUNT_KEY, JSON.stringify({ token, account }));
+}
+
+/**
+ * Call the account API.
+ * @param {string} route — e.g. '/login'
+ * @param {'GET'|'POST'} [method='GET']
+ * @param {object} [body]
+ * @returns {Promise<{ ok: boolean, status: number, data: object }>}
+ */
+async function request(route, method = 'GET', body = undefined) {
+    const token = getAuthToken();
+    const res = await fetch(`/api/accounts${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, data };
+}
+
+/**
+ * This device's token, if signed in.
+ * @returns {string|null}
+ */
+export function getAuthToken() {
+    return loadStored()?.token || null;
+}
+
+/**
+ * Last known profile for this device, if signed in (may be stale).
+ * @returns {object|null}
+ */
+export function getStoredAccount() {
+    return loadStored()?.account || null;
+}
+
+/**
+ * Create an account and sign this device in.
+ * @param {string} username
+ * @param {string} [password] — optional; needed to sign in on other devices
+ * @returns {Promise<{ account: object|null, error?: string }>}
+ */
+export async function register(username, password = '') {
+    const { ok, data } = await request('/register', 'POST', { username, password: password || undefined });
+    if (!ok) return { account: null, error: data.error || 'Could not create the account' };
+    store(data.token, data.account);
+    return { account: data.account };
+}
+
+/**
+ * Sign this device in.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{ account: object|null, error?: string }>}
+ */
+export async function login(username, password) {
+    const { ok, data } = await request('/login', 'POST', { username, password });
+    if (!ok) return { account: null, error: data.error || 'Could not sign in' };
+    store(data.token, data.account);
+    return { account: data.account };
+}
+
+/**
+ * Re-fetch the profile. Forgets the token if the server no longer knows it.
+ * @returns {Promise<{ account: object|null, stats: object|null }>}
+ */
+export async function refreshAccount() {
+    const token = getAuthToken();
+    if (!token) return { account: null, stats: null };
+    try {
+        const { ok, status, data } = await request('/me');
+        if (status === 401) {
+            localStorage.removeItem(ACCOUNT_KEY);
+            return { account: null, stats: null };
+        }
+        if (!ok) return { account: getStoredAccount(), stats: null };
+        store(token, data.account);
+        return { account: data.account, stats: data.stats };
+    } catch {
+        // Offline — keep using the cached profile
+        return { account: getStoredAccount(), stats: null };
+    }
+}
+
+/**
+ * Update name, colour/icon preferences or password.
+ * @param {{ displayName?: string, colour?: string, icon?: string, password?: string, currentPassword?: string }} changes
+ * @returns {Promise<{ account: object|null, error?: string }>}
+ */
+export async function updateAccount(changes) {
+    const { ok, data } = await request('/me', 'POST', changes);
+    if (!ok) return { account: null, error: data.error || 'Could not save' };
+    store(getAuthToken(), data.account);
+    return { account: data.account };
+}
+
+/**
+ * Sign this device out.
+ * @returns {Promise<void>}
+ */
+export async function logout() {
+    try {
+        await request('/logout', 'POST');
+    } finally {
+        localStorage.removeItem(ACCOUNT_KEY);
+    }
+}
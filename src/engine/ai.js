@@ -1,10 +1,25 @@
 /**
- * AI opponent logic — greedy heuristic player.
+ * AI opponent logic — three personalities sharing one move format.
+ * - Easy:   always draws blind, never lays off, discards loosely.
+ * - Normal: the original greedy heuristic player.
+ * - Hard:   searches meld partitions, counts cards, avoids feeding the
+ *           next player and holds back its melds to chase a Remik.
  * @module engine/ai
  */
 
-import { RANKS, rankIndex, getCardValue, compareCards } from './card.js';
+import { RANKS, SUITS, rankIndex, getCardValue, compareCards } from './card.js';
 import { isValidSequence, isValidGroup, classifyMeld, isValidOpening, canExtendMeld } from './melds.js';
+import { PHASE, nextActivePlayerIndex, pendingDiscardPickup } from './rules.js';
+
+/** AI personalities, chosen per seat */
+export const AI_DIFFICULTY = {
+    EASY: 'easy',
+    NORMAL: 'normal',
+    HARD: 'hard'
+};
+
+/** Upper bound on partition-search nodes per decision (keeps Hard responsive) */
+const MAX_SEARCH_NODES = 20000;
 
 /**
  * Find all possible melds (sequences & groups) in a hand.
@@ -92,9 +107,14 @@ export function aiDecideTurn(state) {
     const playerIdx = state.currentPlayerIndex;
     const player = state.players[playerIdx];
     const hand = [...player.hand]; // work with a copy for planning
+    const difficulty = player.difficulty || AI_DIFFICULTY.NORMAL;
 
     // 1. Decide draw source
-    const drawAction = decideDrawSource(state, hand);
+    const drawAction = difficulty === AI_DIFFICULTY.HARD
+        ? decideDrawSourceHard(state, hand)
+        : difficulty === AI_DIFFICULTY.EASY
+            ? { type: 'draw', source: 'stock' }
+            : decideDrawSource(state, hand);
     actions.push(drawAction);
 
     // Simulate drawing
@@ -111,13 +131,36 @@ export function aiDecideTurn(state) {
 
 /**
  * AI decides melds and discard after drawing.
+ * If the plan would leave a discard pickup in hand, the only action is
+ * `{ type: 'return_discard' }` — the caller puts the card back, draws from
+ * the stock and asks again.
  * @param {object} state
  * @returns {Array<object>} actions
  */
 export function aiDecideMeldsAndDiscard(state) {
-    const actions = [];
+    const actions = planTurn(state);
+
+    const pickup = pendingDiscardPickup(state);
+    const usesPickup = (a) => (a.meldCardIds ? a.meldCardIds.flat() : a.cardIds || []).includes(pickup.id);
+    if (pickup && !actions.some(usesPickup)) {
+        return [{ type: 'return_discard' }];
+    }
+    return actions;
+}
+
+/**
+ * Meld/discard plan for the current player's personality.
+ * @param {object} state
+ * @returns {Array<object>} actions
+ */
+function planTurn(state) {
     const playerIdx = state.currentPlayerIndex;
     const player = state.players[playerIdx];
+    const difficulty = player.difficulty || AI_DIFFICULTY.NORMAL;
+
+    if (difficulty === AI_DIFFICULTY.HARD) return planTurnHard(state);
+
+    const actions = [];
     const hand = [...player.hand];
 
     // 2. Find melds to play
@@ -149,8 +192,8 @@ export function aiDecideMeldsAndDiscard(state) {
             hand.push(...remaining);
         }
 
-        // Try to extend existing table melds
-        const extensions = findExtensions(hand, state.tableMelds);
+        // Try to extend existing table melds (Easy never lays off)
+        const extensions = difficulty === AI_DIFFICULTY.EASY || !canLayOff(state) ? [] : findExtensions(hand, state.tableMelds);
         for (const ext of extensions) {
             actions.push({
                 type: 'extend',
@@ -165,39 +208,74 @@ export function aiDecideMeldsAndDiscard(state) {
         }
     }
 
-    // 3. Discard — choose the least useful card
+    // 3. Discard — choose the least useful card (Easy picks loosely among the worst three)
     if (hand.length > 0) {
-        const discardCard = chooseDiscard(hand);
+        const discardCard = difficulty === AI_DIFFICULTY.EASY
+            ? pickRandom(rankDiscards(hand).slice(0, 3))
+            : chooseDiscard(hand);
         actions.push({ type: 'discard', cardId: discardCard.id });
     }
 
     return actions;
 }
 
+/**
+ * Whether cards may be laid off on table melds now. The starting player's
+ * first turn begins in DISCARD, where new melds are allowed but extensions
+ * are not.
+ * @param {object} state
+ * @returns {boolean}
+ */
+function canLayOff(state) {
+    return state.phase === PHASE.MELD;
+}
+
+/**
+ * Record a public action in the shared AI memory (`state.aiMemory`).
+ * Only information every seat can see is stored: which discards each player
+ * picked up and which top discards they passed on. Memory resets each round.
+ * @param {object} state
+ * @param {{ type: string, source?: string, playerIndex: number, card?: object }} action — `state.lastAction`
+ */
+export function rememberAction(state, action) {
+    if (!action || action.type !== 'draw') return;
+    const memory = getMemory(state);
+    const idx = action.playerIndex;
+
+    if (action.source === 'discard' && action.card) {
+        const list = memory.pickups[idx] || (memory.pickups[idx] = []);
+        if (!list.some(c => c.id === action.card.id)) list.push(slimCard(action.card));
+    } else if (action.source === 'stock' && state.discardPile.length > 0) {
+        const top = state.discardPile[state.discardPile.length - 1];
+        const list = memory.passed[idx] || (memory.passed[idx] = []);
+        if (!list.some(c => c.id === top.id)) list.push(slimCard(top));
+    }
+}
+
 /**
  * Decide whether to draw from stock or discard.
+ * The discard is only taken when the greedy plan would meld it this turn —
+ * a pickup has to be used before the turn ends.
  * @param {object} state
  * @param {Array<object>} hand
  * @returns {{ type: 'draw', source: 'stock'|'discard' }}
  */
 function decideDrawSource(state, hand) {
-    if (state.discardPile.length === 0) {
+    if (state.discardPile.length === 0 || state.pickupReturned) {
         return { type: 'draw', source: 'stock' };
     }
 
+    const player = state.players[state.currentPlayerIndex];
     const topDiscard = state.discardPile[state.discardPile.length - 1];
-
-    // Check if the discard card would complete any meld
     const handWithCard = [...hand, topDiscard];
-    const meldsWithCard = findPossibleMelds(handWithCard);
-    const meldsWithout = findPossibleMelds(hand);
+    const usesCard = (melds) => !!melds && melds.some(meld => meld.some(c => c.id === topDiscard.id));
 
-    // If adding the card creates more/better melds, pick from discard
-    const newMelds = meldsWithCard.filter(meld =>
-        meld.some(c => c.id === topDiscard.id)
-    );
+    if (!player.hasOpened) {
+        if (usesCard(findOpeningMelds(handWithCard))) return { type: 'draw', source: 'discard' };
+        return { type: 'draw', source: 'stock' };
+    }
 
-    if (newMelds.length > 0 && newMelds.some(m => classifyMeld(m))) {
+    if (usesCard(findBestMelds(handWithCard)) || findExtensions([topDiscard], state.tableMelds).length > 0) {
         return { type: 'draw', source: 'discard' };
     }
 
@@ -244,7 +322,8 @@ function findOpeningMelds(hand) {
             }
         }
 
-        if (totalPoints >= 51) {
+        // Same check the server applies (Ace counts 1 in A-2-3 runs)
+        if (totalPoints >= 51 && isValidOpening(combination).valid) {
             return combination;
         }
     }
@@ -316,7 +395,16 @@ function findExtensions(hand, tableMelds) {
  * @returns {object}
  */
 function chooseDiscard(hand) {
-    if (hand.length === 1) return hand[0];
+    return rankDiscards(hand)[0];
+}
+
+/**
+ * Rank cards from most to least discardable.
+ * @param {Array<object>} hand
+ * @returns {Array<object>}
+ */
+function rankDiscards(hand) {
+    if (hand.length === 1) return [hand[0]];
 
     // Score each card's "usefulness" (lower = more discardable)
     const scores = hand.map(card => {
@@ -346,7 +434,441 @@ function chooseDiscard(hand) {
     // Sort by score ascending — discard the least useful
     scores.sort((a, b) => a.score - b.score);
 
-    return scores[0].card;
+    return scores.map(s => s.card);
+}
+
+// ═══════════════════════════════
+// HARD — PARTITION PLANNER
+// ═══════════════════════════════
+
+/**
+ * Hard draw: only take the discard when it lands in a meld we can lay down
+ * this very turn (opening included) — otherwise it just tells the table
+ * what we're collecting.
+ * @param {object} state
+ * @param {Array<object>} hand
+ * @returns {{ type: 'draw', source: 'stock'|'discard' }}
+ */
+function decideDrawSourceHard(state, hand) {
+    if (state.discardPile.length === 0 || state.pickupReturned) {
+        return { type: 'draw', source: 'stock' };
+    }
+
+    const player = state.players[state.currentPlayerIndex];
+    const topDiscard = state.discardPile[state.discardPile.length - 1];
+
+    if (planMelds([...hand, topDiscard], state, player.hasOpened, topDiscard.id)) {
+        return { type: 'draw', source: 'discard' };
+    }
+    if (player.hasOpened && findExtensions([topDiscard], state.tableMelds).length > 0) {
+        return { type: 'draw', source: 'discard' };
+    }
+
+    return { type: 'draw', source: 'stock' };
+}
+
+/**
+ * Hard meld/discard plan for the current player.
+ * @param {object} state
+ * @returns {Array<object>} actions
+ */
+function planTurnHard(state) {
+    const actions = [];
+    const playerIdx = state.currentPlayerIndex;
+    const player = state.players[playerIdx];
+    let hand = [...player.hand];
+    const tableMelds = state.tableMelds.map(m => ({ ...m, cards: [...m.cards] }));
+
+    // A card taken from the discard pile has to be used this turn
+    const requiredId = state.drawnFromDiscard && state.drawnCard ? state.drawnCard.id : null;
+
+    let plan = planMelds(hand, state, player.hasOpened, requiredId);
+    if (!plan && requiredId !== null) plan = planMelds(hand, state, player.hasOpened);
+
+    // Hold an unopened hand back while a one-turn Remik finish is in reach
+    let heldPlan = null;
+    if (plan && !player.hasOpened && requiredId === null && shouldChaseRemik(state, playerIdx, hand, plan)) {
+        heldPlan = plan;
+        plan = null;
+    }
+
+    if (plan) {
+        actions.push({
+            type: 'meld',
+            meldCardIds: plan.melds.map(meld => meld.map(c => c.id))
+        });
+        const meldedIds = new Set(plan.melds.flat().map(c => c.id));
+        hand = hand.filter(c => !meldedIds.has(c.id));
+        for (const meld of plan.melds) tableMelds.push({ cards: [...meld], owner: playerIdx });
+    }
+
+    // Lay off as many cards as possible — several per table meld if they fit
+    if ((player.hasOpened || plan) && canLayOff(state)) {
+        let progress = true;
+        while (progress && hand.length > 0) {
+            progress = false;
+            for (const ext of findExtensions(hand, tableMelds)) {
+                const target = tableMelds[ext.tableMeldIndex].cards;
+                if (ext.position === 'start') target.unshift(...ext.cards);
+                else target.push(...ext.cards);
+                actions.push({
+                    type: 'extend',
+                    tableMeldIndex: ext.tableMeldIndex,
+                    cardIds: ext.cards.map(c => c.id),
+                    position: ext.position
+                });
+                const extIds = new Set(ext.cards.map(c => c.id));
+                hand = hand.filter(c => !extIds.has(c.id));
+                progress = true;
+            }
+        }
+    }
+
+    if (hand.length > 0) {
+        // Never break up a held meld or throw back the card we just picked up
+        const keepIds = new Set(heldPlan ? heldPlan.melds.flat().map(c => c.id) : []);
+        if (requiredId !== null) keepIds.add(requiredId);
+        const candidates = hand.filter(c => !keepIds.has(c.id));
+        const discardCard = chooseDiscardHard(state, playerIdx, hand, candidates.length > 0 ? candidates : hand);
+        actions.push({ type: 'discard', cardId: discardCard.id });
+    }
+
+    return actions;
+}
+
+/**
+ * Best meld partition of a hand — the set of non-overlapping melds that
+ * leaves the fewest penalty points behind.
+ * @param {Array<object>} hand
+ * @param {object} state
+ * @param {boolean} hasOpened
+ * @param {number|null} [requiredCardId=null] — card that must end up in a meld
+ * @returns {{ melds: Array<Array<object>>, deadwood: number, leftover: number }|null}
+ */
+function planMelds(hand, state, hasOpened, requiredCardId = null) {
+    const { requireOpening, openRequirement } = openingRules(state);
+    const mustOpen = !hasOpened && requireOpening;
+
+    const best = searchPartitions(hand, generateCandidateMelds(hand), melds => {
+        if (melds.length === 0) return false;
+        if (requiredCardId !== null && !melds.some(m => m.some(c => c.id === requiredCardId))) return false;
+        return !mustOpen || isValidOpening(melds, openRequirement).valid;
+    });
+
+    if (!best) return null;
+    return { ...best, leftover: hand.length - best.melds.flat().length };
+}
+
+/**
+ * Depth-first search over meld partitions. Cards are visited in hand order;
+ * each is either placed in a candidate meld or left as deadwood. Branches
+ * that already carry more deadwood than the best accepted plan are pruned.
+ * @param {Array<object>} hand
+ * @param {Array<Array<object>>} candidates
+ * @param {Function} accept — (melds) → boolean
+ * @returns {{ melds: Array<Array<object>>, deadwood: number }|null}
+ */
+function searchPartitions(hand, candidates, accept) {
+    const byCard = new Map();
+    for (const meld of candidates) {
+        for (const c of meld) {
+            if (!byCard.has(c.id)) byCard.set(c.id, []);
+            byCard.get(c.id).push(meld);
+        }
+    }
+
+    let best = null;
+    let nodes = 0;
+    const chosen = [];
+    const used = new Set();
+
+    function visit(i, deadwood) {
+        if (++nodes > MAX_SEARCH_NODES) return;
+        if (best && deadwood >= best.deadwood) return;
+
+        while (i < hand.length && used.has(hand[i].id)) i++;
+        if (i === hand.length) {
+            if (accept(chosen)) best = { melds: [...chosen], deadwood };
+            return;
+        }
+
+        const card = hand[i];
+        for (const meld of byCard.get(card.id) || []) {
+            if (meld.some(c => used.has(c.id))) continue;
+            chosen.push(meld);
+            meld.forEach(c => used.add(c.id));
+            visit(i + 1, deadwood);
+            chosen.pop();
+            meld.forEach(c => used.delete(c.id));
+        }
+
+        used.add(card.id);
+        visit(i + 1, deadwood + getCardValue(card));
+        used.delete(card.id);
+    }
+
+    visit(0, 0);
+    return best;
+}
+
+/**
+ * Every valid meld the hand could form: natural melds, plus each Joker
+ * completing a natural meld or a two-card draw.
+ * @param {Array<object>} hand
+ * @returns {Array<Array<object>>}
+ */
+function generateCandidateMelds(hand) {
+    const result = [];
+    const seen = new Set();
+    const add = (meld) => {
+        if (!classifyMeld(meld)) return;
+        const key = meld.map(c => c.id).sort((a, b) => a - b).join(',');
+        if (seen.has(key)) return;
+        seen.add(key);
+        result.push(meld);
+    };
+
+    const naturalMelds = findPossibleMelds(hand);
+    naturalMelds.forEach(add);
+
+    const naturals = hand.filter(c => !c.isJoker);
+    for (const joker of hand.filter(c => c.isJoker)) {
+        for (const meld of naturalMelds) add(placeJoker(meld, joker));
+        for (let a = 0; a < naturals.length; a++) {
+            for (let b = a + 1; b < naturals.length; b++) {
+                add(placeJoker([naturals[a], naturals[b]], joker));
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Insert a Joker where it reads naturally: into an inner gap, otherwise at
+ * the open end of a sequence. Groups don't care about order.
+ * @param {Array<object>} cards — naturals
+ * @param {object} joker
+ * @returns {Array<object>}
+ */
+function placeJoker(cards, joker) {
+    const sorted = [...cards].sort(compareCards);
+    if (!isValidSequence([...sorted, joker])) return [...sorted, joker];
+
+    for (let i = 1; i < sorted.length; i++) {
+        if (rankIndex(sorted[i].rank) - rankIndex(sorted[i - 1].rank) === 2) {
+            return [...sorted.slice(0, i), joker, ...sorted.slice(i)];
+        }
+    }
+    return sorted[sorted.length - 1].rank === 'K' ? [joker, ...sorted] : [...sorted, joker];
+}
+
+/**
+ * Whether an unopened Hard player should keep its melds hidden and play for
+ * a Remik. Only worth it when the hand is nearly complete, nobody is close to
+ * going out and getting caught wouldn't knock us out.
+ * @param {object} state
+ * @param {number} playerIdx
+ * @param {Array<object>} hand
+ * @param {{ leftover: number }} plan
+ * @returns {boolean}
+ */
+function shouldChaseRemik(state, playerIdx, hand, plan) {
+    if (plan.leftover <= 1) return false; // can go out right now
+    if (plan.leftover > 3) return false;
+    if (state.stock.length < 10) return false;
+
+    const opponentsClose = state.players.some((p, i) =>
+        i !== playerIdx && !p.eliminated && p.hand.length <= 5
+    );
+    if (opponentsClose) return false;
+
+    const cfg = state.config || {};
+    const pointsLimit = cfg.POINTS_LIMIT ?? cfg.pointsLimit ?? 501;
+    const exposure = hand.reduce((sum, c) => sum + getCardValue(c), 0);
+    return state.players[playerIdx].score + exposure < pointsLimit;
+}
+
+/**
+ * Hard discard: weigh how live each card's draws still are (card counting),
+ * whether it would feed the next player, and its penalty value.
+ * @param {object} state
+ * @param {number} playerIdx
+ * @param {Array<object>} hand
+ * @param {Array<object>} candidates — cards we're willing to let go
+ * @returns {object}
+ */
+function chooseDiscardHard(state, playerIdx, hand, candidates) {
+    if (candidates.length === 1) return candidates[0];
+
+    const unseen = countUnseen(state, playerIdx);
+    const memory = getMemory(state);
+    const nextIdx = nextActivePlayerIndex(state.players, playerIdx);
+    const nextPlayer = nextIdx !== playerIdx ? state.players[nextIdx] : null;
+    const nextPickups = memory.pickups[nextIdx] || [];
+    const nextPassed = memory.passed[nextIdx] || [];
+
+    const scored = candidates.map(card => {
+        let keep = 0;
+        if (card.isJoker) {
+            keep += 100;
+        } else {
+            for (const other of hand) {
+                if (other.id === card.id || other.isJoker) continue;
+                for (const key of completionsFor(card, other)) {
+                    keep += (unseen.get(key) || 0) * 1.5;
+                }
+            }
+        }
+
+        let feed = 0;
+        if (nextPlayer) {
+            if (nextPlayer.hasOpened && state.tableMelds.some(m =>
+                canExtendMeld(m.cards, [card], 'end') || canExtendMeld(m.cards, [card], 'start')
+            )) {
+                feed += 8;
+            }
+            if (!card.isJoker) {
+                feed += nextPickups.filter(p => isRelated(card, p)).length * 5;
+                if (nextPassed.some(p => p.rank === card.rank && p.suit === card.suit)) feed -= 3;
+            }
+        }
+
+        return { card, score: keep + feed - getCardValue(card) * 0.2 };
+    });
+
+    scored.sort((a, b) => a.score - b.score);
+    return scored[0].card;
+}
+
+/**
+ * Copies of each natural card (keyed `rank|suit`) the player hasn't seen:
+ * two decks' worth minus their own hand, the table, the discard pile and
+ * cards other players are known to have picked up.
+ * @param {object} state
+ * @param {number} playerIdx
+ * @returns {Map<string, number>}
+ */
+function countUnseen(state, playerIdx) {
+    const counts = new Map();
+    for (const suit of SUITS) {
+        for (const rank of RANKS) counts.set(`${rank}|${suit}`, 2);
+    }
+
+    const seen = new Set();
+    const mark = (c) => {
+        if (!c || c.isJoker || seen.has(c.id)) return;
+        seen.add(c.id);
+        const key = `${c.rank}|${c.suit}`;
+        counts.set(key, Math.max(0, counts.get(key) - 1));
+    };
+
+    state.players[playerIdx].hand.forEach(mark);
+    state.tableMelds.forEach(m => m.cards.forEach(mark));
+    state.discardPile.forEach(mark);
+    const { pickups } = getMemory(state);
+    for (const [idx, cards] of Object.entries(pickups)) {
+        if (Number(idx) !== playerIdx) cards.forEach(mark);
+    }
+
+    return counts;
+}
+
+/**
+ * Cards (keyed `rank|suit`) that would turn a two-card draw into a meld.
+ * @param {object} a — natural card
+ * @param {object} b — natural card
+ * @returns {string[]}
+ */
+function completionsFor(a, b) {
+    const keys = new Set();
+
+    if (a.rank === b.rank) {
+        if (a.suit === b.suit) return [];
+        for (const suit of SUITS) {
+            if (suit !== a.suit && suit !== b.suit) keys.add(`${a.rank}|${suit}`);
+        }
+        return [...keys];
+    }
+    if (a.suit !== b.suit) return [];
+
+    // Ace can sit below 2 or above King
+    for (const pa of rankPositions(a)) {
+        for (const pb of rankPositions(b)) {
+            const lo = Math.min(pa, pb);
+            const hi = Math.max(pa, pb);
+            const needed = hi - lo === 1 ? [lo - 1, hi + 1] : hi - lo === 2 ? [lo + 1] : [];
+            for (const pos of needed) {
+                if (pos < 0 || pos > 13) continue;
+                keys.add(`${pos === 13 ? 'A' : RANKS[pos]}|${a.suit}`);
+            }
+        }
+    }
+    return [...keys];
+}
+
+/**
+ * Sequence positions of a card (Ace is both 0 and 13).
+ * @param {object} card
+ * @returns {number[]}
+ */
+function rankPositions(card) {
+    return card.rank === 'A' ? [0, 13] : [rankIndex(card.rank)];
+}
+
+/**
+ * Whether two natural cards could end up in the same meld.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function isRelated(a, b) {
+    if (a.rank === b.rank) return true;
+    if (a.suit !== b.suit) return false;
+    return rankPositions(a).some(pa => rankPositions(b).some(pb => Math.abs(pa - pb) <= 2));
+}
+
+/**
+ * Opening rules from either config flavour (solo DEFAULTS keys or server keys).
+ * @param {object} state
+ * @returns {{ requireOpening: boolean, openRequirement: number }}
+ */
+function openingRules(state) {
+    const cfg = state.config || {};
+    return {
+        requireOpening: (cfg.REQUIRE_OPENING ?? cfg.requireOpening) !== false,
+        openRequirement: cfg.OPEN_REQUIREMENT ?? cfg.openRequirement ?? 51
+    };
+}
+
+/**
+ * The shared AI memory for the current round, created on first use.
+ * @param {object} state
+ * @returns {{ round: number, pickups: Object<number, object[]>, passed: Object<number, object[]> }}
+ */
+function getMemory(state) {
+    if (!state.aiMemory || state.aiMemory.round !== state.roundNumber) {
+        state.aiMemory = { round: state.roundNumber, pickups: {}, passed: {} };
+    }
+    return state.aiMemory;
+}
+
+/**
+ * Minimal card copy for memory (keeps saves small).
+ * @param {object} card
+ * @returns {{ id: number, rank: string, suit: string, isJoker: boolean }}
+ */
+function slimCard(card) {
+    return { id: card.id, rank: card.rank, suit: card.suit, isJoker: card.isJoker };
+}
+
+/**
+ * Pick a random element.
+ * @param {Array} arr
+ * @returns {*}
+ */
+function pickRandom(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
 }
 
 /**
@@ -37,11 +37,12 @@ export function createDeck(jokerCount = 4) {
 /**
  * Fisher-Yates (Knuth) in-place shuffle.
  * @param {Array} deck
+ * @param {() => number} [random=Math.random] — pass `createRng(seed)` from rng.js for a reproducible order
  * @returns {Array} the same array, shuffled
  */
-export function shuffleDeck(deck) {
+export function shuffleDeck(deck, random = Math.random) {
     for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [deck[i], deck[j]] = [deck[j], deck[i]];
     }
     return deck;
@@ -26,10 +26,98 @@ export const DEFAULTS = {
     REQUIRE_OPENING: true,
     /** Whether players can swap a natural card for a Joker on the table */
     ALLOW_JOKER_SWAP: false,
-    /** Speed mode — reduced timer, skip animations */
+    /** Speed mode — the SPEED_PROFILE fast-play rules below */
     SPEED_MODE: false,
+    /** Seconds a disconnected multiplayer player has before a bot plays their seat (0 = never) */
+    BOT_TAKEOVER_SECONDS: 30,
+    /** Seconds the multiplayer host may be disconnected before host passes to another player */
+    HOST_MIGRATION_SECONDS: 30,
+    /** Seconds between everyone acknowledging the scores and the next round starting (0 = host starts it) */
+    AUTO_NEXT_ROUND_SECONDS: 0,
+    /** Longest a multiplayer pause may last before play resumes by itself, in seconds */
+    MAX_PAUSE_SECONDS: 300,
+    /** Whether people outside the room may watch a running game */
+    ALLOW_SPECTATORS: true,
+    /** Spectator feed delay in seconds — 0 keeps hands hidden, otherwise every hand is shown this late */
+    SPECTATOR_DELAY_SECONDS: 0,
+    /** Deal seed — the same seed and table replay the same deals ('' = random per game) */
+    SEED: '',
+    /** Multiplayer series: best of this many games in the same room (0 = single games) */
+    SERIES_LENGTH: 0,
 };
 
+/** What SPEED_MODE changes */
+export const SPEED_PROFILE = {
+    /** Turn timer cap in seconds */
+    TURN_TIMER_SECONDS: 60,
+    /** Seconds after a round ends before the next one starts on its own */
+    NEXT_ROUND_SECONDS: 5,
+};
+
+/**
+ * Room settings a multiplayer host may choose, with their allowed ranges.
+ * The server validates against this and the lobby builds its settings form
+ * from it (fetched from `GET /api/settings/schema`). Number settings with
+ * `zeroOff` also accept 0, which switches the feature off; number settings
+ * with `options` accept only those values (the lobby shows a drop-down).
+ * @type {Array<{ key: string, type: 'number'|'boolean'|'string', label: string, default: *, min?: number, max?: number, step?: number, zeroOff?: boolean, options?: Array<{ value: number, label: string }>, maxLength?: number, hint?: string }>}
+ */
+export const SETTINGS_SCHEMA = [
+    { key: 'POINTS_LIMIT', type: 'number', label: 'Points Limit', default: DEFAULTS.POINTS_LIMIT, min: 50, max: 2000, step: 50 },
+    { key: 'JOKER_COUNT', type: 'number', label: 'Jokers', default: DEFAULTS.JOKER_COUNT, min: 0, max: 10, step: 1 },
+    { key: 'TURN_TIMER_SECONDS', type: 'number', label: 'Turn Timer (sec)', default: DEFAULTS.TURN_TIMER_SECONDS, min: 30, max: 600, step: 30 },
+    { key: 'BOT_TAKEOVER_SECONDS', type: 'number', label: 'Bot Takeover (sec, 0 = off)', default: DEFAULTS.BOT_TAKEOVER_SECONDS, min: 5, max: 300, step: 5, zeroOff: true },
+    {
+        key: 'HOST_MIGRATION_SECONDS', type: 'number', label: 'Host Handover (sec)', default: DEFAULTS.HOST_MIGRATION_SECONDS, min: 5, max: 300, step: 5,
+        hint: 'How long the host may be disconnected before another player becomes host'
+    },
+    {
+        key: 'AUTO_NEXT_ROUND_SECONDS', type: 'number', label: 'Auto Next Round (sec, 0 = off)', default: DEFAULTS.AUTO_NEXT_ROUND_SECONDS, min: 3, max: 60, step: 1, zeroOff: true,
+        hint: 'Once every connected player has seen the scores, the next round starts after this countdown'
+    },
+    {
+        key: 'SERIES_LENGTH', type: 'number', label: 'Series', default: DEFAULTS.SERIES_LENGTH,
+        options: [{ value: 0, label: 'Single game' }, { value: 3, label: 'Best of 3' }, { value: 5, label: 'Best of 5' }],
+        hint: 'Play several games in this room and keep standings across them'
+    },
+    { key: 'MAX_PAUSE_SECONDS', type: 'number', label: 'Max Pause (sec)', default: DEFAULTS.MAX_PAUSE_SECONDS, min: 30, max: 1800, step: 30 },
+    {
+        key: 'SPECTATOR_DELAY_SECONDS', type: 'number', label: 'Spectator Delay (sec, 0 = hands hidden)',
+        default: DEFAULTS.SPECTATOR_DELAY_SECONDS, min: 10, max: 600, step: 10, zeroOff: true,
+        hint: '0 keeps hands hidden; otherwise spectators see every hand this many seconds late'
+    },
+    {
+        key: 'SEED', type: 'string', label: 'Deal Seed (optional)', default: DEFAULTS.SEED, maxLength: 64,
+        hint: 'Everyone in the room can see a seed you set here'
+    },
+    { key: 'HAND_SIZE_FIRST', type: 'number', label: 'Hand Size (first player)', default: DEFAULTS.HAND_SIZE_FIRST, min: 7, max: 20, step: 1 },
+    { key: 'HAND_SIZE_OTHER', type: 'number', label: 'Hand Size (others)', default: DEFAULTS.HAND_SIZE_OTHER, min: 7, max: 20, step: 1 },
+    { key: 'OPEN_REQUIREMENT', type: 'number', label: 'Opening Points', default: DEFAULTS.OPEN_REQUIREMENT, min: 20, max: 150, step: 1 },
+    { key: 'REQUIRE_OPENING', type: 'boolean', label: 'Opening Requirement', default: DEFAULTS.REQUIRE_OPENING },
+    { key: 'ALLOW_JOKER_SWAP', type: 'boolean', label: 'Allow Joker Swap', default: DEFAULTS.ALLOW_JOKER_SWAP },
+    { key: 'ALLOW_SPECTATORS', type: 'boolean', label: 'Allow Spectators', default: DEFAULTS.ALLOW_SPECTATORS },
+    {
+        key: 'SPEED_MODE', type: 'boolean', label: `Speed Mode (${SPEED_PROFILE.TURN_TIMER_SECONDS}s, no anims, auto next round)`,
+        default: DEFAULTS.SPEED_MODE, hint: 'Bots play instantly and the next round starts by itself'
+    },
+];
+
+/**
+ * Clamp one value into its schema range; unusable values fall back to the default.
+ * @param {object} field — a SETTINGS_SCHEMA entry
+ * @param {*} value
+ * @returns {*}
+ */
+function clampSetting(field, value) {
+    if (field.type === 'boolean') return !!value;
+    if (field.type === 'string') return String(value).trim().slice(0, field.maxLength);
+    const n = Number(value);
+    if (!Number.isFinite(n)) return field.default;
+    if (field.options) return field.options.some(o => o.value === n) ? n : field.default;
+    if (field.zeroOff && n === 0) return 0;
+    return Math.max(field.min, Math.min(field.max, Math.round(n)));
+}
+
 /**
  * Merge user-provided settings with defaults.
  * @param {object} [overrides={}]
@@ -43,14 +131,57 @@ export function mergeConfig(overrides = {}) {
         }
     }
     // Clamp values
-    config.JOKER_COUNT = Math.max(0, Math.min(10, config.JOKER_COUNT));
-    config.TURN_TIMER_SECONDS = Math.max(30, Math.min(600, config.TURN_TIMER_SECONDS));
-    config.POINTS_LIMIT = Math.max(50, Math.min(2000, config.POINTS_LIMIT));
-    config.HAND_SIZE_FIRST = Math.max(7, Math.min(20, config.HAND_SIZE_FIRST));
-    config.HAND_SIZE_OTHER = Math.max(7, Math.min(20, config.HAND_SIZE_OTHER));
+    for (const field of SETTINGS_SCHEMA) {
+        config[field.key] = clampSetting(field, config[field.key]);
+    }
     return config;
 }
 
+/**
+ * Check room settings against SETTINGS_SCHEMA without changing them.
+ * Missing settings take their default; anything present must already be
+ * valid — nothing is silently clamped.
+ * @param {object} [input={}]
+ * @returns {{ settings: object|null, errors: Object<string, string> }} `settings`
+ *   is the merged config, or null when any field was rejected
+ */
+export function validateSettings(input = {}) {
+    const errors = {};
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { settings: null, errors: { settings: 'Settings must be an object' } };
+    }
+
+    const known = new Map(SETTINGS_SCHEMA.map(f => [f.key, f]));
+    for (const [key, value] of Object.entries(input)) {
+        const field = known.get(key);
+        if (!field) {
+            errors[key] = 'Unknown setting';
+            continue;
+        }
+        if (value === undefined || value === null) continue;
+        // "Bot Takeover (sec, 0 = off)" reads as "Bot Takeover" in a message
+        const name = field.label.replace(/\s*\(.*\)$/, '');
+
+        if (field.type === 'boolean') {
+            if (typeof value !== 'boolean') errors[key] = `${name} must be on or off`;
+        } else if (field.type === 'string') {
+            if (typeof value !== 'string') errors[key] = `${name} must be text`;
+            else if (value.trim().length > field.maxLength) errors[key] = `${name} must be at most ${field.maxLength} characters`;
+        } else if (typeof value !== 'number' || !Number.isInteger(value)) {
+            errors[key] = `${name} must be a whole number`;
+        } else if (field.options) {
+            if (!field.options.some(o => o.value === value)) {
+                errors[key] = `${name} must be one of: ${field.options.map(o => o.label).join(', ')}`;
+            }
+        } else if (!(field.zeroOff && value === 0) && (value < field.min || value > field.max)) {
+            errors[key] = `${name} must be between ${field.min} and ${field.max}${field.zeroOff ? ' (or 0)' : ''}`;
+        }
+    }
+
+    const ok = Object.keys(errors).length === 0;
+    return { settings: ok ? mergeConfig(input) : null, errors };
+}
+
 /** Available player colours */
 export const PLAYER_COLOURS = [
     '#e63946', // Red
@@ -67,3 +198,72 @@ export const PLAYER_COLOURS = [
 export const PLAYER_ICONS = [
     '♠', '♥', '♦', '♣', '🎴', '🃏', '👑', '🎯', '🔥', '⚡', '🌟', '💎'
 ];
+
+/** Default seats for solo AI opponents (up to MAX_PLAYERS − 1) */
+export const AI_OPPONENT_DEFAULTS = [
+    { name: 'Computer', colour: '#457b9d', icon: '🃏', difficulty: 'normal' },
+    { name: 'Zosia', colour: '#2a9d8f', icon: '👑', difficulty: 'normal' },
+    { name: 'Bartek', colour: '#e9c46a', icon: '🎯', difficulty: 'normal' },
+];
+
+/** AI personality labels for the lobby (keys match `AI_DIFFICULTY` in ai.js) */
+export const AI_DIFFICULTY_LABELS = {
+    easy: 'Easy',
+    normal: 'Normal',
+    hard: 'Hard',
+};
+
+/** Room chat limits (enforced by the server) */
+export const CHAT_LIMITS = {
+    /** Longest message, in characters */
+    MAX_LENGTH: 200,
+    /** Messages kept per room (and in its snapshot) */
+    HISTORY_SIZE: 100,
+    /** Messages (reactions included) one player may send per window */
+    BURST: 5,
+    /** Rate-limit window in milliseconds */
+    WINDOW_MS: 10000,
+};
+
+/**
+ * How long the server keeps rooms nobody is using (`roomSweeper.cjs`).
+ * Each value can be overridden with an env var named `ROOM_TTL_<KEY>`.
+ */
+export const ROOM_TTL = {
+    /** Waiting room with no message from anyone, in minutes */
+    WAITING_MINUTES: 30,
+    /** Game in progress with no human connected, in minutes since the last one left */
+    ABANDONED_MINUTES: 15,
+    /** Finished game, in minutes after the final round */
+    FINISHED_MINUTES: 10,
+    /** Seconds between sweeps */
+    SWEEP_SECONDS: 60,
+};
+
+/** Tournament limits and defaults (`tournamentManager.cjs`) */
+export const TOURNAMENT = {
+    /** Fewest registered players a tournament can start with */
+    MIN_PLAYERS: 4,
+    /** Most players one tournament takes */
+    MAX_PLAYERS: 32,
+    /** Most players seated at one table (tables are balanced, never fewer than 2) */
+    TABLE_SIZE: 4,
+    /** Knockout: finishers per table who go through to the next round */
+    ADVANCE_PER_TABLE: 1,
+    /** Swiss: rounds played before the standings are final */
+    SWISS_ROUNDS: 3,
+    /** Seconds a new table waits for everyone to sit down before starting anyway */
+    SEAT_WAIT_SECONDS: 90,
+    /** Seconds between rounds at a table — nobody there may start the next one early */
+    NEXT_ROUND_SECONDS: 20,
+};
+
+/** Preset quick reactions — float over the sender's seat */
+export const QUICK_REACTIONS = [
+    { id: 'nice_meld', emoji: '👏', text: 'Nice meld!' },
+    { id: 'hurry_up', emoji: '⏳', text: 'Hurry up' },
+    { id: 'good_game', emoji: '🤝', text: 'Good game' },
+    { id: 'unlucky', emoji: '😬', text: 'Unlucky!' },
+    { id: 'wow', emoji: '😮', text: 'Wow!' },
+    { id: 'thinking', emoji: '🤔', text: 'Hmm…' },
+];
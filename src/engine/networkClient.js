@@ -4,6 +4,8 @@
  * @module engine/networkClient
  */
 
+import { getAuthToken } from './accountClient.js';
+
 const MAX_RETRIES = 3;
 const BASE_DELAY_MS = 1000;
 
@@ -115,7 +117,9 @@ function attemptReconnect() {
                 send('reconnect', {
                     roomCode: session.roomCode,
                     playerId: session.playerId,
-                    playerName: session.playerName
+                    seatSecret: session.seatSecret,
+                    playerName: session.playerName,
+                    authToken: getAuthToken()
                 });
             }
         } catch {
@@ -188,7 +192,7 @@ const SESSION_COOKIE = 'remik_session';
 
 /**
  * Save session info to a cookie (24h expiry).
- * @param {{ roomCode: string, playerId: string, playerName: string }} session
+ * @param {{ roomCode: string, playerId: string, seatSecret: string, playerName: string }} session
  */
 export function saveSession(session) {
     const expires = new Date(Date.now() + 24 * 60 * 60 * 1000).toUTCString();
@@ -198,16 +202,10 @@ export function saveSession(session) {
 
 /**
  * Read session info from cookie.
- * @returns {{ roomCode: string, playerId: string, playerName: string }|null}
+ * @returns {{ roomCode: string, playerId: string, seatSecret: string, playerName: string }|null}
  */
 export function getSession() {
-    const match = document.cookie.split('; ').find(row => row.startsWith(`${SESSION_COOKIE}=`));
-    if (!match) return null;
-    try {
-        return JSON.parse(decodeURIComponent(match.split('=')[1]));
-    } catch {
-        return null;
-    }
+    return readJsonCookie(SESSION_COOKIE);
 }
 
 /**
@@ -216,3 +214,44 @@ export function getSession() {
 export function clearSession() {
     document.cookie = `${SESSION_COOKIE}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Strict`;
 }
+
+const TOURNAMENT_COOKIE = 'remik_tournament';
+
+/**
+ * Remember the tournament this browser is registered for (7 days — an
+ * evening's tournament may outlast a room session).
+ * @param {{ tournamentCode: string, playerId: string, tournamentSecret: string, playerName: string }} session
+ */
+export function saveTournamentSession(session) {
+    const expires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toUTCString();
+    const value = encodeURIComponent(JSON.stringify(session));
+    document.cookie = `${TOURNAMENT_COOKIE}=${value}; expires=${expires}; path=/; SameSite=Strict`;
+}
+
+/**
+ * @returns {{ tournamentCode: string, playerId: string, tournamentSecret: string, playerName: string }|null}
+ */
+export function getTournamentSession() {
+    return readJsonCookie(TOURNAMENT_COOKIE);
+}
+
+/**
+ * Forget the tournament (withdrawn, or it no longer exists).
+ */
+export function clearTournamentSession() {
+    document.cookie = `${TOURNAMENT_COOKIE}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Strict`;
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null} the cookie's JSON value
+ */
+function readJsonCookie(name) {
+    const match = document.cookie.split('; ').find(row => row.startsWith(`${name}=`));
+    if (!match) return null;
+    try {
+        return JSON.parse(decodeURIComponent(match.split('=')[1]));
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Replay format — an authoritative, exportable record of a whole game.
+ * The server records it (gameServer.cjs) and the browser plays it back
+ * (ui/replayViewer.js), so both sides share this one definition.
+ *
+ * Cards are stored by id only: `createDeck(jokerCount)` always numbers the
+ * same card with the same id, so the viewer rebuilds the faces from the
+ * config instead of the file repeating them in every frame.
+ * @module engine/replay
+ */
+
+import { createDeck, cardToString } from './rules.js';
+
+/** Identifies a replay file */
+export const REPLAY_FORMAT = 'remik-replay';
+/** Bumped whenever the file layout changes incompatibly */
+export const REPLAY_VERSION = 1;
+
+// ═══════════════════════════════
+// RECORDING
+// ═══════════════════════════════
+
+/**
+ * Start an empty replay for a game.
+ * @param {{ roomCode?: string, seed?: string|number|null, config: object, players: Array<object> }} info
+ * @returns {object}
+ */
+export function createReplay({ roomCode = null, seed = null, config, players }) {
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        roomCode,
+        seed,
+        startedAt: Date.now(),
+        finishedAt: null,
+        config: { ...config },
+        players: players.map(p => ({
+            name: p.name,
+            colour: p.colour || null,
+            icon: p.icon || null,
+            isBot: !p.isHuman,
+            difficulty: p.difficulty || null
+        })),
+        rounds: []
+    };
+}
+
+/**
+ * Record a fresh deal. Stores the full stock order so the deal itself is
+ * reproducible from the file.
+ * @param {object} replay — mutated
+ * @param {object} state — game state straight after `dealRound`
+ */
+export function recordDeal(replay, state) {
+    replay.rounds.push({
+        roundNumber: state.roundNumber,
+        seed: state.roundSeed || null,
+        startingPlayerIndex: state.startingPlayerIndex,
+        deal: {
+            hands: state.players.map(p => p.hand.map(c => c.id)),
+            stock: state.stock.map(c => c.id)
+        },
+        steps: [],
+        result: null
+    });
+}
+
+/**
+ * Record one action against the current round. Rejected actions are kept
+ * (with their error) but carry no frame, since they changed nothing.
+ * @param {object} replay — mutated
+ * @param {object} state — game state after the action was applied
+ * @param {{ playerIndex: number, action: object, result: { success: boolean, error?: string }, auto?: boolean }} entry
+ */
+export function recordStep(replay, state, { playerIndex, action, result, auto = false }) {
+    const round = replay.rounds[replay.rounds.length - 1];
+    if (!round) return;
+
+    const step = {
+        at: Date.now(),
+        playerIndex,
+        action: { ...action },
+        success: !!result.success
+    };
+    if (auto) step.auto = true;
+    // Reordering a hand is cosmetic — log it, but don't spend a frame on it
+    if (result.success && action.action !== 'reorder_hand') step.frame = captureFrame(state);
+    else if (!result.success) step.error = result.error || null;
+
+    round.steps.push(step);
+}
+
+/**
+ * Record how the current round ended.
+ * @param {object} replay — mutated
+ * @param {{ winnerIndex: number|null, isRemik: boolean, scores: Array<object> }} result
+ */
+export function recordRoundEnd(replay, { winnerIndex, isRemik, scores }) {
+    const round = replay.rounds[replay.rounds.length - 1];
+    if (!round) return;
+    round.result = {
+        winnerIndex,
+        isRemik,
+        scores: scores.map(s => ({ score: s.score, change: s.change, eliminated: s.eliminated }))
+    };
+}
+
+/**
+ * Mark the replay as complete.
+ * @param {object} replay — mutated
+ */
+export function finishReplay(replay) {
+    replay.finishedAt = Date.now();
+}
+
+/**
+ * Compact, fully visible snapshot of the table (card ids only).
+ * @param {object} state
+ * @returns {object}
+ */
+export function captureFrame(state) {
+    return {
+        phase: state.phase,
+        currentPlayerIndex: state.currentPlayerIndex,
+        hands: state.players.map(p => p.hand.map(c => c.id)),
+        opened: state.players.map(p => !!p.hasOpened),
+        scores: state.players.map(p => p.score),
+        tableMelds: state.tableMelds.map(m => ({ owner: m.owner, cards: m.cards.map(c => c.id) })),
+        discardTop: state.discardPile.length > 0 ? state.discardPile[state.discardPile.length - 1].id : null,
+        discardCount: state.discardPile.length,
+        stockCount: state.stock.length
+    };
+}
+
+// ═══════════════════════════════
+// PLAYBACK
+// ═══════════════════════════════
+
+/**
+ * Check that an object looks like a replay this version can play.
+ * @param {any} replay
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return { valid: false, reason: 'Not a replay file' };
+    if (replay.format !== REPLAY_FORMAT) return { valid: false, reason: 'Not a Remik replay file' };
+    if (replay.version !== REPLAY_VERSION) {
+        return { valid: false, reason: `Unsupported replay version ${replay.version}` };
+    }
+    if (!Array.isArray(replay.players) || !Array.isArray(replay.rounds) || replay.rounds.length === 0) {
+        return { valid: false, reason: 'Replay has no rounds' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Map of card id → card for a replay's deck.
+ * @param {object} replay
+ * @returns {Map<number, object>}
+ */
+export function buildCardLookup(replay) {
+    const jokerCount = replay.config?.jokerCount ?? replay.config?.JOKER_COUNT ?? 4;
+    return new Map(createDeck(jokerCount).map(c => [c.id, c]));
+}
+
+/**
+ * Flatten a replay into the ordered list of positions a viewer can step
+ * through: each round's deal followed by every successful action.
+ * @param {object} replay
+ * @returns {Array<{ roundIndex: number, roundNumber: number, frame: object, step: object|null, label: string }>}
+ */
+export function buildTimeline(replay) {
+    const { players } = replay;
+    const lookup = buildCardLookup(replay);
+    const timeline = [];
+    let scores = players.map(() => 0);
+
+    replay.rounds.forEach((round, roundIndex) => {
+        let previous = {
+            phase: 'DEAL',
+            currentPlayerIndex: round.startingPlayerIndex,
+            hands: round.deal.hands,
+            opened: players.map(() => false),
+            scores,
+            tableMelds: [],
+            discardTop: null,
+            discardCount: 0,
+            stockCount: round.deal.stock.length
+        };
+        timeline.push({
+            roundIndex,
+            roundNumber: round.roundNumber,
+            frame: previous,
+            step: null,
+            label: `Round ${round.roundNumber} dealt — ${players[round.startingPlayerIndex]?.name || '?'} starts`
+        });
+
+        for (const step of round.steps) {
+            if (!step.frame) continue;
+            timeline.push({
+                roundIndex,
+                roundNumber: round.roundNumber,
+                frame: step.frame,
+                step,
+                label: describeStep(step, players, previous, lookup)
+            });
+            previous = step.frame;
+        }
+        scores = previous.scores;
+    });
+
+    return timeline;
+}
+
+/**
+ * Human-readable description of a recorded step — plain text with player
+ * names as recorded, so escape it before putting it in HTML.
+ * @param {object} step
+ * @param {Array<{ name: string }>} players
+ * @param {object|null} previousFrame — frame before the step, used to name drawn cards
+ * @param {Map<number, object>} lookup — from `buildCardLookup`
+ * @returns {string}
+ */
+export function describeStep(step, players, previousFrame, lookup) {
+    const name = players[step.playerIndex]?.name || '?';
+    const a = step.action;
+    const cardLabel = (id) => {
+        const card = lookup.get(id);
+        return card ? cardToString(card) : `card #${id}`;
+    };
+
+    switch (a.action) {
+        case 'draw_stock':
+            return `${name} drew from stock`;
+        case 'draw_discard':
+            return previousFrame?.discardTop != null
+                ? `${name} took ${cardLabel(previousFrame.discardTop)} from discard`
+                : `${name} took from discard`;
+        case 'play_melds':
+            return `${name} laid down ${(a.meldCardIds || []).map(ids => ids.map(cardLabel).join('')).join(', ')}`;
+        case 'extend_meld':
+            return `${name} extended a meld with ${(a.cardIds || []).map(cardLabel).join('')}`;
+        case 'discard':
+            return `${name} discarded ${cardLabel(a.cardId)}`;
+        case 'skip_meld':
+            return `${name} skipped melding`;
+        case 'return_discard':
+            return `${name} put the discard pickup back`;
+        case 'joker_swap':
+            return `${name} swapped ${cardLabel(a.cardId)} for a Joker`;
+        case 'reposition_joker':
+            return `${name} moved a Joker`;
+        case 'timer_expired':
+            return `${name} ran out of time — ${cardLabel(a.cardId)} discarded`;
+        case 'forfeit':
+            return `${name} was removed and forfeits (+${a.penalty || 0})`;
+        case 'next_round':
+            return 'Next round';
+        default:
+            return `${name}: ${a.action}`;
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Seedable pseudo-random numbers for reproducible deals.
+ * A seed is any string; the same seed always yields the same sequence on
+ * every platform, so a deal can be rebuilt from its recorded round seed.
+ * @module engine/rng
+ */
+
+/**
+ * Hash a string to a 32-bit unsigned integer (cyrb53, folded to 32 bits).
+ * @param {string} str
+ * @returns {number}
+ */
+function hashSeed(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h1 ^ h2) >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32) with the same contract as
+ * `Math.random`: each call returns a float in [0, 1).
+ * @param {string|number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+    let a = hashSeed(String(seed));
+    return function next() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh random seed for games that weren't given one.
+ * @returns {string} 8 base-36 characters
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 8).toString(36).padStart(8, '0');
+}
+
+/**
+ * Seed for one round of a game. Recorded per round so a single deal can be
+ * rebuilt without replaying the rounds before it.
+ * @param {string} gameSeed
+ * @param {number} roundNumber
+ * @returns {string}
+ */
+export function deriveRoundSeed(gameSeed, roundNumber) {
+    return `${gameSeed}/r${roundNumber}`;
+}
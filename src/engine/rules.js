@@ -0,0 +1,529 @@
+/**
+ * Isomorphic rules engine — the single source of truth for Remik rules.
+ * Imported by the browser (solo, via gameState.js) and by the Node server
+ * (multiplayer, via gameServer.cjs). Pure functions only: no DOM, no I/O,
+ * no event emission — callers decide how to announce what happened.
+ * @module engine/rules
+ */
+
+import { getCardValue } from './card.js';
+import { createDeck, shuffleDeck, dealCards } from './deck.js';
+import { createRng, randomSeed, deriveRoundSeed } from './rng.js';
+import { classifyMeld, isValidOpening, canExtendMeld } from './melds.js';
+
+export { RANKS, SUITS, rankIndex, getCardValue, cardToString } from './card.js';
+export { createDeck, shuffleDeck, dealCards } from './deck.js';
+export { createRng, randomSeed, deriveRoundSeed } from './rng.js';
+export {
+    isValidSequence, isValidGroup, classifyMeld,
+    calculateMeldsPoints, isValidOpening, canExtendMeld
+} from './melds.js';
+
+/** Turn phases */
+export const PHASE = {
+    DRAW: 'DRAW',
+    MELD: 'MELD',
+    DISCARD: 'DISCARD',
+    ROUND_OVER: 'ROUND_OVER',
+    GAME_OVER: 'GAME_OVER'
+};
+
+/** Points awarded to the round winner (negative = good) */
+export const WIN_BONUS = -10;
+/** Points awarded for going out in one turn without having opened before */
+export const REMIK_BONUS = -20;
+
+// ═══════════════════════════════
+// ROUND SETUP
+// ═══════════════════════════════
+
+/**
+ * Shuffle a fresh deck, deal every hand and reset the per-round fields.
+ * The starting player receives `handSizeFirst` cards and begins in the
+ * DISCARD phase (no draw on the opening turn).
+ *
+ * The shuffle is seeded from `state.seed` and the round number, and the
+ * round's seed is kept in `state.roundSeed`: the same seed, seat count and
+ * starting seat always produce the same deal.
+ * @param {object} state — solo or server game state (mutated)
+ * @param {{ jokerCount: number, handSizeFirst: number, handSizeOther: number }} options
+ */
+export function dealRound(state, { jokerCount, handSizeFirst, handSizeOther }) {
+    // Games saved before seeding existed get one on their next deal
+    if (!state.seed) state.seed = randomSeed();
+    state.roundSeed = deriveRoundSeed(state.seed, state.roundNumber);
+
+    const deck = shuffleDeck(createDeck(jokerCount), createRng(state.roundSeed));
+    const counts = state.players.map((_, i) =>
+        i === state.startingPlayerIndex ? handSizeFirst : handSizeOther
+    );
+
+    const { hands, stock } = dealCards(deck, counts);
+
+    state.players.forEach((p, i) => {
+        p.hand = hands[i];
+        p.hasOpened = false;
+    });
+
+    state.stock = stock;
+    state.discardPile = [];
+    state.tableMelds = [];
+    state.currentPlayerIndex = state.startingPlayerIndex;
+    state.phase = PHASE.DISCARD;
+    state.stockReshuffleCount = 0;
+    state.drawnFromDiscard = false;
+    state.drawnCard = null;
+    state.pickupReturned = false;
+    state.openedThisTurn = false;
+    state.roundWinner = null;
+    state.lastAction = null;
+}
+
+// ═══════════════════════════════
+// TURN ORDER
+// ═══════════════════════════════
+
+/**
+ * Index of the next non-eliminated player after `fromIndex`.
+ * Returns `fromIndex` itself when everyone else is eliminated.
+ * @param {Array<{ eliminated?: boolean }>} players
+ * @param {number} fromIndex
+ * @returns {number}
+ */
+export function nextActivePlayerIndex(players, fromIndex) {
+    let next = (fromIndex + 1) % players.length;
+    while (players[next].eliminated && next !== fromIndex) {
+        next = (next + 1) % players.length;
+    }
+    return next;
+}
+
+/**
+ * Move play to the next active player and reset the per-turn fields.
+ * @param {object} state
+ */
+export function advanceTurn(state) {
+    state.currentPlayerIndex = nextActivePlayerIndex(state.players, state.currentPlayerIndex);
+    state.phase = PHASE.DRAW;
+    state.drawnFromDiscard = false;
+    state.drawnCard = null;
+    state.pickupReturned = false;
+    state.openedThisTurn = false;
+}
+
+/**
+ * Rotate the starting seat for the next round, skipping eliminated players.
+ * @param {object} state
+ */
+export function rotateStartingPlayer(state) {
+    state.startingPlayerIndex = nextActivePlayerIndex(state.players, state.startingPlayerIndex);
+}
+
+/**
+ * Whether melds may be laid down in the given phase.
+ * The starting player opens in DISCARD with a full hand and may meld first.
+ * @param {string} phase
+ * @returns {boolean}
+ */
+export function canMeldInPhase(phase) {
+    return phase === PHASE.MELD || phase === PHASE.DISCARD;
+}
+
+// ═══════════════════════════════
+// OPENING & REMIK
+// ═══════════════════════════════
+
+/**
+ * Mark a player as opened, remembering whether it happened this turn.
+ * @param {object} state — mutated
+ * @param {{ hasOpened: boolean }} player — the current player
+ */
+export function markOpened(state, player) {
+    if (player.hasOpened) return;
+    player.hasOpened = true;
+    state.openedThisTurn = true;
+}
+
+/**
+ * Whether the current player going out right now is a Remik: their whole
+ * hand went down in this one turn, without having opened before it.
+ * @param {object} state
+ * @returns {boolean}
+ */
+export function isRemikFinish(state) {
+    return !!state.openedThisTurn;
+}
+
+// ═══════════════════════════════
+// DISCARD PICKUP
+// ═══════════════════════════════
+
+/**
+ * The card the current player took from the discard pile this turn, while
+ * it is still in their hand. A pickup has to end up in a meld (new meld,
+ * extension or joker swap) before the turn may end.
+ * @param {object} state
+ * @returns {object|null}
+ */
+export function pendingDiscardPickup(state) {
+    if (!state.drawnFromDiscard || !state.drawnCard) return null;
+    const hand = state.players[state.currentPlayerIndex].hand;
+    return hand.some(c => c && c.id === state.drawnCard.id) ? state.drawnCard : null;
+}
+
+/**
+ * Rollback for a pickup the player cannot use: the card goes back on top of
+ * the discard pile and the turn returns to DRAW. Melds already laid this
+ * turn stay on the table. The player must then draw from the stock —
+ * `pickupReturned` blocks taking the same card again.
+ * @param {object} state — mutated
+ * @returns {object|null} the returned card, or null if nothing was pending
+ */
+export function restoreDiscardPickup(state) {
+    const card = pendingDiscardPickup(state);
+    if (!card) return null;
+
+    const player = state.players[state.currentPlayerIndex];
+    player.hand = player.hand.filter(c => c.id !== card.id);
+    state.discardPile.push(card);
+    state.phase = PHASE.DRAW;
+    state.drawnFromDiscard = false;
+    state.drawnCard = null;
+    state.pickupReturned = true;
+    return card;
+}
+
+// ═══════════════════════════════
+// STOCK
+// ═══════════════════════════════
+
+/**
+ * Refill an empty stock from the discard pile, keeping the top discard.
+ * The stock may be rebuilt once per round — the second depletion ends it.
+ * @param {object} state — mutated when a reshuffle happens
+ * @returns {'none'|'reshuffled'|'exhausted'}
+ */
+export function reshuffleIfNeeded(state) {
+    if (state.stock.length > 0) return 'none';
+    if (state.stockReshuffleCount >= 1 || state.discardPile.length <= 1) return 'exhausted';
+
+    const topDiscard = state.discardPile.pop();
+    const random = state.roundSeed ? createRng(`${state.roundSeed}/reshuffle`) : Math.random;
+    state.stock = shuffleDeck([...state.discardPile], random);
+    state.discardPile = [topDiscard];
+    state.stockReshuffleCount++;
+    return 'reshuffled';
+}
+
+// ═══════════════════════════════
+// TURN ACTIONS
+// ═══════════════════════════════
+// Each action validates, then mutates the state for the current player and
+// returns `{ success, reason? }`. Going out is reported as `wentOut` — the
+// caller ends the round, since solo and server announce that differently.
+
+/** Why a turn cannot end while a discard pickup is still in hand */
+const PICKUP_NOT_MELDED = 'Meld the card you took from the discard pile, or put it back';
+
+/**
+ * Draw the top card of the stock — the front of `state.stock`, the end the
+ * deal took its cards from. An empty stock is rebuilt first (`reshuffled`).
+ * When it cannot be rebuilt nothing is drawn and `exhausted` is set: the
+ * caller ends the round with no winner.
+ * @param {object} state — mutated
+ * @returns {{ success: boolean, card?: object, reshuffled?: boolean, exhausted?: boolean, reason?: string }}
+ */
+export function drawStockCard(state) {
+    if (state.phase !== PHASE.DRAW) return { success: false, reason: 'Not in draw phase' };
+
+    const outcome = reshuffleIfNeeded(state);
+    if (outcome === 'exhausted') return { success: false, exhausted: true, reason: 'Stock exhausted — round over' };
+
+    const playerIndex = state.currentPlayerIndex;
+    const card = state.stock.shift();
+    state.players[playerIndex].hand.push(card);
+    state.drawnFromDiscard = false;
+    state.drawnCard = card;
+    state.phase = PHASE.MELD;
+    // No card here: the server shows lastAction to the whole table
+    state.lastAction = { type: 'draw', source: 'stock', playerIndex };
+    return { success: true, card, reshuffled: outcome === 'reshuffled' };
+}
+
+/**
+ * Take the top card of the discard pile. It must end up in a meld this turn
+ * (see `pendingDiscardPickup`).
+ * @param {object} state — mutated
+ * @returns {{ success: boolean, card?: object, reason?: string }}
+ */
+export function drawDiscardCard(state) {
+    if (state.phase !== PHASE.DRAW) return { success: false, reason: 'Not in draw phase' };
+    if (state.discardPile.length === 0) return { success: false, reason: 'Discard pile is empty' };
+    if (state.pickupReturned) return { success: false, reason: 'You put that card back — draw from the stock' };
+
+    const playerIndex = state.currentPlayerIndex;
+    const card = state.discardPile.pop();
+    state.players[playerIndex].hand.push(card);
+    state.drawnFromDiscard = true;
+    state.drawnCard = card;
+    state.phase = PHASE.MELD;
+    state.lastAction = { type: 'draw', source: 'discard', playerIndex, card };
+    return { success: true, card };
+}
+
+/**
+ * Lay new melds from the current player's hand. A player who has not opened
+ * must meet the opening requirement with these melds.
+ * @param {object} state — mutated
+ * @param {Array<Array<number>>} meldCardIds — card ids of each meld
+ * @param {{ requireOpening: boolean, openRequirement: number }} options
+ * @returns {{ success: boolean, melds?: Array<Array<object>>, wentOut?: boolean, reason?: string }}
+ */
+export function layMelds(state, meldCardIds, { requireOpening, openRequirement }) {
+    if (!canMeldInPhase(state.phase)) return { success: false, reason: 'Not in meld phase' };
+    if (!Array.isArray(meldCardIds) || meldCardIds.length === 0 || !meldCardIds.every(Array.isArray)) {
+        return { success: false, reason: 'No melds to play' };
+    }
+    const allIds = meldCardIds.flat();
+    if (new Set(allIds).size !== allIds.length) return { success: false, reason: 'A card can only be in one meld' };
+
+    const playerIndex = state.currentPlayerIndex;
+    const player = state.players[playerIndex];
+    const melds = meldCardIds.map(ids => ids.map(id => player.hand.find(c => c.id === id)));
+    // A stale or forged id refuses the whole move rather than melding what is left
+    if (melds.some(meld => meld.includes(undefined))) return { success: false, reason: 'Some cards not found in hand' };
+
+    for (let i = 0; i < melds.length; i++) {
+        if (!classifyMeld(melds[i])) return { success: false, reason: `Meld ${i + 1} is not valid` };
+    }
+
+    if (!player.hasOpened && requireOpening) {
+        const openCheck = isValidOpening(melds, openRequirement);
+        if (!openCheck.valid) return { success: false, reason: openCheck.reason };
+    }
+    markOpened(state, player);
+
+    const melded = new Set(allIds);
+    player.hand = player.hand.filter(c => !melded.has(c.id));
+    for (const meld of melds) {
+        state.tableMelds.push({ cards: [...meld], owner: playerIndex });
+    }
+
+    state.lastAction = { type: 'meld', playerIndex, melds };
+    return { success: true, melds, wentOut: player.hand.length === 0 };
+}
+
+/**
+ * Lay cards from hand off onto a table meld, at its start or end.
+ * @param {object} state — mutated
+ * @param {number} tableMeldIndex
+ * @param {number[]} cardIds
+ * @param {'start'|'end'} [position='end']
+ * @returns {{ success: boolean, cards?: Array<object>, wentOut?: boolean, reason?: string }}
+ */
+export function extendTableMeld(state, tableMeldIndex, cardIds, position = 'end') {
+    if (state.phase !== PHASE.MELD) return { success: false, reason: 'Not in meld phase' };
+
+    const playerIndex = state.currentPlayerIndex;
+    const player = state.players[playerIndex];
+    if (!player.hasOpened) return { success: false, reason: 'You must open before adding to existing melds' };
+
+    const tableMeld = Number.isInteger(tableMeldIndex) ? state.tableMelds[tableMeldIndex] : null;
+    if (!tableMeld) return { success: false, reason: 'Invalid meld index' };
+
+    const cards = Array.isArray(cardIds) ? cardIds.map(id => player.hand.find(c => c.id === id)).filter(Boolean) : [];
+    if (cards.length === 0 || cards.length !== cardIds.length || new Set(cardIds).size !== cardIds.length) {
+        return { success: false, reason: 'Some cards not found in hand' };
+    }
+    if (!canExtendMeld(tableMeld.cards, cards, position)) {
+        return { success: false, reason: 'Adding these cards would make the meld invalid' };
+    }
+
+    tableMeld.cards = position === 'start' ? [...cards, ...tableMeld.cards] : [...tableMeld.cards, ...cards];
+    const laid = new Set(cardIds);
+    player.hand = player.hand.filter(c => !laid.has(c.id));
+
+    state.lastAction = { type: 'extend', playerIndex, tableMeldIndex, cards, position };
+    return { success: true, cards, wentOut: player.hand.length === 0 };
+}
+
+/**
+ * Swap a natural card from hand for a Joker on the table. The card must
+ * stand for exactly what the Joker did; the Joker goes to the hand.
+ * @param {object} state — mutated
+ * @param {number} tableMeldIndex
+ * @param {number} jokerPositionInMeld — index of the Joker in that meld's cards
+ * @param {number} cardId
+ * @returns {{ success: boolean, jokerCard?: object, reason?: string }}
+ */
+export function swapTableJoker(state, tableMeldIndex, jokerPositionInMeld, cardId) {
+    if (state.phase !== PHASE.MELD) return { success: false, reason: 'Not in meld phase' };
+
+    const playerIndex = state.currentPlayerIndex;
+    const player = state.players[playerIndex];
+    if (!player.hasOpened) return { success: false, reason: 'You must open before swapping jokers' };
+
+    const tableMeld = Number.isInteger(tableMeldIndex) ? state.tableMelds[tableMeldIndex] : null;
+    if (!tableMeld) return { success: false, reason: 'Invalid meld index' };
+
+    const meld = tableMeld.cards;
+    const jokerCard = meld[jokerPositionInMeld];
+    if (!jokerCard || !jokerCard.isJoker) return { success: false, reason: 'No joker at that position' };
+
+    const handCard = player.hand.find(c => c.id === cardId);
+    if (!handCard) return { success: false, reason: 'Card not in hand' };
+    if (handCard.isJoker) return { success: false, reason: 'Cannot swap a joker with a joker' };
+
+    const testMeld = [...meld];
+    testMeld[jokerPositionInMeld] = handCard;
+    if (!classifyMeld(testMeld)) {
+        return { success: false, reason: 'That card does not match what the joker represents in this meld' };
+    }
+
+    meld[jokerPositionInMeld] = handCard;
+    player.hand = player.hand.filter(c => c.id !== cardId);
+    player.hand.push(jokerCard);
+
+    state.lastAction = { type: 'joker_swap', playerIndex, tableMeldIndex, jokerPositionInMeld, cardId };
+    return { success: true, jokerCard };
+}
+
+/**
+ * Move a Joker from one end of a table meld to the other (e.g. a Joker
+ * standing for the 4 in Joker-5-6 becomes the 7).
+ * @param {object} state — mutated
+ * @param {number} meldIndex
+ * @param {number} jokerCardIndex — 0 or the last index
+ * @returns {{ success: boolean, from?: 'start'|'end', to?: 'start'|'end', reason?: string }}
+ */
+export function repositionTableJoker(state, meldIndex, jokerCardIndex) {
+    if (state.phase !== PHASE.MELD) return { success: false, reason: 'Not in meld phase' };
+
+    const player = state.players[state.currentPlayerIndex];
+    if (!player.hasOpened) return { success: false, reason: 'You must open before moving jokers' };
+
+    const tableMeld = Number.isInteger(meldIndex) ? state.tableMelds[meldIndex] : null;
+    if (!tableMeld) return { success: false, reason: 'Invalid meld index' };
+
+    const cards = tableMeld.cards;
+    const isAtStart = jokerCardIndex === 0;
+    if (!isAtStart && jokerCardIndex !== cards.length - 1) {
+        return { success: false, reason: 'Can only reposition jokers at the start or end of a meld' };
+    }
+
+    const jokerCard = cards[jokerCardIndex];
+    if (!jokerCard || !jokerCard.isJoker) return { success: false, reason: 'No joker at that position' };
+
+    const moved = isAtStart ? [...cards.slice(1), jokerCard] : [jokerCard, ...cards.slice(0, -1)];
+    if (!classifyMeld(moved)) return { success: false, reason: 'Moving the joker would invalidate the meld' };
+
+    tableMeld.cards = moved;
+    return { success: true, from: isAtStart ? 'start' : 'end', to: isAtStart ? 'end' : 'start' };
+}
+
+/**
+ * Discard a card to end the turn. Play passes on unless that was the last
+ * card (`wentOut`).
+ * @param {object} state — mutated
+ * @param {number} cardId
+ * @returns {{ success: boolean, card?: object, wentOut?: boolean, reason?: string }}
+ */
+export function discardCard(state, cardId) {
+    if (state.phase !== PHASE.MELD && state.phase !== PHASE.DISCARD) {
+        return { success: false, reason: 'Not in meld/discard phase' };
+    }
+
+    const playerIndex = state.currentPlayerIndex;
+    const player = state.players[playerIndex];
+    const cardIndex = player.hand.findIndex(c => c.id === cardId);
+    if (cardIndex === -1) return { success: false, reason: 'Card not in hand' };
+    if (pendingDiscardPickup(state)) return { success: false, reason: PICKUP_NOT_MELDED };
+
+    const [card] = player.hand.splice(cardIndex, 1);
+    state.discardPile.push(card);
+    state.lastAction = { type: 'discard', playerIndex, card };
+
+    if (player.hand.length === 0) return { success: true, card, wentOut: true };
+    advanceTurn(state);
+    return { success: true, card, wentOut: false };
+}
+
+/**
+ * Done melding — move on to the discard. Already discarding is a no-op.
+ * @param {object} state — mutated
+ * @returns {{ success: boolean, reason?: string }}
+ */
+export function finishMelding(state) {
+    if (pendingDiscardPickup(state)) return { success: false, reason: PICKUP_NOT_MELDED };
+    if (state.phase === PHASE.MELD) state.phase = PHASE.DISCARD;
+    else if (state.phase !== PHASE.DISCARD) return { success: false, reason: 'Not in meld phase' };
+    return { success: true };
+}
+
+// ═══════════════════════════════
+// SCORING
+// ═══════════════════════════════
+
+/**
+ * Penalty for the cards left in a hand (Ace = 11, Joker = 50).
+ * @param {Array<object>} hand
+ * @returns {number}
+ */
+export function calculateHandPenalty(hand) {
+    return hand.reduce((sum, c) => sum + getCardValue(c, false), 0);
+}
+
+/**
+ * Score change for every player at the end of a round.
+ * The winner gets −10 (−20 for a Remik); everyone else pays their hand,
+ * doubled when the winner played Remik.
+ * @param {Array<{ hand: Array<object> }>} players
+ * @param {number|null} winnerIndex — null if the stock ran out
+ * @param {boolean} isRemik
+ * @returns {number[]}
+ */
+export function scoreRound(players, winnerIndex, isRemik) {
+    return players.map((p, i) => {
+        if (i === winnerIndex) return isRemik ? REMIK_BONUS : WIN_BONUS;
+        const penalty = calculateHandPenalty(p.hand);
+        return isRemik ? penalty * 2 : penalty;
+    });
+}
+
+/**
+ * Apply round scoring to the state: add score changes, eliminate players at
+ * or over the limit, and move to ROUND_OVER or GAME_OVER.
+ * @param {object} state — mutated
+ * @param {number|null} winnerIndex
+ * @param {boolean} isRemik
+ * @param {number} pointsLimit
+ * @returns {Array<{ name: string, score: number, change: number, eliminated: boolean, handSize: number }>}
+ */
+export function settleRound(state, winnerIndex, isRemik, pointsLimit) {
+    const changes = scoreRound(state.players, winnerIndex, isRemik);
+
+    const scores = state.players.map((p, i) => {
+        p.score += changes[i];
+        if (p.score >= pointsLimit) p.eliminated = true;
+        return {
+            name: p.name,
+            score: p.score,
+            change: changes[i],
+            eliminated: p.eliminated,
+            handSize: p.hand.length
+        };
+    });
+
+    state.roundWinner = winnerIndex;
+    state.phase = isGameOver(state.players) ? PHASE.GAME_OVER : PHASE.ROUND_OVER;
+    return scores;
+}
+
+/**
+ * The game ends once at most one player is left standing.
+ * @param {Array<{ eliminated?: boolean }>} players
+ * @returns {boolean}
+ */
+export function isGameOver(players) {
+    return players.filter(p => !p.eliminated).length <= 1;
+}
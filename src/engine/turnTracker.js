@@ -131,15 +131,15 @@ export class TurnTracker {
 }
 
 /**
- * Comparative win-likelihood between both players.
- * Returns [p0Likelihood, p1Likelihood] that sum to 1.0.
+ * Comparative win-likelihood across all players.
+ * Returns one likelihood per player; together they sum to 1.0.
  * @param {object} state
  * @returns {number[]}
  */
 function calculateComparativeWinLikelihood(state) {
     const scores = state.players.map((p, i) => playerScore(p, i, state));
-    const total = scores[0] + scores[1];
-    if (total === 0) return [0.5, 0.5];
+    const total = scores.reduce((sum, s) => sum + s, 0);
+    if (total === 0) return scores.map(() => 1 / scores.length);
     return scores.map(s => Math.round((s / total) * 100) / 100);
 }
 
@@ -1,14 +1,18 @@
 /**
  * Remik — Polish Rummy • Application entry point.
- * Manages screen transitions between lobby, game (solo), and multiplayer.
- * Supports resuming from saved solo games and multiplayer reconnection.
+ * Manages screen transitions between lobby, game (solo), multiplayer and
+ * tournaments. Supports resuming from saved solo games and multiplayer reconnection.
  * @module main
  */
 
 import { renderLobby, updateWaitingRoom } from './ui/lobby.js';
 import { renderGameBoard, renderMultiplayerBoard } from './ui/gameBoard.js';
+import { openReplayFile } from './ui/replayViewer.js';
+import { renderSpectatorView } from './ui/spectatorView.js';
+import { renderTournament } from './ui/tournament.js';
 import { loadGame } from './engine/saveManager.js';
 import * as net from './engine/networkClient.js';
+import { getAuthToken } from './engine/accountClient.js';
 
 const app = document.getElementById('app');
 
@@ -16,8 +20,8 @@ const app = document.getElementById('app');
 function showLobby() {
     app.innerHTML = '';
     renderLobby(app, {
-        onStartSolo: (playerName, configOverrides) => {
-            showGame(playerName, configOverrides);
+        onStartSolo: (playerName, configOverrides, players) => {
+            showGame(playerName, configOverrides, players);
         },
         onResume: () => {
             resumeGame();
@@ -30,6 +34,24 @@ function showLobby() {
         },
         onReconnect: (session) => {
             reconnectToRoom(session);
+        },
+        onSpectate: (code, name) => {
+            spectateRoom(code, name);
+        },
+        onWatchReplay: () => {
+            openReplayFile();
+        },
+        onCreateTournament: (name, colour, icon, options, settings) => {
+            createTournament(name, colour, icon, options, settings);
+        },
+        onRegisterTournament: (code, name, colour, icon) => {
+            registerTournament(code, name, colour, icon);
+        },
+        onViewTournament: (code) => {
+            viewTournament(code);
+        },
+        onRejoinTournament: (session) => {
+            rejoinTournament(session);
         }
     });
 }
@@ -38,12 +60,13 @@ function showLobby() {
  * Show the game board (new solo game).
  * @param {string} playerName
  * @param {object} [configOverrides={}]
+ * @param {Array<object>} [players] — human seat first, then AI seats
  */
-function showGame(playerName, configOverrides = {}) {
+function showGame(playerName, configOverrides = {}, players = null) {
     app.innerHTML = '';
     renderGameBoard(app, playerName, () => {
         showLobby();
-    }, null, configOverrides);
+    }, null, configOverrides, players);
 }
 
 /**
@@ -90,36 +113,15 @@ async function createRoom(name, colour, icon, settings) {
         playerName: name,
         colour,
         icon,
-        settings
-    });
-
-    net.on('room_created', (msg) => {
-        updateWaitingRoom(app, msg.roomCode, msg.players, true);
-
-        // Wire up start button
-        setTimeout(() => {
-            const startBtn = document.getElementById('btn-start-game');
-            startBtn?.addEventListener('click', () => {
-                net.send('start_game', { roomCode: msg.roomCode });
-            });
-        }, 100);
+        settings,
+        authToken: getAuthToken()
     });
 
-    net.on('player_joined', (msg) => {
-        updateWaitingRoom(app, msg.roomCode, msg.players, true);
-    });
-
-    net.on('player_left', (msg) => {
-        updateWaitingRoom(app, msg.roomCode, msg.players, true);
-    });
-
-    net.on('game_start', (msg) => {
-        app.innerHTML = '';
-        renderMultiplayerBoard(app, name, () => showLobby(), msg.myIndex, true);
-    });
+    watchWaitingRoom(name, 'room_created');
 
     net.on('error', (msg) => {
-        alert(`Room error: ${msg.error}`);
+        const fields = Object.values(msg.fields || {});
+        alert(`Room error: ${msg.error}${fields.length ? `\n• ${fields.join('\n• ')}` : ''}`);
     });
 }
 
@@ -142,24 +144,142 @@ async function joinRoom(code, name, colour, icon) {
         roomCode: code,
         playerName: name,
         colour,
-        icon
+        icon,
+        authToken: getAuthToken()
     });
 
-    net.on('room_joined', (msg) => {
-        updateWaitingRoom(app, msg.roomCode, msg.players, false);
+    watchWaitingRoom(name, 'room_joined');
+
+    net.on('error', (msg) => {
+        alert(`Join error: ${msg.error}`);
     });
+}
+
+/**
+ * Keep the waiting room in sync until the game starts. Tracks the room
+ * locally because most updates only carry part of it.
+ * @param {string} name — this player's name
+ * @param {'room_created'|'room_joined'} [entryType] — the message that seats us
+ * @returns {Function} call with the seating message if it has already arrived
+ */
+function watchWaitingRoom(name, entryType) {
+    const room = { code: null, players: [], settings: null, firstDealer: null, locked: false, myIndex: null, adjusted: null };
+    // Seats are addressed by index; the name catches a seat that moved meanwhile
+    const seat = (index) => ({ playerIndex: index, playerName: room.players[index]?.name });
+
+    const actions = {
+        onAddBot: (difficulty) => net.send('add_bot', { difficulty }),
+        onRemoveBot: (index) => net.send('remove_bot', seat(index)),
+        onUpdateSettings: (changes) => net.send('update_settings', { settings: changes }),
+        onSetSeatOrder: (order) => net.send('set_seat_order', { order }),
+        onShuffleSeats: () => net.send('shuffle_seats'),
+        onSetFirstDealer: (dealer) => net.send('set_first_dealer', { dealer }),
+        onStart: () => net.send('start_game', { roomCode: room.code }),
+        onKick: (index, ban) => net.send('kick_player', { ...seat(index), ban }),
+        onTransferHost: (index) => net.send('transfer_host', seat(index)),
+        onLock: (locked) => net.send('lock_room', { locked }),
+        onReady: (ready) => net.send('set_ready', { ready }),
+        onSetAppearance: (colour, icon) => net.send('set_appearance', { colour, icon }),
+        onDismissAdjusted: () => {
+            room.adjusted = null;
+            render();
+        }
+    };
+
+    const isHost = () => !!room.players[room.myIndex]?.isHost;
+    const render = (changed = []) => {
+        updateWaitingRoom(app, room.code, room.players, isHost(), actions, {
+            settings: room.settings,
+            changed,
+            firstDealer: room.firstDealer,
+            myIndex: room.myIndex,
+            adjusted: room.adjusted,
+            locked: room.locked
+        });
+    };
+    /** Copy whatever parts of the room a message carries */
+    const apply = (msg) => {
+        if (msg.roomCode) room.code = msg.roomCode;
+        if (msg.players) room.players = msg.players;
+        if (msg.settings) room.settings = msg.settings;
+        if (msg.firstDealer !== undefined) room.firstDealer = msg.firstDealer;
+        if (msg.locked !== undefined) room.locked = msg.locked;
+        if (msg.myIndex !== undefined) room.myIndex = msg.myIndex;
+    };
 
-    net.on('player_joined', (msg) => {
-        updateWaitingRoom(app, msg.roomCode, msg.players, false);
+    const enter = (msg) => {
+        apply(msg);
+        room.myIndex = msg.playerIndex;
+        room.adjusted = msg.adjusted || null;
+        // Lets the client find its seat again after a dropped connection or server restart
+        net.saveSession({ roomCode: room.code, playerId: msg.playerId, seatSecret: msg.seatSecret, playerName: name });
+        render();
+    };
+    if (entryType) net.on(entryType, enter);
+
+    for (const type of ['player_joined', 'player_left', 'room_updated', 'host_changed', 'room_locked']) {
+        net.on(type, (msg) => {
+            apply(msg);
+            render();
+        });
+    }
+
+    net.on('settings_updated', (msg) => {
+        apply(msg);
+        render(msg.changed);
+    });
+
+    net.on('kicked', (msg) => {
+        // The board handles this itself once the game has started
+        if (!document.getElementById('waiting-room')) return;
+        net.clearSession();
+        net.off();
+        net.disconnect();
+        alert(msg.banned ? 'The host removed you from the room and banned you from rejoining.' : 'The host removed you from the room.');
+        showLobby();
+    });
+
+    net.on('room_closed', (msg) => {
+        if (!document.getElementById('waiting-room')) return;
+        net.clearSession();
+        net.off();
+        net.disconnect();
+        alert(msg.reason);
+        showLobby();
     });
 
     net.on('game_start', (msg) => {
         app.innerHTML = '';
-        renderMultiplayerBoard(app, name, () => showLobby(), msg.myIndex, false);
+        renderMultiplayerBoard(app, name, () => showLobby(), msg.myIndex, isHost());
+    });
+
+    return enter;
+}
+
+/**
+ * Watch a running game without taking a seat.
+ * @param {string} code
+ * @param {string} name
+ */
+async function spectateRoom(code, name) {
+    try {
+        await net.connect();
+    } catch (err) {
+        alert(`Connection failed: ${err.message}`);
+        return;
+    }
+
+    net.send('spectate_room', { roomCode: code, playerName: name });
+
+    net.on('spectating', (msg) => {
+        app.innerHTML = '';
+        renderSpectatorView(app, msg, () => showLobby());
     });
 
     net.on('error', (msg) => {
-        alert(`Join error: ${msg.error}`);
+        alert(`Spectate error: ${msg.error}`);
+        net.off();
+        net.disconnect();
     });
 }
 
@@ -177,13 +297,30 @@ async function reconnectToRoom(session) {
     }
 
     net.send('reconnect', {
-        sessionId: session.sessionId,
-        roomCode: session.roomCode
+        playerId: session.playerId,
+        seatSecret: session.seatSecret,
+        roomCode: session.roomCode,
+        authToken: getAuthToken()
     });
 
     net.on('reconnected', (msg) => {
+        // Later automatic reconnects are the board's or waiting room's business
+        net.off('reconnected');
+        const me = msg.players[msg.playerIndex];
+        if (msg.status === 'waiting') {
+            watchWaitingRoom(me.name)(msg);
+            return;
+        }
         app.innerHTML = '';
-        renderMultiplayerBoard(app, msg.playerName, () => showLobby(), msg.myIndex, msg.isHost);
+        renderMultiplayerBoard(app, me.name, () => showLobby(), msg.playerIndex, me.isHost);
+    });
+
+    net.on('reconnect_failed', (msg) => {
+        alert(`Reconnect failed: ${msg.error}`);
+        net.clearSession();
+        net.off();
+        net.disconnect();
+        showLobby();
     });
 
     net.on('error', (msg) => {
@@ -192,5 +329,207 @@ async function reconnectToRoom(session) {
     });
 }
 
+// ═══════════════════════════════
+// TOURNAMENTS
+// ═══════════════════════════════
+
+/**
+ * Organise a tournament (the organiser is registered as its first player).
+ * @param {string} name
+ * @param {string} colour
+ * @param {string} icon
+ * @param {{ name: string, format: string, tableSize: number, advancePerTable: number, swissRounds: number }} options
+ * @param {object} settings — rules for every table
+ */
+async function createTournament(name, colour, icon, options, settings) {
+    if (!await connectForTournament()) return;
+
+    net.send('create_tournament', {
+        playerName: name,
+        colour,
+        icon,
+        tournamentName: options.name,
+        format: options.format,
+        tableSize: options.tableSize,
+        advancePerTable: options.advancePerTable,
+        swissRounds: options.swissRounds,
+        settings,
+        authToken: getAuthToken()
+    });
+    watchTournament(name);
+}
+
+/**
+ * Register for a tournament by its code.
+ * @param {string} code
+ * @param {string} name
+ * @param {string} colour
+ * @param {string} icon
+ */
+async function registerTournament(code, name, colour, icon) {
+    if (!await connectForTournament()) return;
+
+    net.send('register_tournament', {
+        tournamentCode: code,
+        playerName: name,
+        colour,
+        icon,
+        authToken: getAuthToken()
+    });
+    watchTournament(name);
+}
+
+/**
+ * Come back to a tournament this browser is registered for — from the
+ * lobby, or from the game-over screen of a tournament table.
+ * @param {{ tournamentCode: string, playerId: string, tournamentSecret: string, playerName: string }|null} session
+ */
+async function rejoinTournament(session) {
+    if (!session) {
+        showLobby();
+        return;
+    }
+    if (!await connectForTournament()) return;
+
+    net.send('rejoin_tournament', {
+        tournamentCode: session.tournamentCode,
+        playerId: session.playerId,
+        tournamentSecret: session.tournamentSecret,
+        authToken: getAuthToken()
+    });
+    watchTournament(session.playerName);
+}
+
+/**
+ * Make sure there is a connection, and drop whatever the last screen was
+ * listening for. An open connection is kept — a table's game-over screen
+ * hands it straight back to the tournament.
+ * @returns {Promise<boolean>}
+ */
+async function connectForTournament() {
+    net.off();
+    if (net.isConnected()) return true;
+    try {
+        await net.connect();
+        return true;
+    } catch (err) {
+        alert(`Connection failed: ${err.message}`);
+        showLobby();
+        return false;
+    }
+}
+
+/**
+ * Keep the tournament screen live: standings, this player's table, and
+ * sitting down at it. Tables are claimed like any seat (`reconnect`), and
+ * the board takes over once the table deals.
+ * @param {string} name — this player's name
+ */
+function watchTournament(name) {
+    const view = { tournament: null, myTable: null, isOrganiser: false, seatedAt: null, myName: name };
+    let playerId = null;
+    let tournamentSecret = null;
+
+    const actions = {
+        onStart: () => net.send('start_tournament'),
+        onWithdraw: () => net.send('withdraw_tournament'),
+        onTakeSeat: () => net.send('reconnect', {
+            roomCode: view.myTable.roomCode,
+            playerId: view.myTable.playerId,
+            seatSecret: view.myTable.seatSecret,
+            authToken: getAuthToken()
+        }),
+        onBack: () => leave()
+    };
+    const render = () => {
+        if (view.tournament) renderTournament(app, view, actions);
+    };
+    const leave = () => {
+        net.off();
+        net.disconnect();
+        showLobby();
+    };
+    const apply = (msg) => {
+        view.tournament = msg.tournament;
+        view.myTable = msg.myTable;
+        view.isOrganiser = msg.isOrganiser;
+        if (view.seatedAt && view.myTable?.roomCode !== view.seatedAt) view.seatedAt = null;
+    };
+    const session = () => ({ tournamentCode: view.tournament.code, playerId, tournamentSecret, playerName: name });
+    const enterTable = (myIndex, isHost) => {
+        net.off();
+        app.innerHTML = '';
+        renderMultiplayerBoard(app, name, () => rejoinTournament(net.getTournamentSession()), myIndex, isHost);
+    };
+
+    net.on('tournament_joined', (msg) => {
+        playerId = msg.playerId;
+        tournamentSecret = msg.tournamentSecret;
+        apply(msg);
+        net.saveTournamentSession(session());
+        render();
+    });
+    net.on('tournament_updated', (msg) => {
+        apply(msg);
+        render();
+    });
+    net.on('tournament_left', () => {
+        net.clearTournamentSession();
+        leave();
+    });
+    net.on('tournament_rejoin_failed', (msg) => {
+        alert(`Could not rejoin the tournament: ${msg.error}`);
+        net.clearTournamentSession();
+        leave();
+    });
+
+    // Sitting down at a table
+    net.on('reconnected', (msg) => {
+        view.seatedAt = msg.roomCode;
+        net.saveSession({ roomCode: msg.roomCode, playerId: msg.playerId, seatSecret: msg.seatSecret, playerName: name });
+        if (msg.status === 'playing') enterTable(msg.playerIndex, msg.players[msg.playerIndex].isHost);
+        else render();
+    });
+    net.on('reconnect_failed', (msg) => {
+        alert(`Could not take your seat: ${msg.error}`);
+    });
+    net.on('game_start', (msg) => enterTable(msg.myIndex, msg.myIndex === msg.hostIndex));
+
+    net.on('error', (msg) => {
+        const fields = Object.values(msg.fields || {});
+        alert(`Tournament error: ${msg.error}${fields.length ? `\n• ${fields.join('\n• ')}` : ''}`);
+        // Nothing to show yet — the tournament was never entered
+        if (!view.tournament) leave();
+    });
+
+    // A dropped connection comes back to the tournament, not just the table
+    net.setOnReconnect(() => {
+        if (view.tournament) {
+            net.send('rejoin_tournament', { tournamentCode: view.tournament.code, playerId, tournamentSecret, authToken: getAuthToken() });
+        }
+    });
+}
+
+/**
+ * Read-only standings page for anyone with the code.
+ * @param {string} code
+ */
+async function viewTournament(code) {
+    let tournament;
+    try {
+        const res = await fetch(`/api/tournaments/${encodeURIComponent(code)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        tournament = data;
+    } catch (err) {
+        alert(`Could not load the tournament: ${err.message}`);
+        return;
+    }
+    renderTournament(app, { tournament, registered: false }, {
+        onRefresh: () => viewTournament(code),
+        onBack: () => showLobby()
+    });
+}
+
 // Start with the lobby
 showLobby();
@@ -0,0 +1,359 @@
+/**
+ * Player accounts — persisted as the `accounts` document (see storage.cjs).
+ * An account is created on one device and signed in there with a
+ * device-bound token; adding a password lets the same account sign in from
+ * other devices. Passwords (scrypt) and tokens (SHA-256) are stored hashed.
+ * @module server/accounts
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage.cjs');
+
+/** Devices an account may stay signed in on; the least recently used is dropped */
+const MAX_TOKENS = 10;
+/** Finished games kept per account */
+const MAX_HISTORY = 50;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+/** A token's `lastUsedAt` is only moved (and saved) once this much time has passed */
+const TOKEN_TOUCH_MS = 60 * 60 * 1000;
+/** Wrong passwords allowed per IP address or username before sign-in slows down (also new accounts per IP address) */
+const LOGIN_FREE_ATTEMPTS = 5;
+/** First lock-out after the free attempts; each further failure doubles it */
+const LOGIN_BASE_DELAY_MS = 2000;
+const LOGIN_MAX_DELAY_MS = 15 * 60 * 1000;
+/** A failure streak is forgotten after this long without another failure */
+const LOGIN_FAILURE_TTL_MS = 60 * 60 * 1000;
+
+// ═══════════════════════════════
+// STORAGE
+// ═══════════════════════════════
+
+/**
+ * Load all accounts.
+ * @returns {Array<object>}
+ */
+function loadAccounts() {
+    try {
+        return storage.read('accounts') || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Save all accounts (written out by the next storage flush).
+ * @param {Array<object>} accounts
+ */
+function saveAccounts(accounts) {
+    storage.write('accounts', accounts);
+}
+
+// ═══════════════════════════════
+// HASHING
+// ═══════════════════════════════
+
+/**
+ * @param {string} password
+ * @param {string} salt — hex
+ * @returns {string} hex
+ */
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+/**
+ * Check a password against an account's stored hash.
+ * @param {object} account
+ * @param {string} password
+ * @returns {boolean}
+ */
+function passwordMatches(account, password) {
+    if (!account.passwordHash || !password) return false;
+    const expected = Buffer.from(account.passwordHash, 'hex');
+    const actual = Buffer.from(hashPassword(String(password), account.salt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * @param {string} token
+ * @returns {string} hex
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new device token for an account (mutates it).
+ * @param {object} account
+ * @returns {string} the raw token — only ever returned once
+ */
+function issueToken(account) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    account.tokens.push({ hash: hashToken(token), createdAt: Date.now(), lastUsedAt: Date.now() });
+    account.tokens.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    account.tokens = account.tokens.slice(0, MAX_TOKENS);
+    return token;
+}
+
+/**
+ * Find the account a raw token belongs to.
+ * @param {Array<object>} accounts
+ * @param {string} token
+ * @returns {object|null}
+ */
+function findByToken(accounts, token) {
+    if (typeof token !== 'string' || !token) return null;
+    const hash = hashToken(token);
+    return accounts.find(a => a.tokens.some(t => t.hash === hash)) || null;
+}
+
+// ═══════════════════════════════
+// SIGN-IN THROTTLING
+// ═══════════════════════════════
+
+/** @type {Map<string, { failures: number, lockedUntil: number, lastFailureAt: number }>} `ip:…` / `user:…` / `register:…` → failure streak */
+const loginFailures = new Map();
+
+/**
+ * Throttle keys for a sign-in attempt: its address and the username tried.
+ * @param {string} username
+ * @param {string|null} ip
+ * @returns {string[]}
+ */
+function throttleKeys(username, ip) {
+    const keys = [`user:${String(username || '').trim().toLowerCase()}`];
+    if (ip) keys.push(`ip:${ip}`);
+    return keys;
+}
+
+/**
+ * Milliseconds until these keys may try to sign in again (0 = now).
+ * @param {string[]} keys
+ * @returns {number}
+ */
+function lockedFor(keys) {
+    const now = Date.now();
+    return Math.max(0, ...keys.map(key => (loginFailures.get(key)?.lockedUntil || 0) - now));
+}
+
+/**
+ * Count a wrong password (or a registration) against each key. Past the
+ * free attempts, the key is locked out for a delay that doubles with every
+ * further one.
+ * @param {string[]} keys
+ */
+function recordFailure(keys) {
+    const now = Date.now();
+    for (const [key, entry] of loginFailures) {
+        if (now - entry.lastFailureAt > LOGIN_FAILURE_TTL_MS) loginFailures.delete(key);
+    }
+    for (const key of keys) {
+        const entry = loginFailures.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+        entry.failures++;
+        entry.lastFailureAt = now;
+        const over = entry.failures - LOGIN_FREE_ATTEMPTS;
+        if (over > 0) entry.lockedUntil = now + Math.min(LOGIN_MAX_DELAY_MS, LOGIN_BASE_DELAY_MS * 2 ** (over - 1));
+        loginFailures.set(key, entry);
+    }
+}
+
+// ═══════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════
+
+/**
+ * Public view of an account (no hashes or tokens).
+ * @param {object} account
+ * @returns {{ id: string, username: string, displayName: string, colour: string|null, icon: string|null, hasPassword: boolean, createdAt: number, history: Array<object> }}
+ */
+function toProfile(account) {
+    return {
+        id: account.id,
+        username: account.username,
+        displayName: account.displayName,
+        colour: account.colour,
+        icon: account.icon,
+        hasPassword: !!account.passwordHash,
+        createdAt: account.createdAt,
+        history: account.history
+    };
+}
+
+/**
+ * Create an account. The password is optional — without one the account
+ * lives only on the device holding its token. Every attempt counts against
+ * the caller's address, so one client cannot flood the accounts: past
+ * `LOGIN_FREE_ATTEMPTS` it is slowed down like a failed sign-in.
+ * @param {string} username
+ * @param {string} [password]
+ * @param {string|null} [ip=null] — the caller's address
+ * @returns {{ account: object|null, token?: string, error?: string, retryAfterSeconds?: number }}
+ */
+function register(username, password, ip = null) {
+    const keys = ip ? [`register:${ip}`] : [];
+    const wait = lockedFor(keys);
+    if (wait > 0) {
+        const retryAfterSeconds = Math.ceil(wait / 1000);
+        return { account: null, error: `Too many new accounts from here — try again in ${retryAfterSeconds}s`, retryAfterSeconds };
+    }
+    recordFailure(keys);
+
+    const name = String(username || '').trim();
+    if (!USERNAME_PATTERN.test(name)) {
+        return { account: null, error: 'Usernames are 3–20 letters, digits, dots, dashes or underscores' };
+    }
+    if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+        return { account: null, error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    const accounts = loadAccounts();
+    if (accounts.some(a => a.username.toLowerCase() === name.toLowerCase())) {
+        return { account: null, error: 'That username is taken' };
+    }
+
+    const salt = password ? crypto.randomBytes(16).toString('hex') : null;
+    const account = {
+        id: uuidv4(),
+        username: name,
+        displayName: name,
+        passwordHash: password ? hashPassword(String(password), salt) : null,
+        salt,
+        tokens: [],
+        colour: null,
+        icon: null,
+        history: [],
+        createdAt: Date.now()
+    };
+    const token = issueToken(account);
+    accounts.push(account);
+    saveAccounts(accounts);
+    return { account: toProfile(account), token };
+}
+
+/**
+ * Sign in with a username and password, issuing a token for this device.
+ * Repeated wrong passwords from one address, or for one username, lock
+ * sign-in out for a growing delay.
+ * @param {string} username
+ * @param {string} password
+ * @param {string|null} [ip=null] — the caller's address
+ * @returns {{ account: object|null, token?: string, error?: string, retryAfterSeconds?: number }}
+ *   `retryAfterSeconds` is set when the attempt was refused unchecked
+ */
+function login(username, password, ip = null) {
+    const keys = throttleKeys(username, ip);
+    const wait = lockedFor(keys);
+    if (wait > 0) {
+        const retryAfterSeconds = Math.ceil(wait / 1000);
+        return { account: null, error: `Too many sign-in attempts — try again in ${retryAfterSeconds}s`, retryAfterSeconds };
+    }
+
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.username.toLowerCase() === String(username || '').trim().toLowerCase());
+    if (!account || !passwordMatches(account, password)) {
+        recordFailure(keys);
+        return { account: null, error: 'Wrong username or password' };
+    }
+
+    // The username's streak ends here; an address trying many names keeps its own
+    loginFailures.delete(keys[0]);
+    const token = issueToken(account);
+    saveAccounts(accounts);
+    return { account: toProfile(account), token };
+}
+
+/**
+ * Resolve a device token to its account. The token's `lastUsedAt` is
+ * refreshed (and the accounts saved) at most once per `TOKEN_TOUCH_MS`.
+ * @param {string} token
+ * @returns {object|null} profile
+ */
+function authenticate(token) {
+    const accounts = loadAccounts();
+    const account = findByToken(accounts, token);
+    if (!account) return null;
+
+    const entry = account.tokens.find(t => t.hash === hashToken(token));
+    if (Date.now() - entry.lastUsedAt >= TOKEN_TOUCH_MS) {
+        entry.lastUsedAt = Date.now();
+        saveAccounts(accounts);
+    }
+    return toProfile(account);
+}
+
+/**
+ * Update display name, colour/icon preferences or password.
+ * Changing an existing password requires the current one.
+ * @param {string} token
+ * @param {{ displayName?: string, colour?: string, icon?: string, password?: string, currentPassword?: string }} changes
+ * @returns {{ account: object|null, error?: string }}
+ */
+function updateAccount(token, changes) {
+    const accounts = loadAccounts();
+    const account = findByToken(accounts, token);
+    if (!account) return { account: null, error: 'Not signed in' };
+
+    if (changes.displayName !== undefined) {
+        const displayName = String(changes.displayName).trim().slice(0, 20);
+        if (displayName) account.displayName = displayName;
+    }
+    if (typeof changes.colour === 'string' && /^#[0-9a-f]{3,8}$/i.test(changes.colour)) {
+        account.colour = changes.colour;
+    }
+    if (typeof changes.icon === 'string' && changes.icon.length <= 4) {
+        account.icon = changes.icon;
+    }
+    if (changes.password !== undefined) {
+        const password = String(changes.password);
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return { account: null, error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        if (account.passwordHash && !passwordMatches(account, changes.currentPassword)) {
+            return { account: null, error: 'Current password is wrong' };
+        }
+        account.salt = crypto.randomBytes(16).toString('hex');
+        account.passwordHash = hashPassword(password, account.salt);
+    }
+
+    saveAccounts(accounts);
+    return { account: toProfile(account) };
+}
+
+/**
+ * Sign a device out (revoke its token).
+ * @param {string} token
+ */
+function logout(token) {
+    const accounts = loadAccounts();
+    const account = findByToken(accounts, token);
+    if (!account) return;
+    const hash = hashToken(token);
+    account.tokens = account.tokens.filter(t => t.hash !== hash);
+    saveAccounts(accounts);
+}
+
+/**
+ * Append a finished game to an account's history.
+ * @param {string} accountId
+ * @param {{ roomCode: string, won: boolean, score: number, rounds: number, opponents: Array<{ name: string, score: number }> }} entry
+ */
+function recordGame(accountId, entry) {
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.id === accountId);
+    if (!account) return;
+    account.history.unshift({ ...entry, date: Date.now() });
+    account.history = account.history.slice(0, MAX_HISTORY);
+    saveAccounts(accounts);
+}
+
+module.exports = {
+    register,
+    login,
+    authenticate,
+    updateAccount,
+    logout,
+    recordGame,
+    toProfile
+};
@@ -0,0 +1,115 @@
+/**
+ * In-room chat — validates, rate-limits and escapes messages and keeps a
+ * short history on the room so it survives reconnects and snapshots.
+ * @module server/chat
+ */
+
+const { CHAT_LIMITS, QUICK_REACTIONS } = require('../engine/gameConfig.js');
+
+/** @type {Map<string, number[]>} sender id → send times inside the current window */
+const recentSends = new Map();
+
+/**
+ * Escape text for safe insertion as HTML.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Record a send for rate limiting.
+ * @param {string} senderId
+ * @param {number} now
+ * @returns {boolean} false when the sender is over the limit
+ */
+function allowSend(senderId, now) {
+    const times = (recentSends.get(senderId) || []).filter(t => now - t < CHAT_LIMITS.WINDOW_MS);
+    if (times.length >= CHAT_LIMITS.BURST) {
+        recentSends.set(senderId, times);
+        return false;
+    }
+    times.push(now);
+    recentSends.set(senderId, times);
+    return true;
+}
+
+/**
+ * Post a chat message or quick reaction to a room.
+ * @param {object} room — mutated (`room.chat`)
+ * @param {{ id: string, name: string, colour?: string }} sender — a room player
+ * @param {{ text?: string, reaction?: string }} msg
+ * @returns {{ message: object|null, error?: string }}
+ */
+function postMessage(room, sender, msg) {
+    const now = Date.now();
+    let text;
+    let reaction = null;
+
+    if (msg.reaction) {
+        const preset = QUICK_REACTIONS.find(r => r.id === msg.reaction);
+        if (!preset) return { message: null, error: 'Unknown reaction' };
+        reaction = preset.id;
+        text = `${preset.emoji} ${preset.text}`;
+    } else {
+        // Collapse control characters and runs of whitespace
+        text = String(msg.text || '').replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!text) return { message: null, error: 'Message is empty' };
+        if (text.length > CHAT_LIMITS.MAX_LENGTH) {
+            return { message: null, error: `Messages are limited to ${CHAT_LIMITS.MAX_LENGTH} characters` };
+        }
+    }
+
+    if (!allowSend(sender.id, now)) {
+        return { message: null, error: 'You are sending messages too quickly' };
+    }
+
+    const seat = room.players.findIndex(p => p.id === sender.id);
+    const message = {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        at: now,
+        senderId: sender.id,
+        name: escapeHtml(sender.name),
+        colour: /^#[0-9a-f]{3,8}$/i.test(sender.colour || '') ? sender.colour : null,
+        playerIndex: seat,
+        text: escapeHtml(text),
+        reaction
+    };
+
+    if (!Array.isArray(room.chat)) room.chat = [];
+    room.chat.push(message);
+    if (room.chat.length > CHAT_LIMITS.HISTORY_SIZE) {
+        room.chat.splice(0, room.chat.length - CHAT_LIMITS.HISTORY_SIZE);
+    }
+    return { message };
+}
+
+/**
+ * Chat history for a room, oldest first.
+ * @param {object} room
+ * @returns {Array<object>}
+ */
+function getHistory(room) {
+    return Array.isArray(room.chat) ? room.chat : [];
+}
+
+/**
+ * Forget a sender's rate-limit window (they left the server).
+ * @param {string} senderId
+ */
+function forgetSender(senderId) {
+    recentSends.delete(senderId);
+}
+
+module.exports = {
+    escapeHtml,
+    postMessage,
+    getHistory,
+    forgetSender
+};
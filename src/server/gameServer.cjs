@@ -5,254 +5,19 @@
  */
 
 const roomManager = require('./roomManager.cjs');
-
-// ═══════════════════════════════
-// SHARED ENGINE (inline for CJS compat)
-// ═══════════════════════════════
-
-// Card constants
-const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-const SUITS = ['♠', '♥', '♦', '♣'];
-const POINT_VALUES = {
-    'A': 11, '2': 2, '3': 3, '4': 4, '5': 5,
-    '6': 6, '7': 7, '8': 8, '9': 9, '10': 10,
-    'J': 10, 'Q': 10, 'K': 10, 'JOKER': 50
-};
-
-function getCardValue(card, lowAce = false) {
-    if (card.isJoker) return POINT_VALUES.JOKER;
-    if (card.rank === 'A' && lowAce) return 1;
-    return POINT_VALUES[card.rank] || 0;
-}
-
-function cardToString(card) {
-    if (card.isJoker) return '🃏';
-    return `${card.rank}${card.suit}`;
-}
-
-function rankIndex(rank) {
-    return RANKS.indexOf(rank);
-}
-
-let nextId = 1;
-
-function createDeck(jokerCount = 4) {
-    nextId = 1;
-    const deck = [];
-    for (let copy = 0; copy < 2; copy++) {
-        for (const suit of SUITS) {
-            for (const rank of RANKS) {
-                deck.push({ id: nextId++, rank, suit, isJoker: false });
-            }
-        }
-    }
-    for (let i = 0; i < jokerCount; i++) {
-        deck.push({ id: nextId++, rank: 'JOKER', suit: '', isJoker: true });
-    }
-    return deck;
-}
-
-function shuffleDeck(deck) {
-    for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [deck[i], deck[j]] = [deck[j], deck[i]];
-    }
-    return deck;
-}
-
-function dealCards(deck, counts) {
-    const hands = counts.map(() => []);
-    const maxCount = Math.max(...counts);
-    for (let round = 0; round < maxCount; round++) {
-        for (let p = 0; p < counts.length; p++) {
-            if (round < counts[p] && deck.length > 0) {
-                hands[p].push(deck.shift());
-            }
-        }
-    }
-    return { hands, stock: deck };
-}
-
-// ── Meld validation (simplified server-side) ──
-
-function aceHighIndex(rank) {
-    if (rank === 'A') return 13;
-    return rankIndex(rank);
-}
-
-function isValidSequence(cards) {
-    if (cards.length < 3) return false;
-    const naturals = cards.filter(c => !c.isJoker);
-    if (naturals.length === 0) return false;
-    const suit = naturals[0].suit;
-    if (!naturals.every(c => c.suit === suit)) return false;
-    for (let i = 0; i < cards.length - 1; i++) {
-        if (cards[i].isJoker && cards[i + 1].isJoker) return false;
-    }
-    const naturalIndices = naturals.map(c => rankIndex(c.rank));
-    return trySequence(cards, naturalIndices, false) || trySequence(cards, naturalIndices, true);
-}
-
-function trySequence(cards, naturalIndices, aceLow) {
-    let currentRank = null;
-    let jokersBeforeFirst = 0;
-    for (let i = 0; i < cards.length; i++) {
-        if (!cards[i].isJoker) {
-            const adjIdx = rankIndex(cards[i].rank);
-            currentRank = adjIdx - jokersBeforeFirst;
-            break;
-        }
-        jokersBeforeFirst++;
-    }
-    if (currentRank === null) return false;
-    for (let i = 0; i < cards.length; i++) {
-        const expectedRank = currentRank + i;
-        if (!aceLow && expectedRank > 12 && expectedRank !== 13) return false;
-        if (aceLow && expectedRank < 0) return false;
-        if (!cards[i].isJoker) {
-            let adjIdx = rankIndex(cards[i].rank);
-            if (!aceLow && adjIdx === 0) adjIdx = 13;
-            if (adjIdx !== expectedRank) return false;
-        }
-    }
-    const startRank = currentRank;
-    const endRank = currentRank + cards.length - 1;
-    if (aceLow) {
-        if (startRank < 0 || endRank > 12) return false;
-    } else {
-        if (startRank < 0 || endRank > 13) return false;
-    }
-    return true;
-}
-
-function isValidGroup(cards) {
-    if (cards.length < 3 || cards.length > 4) return false;
-    const naturals = cards.filter(c => !c.isJoker);
-    const jokers = cards.filter(c => c.isJoker);
-    if (naturals.length === 0) return false;
-    if (jokers.length > naturals.length) return false;
-    const ranks = new Set(naturals.map(c => c.rank));
-    if (ranks.size > 1) return false;
-    const suits = new Set(naturals.map(c => c.suit));
-    if (suits.size !== naturals.length) return false;
-    return true;
-}
-
-function classifyMeld(cards) {
-    if (isValidSequence(cards)) return 'sequence';
-    if (isValidGroup(cards)) return 'group';
-    return false;
-}
-
-function calculateMeldsPoints(melds) {
-    let total = 0;
-    for (const meld of melds) {
-        const type = classifyMeld(meld);
-        if (!type) continue;
-        for (const card of meld) {
-            if (card.isJoker) {
-                total += 50;
-            } else if (type === 'sequence' && card.rank === 'A') {
-                const indices = meld.filter(c => !c.isJoker).map(c => rankIndex(c.rank));
-                const hasLowCards = indices.some(i => i <= 2);
-                total += hasLowCards ? 1 : 11;
-            } else {
-                total += getCardValue(card);
-            }
-        }
-    }
-    return total;
-}
-
-function hasPureSubRun(naturals) {
-    if (naturals.length < 3) return false;
-
-    function longestRun(indices) {
-        const sorted = [...indices].sort((a, b) => a - b);
-        let run = 1;
-        for (let i = 1; i < sorted.length; i++) {
-            if (sorted[i] === sorted[i - 1] + 1) {
-                run++;
-                if (run >= 3) return true;
-            } else if (sorted[i] !== sorted[i - 1]) {
-                run = 1;
-            }
-        }
-        return false;
-    }
-
-    // Ace-low (A=0, 2=1, …, K=12)
-    if (longestRun(naturals.map(c => rankIndex(c.rank)))) return true;
-    // Ace-high (A=13, 2=1, …, K=12)
-    if (longestRun(naturals.map(c => aceHighIndex(c.rank)))) return true;
-    return false;
-}
-
-function isValidOpening(melds, openRequirement = 51) {
-    // Check all melds are valid
-    for (const meld of melds) {
-        if (!classifyMeld(meld)) {
-            return { valid: false, reason: 'One or more melds are invalid' };
-        }
-    }
-    // Need at least one sequence whose natural cards form a pure sub-run of 3+
-    const hasPureSequence = melds.some(meld =>
-        isValidSequence(meld) && hasPureSubRun(meld.filter(c => !c.isJoker))
-    );
-    if (!hasPureSequence) {
-        return { valid: false, reason: 'Opening requires at least one sequence with 3+ consecutive natural cards' };
-    }
-    const points = calculateMeldsPoints(melds);
-    if (points < openRequirement) {
-        return { valid: false, reason: `Opening requires at least ${openRequirement} points (you have ${points})` };
-    }
-    return { valid: true };
-}
-
-function canExtendMeld(existingMeld, newCards, position = 'end') {
-    const combined = position === 'start'
-        ? [...newCards, ...existingMeld]
-        : [...existingMeld, ...newCards];
-
-    if (!classifyMeld(combined)) return false;
-
-    // For sequences: enforce that new cards actually belong at the specified end
-    if (isValidSequence(combined)) {
-        const existingNaturals = existingMeld.filter(c => !c.isJoker);
-        const newNaturals = newCards.filter(c => !c.isJoker);
-
-        if (existingNaturals.length > 0 && newNaturals.length > 0) {
-            const exLow = existingNaturals.map(c => rankIndex(c.rank));
-            const newLow = newNaturals.map(c => rankIndex(c.rank));
-            const exHigh = existingNaturals.map(c => aceHighIndex(c.rank));
-            const newHigh = newNaturals.map(c => aceHighIndex(c.rank));
-
-            if (position === 'end') {
-                const lowOk = Math.min(...newLow) > Math.max(...exLow);
-                const highOk = Math.min(...newHigh) > Math.max(...exHigh);
-                if (!lowOk && !highOk) return false;
-            } else { // 'start'
-                const lowOk = Math.max(...newLow) < Math.min(...exLow);
-                const highOk = Math.max(...newHigh) < Math.min(...exHigh);
-                if (!lowOk && !highOk) return false;
-            }
-        }
-    }
-
-    return true;
-}
-
-// ═══════════════════════════════
-// GAME PHASES
-// ═══════════════════════════════
-
-const PHASE = {
-    DRAW: 'DRAW',
-    MELD: 'MELD',
-    DISCARD: 'DISCARD',
-    ROUND_OVER: 'ROUND_OVER',
-    GAME_OVER: 'GAME_OVER'
-};
+const leaderboard = require('./leaderboard.cjs');
+const accounts = require('./accounts.cjs');
+const {
+    PHASE,
+    cardToString, dealRound, advanceTurn, rotateStartingPlayer,
+    settleRound, randomSeed, calculateHandPenalty, isGameOver,
+    drawStockCard, drawDiscardCard, layMelds, extendTableMeld, swapTableJoker,
+    repositionTableJoker, discardCard, finishMelding,
+    pendingDiscardPickup, restoreDiscardPickup, isRemikFinish
+} = require('../engine/rules.js');
+const { aiDecideTurn, aiDecideMeldsAndDiscard, rememberAction } = require('../engine/ai.js');
+const replay = require('../engine/replay.js');
+const { DEFAULTS, SPEED_PROFILE, TOURNAMENT } = require('../engine/gameConfig.js');
 
 // ═══════════════════════════════
 // TIMER MANAGEMENT
@@ -264,24 +29,29 @@ const turnTimers = new Map();
 /**
  * Start a turn timer for a room.
  * @param {object} room
+ * @param {number} [seconds] — time left on a resumed turn (default: a full turn)
  */
-function startTurnTimer(room) {
+function startTurnTimer(room, seconds) {
     clearTurnTimer(room.code);
 
-    const seconds = room.settings.TURN_TIMER_SECONDS || 300;
-    let remaining = seconds;
+    const entry = {
+        timer: null,
+        interval: null,
+        remaining: seconds || room.gameState?.config.turnTimerSeconds || room.settings.TURN_TIMER_SECONDS || 300
+    };
 
-    const interval = setInterval(() => {
-        remaining--;
-        broadcastToRoom(room, { type: 'timer_tick', remaining });
+    room.turnDeadline = Date.now() + entry.remaining * 1000;
+    entry.interval = setInterval(() => {
+        entry.remaining--;
+        broadcastToRoom(room, { type: 'timer_tick', remaining: entry.remaining });
 
-        if (remaining <= 0) {
+        if (entry.remaining <= 0) {
             clearTurnTimer(room.code);
             handleTimerExpired(room);
         }
     }, 1000);
 
-    turnTimers.set(room.code, { timer: null, interval, remaining: seconds });
+    turnTimers.set(room.code, entry);
 }
 
 /**
@@ -289,6 +59,8 @@ function startTurnTimer(room) {
  * @param {string} code
  */
 function clearTurnTimer(code) {
+    const room = roomManager.getRoom(code);
+    if (room) room.turnDeadline = null;
     const entry = turnTimers.get(code);
     if (entry) {
         if (entry.timer) clearTimeout(entry.timer);
@@ -297,6 +69,38 @@ function clearTurnTimer(code) {
     }
 }
 
+/** @type {Map<string, NodeJS.Timeout>} room code → pending automatic next round */
+const nextRoundTimers = new Map();
+
+/**
+ * Start the next round by itself after a countdown — straight away in speed
+ * mode and at tournament tables, or once everyone has acknowledged the
+ * scores with auto-advance on.
+ * @param {object} room
+ * @param {number} [seconds]
+ * @returns {number} seconds until it starts
+ */
+function scheduleNextRound(room, seconds = SPEED_PROFILE.NEXT_ROUND_SECONDS) {
+    const state = room.gameState;
+
+    clearNextRoundTimer(room.code);
+    nextRoundTimers.set(room.code, setTimeout(() => {
+        nextRoundTimers.delete(room.code);
+        if (roomManager.getRoom(room.code) !== room || room.gameState !== state) return;
+        if (state.phase !== PHASE.ROUND_OVER) return;
+        nextRound(room);
+    }, seconds * 1000));
+    return seconds;
+}
+
+/**
+ * @param {string} code
+ */
+function clearNextRoundTimer(code) {
+    clearTimeout(nextRoundTimers.get(code));
+    nextRoundTimers.delete(code);
+}
+
 /**
  * Handle timer expiring — auto-discard a random card.
  * @param {object} room
@@ -306,14 +110,22 @@ function handleTimerExpired(room) {
     if (!state) return;
 
     const currentPlayer = state.players[state.currentPlayerIndex];
+    const playerIndex = state.currentPlayerIndex;
+
+    // An unused discard pickup goes back first — it may not be thrown away
+    const returned = restoreDiscardPickup(state);
+    if (returned) announceReturnedPickup(room, playerIndex, returned);
+    const drew = state.phase === PHASE.DRAW;
 
     // If still in draw phase, auto-draw from stock
     if (state.phase === PHASE.DRAW) {
-        if (state.stock.length > 0) {
-            const card = state.stock.shift();
-            currentPlayer.hand.push(card);
-            state.phase = PHASE.DISCARD;
+        if (!drawFromStock(room).success) {
+            recordReplayStep(room, playerIndex, { action: 'timer_expired', drew, cardId: null }, { success: true }, true);
+            broadcastGameState(room);
+            roomManager.saveSnapshot(room);
+            return;
         }
+        state.phase = PHASE.DISCARD;
     }
 
     // Auto-discard a random card
@@ -321,6 +133,7 @@ function handleTimerExpired(room) {
         const randomIdx = Math.floor(Math.random() * currentPlayer.hand.length);
         const discardedCard = currentPlayer.hand.splice(randomIdx, 1)[0];
         state.discardPile.push(discardedCard);
+        const timeout = { action: 'timer_expired', drew, cardId: discardedCard.id };
 
         broadcastToRoom(room, {
             type: 'timer_expired',
@@ -331,15 +144,18 @@ function handleTimerExpired(room) {
 
         // Check if player won (empty hand)
         if (currentPlayer.hand.length === 0) {
-            endRound(room, state.currentPlayerIndex, false);
+            endRound(room, state.currentPlayerIndex, isRemikFinish(state));
+            recordReplayStep(room, playerIndex, timeout, { success: true }, true);
             return;
         }
 
         // Advance turn
         state.phase = PHASE.DRAW;
         advanceTurn(state);
+        recordReplayStep(room, playerIndex, timeout, { success: true }, true);
         broadcastGameState(room);
         startTurnTimer(room);
+        scheduleBotTurn(room);
     }
 }
 
@@ -348,15 +164,22 @@ function handleTimerExpired(room) {
 // ═══════════════════════════════
 
 /**
- * Start a new multiplayer game.
+ * Start a new multiplayer game. Players are told with `game_start`, or with
+ * `rematch` when the room has just played a game (their board stays up).
  * @param {object} room
+ * @param {{ rematch?: boolean }} [options]
  */
-function startGame(room) {
+function startGame(room, { rematch = false } = {}) {
     const config = room.settings;
     const jokerCount = config.JOKER_COUNT !== undefined ? config.JOKER_COUNT : 4;
     const pointsLimit = config.POINTS_LIMIT || 501;
     const handSizeFirst = config.HAND_SIZE_FIRST || 14;
     const handSizeOther = config.HAND_SIZE_OTHER || 13;
+    const speedMode = !!config.SPEED_MODE;
+    const firstDealer = roomManager.resolveFirstDealer(room);
+    const turnTimerSeconds = speedMode
+        ? Math.min(config.TURN_TIMER_SECONDS || 300, SPEED_PROFILE.TURN_TIMER_SECONDS)
+        : config.TURN_TIMER_SECONDS || 300;
 
     const state = {
         players: room.players.map((p, i) => ({
@@ -364,24 +187,32 @@ function startGame(room) {
             hand: [],
             hasOpened: false,
             score: 0,
-            isHuman: true,
+            isHuman: !p.isBot,
             eliminated: false,
             colour: p.colour,
             icon: p.icon,
-            playerId: p.id
+            difficulty: p.isBot ? p.difficulty : null,
+            botControlled: false,
+            playerId: p.id,
+            accountId: p.accountId || null
         })),
         stock: [],
         discardPile: [],
         tableMelds: [],
-        currentPlayerIndex: 0,
+        currentPlayerIndex: firstDealer,
         phase: PHASE.DRAW,
         roundNumber: 1,
-        startingPlayerIndex: 0,
+        startingPlayerIndex: firstDealer,
         stockReshuffleCount: 0,
         drawnFromDiscard: false,
         drawnCard: null,
+        pickupReturned: false,
+        openedThisTurn: false,
         roundWinner: null,
         lastAction: null,
+        // Kept out of `config` — that is broadcast, and the seed would reveal every hand
+        seed: String(config.SEED || '').trim().slice(0, 64) || randomSeed(),
+        roundSeed: null,
         config: {
             pointsLimit,
             jokerCount,
@@ -390,20 +221,36 @@ function startGame(room) {
             openRequirement: config.OPEN_REQUIREMENT || 51,
             requireOpening: config.REQUIRE_OPENING !== false,
             allowJokerSwap: config.ALLOW_JOKER_SWAP || false,
-            turnTimerSeconds: config.TURN_TIMER_SECONDS || 300
+            turnTimerSeconds,
+            botTakeoverSeconds: config.BOT_TAKEOVER_SECONDS ?? 30,
+            maxPauseSeconds: config.MAX_PAUSE_SECONDS || 300,
+            hostMigrationSeconds: config.HOST_MIGRATION_SECONDS ?? 30,
+            autoNextRoundSeconds: speedMode ? 0 : (config.AUTO_NEXT_ROUND_SECONDS || 0),
+            speedMode
         }
     };
 
     room.gameState = state;
     room.status = 'playing';
+    room.finishedAt = null;
+    room.replay = replay.createReplay({ roomCode: room.code, seed: state.seed, config: state.config, players: state.players });
+    ensureSeries(room);
 
     // Notify clients to switch to game view
+    const hostIndex = room.players.findIndex(p => p.id === room.host);
     for (let i = 0; i < room.players.length; i++) {
         sendToPlayer(room.players[i], {
-            type: 'game_start',
-            myIndex: i
+            type: rematch ? 'rematch' : 'game_start',
+            myIndex: i,
+            hostIndex,
+            series: describeSeries(room)
         });
     }
+    broadcastToRoom(room, {
+        type: 'spectators_changed',
+        spectators: roomManager.getSpectatorList(room),
+        allowed: room.settings.ALLOW_SPECTATORS !== false
+    });
 
     startRound(room);
 }
@@ -415,38 +262,24 @@ function startGame(room) {
 function startRound(room) {
     const state = room.gameState;
     const config = state.config;
-    const deck = shuffleDeck(createDeck(config.jokerCount));
 
-    const counts = state.players.map((_, i) =>
-        i === state.startingPlayerIndex ? config.handSizeFirst : config.handSizeOther
-    );
-
-    const { hands, stock } = dealCards(deck, counts);
-
-    state.players.forEach((p, i) => {
-        p.hand = hands[i];
-        p.hasOpened = false;
+    // Starting player always has 14 cards — skip draw
+    dealRound(state, {
+        jokerCount: config.jokerCount,
+        handSizeFirst: config.handSizeFirst,
+        handSizeOther: config.handSizeOther
     });
-
-    state.stock = stock;
-    state.discardPile = [];
-    state.tableMelds = [];
-    state.currentPlayerIndex = state.startingPlayerIndex;
-    state.phase = PHASE.DISCARD; // Starting player always has 14 cards — skip draw
-    state.stockReshuffleCount = 0;
-    state.drawnFromDiscard = false;
-    state.drawnCard = null;
-    state.roundWinner = null;
-    state.lastAction = null;
+    if (room.replay) replay.recordDeal(room.replay, state);
 
     broadcastToRoom(room, { type: 'round_start', roundNumber: state.roundNumber });
     broadcastGameState(room);
     roomManager.saveSnapshot(room);
     startTurnTimer(room);
+    scheduleBotTurn(room);
 }
 
 /**
- * Handle a player action.
+ * Handle a player action and record it in the room's replay log.
  * @param {object} room
  * @param {string} playerId
  * @param {object} action — { action: string, ... }
@@ -459,11 +292,32 @@ function handleAction(room, playerId, action) {
     const playerIndex = state.players.findIndex(p => p.playerId === playerId);
     if (playerIndex === -1) return { success: false, error: 'Player not in game' };
 
+    // An accepted next_round is already in the log as the new round's deal
+    const roundCount = room.replay?.rounds.length;
+    const result = applyAction(room, playerIndex, playerId, action);
+    if (action.action !== 'next_round' || room.replay?.rounds.length === roundCount) {
+        recordReplayStep(room, playerIndex, action, result);
+    }
+    return result;
+}
+
+/**
+ * Validate and apply one action for the seat at `playerIndex`.
+ * @param {object} room
+ * @param {number} playerIndex
+ * @param {string} playerId
+ * @param {object} action
+ * @returns {{ success: boolean, error?: string }}
+ */
+function applyAction(room, playerIndex, playerId, action) {
+    const state = room.gameState;
+
     // Special case: reordering is allowed even if not your turn (it's just UI state)
     if (action.action === 'reorder_hand') {
         return handleReorderHand(state, playerIndex, action.cardIds);
     }
 
+    if (room.pause) return { success: false, error: 'The game is paused' };
     if (playerIndex !== state.currentPlayerIndex) return { success: false, error: 'Not your turn' };
 
     let result;
@@ -487,6 +341,9 @@ function handleAction(room, playerId, action) {
         case 'skip_meld':
             result = handleSkipMeld(state);
             break;
+        case 'return_discard':
+            result = handleReturnDiscard(state, room);
+            break;
         case 'joker_swap':
             result = handleJokerSwap(state, action.tableMeldIndex, action.jokerPositionInMeld, action.cardId, room);
             break;
@@ -494,20 +351,24 @@ function handleAction(room, playerId, action) {
             result = handleRepositionJoker(state, action.meldIndex, action.jokerCardIndex, room);
             break;
         case 'next_round':
-            console.log(`[Server] Received next_round from player ${playerId} for room ${room.code}. Host: ${room.hostId}`);
-            if (room.hostId !== playerId) {
-                console.warn(`[Server] Rejected next_round: player ${playerId} is not host ${room.hostId}`);
+            console.log(`[Server] Received next_round from player ${playerId} for room ${room.code}. Host: ${room.host}`);
+            if (room.host !== playerId) {
+                console.warn(`[Server] Rejected next_round: player ${playerId} is not host ${room.host}`);
                 return { success: false, error: 'Only the host can start the next round' };
             }
-            nextRound(room);
-            return { success: true };
+            return nextRound(room);
         default:
             return { success: false, error: `Unknown action: ${action.action}` };
     }
 
     if (result.success) {
+        // Bots count cards from public pickups/passes
+        if (action.action === 'draw_stock' || action.action === 'draw_discard') {
+            rememberAction(state, state.lastAction);
+        }
+
         // Check for round end
-        if (state.phase === PHASE.ROUND_OVER) {
+        if (state.phase === PHASE.ROUND_OVER || state.phase === PHASE.GAME_OVER) {
             clearTurnTimer(room.code);
             broadcastGameState(room);
             roomManager.saveSnapshot(room);
@@ -521,6 +382,7 @@ function handleAction(room, playerId, action) {
 
         broadcastGameState(room);
         roomManager.saveSnapshot(room);
+        scheduleBotTurn(room);
     }
 
     return result;
@@ -562,20 +424,12 @@ function handleReorderHand(state, playerIndex, cardIds) {
 }
 
 function handleDrawStock(state, room) {
-    if (state.phase !== PHASE.DRAW) return { success: false, error: 'Cannot draw now' };
-    if (state.stock.length === 0) {
-        reshuffleIfNeeded(state);
-        if (state.stock.length === 0) return { success: false, error: 'No cards remaining' };
-    }
+    const result = drawFromStock(room);
+    // Stock depleted twice → round ends (the round_end broadcast explains it)
+    if (result.exhausted) return { success: true };
+    if (!result.success) return { success: false, error: result.reason };
 
-    const card = state.stock.shift();
-    state.players[state.currentPlayerIndex].hand.push(card);
-    state.drawnCard = card;
-    state.drawnFromDiscard = false;
-    state.phase = PHASE.MELD;
-    state.lastAction = { type: 'draw', source: 'stock', playerIndex: state.currentPlayerIndex };
-
-    broadcastToRoom(state._room || room, {
+    broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'draw',
         playerIndex: state.currentPlayerIndex,
@@ -583,82 +437,47 @@ function handleDrawStock(state, room) {
         details: { source: 'stock' }
     });
 
-    return { success: true, card };
+    return { success: true, card: result.card };
 }
 
 function handleDrawDiscard(state, room) {
-    if (state.phase !== PHASE.DRAW) return { success: false, error: 'Cannot draw now' };
-    if (state.discardPile.length === 0) return { success: false, error: 'Discard pile is empty' };
+    const result = drawDiscardCard(state);
+    if (!result.success) return { success: false, error: result.reason };
 
-    const card = state.discardPile.pop();
-    state.players[state.currentPlayerIndex].hand.push(card);
-    state.drawnCard = card;
-    state.drawnFromDiscard = true;
-    state.phase = PHASE.MELD;
-    state.lastAction = { type: 'draw', source: 'discard', playerIndex: state.currentPlayerIndex, card };
-
-    broadcastToRoom(state._room || room, {
+    broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'draw',
         playerIndex: state.currentPlayerIndex,
         playerName: state.players[state.currentPlayerIndex].name,
-        details: { source: 'discard', card }
+        details: { source: 'discard', card: result.card }
     });
 
-    return { success: true, card };
+    return { success: true, card: result.card };
 }
 
 function handlePlayMelds(state, meldCardIds, room) {
-    if (state.phase !== PHASE.MELD && state.phase !== PHASE.DISCARD) {
-        return { success: false, error: 'Cannot meld now' };
-    }
-
     const player = state.players[state.currentPlayerIndex];
-    const melds = meldCardIds.map(ids =>
-        ids.map(id => player.hand.find(c => c.id === id)).filter(Boolean)
-    );
-
-    // Validate all melds
-    for (const meld of melds) {
-        if (!classifyMeld(meld)) {
-            return { success: false, error: 'One or more melds are invalid' };
-        }
-    }
-
-    // Check opening requirement
     const config = state.config || {};
-    if (!player.hasOpened && config.requireOpening !== false) {
-        const openCheck = isValidOpening(melds, config.openRequirement || 51);
-        if (!openCheck.valid) return { success: false, error: openCheck.reason };
-    }
-
-    // Remove cards from hand and add to table
-    const allCardIds = new Set(meldCardIds.flat());
-    player.hand = player.hand.filter(c => !allCardIds.has(c.id));
-
-    for (const meld of melds) {
-        state.tableMelds.push({ cards: meld, owner: state.currentPlayerIndex });
-    }
-
-    if (!player.hasOpened) player.hasOpened = true;
+    const result = layMelds(state, meldCardIds, {
+        requireOpening: config.requireOpening !== false,
+        openRequirement: config.openRequirement || 51
+    });
+    if (!result.success) return { success: false, error: result.reason };
 
     // Check for win
-    if (player.hand.length === 0) {
-        const isRemik = melds.length > 0 && player.hand.length === 0;
+    if (result.wentOut) {
+        const isRemik = isRemikFinish(state);
         console.log(`[Server] handlePlayMelds: ${player.name} emptied hand — calling endRound (remik=${isRemik})`);
-        state.phase = PHASE.ROUND_OVER;
         endRound(room, state.currentPlayerIndex, isRemik);
         return { success: true };
     }
 
-    if (state.phase !== PHASE.DISCARD) state.phase = PHASE.MELD;
-
-    const meldStr = melds.map(m => m.map(c => cardToString(c)).join('')).join(', ');
+    const meldStr = result.melds.map(m => m.map(c => cardToString(c)).join('')).join(', ');
     broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'meld',
         playerIndex: state.currentPlayerIndex,
-        playerName: state.players[state.currentPlayerIndex].name,
+        playerName: player.name,
         details: { meldStr }
     });
 
@@ -666,353 +485,1286 @@ function handlePlayMelds(state, meldCardIds, room) {
 }
 
 function handleExtendMeld(state, tableMeldIndex, cardIds, position = 'end', room) {
-    if (state.phase !== PHASE.MELD) return { success: false, error: 'Cannot extend melds now' };
-
     const player = state.players[state.currentPlayerIndex];
-    if (!player.hasOpened) return { success: false, error: 'Must open first' };
-
-    const tableMeld = state.tableMelds[tableMeldIndex];
-    if (!tableMeld) return { success: false, error: 'Invalid meld index' };
-
-    const cards = cardIds.map(id => player.hand.find(c => c.id === id)).filter(Boolean);
-    if (cards.length === 0) return { success: false, error: 'Cards not found in hand' };
-
-    if (!canExtendMeld(tableMeld.cards, cards, position)) {
-        return { success: false, error: 'Cards cannot extend this meld' };
-    }
-
-    // Remove cards from hand
-    player.hand = player.hand.filter(c => !cardIds.includes(c.id));
-
-    // Add to meld
-    if (position === 'start') {
-        tableMeld.cards = [...cards, ...tableMeld.cards];
-    } else {
-        tableMeld.cards = [...tableMeld.cards, ...cards];
-    }
+    const result = extendTableMeld(state, tableMeldIndex, cardIds, position);
+    if (!result.success) return { success: false, error: result.reason };
 
-    const cardStr = cards.map(c => cardToString(c)).join('');
-    broadcastToRoom(state._room || room, {
+    const cardStr = result.cards.map(c => cardToString(c)).join('');
+    broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'extend',
         playerIndex: state.currentPlayerIndex,
-        playerName: state.players[state.currentPlayerIndex].name,
+        playerName: player.name,
         details: { cardStr }
     });
 
-    if (player.hand.length === 0) {
+    if (result.wentOut) {
         console.log(`[Server] handleExtendMeld: ${player.name} emptied hand — calling endRound`);
-        state.phase = PHASE.ROUND_OVER;
-        endRound(room, state.currentPlayerIndex, false);
+        endRound(room, state.currentPlayerIndex, isRemikFinish(state));
     }
 
     return { success: true };
 }
 
 function handleDiscard(state, cardId, room) {
-    if (state.phase !== PHASE.MELD && state.phase !== PHASE.DISCARD) {
-        return { success: false, error: 'Cannot discard now' };
-    }
-
-    const player = state.players[state.currentPlayerIndex];
-    const cardIndex = player.hand.findIndex(c => c.id === cardId);
-    if (cardIndex === -1) return { success: false, error: 'Card not in hand' };
-
-    const [card] = player.hand.splice(cardIndex, 1);
-    state.discardPile.push(card);
-
-    state.lastAction = { type: 'discard', playerIndex: state.currentPlayerIndex, card };
+    const playerIndex = state.currentPlayerIndex;
+    const player = state.players[playerIndex];
+    const result = discardCard(state, cardId);
+    if (!result.success) return { success: false, error: result.reason };
 
     // Check for win
-    if (player.hand.length === 0) {
+    if (result.wentOut) {
         console.log(`[Server] handleDiscard: ${player.name} emptied hand — calling endRound`);
-        state.phase = PHASE.ROUND_OVER;
-        endRound(room, state.currentPlayerIndex, false);
+        endRound(room, playerIndex, isRemikFinish(state));
         return { success: true };
     }
 
-    // Advance turn
-    advanceTurn(state);
-
     broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'discard',
-        playerIndex: state.currentPlayerIndex, // Use stored index before advanceTurn? No, advanceTurn changes it.
-        // Wait, handleDiscard calls advanceTurn at the end. state.currentPlayerIndex is now the NEXT player.
-        // We need the PREVIOUS player (who discarded).
-        // Actually, handleDiscard updates state.lastAction with correct playerIndex.
-        playerIndex: state.lastAction.playerIndex,
-        playerName: state.players[state.lastAction.playerIndex].name,
-        details: { card }
+        playerIndex,
+        playerName: player.name,
+        details: { card: result.card }
     });
 
     return { success: true };
 }
 
 function handleSkipMeld(state) {
-    if (state.phase !== PHASE.MELD) return { success: false, error: 'Not in meld phase' };
-    state.phase = PHASE.DISCARD;
-    return { success: true };
+    const result = finishMelding(state);
+    return result.success ? result : { success: false, error: result.reason };
 }
 
-function handleJokerSwap(state, tableMeldIndex, jokerPositionInMeld, cardId, room) {
-    if (state.phase !== PHASE.MELD) return { success: false, error: 'Cannot swap jokers now' };
-
-    const player = state.players[state.currentPlayerIndex];
-    if (!player.hasOpened) return { success: false, error: 'Must open first' };
-
-    if (tableMeldIndex < 0 || tableMeldIndex >= state.tableMelds.length) {
-        return { success: false, error: 'Invalid meld index' };
-    }
-
-    const meld = state.tableMelds[tableMeldIndex].cards;
-    const jokerCard = meld[jokerPositionInMeld];
-    if (!jokerCard || !jokerCard.isJoker) return { success: false, error: 'No joker at that position' };
-
-    const handCard = player.hand.find(c => c.id === cardId);
-    if (!handCard) return { success: false, error: 'Card not in hand' };
-    if (handCard.isJoker) return { success: false, error: 'Cannot swap a joker with a joker' };
+/**
+ * Put an unused discard pickup back; the player then draws from the stock.
+ * @param {object} state
+ * @param {object} room
+ * @returns {{ success: boolean, error?: string }}
+ */
+function handleReturnDiscard(state, room) {
+    const playerIndex = state.currentPlayerIndex;
+    const card = restoreDiscardPickup(state);
+    if (!card) return { success: false, error: 'No card from the discard pile to put back' };
 
-    // Validate the meld stays valid with the substitution
-    const testMeld = [...meld];
-    testMeld[jokerPositionInMeld] = handCard;
-    if (!classifyMeld(testMeld)) {
-        return { success: false, error: 'That card does not match what the joker represents' };
-    }
+    announceReturnedPickup(room, playerIndex, card);
+    return { success: true };
+}
 
-    // Perform swap
-    meld[jokerPositionInMeld] = handCard;
-    player.hand = player.hand.filter(c => c.id !== cardId);
-    player.hand.push(jokerCard);
+/**
+ * @param {object} room
+ * @param {number} playerIndex
+ * @param {object} card
+ */
+function announceReturnedPickup(room, playerIndex, card) {
+    room.gameState.lastAction = { type: 'return_discard', playerIndex, card };
+    broadcastToRoom(room, {
+        type: 'game_event',
+        eventType: 'return_discard',
+        playerIndex,
+        playerName: room.gameState.players[playerIndex].name,
+        details: { card }
+    });
+}
 
-    return { success: true };
+function handleJokerSwap(state, tableMeldIndex, jokerPositionInMeld, cardId, room) {
+    const result = swapTableJoker(state, tableMeldIndex, jokerPositionInMeld, cardId);
+    return result.success ? { success: true } : { success: false, error: result.reason };
 }
 
 function handleRepositionJoker(state, meldIndex, jokerCardIndex, room) {
-    if (state.phase !== PHASE.MELD) return { success: false, error: 'Cannot reposition jokers now' };
-
     const player = state.players[state.currentPlayerIndex];
-    if (!player.hasOpened) return { success: false, error: 'Must open first' };
-
-    const tableMeld = state.tableMelds[meldIndex];
-    if (!tableMeld) return { success: false, error: 'Invalid meld index' };
+    const result = repositionTableJoker(state, meldIndex, jokerCardIndex);
+    if (!result.success) return { success: false, error: result.reason };
 
-    const cards = tableMeld.cards;
-    const isAtStart = jokerCardIndex === 0;
-    const isAtEnd = jokerCardIndex === cards.length - 1;
-
-    if (!isAtStart && !isAtEnd) {
-        return { success: false, error: 'Can only reposition jokers at the start or end of a meld' };
-    }
-
-    const jokerCard = cards[jokerCardIndex];
-    if (!jokerCard || !jokerCard.isJoker) {
-        return { success: false, error: 'No joker at that position' };
-    }
-
-    // Move joker to the opposite end
-    const newCards = isAtStart
-        ? [...cards.slice(1), jokerCard]
-        : [jokerCard, ...cards.slice(0, -1)];
-
-    if (!classifyMeld(newCards)) {
-        return { success: false, error: 'Moving the joker would invalidate the meld' };
-    }
-
-    console.log(`[Server] handleRepositionJoker: ${player.name} moved joker from ${isAtStart ? 'start' : 'end'} to ${isAtStart ? 'end' : 'start'} of meld ${meldIndex}`);
-    tableMeld.cards = newCards;
-
-    broadcastToRoom(state._room || room, {
+    console.log(`[Server] handleRepositionJoker: ${player.name} moved joker from ${result.from} to ${result.to} of meld ${meldIndex}`);
+    broadcastToRoom(room, {
         type: 'game_event',
         eventType: 'reposition_joker',
         playerIndex: state.currentPlayerIndex,
         playerName: player.name,
-        details: { meldIndex, from: isAtStart ? 'start' : 'end', to: isAtStart ? 'end' : 'start' }
+        details: { meldIndex, from: result.from, to: result.to }
     });
 
     return { success: true };
 }
 
-function advanceTurn(state) {
-    state.currentPlayerIndex = (state.currentPlayerIndex + 1) % state.players.length;
-    // Skip eliminated players
-    let safety = 0;
-    while (state.players[state.currentPlayerIndex].eliminated && safety < state.players.length) {
-        state.currentPlayerIndex = (state.currentPlayerIndex + 1) % state.players.length;
-        safety++;
-    }
-    state.phase = PHASE.DRAW;
-    state.drawnFromDiscard = false;
-    state.drawnCard = null;
-}
-
 function endRound(room, winnerIndex, isRemik) {
     console.log(`[Server] endRound called for room ${room.code}. Winner: ${winnerIndex}, Remik: ${isRemik}`);
     const state = room.gameState;
     const config = state.config || {};
-    const pointsLimit = config.pointsLimit || 501;
-
-    // Score each player
-    const scores = state.players.map((p, i) => {
-        let change = 0;
-        if (i === winnerIndex) {
-            change = isRemik ? -20 : -10;
-        } else {
-            let penalty = p.hand.reduce((sum, c) => sum + getCardValue(c, false), 0);
-            if (isRemik) penalty *= 2;
-            change = penalty;
-        }
-        p.score += change;
-        return {
-            name: p.name,
-            score: p.score,
-            change,
-            eliminated: p.score >= pointsLimit,
-            handSize: p.hand.length
-        };
-    });
-
-    // Mark eliminated players
-    state.players.forEach((p, i) => {
-        if (scores[i].eliminated) p.eliminated = true;
-    });
-
-    // Check if game is over
-    const activePlayers = state.players.filter(p => !p.eliminated);
-    if (activePlayers.length <= 1) {
-        state.phase = PHASE.GAME_OVER;
-    } else {
-        state.phase = PHASE.ROUND_OVER;
+    const scores = settleRound(state, winnerIndex, isRemik, config.pointsLimit || 501);
+    if (room.replay) {
+        replay.recordRoundEnd(room.replay, { winnerIndex, isRemik, scores });
+        if (state.phase === PHASE.GAME_OVER) replay.finishReplay(room.replay);
     }
-
-    state.roundWinner = winnerIndex;
+    const ratings = state.phase === PHASE.GAME_OVER ? completeGame(room) : null;
 
     console.log(`[Server] endRound: scores=`, scores.map(s => `${s.name}:${s.change >= 0 ? '+' : ''}${s.change} (total:${s.score})`).join(', '));
     console.log(`[Server] Broadcasting round_end for room ${room.code}. gameOver: ${state.phase === PHASE.GAME_OVER}`);
+    const gameOver = state.phase === PHASE.GAME_OVER;
+    endPause(room);
+    // Tournament tables have no host to deal on, so they always count down
+    let nextRoundIn = null;
+    if (!gameOver && config.speedMode) nextRoundIn = scheduleNextRound(room);
+    else if (!gameOver && room.tournament) nextRoundIn = scheduleNextRound(room, TOURNAMENT.NEXT_ROUND_SECONDS);
+    state.roundAcks = [];
     broadcastToRoom(room, {
         type: 'round_end',
         winnerIndex,
         isRemik,
         scores,
-        gameOver: state.phase === PHASE.GAME_OVER
+        gameOver,
+        nextRoundIn,
+        autoNextRound: gameOver ? 0 : (config.autoNextRoundSeconds || 0),
+        ratings,
+        series: gameOver ? describeSeries(room) : null,
+        // Safe to reveal once nothing is left to play
+        seed: gameOver ? state.seed : null
     });
 }
 
 /**
- * Start the next round (host-only action).
+ * End the game between rounds (a forfeit left one seat standing).
+ * Scores stand as they are; clients get a final `round_end` with no changes.
  * @param {object} room
  */
-function nextRound(room) {
-    console.log(`[Server] nextRound called for room ${room.code}`);
+function finishGame(room) {
     const state = room.gameState;
-    if (!state || (state.phase !== PHASE.ROUND_OVER && state.phase !== PHASE.GAME_OVER)) {
-        console.warn(`[Server] nextRound rejected: state.phase is ${state?.phase}`);
-        return;
-    }
-
-    state.roundNumber++;
-    // Rotate starting player
-    state.startingPlayerIndex = (state.startingPlayerIndex + 1) % state.players.length;
-
-    // Skip eliminated starting players
-    let safety = 0;
-    while (state.players[state.startingPlayerIndex].eliminated && safety < state.players.length) {
-        state.startingPlayerIndex = (state.startingPlayerIndex + 1) % state.players.length;
-        safety++;
-    }
+    clearNextRoundTimer(room.code);
+    endPause(room);
+    state.phase = PHASE.GAME_OVER;
+    if (room.replay) replay.finishReplay(room.replay);
+    const ratings = completeGame(room);
 
-    console.log(`[Server] Starting round ${state.roundNumber} for room ${room.code}. New startingPlayerIndex: ${state.startingPlayerIndex}`);
-    startRound(room);
+    broadcastToRoom(room, {
+        type: 'round_end',
+        winnerIndex: null,
+        isRemik: false,
+        scores: state.players.map(p => ({
+            name: p.name,
+            score: p.score,
+            change: 0,
+            eliminated: p.eliminated,
+            handSize: p.hand.length
+        })),
+        gameOver: true,
+        nextRoundIn: null,
+        autoNextRound: 0,
+        ratings,
+        series: describeSeries(room),
+        seed: state.seed
+    });
 }
 
-function reshuffleIfNeeded(state) {
-    if (state.stock.length > 0 || state.stockReshuffleCount >= 1) return;
-    if (state.discardPile.length <= 1) return;
-
-    const topDiscard = state.discardPile.pop();
-    state.stock = shuffleDeck([...state.discardPile]);
-    state.discardPile = topDiscard ? [topDiscard] : [];
-    state.stockReshuffleCount++;
-
-    if (state._room) {
-        broadcastToRoom(state._room, {
-            type: 'game_event',
-            eventType: 'reshuffle',
-            details: { count: state.stock.length }
-        });
+/**
+ * Book-keeping once the last round is settled: stamp the finish time, score
+ * the game for the series and record the results. Runs once per game
+ * (`state.completed`, which the snapshot keeps).
+ * @param {object} room
+ * @returns {Array<object|null>|null} rating change per seat (see `recordGameResults`),
+ *   or null if the game was already recorded
+ */
+function completeGame(room) {
+    const state = room.gameState;
+    if (state.completed) {
+        console.warn(`[GAME] Game in room ${room.code} is already recorded — not recording it again`);
+        return null;
+    }
+    state.completed = true;
+    room.finishedAt = Date.now();
+    recordSeriesGame(room);
+    const ratings = recordGameResults(room);
+    for (const listener of gameOverListeners) {
+        try {
+            listener(room);
+        } catch (err) {
+            console.error(`[GAME] Game-over listener failed for room ${room.code}:`, err);
+        }
     }
+    return ratings;
 }
 
-// ═══════════════════════════════
-// BROADCASTING
-// ═══════════════════════════════
+/** @type {Array<(room: object) => void>} see `onGameOver` */
+const gameOverListeners = [];
 
 /**
- * Broadcast game state to all players (each sees only their own hand).
+ * Be told whenever a room's game is over (after its results are recorded).
+ * @param {(room: object) => void} listener
+ */
+function onGameOver(listener) {
+    gameOverListeners.push(listener);
+}
+
+/**
+ * Credit a finished game to the leaderboard (re-rating the human players
+ * against each other) and to each signed-in player's history. Bot seats are
+ * skipped; a seat a bot finished for its player still counts for them.
  * @param {object} room
+ * @returns {Array<{ before: number, after: number, change: number, provisional: boolean }|null>} rating change per seat (null for bots)
  */
-function broadcastGameState(room) {
+function recordGameResults(room) {
     const state = room.gameState;
-    if (!state) return;
-
-    // Store room reference for endRound (non-enumerable to avoid circular JSON)
-    Object.defineProperty(state, '_room', {
-        value: room,
-        enumerable: false,
-        writable: true,
-        configurable: true
-    });
+    const placings = placeSeats(state.players);
+    const humans = state.players
+        .map((p, i) => ({ seat: i, name: p.name, accountId: p.accountId, placing: placings[i], score: p.score }))
+        .filter(h => !room.players[h.seat]?.isBot);
 
-    for (let i = 0; i < room.players.length; i++) {
-        const player = room.players[i];
-        if (!player.ws || !player.connected) continue;
+    const changes = leaderboard.recordGame(humans, { roomCode: room.code });
+    const ratings = state.players.map(() => null);
+    humans.forEach((h, k) => { ratings[h.seat] = changes[k]; });
 
-        const sanitized = {
-            type: 'game_state',
-            myIndex: i,
-            roundNumber: state.roundNumber,
-            currentPlayerIndex: state.currentPlayerIndex,
-            phase: state.phase,
-            players: state.players.map((p, j) => ({
-                name: p.name,
-                handSize: p.hand.length,
-                hand: j === i ? p.hand : [], // only show own hand
-                hasOpened: p.hasOpened,
+    state.players.forEach((p, i) => {
+        if (room.players[i]?.isBot) return;
+        const won = placings[i] === 1;
+        if (p.accountId) {
+            accounts.recordGame(p.accountId, {
+                roomCode: room.code,
+                won,
                 score: p.score,
-                eliminated: p.eliminated,
-                colour: p.colour,
-                icon: p.icon,
-                isMe: j === i
-            })),
-            stock: { count: state.stock.length },
-            discardPile: {
-                count: state.discardPile.length,
-                topCard: state.discardPile.length > 0
-                    ? state.discardPile[state.discardPile.length - 1]
-                    : null
-            },
-            tableMelds: state.tableMelds.map(m => ({
-                cards: m.cards,
-                owner: m.owner
-            })),
-            lastAction: state.lastAction,
-            drawnFromDiscard: state.currentPlayerIndex === i ? state.drawnFromDiscard : false,
-            config: state.config
-        };
-
-        sendToPlayer(player, sanitized);
-    }
+                rounds: state.roundNumber,
+                opponents: state.players.filter((_, j) => j !== i).map(o => ({ name: o.name, score: o.score }))
+            });
+        }
+    });
+    return ratings;
 }
 
 /**
- * Broadcast a raw message to all connected players in a room.
- * @param {object} room
- * @param {object} msg
+ * Final placing per seat: survivors ahead of eliminated players, then the
+ * lower score ahead. Equal records share a placing.
+ * @param {Array<{ eliminated: boolean, score: number }>} players
+ * @returns {number[]} 1 = best
+ */
+function placeSeats(players) {
+    const rank = p => [p.eliminated ? 1 : 0, p.score];
+    return players.map(p => {
+        const [out, score] = rank(p);
+        return 1 + players.filter(o => {
+            const [oOut, oScore] = rank(o);
+            return oOut < out || (oOut === out && oScore < score);
+        }).length;
+    });
+}
+
+/**
+ * Start the next round (host-only action). Only a settled round moves on;
+ * a game that is over does not.
+ * @param {object} room
+ * @returns {{ success: boolean, error?: string }}
+ */
+function nextRound(room) {
+    console.log(`[Server] nextRound called for room ${room.code}`);
+    const state = room.gameState;
+    // A finished game stays finished — a rematch starts a new one
+    if (!state || state.phase !== PHASE.ROUND_OVER) {
+        console.warn(`[Server] nextRound rejected: state.phase is ${state?.phase}`);
+        return { success: false, error: state?.phase === PHASE.GAME_OVER ? 'The game is over' : 'The round is still being played' };
+    }
+    clearNextRoundTimer(room.code);
+    state.roundAcks = null;
+
+    state.roundNumber++;
+    // Rotate starting player, skipping eliminated seats
+    rotateStartingPlayer(state);
+
+    console.log(`[Server] Starting round ${state.roundNumber} for room ${room.code}. New startingPlayerIndex: ${state.startingPlayerIndex}`);
+    startRound(room);
+    return { success: true };
+}
+
+/**
+ * Auto-advance: a player has seen the round's scores. Once every connected
+ * human has, the next round is scheduled.
+ * @param {object} room
+ * @param {string} playerId
+ * @returns {{ success: boolean, error?: string }}
+ */
+function acknowledgeRound(room, playerId) {
+    const state = room.gameState;
+    if (!state || state.phase !== PHASE.ROUND_OVER || !state.roundAcks) {
+        return { success: false, error: 'No round to acknowledge' };
+    }
+    if (!state.config.autoNextRoundSeconds) {
+        return { success: false, error: 'Auto next round is off — the host starts the next round' };
+    }
+    if (!state.roundAcks.includes(playerId)) state.roundAcks.push(playerId);
+    checkRoundAcks(room);
+    return { success: true };
+}
+
+/**
+ * Start the auto-advance countdown when every connected human has acknowledged
+ * the scores (also re-checked when someone drops), and tell the table how far
+ * along it is.
+ * @param {object} room
+ */
+function checkRoundAcks(room) {
+    const state = room.gameState;
+    const seconds = state?.config?.autoNextRoundSeconds;
+    if (!seconds || state.phase !== PHASE.ROUND_OVER || !state.roundAcks || nextRoundTimers.has(room.code)) return;
+
+    const waitingFor = room.players.filter(p =>
+        !p.isBot && !p.botControlled && !p.kicked && p.connected && !state.roundAcks.includes(p.id)
+    );
+    const acked = room.players.filter(p => state.roundAcks.includes(p.id));
+    const nextRoundIn = waitingFor.length === 0 && acked.length > 0 ? scheduleNextRound(room, seconds) : null;
+
+    broadcastToRoom(room, {
+        type: 'round_acks',
+        acked: acked.map(p => room.players.indexOf(p)),
+        waitingFor: waitingFor.map(p => p.name),
+        nextRoundIn
+    });
+}
+
+/**
+ * Draw from the stock for the current player, announcing a reshuffle. Ends
+ * the round (no winner) when the stock is exhausted.
+ * @param {object} room
+ * @returns {{ success: boolean, card?: object, exhausted?: boolean, reason?: string }} see `drawStockCard`
+ */
+function drawFromStock(room) {
+    const state = room.gameState;
+    const result = drawStockCard(state);
+
+    if (result.reshuffled) {
+        broadcastToRoom(room, {
+            type: 'game_event',
+            eventType: 'reshuffle',
+            details: { count: state.stock.length }
+        });
+    } else if (result.exhausted) {
+        console.log(`[Server] Stock exhausted in room ${room.code} — ending round with no winner`);
+        endRound(room, null, false);
+    }
+    return result;
+}
+
+// ═══════════════════════════════
+// REPLAY
+// ═══════════════════════════════
+
+/**
+ * Append one action to the room's replay log. The log is part of the room
+ * snapshot, so it carries on after a restart; only rooms with no log at all
+ * (not started yet) are skipped.
+ * @param {object} room
+ * @param {number} playerIndex
+ * @param {object} action
+ * @param {{ success: boolean, error?: string }} result
+ * @param {boolean} [auto=false] — taken by the server (timer expiry), not the player
+ */
+function recordReplayStep(room, playerIndex, action, result, auto = false) {
+    if (!room.replay || !room.gameState) return;
+    const { type, roomCode, ...payload } = action;
+    replay.recordStep(room.replay, room.gameState, { playerIndex, action: payload, result, auto });
+}
+
+/**
+ * The finished game's replay. Only available once the game is over, so
+ * nobody can peek at live hands.
+ * @param {object} room
+ * @returns {{ replay?: object, error?: string }}
+ */
+function getReplay(room) {
+    if (!room.replay) return { error: 'No replay recorded for this room' };
+    if (room.gameState?.phase !== PHASE.GAME_OVER) return { error: 'Replays are available once the game is over' };
+    return { replay: room.replay };
+}
+
+// ═══════════════════════════════
+// SPECTATORS
+// ═══════════════════════════════
+
+/**
+ * Seconds the spectator feed runs behind the table. 0 = live, hands hidden;
+ * otherwise every hand is shown, this late.
+ * @param {object} room
+ * @returns {number}
+ */
+function spectatorDelay(room) {
+    return Math.max(0, Math.min(600, Number(room.settings.SPECTATOR_DELAY_SECONDS) || 0));
+}
+
+/**
+ * Send a message to every spectator, live or after the room's delay.
+ * Serialised straight away so the delayed copy shows the state as it was.
+ * @param {object} room
+ * @param {object} msg
+ */
+function sendToSpectators(room, msg) {
+    if (!room.spectators || room.spectators.length === 0) return;
+    const raw = JSON.stringify(msg);
+    const deliver = () => {
+        for (const spectator of room.spectators) {
+            if (spectator.ws?.readyState === 1) spectator.ws.send(raw);
+        }
+    };
+
+    const seconds = spectatorDelay(room);
+    if (seconds > 0) setTimeout(deliver, seconds * 1000);
+    else deliver();
+}
+
+/**
+ * Give a new spectator the current table (or, on a delayed feed, the table
+ * as it is now once the delay has passed).
+ * @param {object} room
+ * @param {object} spectator
+ */
+function welcomeSpectator(room, spectator) {
+    const state = room.gameState;
+    if (!state) return;
+
+    const seconds = spectatorDelay(room);
+    const raw = JSON.stringify({ type: 'game_state', ...buildStateView(state, -1, seconds > 0, room) });
+    const deliver = () => {
+        if (spectator.ws?.readyState === 1 && room.spectators.includes(spectator)) spectator.ws.send(raw);
+    };
+    if (seconds > 0) setTimeout(deliver, seconds * 1000);
+    else deliver();
+}
+
+// ═══════════════════════════════
+// BOT SEATS
+// ═══════════════════════════════
+
+/** Pause before and between bot actions so humans can follow along (ms) */
+const BOT_ACTION_DELAY = 900;
+
+/** @type {Set<string>} room codes with a bot turn in flight */
+const botTurnsInFlight = new Set();
+
+/**
+ * If the current seat is a bot, play its turn after a short pause.
+ * Safe to call after every state change — at most one bot turn runs per room.
+ * @param {object} room
+ */
+function scheduleBotTurn(room) {
+    const state = room.gameState;
+    if (!state || state.phase === PHASE.ROUND_OVER || state.phase === PHASE.GAME_OVER) return;
+    if (room.pause || botTurnsInFlight.has(room.code)) return;
+
+    const botId = state.players[state.currentPlayerIndex].playerId;
+    if (!isBotSeat(room, botId)) return;
+    // Nobody left to watch — wait for a human to come back. A tournament
+    // table plays on, or its round could never finish.
+    if (!room.tournament && !room.players.some(p => !p.isBot && p.connected)) return;
+
+    botTurnsInFlight.add(room.code);
+    setTimeout(() => {
+        // Bots at work keep the room from being swept as abandoned
+        roomManager.touchRoom(room.code);
+        playBotTurn(room, botId)
+            .catch(err => console.error(`[Bot] Turn failed in room ${room.code}:`, err))
+            .finally(() => {
+                botTurnsInFlight.delete(room.code);
+                // The next seat may be a bot too
+                scheduleBotTurn(room);
+            });
+    }, botDelay(room));
+}
+
+/**
+ * Play one bot turn through `handleAction`, exactly as a human client would.
+ * @param {object} room
+ * @param {string} botId
+ */
+async function playBotTurn(room, botId) {
+    const state = room.gameState;
+    const isBotTurn = () =>
+        roomManager.getRoom(room.code) === room &&
+        room.gameState === state &&
+        state.phase !== PHASE.ROUND_OVER &&
+        state.phase !== PHASE.GAME_OVER &&
+        !room.pause &&
+        state.players[state.currentPlayerIndex].playerId === botId &&
+        isBotSeat(room, botId);
+    const act = (payload) => {
+        const result = handleAction(room, botId, payload);
+        if (!result.success) console.warn(`[Bot] ${payload.action} rejected in room ${room.code}: ${result.error}`);
+        return result;
+    };
+
+    if (!isBotTurn()) return;
+
+    // The starting player opens in DISCARD with a full hand — no draw
+    if (state.phase === PHASE.DRAW) {
+        const [draw] = aiDecideTurn(state);
+        const result = act({ action: draw.source === 'discard' ? 'draw_discard' : 'draw_stock' });
+        if (!result.success) act({ action: 'draw_stock' });
+        await delay(botDelay(room));
+    }
+
+    // Put back a pickup the plan can't use, redraw from the stock and plan again
+    const returnPickup = async () => {
+        act({ action: 'return_discard' });
+        act({ action: 'draw_stock' });
+        await delay(botDelay(room));
+    };
+
+    let steps = isBotTurn() ? aiDecideMeldsAndDiscard(state) : [];
+    while (steps.length > 0) {
+        const step = steps.shift();
+        if (!isBotTurn()) return;
+
+        if (step.type === 'return_discard') {
+            await returnPickup();
+            steps = isBotTurn() ? aiDecideMeldsAndDiscard(state) : [];
+            continue;
+        }
+
+        if (step.type === 'meld') {
+            act({ action: 'play_melds', meldCardIds: step.meldCardIds });
+        } else if (step.type === 'extend') {
+            act({ action: 'extend_meld', tableMeldIndex: step.tableMeldIndex, cardIds: step.cardIds, position: step.position });
+        } else if (step.type === 'discard') {
+            act({ action: 'discard', cardId: step.cardId });
+            return;
+        }
+        await delay(botDelay(room));
+    }
+
+    // A planned step was rejected and the turn never ended — throw the last card
+    if (isBotTurn() && pendingDiscardPickup(state)) await returnPickup();
+    if (isBotTurn()) {
+        const hand = state.players[state.currentPlayerIndex].hand;
+        if (hand.length > 0) act({ action: 'discard', cardId: hand[hand.length - 1].id });
+    }
+}
+
+/**
+ * Bot pause for this room — none in speed mode.
+ * @param {object} room
+ * @returns {number} ms
+ */
+function botDelay(room) {
+    return room.gameState?.config.speedMode ? 0 : BOT_ACTION_DELAY;
+}
+
+/**
+ * Whether a seat is played by the server — a bot, or a human whose seat a
+ * bot has taken over after a disconnect.
+ * @param {object} room
+ * @param {string} playerId
+ * @returns {boolean}
+ */
+function isBotSeat(room, playerId) {
+    const seat = room.players.find(p => p.id === playerId);
+    return !!seat && (seat.isBot || !!seat.botControlled);
+}
+
+// ═══════════════════════════════
+// DISCONNECT TAKEOVER
+// ═══════════════════════════════
+
+/** @type {Map<string, NodeJS.Timeout>} `${roomCode}:${playerId}` → pending takeover */
+const takeoverTimers = new Map();
+
+/**
+ * Start the grace period for a player who dropped mid-game. If they are not
+ * back in time a bot plays their seat until they reconnect.
+ * @param {object} room
+ * @param {string} playerId
+ */
+function scheduleTakeover(room, playerId) {
+    const state = room.gameState;
+    let seconds = state?.config?.botTakeoverSeconds ?? 30;
+    // Takeover can't be switched off at a tournament table — absent players would stall the bracket
+    if (room.tournament && seconds <= 0) seconds = DEFAULTS.BOT_TAKEOVER_SECONDS;
+    if (!state || seconds <= 0) return;
+
+    const key = `${room.code}:${playerId}`;
+    clearTimeout(takeoverTimers.get(key));
+    takeoverTimers.set(key, setTimeout(() => {
+        takeoverTimers.delete(key);
+        if (roomManager.getRoom(room.code) !== room) return;
+        const seat = room.players.find(p => p.id === playerId);
+        if (!seat || seat.connected || room.status !== 'playing') return;
+        botTakeOver(room, playerId, { graceSeconds: seconds });
+    }, seconds * 1000));
+}
+
+/**
+ * Let a bot play a human's seat from now on.
+ * @param {object} room
+ * @param {string} playerId
+ * @param {object} details — passed on in the `bot_takeover` event
+ */
+function botTakeOver(room, playerId, details) {
+    const state = room.gameState;
+    const seat = room.players.find(p => p.id === playerId);
+    if (!state || !seat || seat.botControlled) return;
+
+    seat.botControlled = true;
+    const statePlayer = state.players.find(p => p.playerId === playerId);
+    if (statePlayer) statePlayer.botControlled = true;
+    console.log(`[Bot] Taking over ${seat.name}'s seat in room ${room.code}`);
+
+    broadcastToRoom(room, {
+        type: 'game_event',
+        eventType: 'bot_takeover',
+        playerIndex: state.players.indexOf(statePlayer),
+        playerName: seat.name,
+        details
+    });
+    broadcastGameState(room);
+    roomManager.saveSnapshot(room);
+    scheduleBotTurn(room);
+}
+
+/**
+ * Deal with a seat whose player was kicked mid-game: a bot plays it on, or
+ * the seat forfeits — what is left in its hand is added to its score and
+ * it is out of the game.
+ * @param {object} room
+ * @param {string} playerId
+ * @param {'bot'|'forfeit'} mode
+ */
+function removeFromGame(room, playerId, mode) {
+    const key = `${room.code}:${playerId}`;
+    clearTimeout(takeoverTimers.get(key));
+    takeoverTimers.delete(key);
+    if (mode === 'bot') {
+        botTakeOver(room, playerId, { kicked: true });
+        return;
+    }
+
+    const state = room.gameState;
+    const playerIndex = state?.players.findIndex(p => p.playerId === playerId) ?? -1;
+    const player = state?.players[playerIndex];
+    if (!player || player.eliminated) return;
+
+    const inPlay = state.phase !== PHASE.ROUND_OVER && state.phase !== PHASE.GAME_OVER;
+    const onTurn = inPlay && state.currentPlayerIndex === playerIndex;
+    let penalty = 0;
+    if (inPlay) {
+        if (onTurn) restoreDiscardPickup(state);
+        penalty = calculateHandPenalty(player.hand);
+        player.score += penalty;
+        player.hand = [];
+    }
+    player.eliminated = true;
+    console.log(`[GAME] ${player.name} forfeited in room ${room.code} (+${penalty})`);
+
+    broadcastToRoom(room, {
+        type: 'game_event',
+        eventType: 'forfeit',
+        playerIndex,
+        playerName: player.name,
+        details: { penalty }
+    });
+    recordReplayStep(room, playerIndex, { action: 'forfeit', penalty }, { success: true }, true);
+
+    if (isGameOver(state.players)) {
+        // The last seat standing takes the round
+        clearTurnTimer(room.code);
+        const survivor = state.players.findIndex(p => !p.eliminated);
+        if (inPlay) endRound(room, survivor, false);
+        else finishGame(room);
+        roomManager.saveSnapshot(room);
+        return;
+    }
+
+    if (onTurn) {
+        advanceTurn(state);
+        // A paused game starts the next turn afresh once it resumes
+        if (room.pause) room.pause.turnSecondsLeft = null;
+        else startTurnTimer(room);
+    }
+    broadcastGameState(room);
+    roomManager.saveSnapshot(room);
+    scheduleBotTurn(room);
+}
+
+/**
+ * Give a seat back to its player on reconnect (cancels a pending takeover).
+ * @param {object} room
+ * @param {string} playerId
+ */
+function handBack(room, playerId) {
+    const key = `${room.code}:${playerId}`;
+    clearTimeout(takeoverTimers.get(key));
+    takeoverTimers.delete(key);
+
+    const seat = room.players.find(p => p.id === playerId);
+    if (!seat || !seat.botControlled) return;
+
+    seat.botControlled = false;
+    const state = room.gameState;
+    const statePlayer = state?.players.find(p => p.playerId === playerId);
+    if (statePlayer) statePlayer.botControlled = false;
+    console.log(`[Bot] Handing ${seat.name}'s seat back in room ${room.code}`);
+
+    broadcastToRoom(room, {
+        type: 'game_event',
+        eventType: 'bot_handback',
+        playerIndex: state ? state.players.indexOf(statePlayer) : -1,
+        playerName: seat.name,
+        details: {}
+    });
+    roomManager.saveSnapshot(room);
+}
+
+// ═══════════════════════════════
+// PAUSE & TABLE VOTES
+// ═══════════════════════════════
+
+/** Seconds a pause/resume vote stays open */
+const VOTE_SECONDS = 30;
+
+/** @type {Map<string, NodeJS.Timeout>} room code → vote expiry */
+const voteTimers = new Map();
+/** @type {Map<string, NodeJS.Timeout>} room code → automatic resume */
+const pauseTimers = new Map();
+
+/**
+ * Seats that get a say in a table vote: connected humans still at the table.
+ * @param {object} room
+ * @returns {Array<object>}
+ */
+function voters(room) {
+    return room.players.filter(p => !p.isBot && !p.kicked && p.connected);
+}
+
+/**
+ * Ask the table to pause, resume or (once the game is over) play again.
+ * The caller's own vote counts as yes.
+ * @param {object} room
+ * @param {string} playerId
+ * @param {'pause'|'resume'|'rematch'} kind
+ * @returns {{ success: boolean, error?: string }}
+ */
+function requestVote(room, playerId, kind) {
+    const state = room.gameState;
+    if (!state || room.status !== 'playing') return { success: false, error: 'No game in progress' };
+    if (kind === 'pause') {
+        if (room.pause) return { success: false, error: 'The game is already paused' };
+        if (state.phase === PHASE.ROUND_OVER || state.phase === PHASE.GAME_OVER) {
+            return { success: false, error: 'Only a round in play can be paused' };
+        }
+    } else if (kind === 'resume') {
+        if (!room.pause) return { success: false, error: 'The game is not paused' };
+    } else if (kind === 'rematch') {
+        if (state.phase !== PHASE.GAME_OVER) return { success: false, error: 'A rematch can only be called once the game is over' };
+        if (room.tournament) return { success: false, error: 'Tournament tables play a single game' };
+    } else {
+        return { success: false, error: `Unknown vote: ${kind}` };
+    }
+    if (room.vote) return { success: false, error: 'A vote is already running' };
+
+    const player = voters(room).find(p => p.id === playerId);
+    if (!player) return { success: false, error: 'Only players at the table can call a vote' };
+
+    room.vote = { kind, by: playerId, byName: player.name, yes: [playerId], no: [], endsAt: Date.now() + VOTE_SECONDS * 1000 };
+    voteTimers.set(room.code, setTimeout(() => {
+        voteTimers.delete(room.code);
+        if (room.vote) closeVote(room, false);
+    }, VOTE_SECONDS * 1000));
+    console.log(`[VOTE] ${player.name} asked to ${kind} room ${room.code}`);
+    checkVote(room);
+    return { success: true };
+}
+
+/**
+ * Answer the running vote.
+ * @param {object} room
+ * @param {string} playerId
+ * @param {boolean} yes
+ * @returns {{ success: boolean, error?: string }}
+ */
+function castVote(room, playerId, yes) {
+    const vote = room.vote;
+    if (!vote) return { success: false, error: 'There is no vote to answer' };
+    if (!voters(room).some(p => p.id === playerId)) return { success: false, error: 'Only players at the table can vote' };
+
+    vote.yes = vote.yes.filter(id => id !== playerId);
+    vote.no = vote.no.filter(id => id !== playerId);
+    (yes ? vote.yes : vote.no).push(playerId);
+    checkVote(room);
+    return { success: true };
+}
+
+/**
+ * Count the running vote against whoever is at the table right now (also
+ * re-checked when someone drops). A majority decides; otherwise everyone
+ * sees the tally.
+ * @param {object} room
+ */
+function checkVote(room) {
+    if (!room.vote) return;
+    const { yes, no, needed } = describeVote(room);
+
+    if (yes.length >= needed) closeVote(room, true);
+    else if (voters(room).length - no.length < needed) closeVote(room, false);
+    else broadcastToRoom(room, { type: 'vote_update', vote: describeVote(room) });
+}
+
+/**
+ * The running vote as clients see it — votes by seat index.
+ * @param {object} room
+ * @returns {{ kind: string, byName: string, yes: number[], no: number[], needed: number, endsIn: number }}
+ */
+function describeVote(room) {
+    const vote = room.vote;
+    const eligible = voters(room);
+    const seats = ids => eligible.filter(p => ids.includes(p.id)).map(p => room.players.indexOf(p));
+    return {
+        kind: vote.kind,
+        byName: vote.byName,
+        yes: seats(vote.yes),
+        no: seats(vote.no),
+        needed: Math.floor(eligible.length / 2) + 1,
+        endsIn: Math.max(0, Math.ceil((vote.endsAt - Date.now()) / 1000))
+    };
+}
+
+/**
+ * @param {object} room
+ * @param {boolean} passed
+ */
+function closeVote(room, passed) {
+    const { kind, byName } = room.vote;
+    clearTimeout(voteTimers.get(room.code));
+    voteTimers.delete(room.code);
+    room.vote = null;
+    console.log(`[VOTE] ${kind} vote in room ${room.code} ${passed ? 'passed' : 'failed'}`);
+
+    broadcastToRoom(room, { type: 'vote_ended', kind, byName, passed });
+    if (!passed) return;
+    if (kind === 'pause') pauseGame(room, byName);
+    else if (kind === 'rematch') startRematch(room);
+    else resumeGame(room, 'vote');
+}
+
+/**
+ * Freeze the game: the turn timer stops with its time left kept, actions are
+ * refused and bots wait. Play resumes by vote or after `maxPauseSeconds`.
+ * @param {object} room
+ * @param {string} byName — who asked for the pause
+ */
+function pauseGame(room, byName) {
+    const seconds = room.gameState.config.maxPauseSeconds || 300;
+    room.pause = {
+        byName,
+        since: Date.now(),
+        resumeAt: Date.now() + seconds * 1000,
+        turnSecondsLeft: turnTimers.get(room.code)?.remaining ?? null
+    };
+    clearTurnTimer(room.code);
+    scheduleAutoResume(room);
+    console.log(`[GAME] Room ${room.code} paused for up to ${seconds}s`);
+
+    broadcastToRoom(room, { type: 'game_paused', byName, resumeIn: seconds });
+    broadcastGameState(room);
+    roomManager.saveSnapshot(room);
+}
+
+/**
+ * Resume play once `room.pause.resumeAt` comes round.
+ * @param {object} room
+ */
+function scheduleAutoResume(room) {
+    clearTimeout(pauseTimers.get(room.code));
+    pauseTimers.set(room.code, setTimeout(() => {
+        pauseTimers.delete(room.code);
+        if (roomManager.getRoom(room.code) === room) resumeGame(room, 'timeout');
+    }, Math.max(0, room.pause.resumeAt - Date.now())));
+}
+
+/**
+ * Unfreeze the game and restart the turn timer with the time that was left.
+ * @param {object} room
+ * @param {'vote'|'timeout'} reason
+ */
+function resumeGame(room, reason) {
+    if (!room.pause) return;
+    const { turnSecondsLeft } = room.pause;
+    endPause(room);
+    console.log(`[GAME] Room ${room.code} resumed (${reason})`);
+
+    broadcastToRoom(room, { type: 'game_resumed', reason });
+    startTurnTimer(room, turnSecondsLeft);
+    broadcastToRoom(room, { type: 'timer_tick', remaining: turnTimers.get(room.code).remaining });
+    broadcastGameState(room);
+    roomManager.saveSnapshot(room);
+    scheduleBotTurn(room);
+}
+
+/**
+ * Drop any pause and running vote without restarting anything (the round or
+ * game ended, or play resumed).
+ * @param {object} room
+ */
+function endPause(room) {
+    clearTimeout(pauseTimers.get(room.code));
+    pauseTimers.delete(room.code);
+    clearTimeout(voteTimers.get(room.code));
+    voteTimers.delete(room.code);
+    room.pause = null;
+    room.vote = null;
+}
+
+// ═══════════════════════════════
+// REMATCH & SERIES
+// ═══════════════════════════════
+
+/**
+ * Play again in the same room with the same settings (a passed `rematch`
+ * vote). Seats whose player left are dropped; scores start from zero, and a
+ * series carries on — or starts over once it has been decided.
+ * @param {object} room
+ */
+function startRematch(room) {
+    const { removed, error } = roomManager.prepareRematch(room.code);
+    if (error) {
+        broadcastToRoom(room, { type: 'action_error', error });
+        return;
+    }
+    clearNextRoundTimer(room.code);
+    endPause(room);
+    console.log(`[GAME] Rematch in room ${room.code}${removed.length ? ` without ${removed.map(p => p.name).join(', ')}` : ''}`);
+    startGame(room, { rematch: true });
+    roomManager.saveSnapshot(room);
+}
+
+/**
+ * Wins needed to take a best-of-`length` series.
+ * @param {number} length
+ * @returns {number}
+ */
+function seriesTarget(length) {
+    return Math.floor(length / 2) + 1;
+}
+
+/**
+ * Set up `room.series` for the game about to start: a new series when the
+ * room plays one (`SERIES_LENGTH`) and none is running, otherwise the next
+ * game of the current one.
+ * @param {object} room
+ */
+function ensureSeries(room) {
+    const length = room.settings.SERIES_LENGTH || 0;
+    if (!length) {
+        room.series = null;
+        return;
+    }
+    if (!room.series || room.series.winnerId) {
+        room.series = { length, gameNumber: 0, games: [], standings: [], winnerId: null };
+    }
+    const series = room.series;
+    series.gameNumber++;
+    for (const p of room.players) {
+        const row = series.standings.find(r => r.playerId === p.id);
+        if (row) row.name = p.name;
+        else series.standings.push({ playerId: p.id, name: p.name, wins: 0, points: 0 });
+    }
+}
+
+/**
+ * Score a finished game for the series: a win for the game's winner (a
+ * shared first place counts for each), final scores added to everyone's
+ * points. The series is decided once one player reaches the target, or
+ * after its last game on wins and then the lower points.
+ * @param {object} room
+ */
+function recordSeriesGame(room) {
+    const series = room.series;
+    if (!series || series.winnerId) return;
+    const state = room.gameState;
+    const placings = placeSeats(state.players);
+
+    state.players.forEach((p, i) => {
+        const row = series.standings.find(r => r.playerId === p.playerId);
+        if (!row) return;
+        row.points += p.score;
+        if (placings[i] === 1) row.wins++;
+    });
+    series.games.push({
+        number: series.gameNumber,
+        winners: state.players.filter((_, i) => placings[i] === 1).map(p => p.name),
+        scores: state.players.map(p => ({ name: p.name, score: p.score }))
+    });
+
+    const ranked = [...series.standings].sort((a, b) => b.wins - a.wins || a.points - b.points);
+    const leaders = series.standings.filter(r => r.wins >= seriesTarget(series.length));
+    if (leaders.length === 1) series.winnerId = leaders[0].playerId;
+    else if (series.games.length >= series.length) series.winnerId = ranked[0].playerId;
+    if (series.winnerId) {
+        console.log(`[GAME] ${ranked.find(r => r.playerId === series.winnerId).name} wins the best-of-${series.length} series in room ${room.code}`);
+    }
+}
+
+/**
+ * The series as clients see it, standings best first.
+ * @param {object} room
+ * @returns {{ length: number, target: number, gameNumber: number, standings: Array<{ name: string, wins: number, points: number }>, games: Array<object>, winnerName: string|null }|null}
+ */
+function describeSeries(room) {
+    const series = room.series;
+    if (!series) return null;
+    const standings = [...series.standings].sort((a, b) => b.wins - a.wins || a.points - b.points);
+    return {
+        length: series.length,
+        target: seriesTarget(series.length),
+        gameNumber: series.gameNumber,
+        standings: standings.map(({ name, wins, points }) => ({ name, wins, points })),
+        games: series.games,
+        winnerName: standings.find(r => r.playerId === series.winnerId)?.name || null
+    };
+}
+
+// ═══════════════════════════════
+// RESTART RECOVERY
+// ═══════════════════════════════
+
+/**
+ * Pick a room loaded from its snapshot back up where it left off: relink its
+ * state, restart the turn timer with the time that was left (or the pause
+ * with its time left), start the takeover and host grace periods for the
+ * players who now have to reconnect, and restart a speed-mode or
+ * tournament countdown.
+ * The time the server was down is not charged to anyone.
+ * @param {object} room — from `roomManager.loadSnapshots()`
+ */
+function restoreRoom(room) {
+    const state = room.gameState;
+    const { turnSecondsLeft, savedAt } = room;
+    delete room.turnSecondsLeft;
+    delete room.savedAt;
+    if (room.status !== 'playing' || !state) return;
+
+    linkRoom(room);
+    const inPlay = state.phase !== PHASE.ROUND_OVER && state.phase !== PHASE.GAME_OVER;
+
+    if (room.pause) {
+        room.pause.resumeAt = Date.now() + Math.max(0, room.pause.resumeAt - (savedAt || Date.now()));
+        scheduleAutoResume(room);
+    } else if (inPlay) {
+        startTurnTimer(room, turnSecondsLeft);
+    } else if (state.phase === PHASE.ROUND_OVER && state.config.speedMode) {
+        scheduleNextRound(room);
+    } else if (state.phase === PHASE.ROUND_OVER && room.tournament) {
+        scheduleNextRound(room, TOURNAMENT.NEXT_ROUND_SECONDS);
+    }
+
+    for (const seat of room.players) {
+        if (!seat.isBot && !seat.kicked && !seat.botControlled) scheduleTakeover(room, seat.id);
+    }
+    checkHost(room);
+    console.log(`[GAME] Restored room ${room.code} (round ${state.roundNumber}, ${state.phase}${room.pause ? ', paused' : ''}) after ${room.downtimeSeconds}s down`);
+}
+
+// ═══════════════════════════════
+// DISPOSAL
+// ═══════════════════════════════
+
+/**
+ * Stop every timer a room owns (turn, next round, takeovers, votes, pause,
+ * host handover) before it is thrown away.
+ * @param {object} room
+ */
+function disposeRoom(room) {
+    clearTurnTimer(room.code);
+    clearNextRoundTimer(room.code);
+    endPause(room);
+    for (const [key, timer] of takeoverTimers) {
+        if (!key.startsWith(`${room.code}:`)) continue;
+        clearTimeout(timer);
+        takeoverTimers.delete(key);
+    }
+    clearTimeout(hostTimers.get(room.code));
+    hostTimers.delete(room.code);
+}
+
+// ═══════════════════════════════
+// HOST MIGRATION
+// ═══════════════════════════════
+
+/** @type {Map<string, NodeJS.Timeout>} room code → pending host handover */
+const hostTimers = new Map();
+
+/**
+ * Keep a game's host reachable. Called whenever a player drops or comes
+ * back: a connected host cancels any pending handover; a missing one starts
+ * the grace period, and once it has run out host passes to the next
+ * connected player in seat order (at once, if nobody was around to take it
+ * when the grace period ended).
+ * @param {object} room
+ */
+function checkHost(room) {
+    const host = room.players.find(p => p.id === room.host);
+    if (host?.connected || room.status !== 'playing') {
+        clearTimeout(hostTimers.get(room.code));
+        hostTimers.delete(room.code);
+        room.hostAwaySince = null;
+        return;
+    }
+
+    const seconds = room.gameState?.config?.hostMigrationSeconds ?? 30;
+    if (!room.hostAwaySince) room.hostAwaySince = Date.now();
+    const remaining = room.hostAwaySince + seconds * 1000 - Date.now();
+    if (remaining > 0) {
+        if (hostTimers.has(room.code)) return;
+        hostTimers.set(room.code, setTimeout(() => {
+            hostTimers.delete(room.code);
+            if (roomManager.getRoom(room.code) === room) checkHost(room);
+        }, remaining));
+        return;
+    }
+
+    const start = room.players.indexOf(host);
+    const candidate = room.players
+        .map((_, k) => room.players[(start + 1 + k) % room.players.length])
+        .find(p => !p.isBot && !p.kicked && p.connected);
+    if (!candidate) return;
+
+    const previous = host?.name || '?';
+    roomManager.transferHost(room.code, candidate.id);
+    room.hostAwaySince = null;
+    console.log(`[ROOM] Host of room ${room.code} passed from ${previous} to ${candidate.name} (disconnected)`);
+    announceHost(room, { automatic: true, previousHostName: previous });
+    roomManager.saveSnapshot(room);
+}
+
+/**
+ * Tell the room who its host is now.
+ * @param {object} room
+ * @param {object} [extra] — added to the `host_changed` message
+ */
+function announceHost(room, extra = {}) {
+    const host = room.players.find(p => p.id === room.host);
+    broadcastRoster(room, {
+        type: 'host_changed',
+        roomCode: room.code,
+        hostName: host.name,
+        hostIndex: room.players.indexOf(host),
+        ...extra
+    });
+}
+
+/**
+ * Promisified delay.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ═══════════════════════════════
+// BROADCASTING
+// ═══════════════════════════════
+
+/**
+ * Broadcast game state to all players (each sees only their own hand).
+ * @param {object} room
+ */
+function broadcastGameState(room) {
+    const state = room.gameState;
+    if (!state) return;
+
+    linkRoom(room);
+
+    for (let i = 0; i < room.players.length; i++) {
+        const player = room.players[i];
+        if (!player.ws || !player.connected) continue;
+        sendToPlayer(player, { type: 'game_state', ...buildStateView(state, i, false, room) });
+    }
+
+    sendToSpectators(room, { type: 'game_state', ...buildStateView(state, -1, spectatorDelay(room) > 0, room) });
+}
+
+/**
+ * Store the room on its state for the action handlers (non-enumerable to
+ * avoid circular JSON).
+ * @param {object} room
+ */
+function linkRoom(room) {
+    Object.defineProperty(room.gameState, '_room', {
+        value: room,
+        enumerable: false,
+        writable: true,
+        configurable: true
+    });
+}
+
+/**
+ * What one viewer may see of the game state.
+ * @param {object} state
+ * @param {number} viewerIndex — seat index, or -1 for a spectator
+ * @param {boolean} revealHands — show every hand (delayed spectator feed)
+ * @param {object} [room] — adds the pause and any running vote
+ * @returns {object}
+ */
+function buildStateView(state, viewerIndex, revealHands, room) {
+    return {
+        myIndex: viewerIndex,
+        spectator: viewerIndex === -1,
+        roundNumber: state.roundNumber,
+        currentPlayerIndex: state.currentPlayerIndex,
+        phase: state.phase,
+        players: state.players.map((p, j) => ({
+            name: p.name,
+            handSize: p.hand.length,
+            hand: j === viewerIndex || revealHands ? p.hand : [], // only show own hand
+            hasOpened: p.hasOpened,
+            score: p.score,
+            eliminated: p.eliminated,
+            colour: p.colour,
+            icon: p.icon,
+            difficulty: p.difficulty || null,
+            isBot: !p.isHuman,
+            botControlled: !!p.botControlled,
+            isMe: j === viewerIndex
+        })),
+        stock: { count: state.stock.length },
+        discardPile: {
+            count: state.discardPile.length,
+            topCard: state.discardPile.length > 0
+                ? state.discardPile[state.discardPile.length - 1]
+                : null
+        },
+        tableMelds: state.tableMelds.map(m => ({
+            cards: m.cards,
+            owner: m.owner
+        })),
+        lastAction: state.lastAction,
+        drawnFromDiscard: state.currentPlayerIndex === viewerIndex ? state.drawnFromDiscard : false,
+        // The pickup was face up on the pile, so everyone may see it is owed to a meld
+        pendingPickup: pendingDiscardPickup(state),
+        pickupReturned: !!state.pickupReturned,
+        paused: room?.pause ? { byName: room.pause.byName, resumeIn: Math.max(0, Math.ceil((room.pause.resumeAt - Date.now()) / 1000)) } : null,
+        vote: room?.vote ? describeVote(room) : null,
+        series: room ? describeSeries(room) : null,
+        tournament: room?.tournament || null,
+        config: state.config
+    };
+}
+
+/**
+ * Broadcast a raw message to all connected players in a room.
+ * @param {object} room
+ * @param {object} msg
  */
 function broadcastToRoom(room, msg) {
     for (const player of room.players) {
         sendToPlayer(player, msg);
     }
+    sendToSpectators(room, msg);
+}
+
+/**
+ * Broadcast a message with the room's seats attached: the public player
+ * list and first dealer, plus each player's own seat as `myIndex`. Seats
+ * are only ever named by index — ids stay on the server.
+ * @param {object} room
+ * @param {object} msg
+ */
+function broadcastRoster(room, msg) {
+    const roster = { ...msg, players: roomManager.getPlayerList(room), firstDealer: roomManager.getFirstDealer(room) };
+    room.players.forEach((player, i) => sendToPlayer(player, { ...roster, myIndex: i }));
+    sendToSpectators(room, roster);
 }
 
 /**
@@ -1039,7 +1791,26 @@ module.exports = {
     handleAction,
     nextRound,
     broadcastGameState,
+    scheduleTakeover,
+    handBack,
+    removeFromGame,
+    acknowledgeRound,
+    checkRoundAcks,
+    requestVote,
+    castVote,
+    startRematch,
+    onGameOver,
+    placeSeats,
+    checkVote,
+    checkHost,
+    announceHost,
+    restoreRoom,
+    disposeRoom,
+    scheduleBotTurn,
+    getReplay,
+    welcomeSpectator,
     broadcastToRoom,
+    broadcastRoster,
     sendToPlayer,
     clearTurnTimer,
     PHASE
@@ -1,58 +1,59 @@
 /**
- * PvP Leaderboard — persisted to data/leaderboard.json.
- * Tracks wins, losses, and total score per player.
+ * PvP Leaderboard — persisted as the `leaderboard` document (see storage.cjs).
+ * Tracks a skill rating (see rating.cjs), wins, losses and total score per
+ * player. Signed-in players are
+ * keyed by account id (their row keeps its stats through renames); guests
+ * fall back to matching by name and never match an account's row.
  * @module server/leaderboard
  */
 
-const fs = require('fs');
-const path = require('path');
+const storage = require('./storage.cjs');
+const rating = require('./rating.cjs');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const LB_FILE = path.join(DATA_DIR, 'leaderboard.json');
+const { INITIAL_RATING } = rating;
+
+/** Players kept on file (least recently active are dropped first) */
+const MAX_ENTRIES = 1000;
+/** Rating history points kept per player */
+const MAX_RATING_HISTORY = 100;
 
 /**
- * Load leaderboard from disk.
+ * Load the leaderboard.
  * @returns {Array<object>}
  */
 function loadLeaderboard() {
     try {
-        if (!fs.existsSync(LB_FILE)) return [];
-        const raw = fs.readFileSync(LB_FILE, 'utf-8');
-        return JSON.parse(raw);
+        return storage.read('leaderboard') || [];
     } catch {
         return [];
     }
 }
 
 /**
- * Save leaderboard to disk.
+ * Save the leaderboard (written out by the next storage flush).
  * @param {Array<object>} entries
  */
 function saveLeaderboard(entries) {
-    try {
-        if (!fs.existsSync(DATA_DIR)) {
-            fs.mkdirSync(DATA_DIR, { recursive: true });
-        }
-        fs.writeFileSync(LB_FILE, JSON.stringify(entries, null, 2), 'utf-8');
-    } catch (err) {
-        console.warn('saveLeaderboard: failed —', err.message);
-    }
+    storage.write('leaderboard', entries);
 }
 
 /**
- * Record a game result for a player.
- * @param {string} playerName
- * @param {boolean} won
- * @param {number} score — final score at end of game
+ * Find a player's row, creating it on first play.
+ * @param {Array<object>} entries — mutated
+ * @param {{ name: string, accountId?: string|null }} player
+ * @returns {object}
  */
-function recordResult(playerName, won, score) {
-    const entries = loadLeaderboard();
-    const normalizedName = playerName.trim();
+function findOrCreateEntry(entries, player) {
+    const normalizedName = player.name.trim();
+    const accountId = player.accountId || null;
 
-    let entry = entries.find(e => e.name.toLowerCase() === normalizedName.toLowerCase());
+    let entry = accountId
+        ? entries.find(e => e.accountId === accountId)
+        : entries.find(e => !e.accountId && e.name.toLowerCase() === normalizedName.toLowerCase());
 
     if (!entry) {
         entry = {
+            accountId,
             name: normalizedName,
             wins: 0,
             losses: 0,
@@ -62,38 +63,78 @@ function recordResult(playerName, won, score) {
         };
         entries.push(entry);
     }
-
-    if (won) {
-        entry.wins++;
-    } else {
-        entry.losses++;
+    // Rows from before ratings existed start from scratch
+    if (entry.rating === undefined) {
+        entry.rating = INITIAL_RATING;
+        entry.ratedGames = 0;
+        entry.ratingHistory = [];
     }
-    entry.gamesPlayed++;
-    entry.totalScore += score;
-    entry.lastPlayed = Date.now();
-
-    // Sort by wins descending, then by win rate
-    entries.sort((a, b) => {
-        const aRate = a.gamesPlayed > 0 ? a.wins / a.gamesPlayed : 0;
-        const bRate = b.gamesPlayed > 0 ? b.wins / b.gamesPlayed : 0;
-        if (b.wins !== a.wins) return b.wins - a.wins;
-        return bRate - aRate;
+    entry.name = normalizedName;
+    return entry;
+}
+
+/**
+ * Record a finished multiplayer game and re-rate its players.
+ * Only the humans passed in are rated against each other; a game with a
+ * single human still counts towards wins/losses but moves no rating.
+ * @param {Array<{ name: string, accountId?: string|null, placing: number, score: number }>} players — human seats; placing 1 = won the game
+ * @param {{ roomCode?: string }} [info]
+ * @returns {Array<{ before: number, after: number, change: number, provisional: boolean }>} same order as `players`
+ */
+function recordGame(players, { roomCode = null } = {}) {
+    const entries = loadLeaderboard();
+    const rows = players.map(p => findOrCreateEntry(entries, p));
+    const rated = players.length >= 2;
+    const changes = rated
+        ? rating.computeRatingChanges(rows.map((row, i) => ({
+            rating: row.rating,
+            ratedGames: row.ratedGames,
+            placing: players[i].placing
+        })))
+        : rows.map(row => ({ before: row.rating, after: row.rating, change: 0 }));
+
+    const now = Date.now();
+    rows.forEach((row, i) => {
+        if (players[i].placing === 1) row.wins++;
+        else row.losses++;
+        row.gamesPlayed++;
+        row.totalScore += players[i].score;
+        row.lastPlayed = now;
+
+        if (rated) {
+            row.rating = changes[i].after;
+            row.ratedGames++;
+            row.ratingHistory.push({ at: now, rating: row.rating, change: changes[i].change, roomCode });
+            row.ratingHistory = row.ratingHistory.slice(-MAX_RATING_HISTORY);
+        }
     });
 
-    // Keep top 100
-    const trimmed = entries.slice(0, 100);
-    saveLeaderboard(trimmed);
+    // Keep the most recently active players
+    entries.sort((a, b) => b.lastPlayed - a.lastPlayed);
+    saveLeaderboard(entries.slice(0, MAX_ENTRIES));
+
+    return changes.map((c, i) => ({ ...c, provisional: rating.isProvisional(rows[i].ratedGames) }));
 }
 
 /**
- * Get the leaderboard (top 50).
- * @returns {Array<{ name: string, wins: number, losses: number, gamesPlayed: number, totalScore: number, winRate: string, lastPlayed: number }>}
+ * Get the leaderboard (top 50): settled ratings first, then provisional
+ * ones, each by rating.
+ * @returns {Array<{ rank: number, accountId: string|null, name: string, rating: number, provisional: boolean, wins: number, losses: number, gamesPlayed: number, totalScore: number, winRate: string, lastPlayed: number }>}
  */
 function getLeaderboard() {
-    const entries = loadLeaderboard();
+    const entries = loadLeaderboard().map(e => ({
+        ...e,
+        rating: e.rating ?? INITIAL_RATING,
+        provisional: rating.isProvisional(e.ratedGames ?? 0)
+    }));
+    entries.sort((a, b) => (a.provisional - b.provisional) || (b.rating - a.rating) || (b.wins - a.wins));
+
     return entries.slice(0, 50).map((e, i) => ({
         rank: i + 1,
+        accountId: e.accountId || null,
         name: e.name,
+        rating: e.rating,
+        provisional: e.provisional,
         wins: e.wins,
         losses: e.losses,
         gamesPlayed: e.gamesPlayed,
@@ -105,7 +146,46 @@ function getLeaderboard() {
     }));
 }
 
+/**
+ * A player's rating history, oldest first.
+ * @param {{ accountId?: string, name?: string }} key — account id, or a guest's name
+ * @returns {{ name: string, rating: number, provisional: boolean, history: Array<{ at: number, rating: number, change: number }> }|null}
+ */
+function getRatingHistory({ accountId, name }) {
+    const entries = loadLeaderboard();
+    const entry = accountId
+        ? entries.find(e => e.accountId === accountId)
+        : entries.find(e => !e.accountId && e.name.toLowerCase() === String(name || '').trim().toLowerCase());
+    if (!entry) return null;
+    return {
+        name: entry.name,
+        rating: entry.rating ?? INITIAL_RATING,
+        provisional: rating.isProvisional(entry.ratedGames ?? 0),
+        history: (entry.ratingHistory || []).map(h => ({ at: h.at, rating: h.rating, change: h.change }))
+    };
+}
+
+/**
+ * One account's leaderboard row, if it has played.
+ * @param {string} accountId
+ * @returns {{ wins: number, losses: number, gamesPlayed: number, totalScore: number, rating: number, provisional: boolean }|null}
+ */
+function getAccountStats(accountId) {
+    const entry = loadLeaderboard().find(e => e.accountId === accountId);
+    if (!entry) return null;
+    return {
+        wins: entry.wins,
+        losses: entry.losses,
+        gamesPlayed: entry.gamesPlayed,
+        totalScore: entry.totalScore,
+        rating: entry.rating ?? INITIAL_RATING,
+        provisional: rating.isProvisional(entry.ratedGames ?? 0)
+    };
+}
+
 module.exports = {
-    recordResult,
-    getLeaderboard
+    recordGame,
+    getLeaderboard,
+    getRatingHistory,
+    getAccountStats
 };
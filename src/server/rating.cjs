@@ -0,0 +1,66 @@
+/**
+ * Skill ratings for the PvP leaderboard — Elo extended to multi-player
+ * games by scoring every pair of players on their final placing.
+ * @module server/rating
+ */
+
+/** Rating a new player starts from */
+const INITIAL_RATING = 1200;
+/** A rating stays provisional until this many rated games */
+const PROVISIONAL_GAMES = 10;
+/** K-factor once a rating has settled */
+const K_ESTABLISHED = 32;
+/** K-factor while provisional, so new players find their level quickly */
+const K_PROVISIONAL = 64;
+
+/**
+ * Probability that a player rated `rating` beats one rated `opponent`.
+ * @param {number} rating
+ * @param {number} opponent
+ * @returns {number}
+ */
+function expectedScore(rating, opponent) {
+    return 1 / (1 + Math.pow(10, (opponent - rating) / 400));
+}
+
+/**
+ * @param {number} ratedGames
+ * @returns {boolean}
+ */
+function isProvisional(ratedGames) {
+    return ratedGames < PROVISIONAL_GAMES;
+}
+
+/**
+ * Rating changes for one finished game. Each pair of players counts as a
+ * win, loss or draw by placing; the K-factor is split across the
+ * n − 1 pairings so a four-player game moves ratings about as much as a
+ * two-player one.
+ * @param {Array<{ rating: number, ratedGames: number, placing: number }>} players — placing 1 = best; equal placings draw
+ * @returns {Array<{ before: number, after: number, change: number }>} same order as `players`
+ */
+function computeRatingChanges(players) {
+    const n = players.length;
+    if (n < 2) return players.map(p => ({ before: p.rating, after: p.rating, change: 0 }));
+
+    return players.map((p, i) => {
+        let actual = 0;
+        let expected = 0;
+        players.forEach((o, j) => {
+            if (i === j) return;
+            actual += p.placing < o.placing ? 1 : p.placing === o.placing ? 0.5 : 0;
+            expected += expectedScore(p.rating, o.rating);
+        });
+        const k = (isProvisional(p.ratedGames) ? K_PROVISIONAL : K_ESTABLISHED) / (n - 1);
+        const change = Math.round(k * (actual - expected));
+        return { before: p.rating, after: p.rating + change, change };
+    });
+}
+
+module.exports = {
+    INITIAL_RATING,
+    PROVISIONAL_GAMES,
+    expectedScore,
+    isProvisional,
+    computeRatingChanges
+};
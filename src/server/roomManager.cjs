@@ -4,15 +4,19 @@
  * @module server/roomManager
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
-
-const SNAPSHOT_DIR = path.join(__dirname, '..', 'data', 'rooms');
+const storage = require('./storage.cjs');
+const {
+    PLAYER_COLOURS, PLAYER_ICONS, AI_OPPONENT_DEFAULTS, AI_DIFFICULTY_LABELS, mergeConfig
+} = require('../engine/gameConfig.js');
 
 /** @type {Map<string, object>} roomCode → room */
 const rooms = new Map();
 
+/** Read-only sockets allowed per room */
+const MAX_SPECTATORS = 20;
+
 /**
  * Generate a 6-character uppercase room code.
  * @returns {string}
@@ -28,6 +32,28 @@ function generateRoomCode() {
     return code;
 }
 
+/**
+ * A seat's reconnect secret. Only ever sent to the seat's own player —
+ * player lists go out without ids or secrets.
+ * @returns {string}
+ */
+function issueSecret() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Compare a presented secret with the stored one in constant time.
+ * @param {string|undefined} expected
+ * @param {*} given
+ * @returns {boolean}
+ */
+function secretMatches(expected, given) {
+    if (!expected || typeof given !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 /**
  * Create a new room.
  * @param {string} hostName
@@ -35,31 +61,97 @@ function generateRoomCode() {
  * @param {object} settings — game config overrides
  * @param {string} [colour='#e63946']
  * @param {string} [icon='♠']
- * @returns {object} room
+ * @param {string|null} [accountId=null] — signed-in host's account
+ * @returns {{ room: object, playerId: string, secret: string }} `secret` reclaims the seat (`reconnectPlayer`)
  */
-function createRoom(hostName, hostWs, settings = {}, colour = '#e63946', icon = '♠') {
+function createRoom(hostName, hostWs, settings = {}, colour = '#e63946', icon = '♠', accountId = null) {
     const code = generateRoomCode();
     const playerId = uuidv4();
+    const secret = issueSecret();
 
     const room = {
         code,
         host: playerId,
         players: [{
             id: playerId,
+            secret,
             name: hostName,
             colour,
             icon,
+            accountId,
             ws: hostWs,
-            connected: true
+            connected: true,
+            ready: false
         }],
         settings: { ...settings },
+        /** Who is dealt the first hand: null = first seat, 'random', or a player id (sent out as a seat index) */
+        firstDealer: null,
+        /** Locked rooms take no new players */
+        locked: false,
+        /** Kicked-and-banned players: matched by account, or by name for guests */
+        bans: [],
+        spectators: [],
+        chat: [],
         gameState: null,
         status: 'waiting', // 'waiting' | 'playing' | 'finished'
-        createdAt: Date.now()
+        createdAt: Date.now(),
+        /** Last message from anyone seated here (see `touchRoom`) */
+        lastActivityAt: Date.now(),
+        /** When the final round ended */
+        finishedAt: null
+    };
+
+    rooms.set(code, room);
+    return { room, playerId, secret };
+}
+
+/**
+ * Open a tournament table: a locked room with every seat already assigned.
+ * Each seat gets its own id and secret, unrelated to the tournament's
+ * player ids; the tournament hands them to each player privately, and
+ * players take their seats with `reconnectPlayer`. The first seat hosts.
+ * @param {Array<{ name: string, colour: string, icon: string, accountId: string|null }>} seats
+ * @param {object} settings — already-validated game config overrides
+ * @param {{ code: string, name: string, round: number, table: number }} tournament — where the table belongs
+ * @returns {object} room
+ */
+function createTableRoom(seats, settings, tournament) {
+    const code = generateRoomCode();
+    const room = {
+        code,
+        host: null,
+        players: [],
+        settings: { ...settings },
+        firstDealer: 'random',
+        locked: true,
+        bans: [],
+        spectators: [],
+        chat: [],
+        gameState: null,
+        status: 'waiting',
+        createdAt: Date.now(),
+        lastActivityAt: Date.now(),
+        finishedAt: null,
+        tournament: { ...tournament }
     };
+    for (const seat of seats) {
+        const look = resolveAppearance(room, seat.colour, seat.icon);
+        room.players.push({
+            id: uuidv4(),
+            secret: issueSecret(),
+            name: seat.name,
+            colour: look.colour,
+            icon: look.icon,
+            accountId: seat.accountId || null,
+            ws: null,
+            connected: false,
+            ready: true
+        });
+    }
+    room.host = room.players[0].id;
 
     rooms.set(code, room);
-    return { room, playerId };
+    return room;
 }
 
 /**
@@ -69,30 +161,317 @@ function createRoom(hostName, hostWs, settings = {}, colour = '#e63946', icon =
  * @param {WebSocket} playerWs
  * @param {string} [colour='#457b9d']
  * @param {string} [icon='♥']
- * @returns {{ room: object, playerId: string, error?: string }}
+ * @param {string|null} [accountId=null] — signed-in player's account
+ * @returns {{ room: object, playerId: string, secret?: string, adjusted?: { colour: boolean, icon: boolean }, error?: string }}
+ *   `secret` reclaims the seat; `adjusted` flags a colour or icon that was taken and replaced
  */
-function joinRoom(code, playerName, playerWs, colour = '#457b9d', icon = '♥') {
+function joinRoom(code, playerName, playerWs, colour = '#457b9d', icon = '♥', accountId = null) {
     const room = rooms.get(code);
     if (!room) return { room: null, playerId: null, error: 'Room not found' };
     if (room.status !== 'waiting') return { room: null, playerId: null, error: 'Game already in progress' };
+    if (isBanned(room, playerName, accountId)) return { room: null, playerId: null, error: 'You have been banned from this room' };
+    if (room.locked) return { room: null, playerId: null, error: 'This room is locked' };
     if (room.players.length >= 4) return { room: null, playerId: null, error: 'Room is full' };
 
     // Check for duplicate names
     if (room.players.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
         return { room: null, playerId: null, error: 'Name already taken in this room' };
     }
+    if (accountId && room.players.some(p => p.accountId === accountId)) {
+        return { room: null, playerId: null, error: 'You are already in this room' };
+    }
 
     const playerId = uuidv4();
+    const secret = issueSecret();
+    const look = resolveAppearance(room, colour, icon);
     room.players.push({
         id: playerId,
+        secret,
         name: playerName,
-        colour,
-        icon,
+        colour: look.colour,
+        icon: look.icon,
+        accountId,
         ws: playerWs,
-        connected: true
+        connected: true,
+        ready: false
     });
 
-    return { room, playerId };
+    return { room, playerId, secret, adjusted: look.adjusted };
+}
+
+/**
+ * Add a server-driven bot seat to a waiting room.
+ * @param {string} code
+ * @param {string} [difficulty='normal'] — 'easy' | 'normal' | 'hard'
+ * @returns {{ room: object|null, bot: object|null, error?: string }}
+ */
+function addBot(code, difficulty = 'normal') {
+    const room = rooms.get(code);
+    if (!room) return { room: null, bot: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, bot: null, error: 'Game already in progress' };
+    if (room.players.length >= 4) return { room: null, bot: null, error: 'Room is full' };
+
+    const takenNames = new Set(room.players.map(p => p.name.toLowerCase()));
+    const preset = AI_OPPONENT_DEFAULTS.find(p => !takenNames.has(p.name.toLowerCase()));
+
+    let name = preset ? preset.name : null;
+    for (let n = 1; !name; n++) {
+        if (!takenNames.has(`bot ${n}`)) name = `Bot ${n}`;
+    }
+
+    const look = resolveAppearance(room, preset ? preset.colour : PLAYER_COLOURS[0], preset ? preset.icon : '🃏');
+    const bot = {
+        id: uuidv4(),
+        name,
+        colour: look.colour,
+        icon: look.icon,
+        ws: null,
+        connected: true,
+        isBot: true,
+        difficulty: AI_DIFFICULTY_LABELS[difficulty] ? difficulty : 'normal'
+    };
+    room.players.push(bot);
+
+    return { room, bot };
+}
+
+/**
+ * Remove a bot seat from a waiting room.
+ * @param {string} code
+ * @param {string} botId
+ * @returns {{ room: object|null, error?: string }}
+ */
+function removeBot(code, botId) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+
+    const bot = room.players.find(p => p.id === botId);
+    if (!bot || !bot.isBot) return { room: null, error: 'No such bot in this room' };
+
+    room.players = room.players.filter(p => p.id !== botId);
+    if (room.firstDealer === botId) room.firstDealer = null;
+    return { room };
+}
+
+/**
+ * Apply already-validated setting changes to a waiting room.
+ * @param {string} code
+ * @param {object} changes — a subset of SETTINGS_SCHEMA keys
+ * @returns {{ room: object|null, changed: string[], error?: string }} `changed`
+ *   lists the keys whose value actually moved
+ */
+function updateSettings(code, changes) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, changed: [], error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, changed: [], error: 'Settings can only be changed before the game starts' };
+
+    const next = mergeConfig({ ...room.settings, ...changes });
+    const changed = Object.keys(next).filter(key => next[key] !== room.settings[key]);
+    room.settings = next;
+    // Everyone agrees to the table again after a change
+    if (changed.length > 0) room.players.forEach(p => { p.ready = false; });
+    return { room, changed };
+}
+
+// ═══════════════════════════════
+// WAITING ROOM — READY, SEATS, LOOKS
+// ═══════════════════════════════
+
+/**
+ * Keep a requested colour and icon unless another seat already has them,
+ * in which case the first free palette entry is used instead.
+ * @param {object} room
+ * @param {string} colour
+ * @param {string} icon
+ * @param {string|null} [exceptId=null] — seat whose own look doesn't count as taken
+ * @returns {{ colour: string, icon: string, adjusted: { colour: boolean, icon: boolean } }}
+ */
+function resolveAppearance(room, colour, icon, exceptId = null) {
+    const others = room.players.filter(p => p.id !== exceptId);
+    const takenColours = new Set(others.map(p => p.colour));
+    const takenIcons = new Set(others.map(p => p.icon));
+
+    const adjusted = { colour: takenColours.has(colour), icon: takenIcons.has(icon) };
+    return {
+        colour: adjusted.colour ? PLAYER_COLOURS.find(c => !takenColours.has(c)) || colour : colour,
+        icon: adjusted.icon ? PLAYER_ICONS.find(i => !takenIcons.has(i)) || icon : icon,
+        adjusted
+    };
+}
+
+/**
+ * Change a waiting player's colour and icon. Looks held by another seat are refused.
+ * @param {string} code
+ * @param {string} playerId
+ * @param {string} colour
+ * @param {string} icon
+ * @returns {{ room: object|null, error?: string }}
+ */
+function setAppearance(code, playerId, colour, icon) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return { room: null, error: 'Player not found in room' };
+    if (!PLAYER_COLOURS.includes(colour) || !PLAYER_ICONS.includes(icon)) {
+        return { room: null, error: 'Unknown colour or icon' };
+    }
+
+    const { adjusted } = resolveAppearance(room, colour, icon, playerId);
+    if (adjusted.colour) return { room: null, error: 'That colour is already taken' };
+    if (adjusted.icon) return { room: null, error: 'That icon is already taken' };
+
+    player.colour = colour;
+    player.icon = icon;
+    return { room };
+}
+
+/**
+ * Set a player's ready flag.
+ * @param {string} code
+ * @param {string} playerId
+ * @param {boolean} ready
+ * @returns {{ room: object|null, error?: string }}
+ */
+function setReady(code, playerId, ready) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return { room: null, error: 'Player not found in room' };
+
+    player.ready = !!ready;
+    return { room };
+}
+
+/**
+ * Whether a seat counts as ready. Bots always are, and the host readies
+ * up by starting the game.
+ * @param {object} room
+ * @param {object} player
+ * @returns {boolean}
+ */
+function isReady(room, player) {
+    return !!player.isBot || player.id === room.host || !!player.ready;
+}
+
+/**
+ * Names of the seats still holding up the start.
+ * @param {object} room
+ * @returns {string[]}
+ */
+function getUnreadyPlayers(room) {
+    return room.players.filter(p => !isReady(room, p)).map(p => p.name);
+}
+
+/**
+ * Reorder the seats. `order` lists every current seat index exactly once,
+ * in the new order.
+ * @param {string} code
+ * @param {number[]} order
+ * @returns {{ room: object|null, error?: string }}
+ */
+function setSeatOrder(code, order) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+
+    const count = room.players.length;
+    if (!Array.isArray(order) || order.length !== count || new Set(order).size !== count
+        || !order.every(i => Number.isInteger(i) && i >= 0 && i < count)) {
+        return { room: null, error: 'Seat order must list every player once' };
+    }
+
+    room.players = order.map(i => room.players[i]);
+    return { room };
+}
+
+/**
+ * Put the seats in a random order.
+ * @param {string} code
+ * @returns {{ room: object|null, error?: string }}
+ */
+function shuffleSeats(code) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+
+    const seats = [...room.players];
+    for (let i = seats.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [seats[i], seats[j]] = [seats[j], seats[i]];
+    }
+    room.players = seats;
+    return { room };
+}
+
+/**
+ * Choose who is dealt the first hand (and so plays first).
+ * @param {string} code
+ * @param {number|'random'|null} choice — a seat index, 'random', or null for the first seat
+ * @returns {{ room: object|null, error?: string }}
+ */
+function setFirstDealer(code, choice) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    if (room.status !== 'waiting') return { room: null, error: 'Game already in progress' };
+    if (choice === null || choice === 'random') {
+        room.firstDealer = choice;
+        return { room };
+    }
+
+    const player = Number.isInteger(choice) ? room.players[choice] : null;
+    if (!player) return { room: null, error: 'Player not found in room' };
+    // Kept as an id so the choice follows the player when seats move
+    room.firstDealer = player.id;
+    return { room };
+}
+
+/**
+ * The first-dealer choice as sent to clients.
+ * @param {object} room
+ * @returns {number|'random'|null} a seat index, 'random', or null for the first seat
+ */
+function getFirstDealer(room) {
+    if (room.firstDealer === null || room.firstDealer === 'random') return room.firstDealer;
+    const index = room.players.findIndex(p => p.id === room.firstDealer);
+    return index === -1 ? null : index;
+}
+
+/**
+ * Seat index that starts round one, resolving 'random' now.
+ * @param {object} room
+ * @returns {number}
+ */
+function resolveFirstDealer(room) {
+    if (room.firstDealer === 'random') return Math.floor(Math.random() * room.players.length);
+    const index = room.players.findIndex(p => p.id === room.firstDealer);
+    return index === -1 ? 0 : index;
+}
+
+/**
+ * Clear the table for another game in the same room. Seats whose player has
+ * left or was kicked are dropped; everyone else keeps their seat, in order.
+ * Host passes on if the host's seat went.
+ * @param {string} code
+ * @returns {{ room: object|null, removed?: Array<object>, error?: string }}
+ */
+function prepareRematch(code) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+
+    const kept = room.players.filter(p => p.isBot || (p.connected && !p.kicked));
+    if (kept.length < (room.settings.MIN_PLAYERS || 2) || !kept.some(p => !p.isBot)) {
+        return { room, error: 'Not enough players left for a rematch' };
+    }
+
+    const removed = room.players.filter(p => !kept.includes(p));
+    room.players = kept;
+    for (const p of kept) p.botControlled = false;
+    if (!kept.some(p => p.id === room.host)) room.host = kept.find(p => !p.isBot).id;
+    if (removed.some(p => p.id === room.firstDealer)) room.firstDealer = null;
+    return { room, removed };
 }
 
 /**
@@ -106,21 +485,102 @@ function leaveRoom(code, playerId) {
     if (!room) return { room: null, destroyed: false };
 
     room.players = room.players.filter(p => p.id !== playerId);
+    if (room.firstDealer === playerId) room.firstDealer = null;
 
-    if (room.players.length === 0) {
+    // Bots can't keep a room alive on their own
+    const humans = room.players.filter(p => !p.isBot);
+    if (humans.length === 0) {
         rooms.delete(code);
         cleanupSnapshot(code);
         return { room: null, destroyed: true };
     }
 
-    // Promote new host if the host left
+    // Promote new host if the host left (never a bot)
     if (room.host === playerId) {
-        room.host = room.players[0].id;
+        room.host = humans[0].id;
     }
 
     return { room, destroyed: false };
 }
 
+// ═══════════════════════════════
+// HOST MODERATION
+// ═══════════════════════════════
+
+/**
+ * Remove a player on the host's say-so. In the waiting room the seat is
+ * freed; during a game it stays (the game server hands it to a bot or
+ * forfeits it) but its player can never reclaim it.
+ * @param {string} code
+ * @param {string} playerId
+ * @param {boolean} [ban=false] — also refuse them if they try to join again
+ * @returns {{ room: object|null, player: object|null, socket: WebSocket|null, error?: string }}
+ *   `socket` is the kicked player's connection, to tell them and close it
+ */
+function kickPlayer(code, playerId, ban = false) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, player: null, socket: null, error: 'Room not found' };
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || player.kicked) return { room: null, player: null, socket: null, error: 'Player not found in room' };
+    if (player.isBot) return { room: null, player: null, socket: null, error: 'Remove bots with their ✕ button' };
+    if (player.id === room.host) return { room: null, player: null, socket: null, error: 'The host cannot kick themselves' };
+
+    const socket = player.ws;
+    if (ban) room.bans.push({ name: player.name.toLowerCase(), accountId: player.accountId || null });
+
+    if (room.status === 'waiting') {
+        room.players = room.players.filter(p => p.id !== playerId);
+        if (room.firstDealer === playerId) room.firstDealer = null;
+    } else {
+        player.kicked = true;
+        player.ws = null;
+        player.connected = false;
+    }
+    return { room, player, socket };
+}
+
+/**
+ * @param {object} room
+ * @param {string} name
+ * @param {string|null} accountId
+ * @returns {boolean}
+ */
+function isBanned(room, name, accountId) {
+    return (room.bans || []).some(b =>
+        (accountId && b.accountId === accountId) || b.name === name.toLowerCase()
+    );
+}
+
+/**
+ * Hand host rights to another connected human.
+ * @param {string} code
+ * @param {string} playerId
+ * @returns {{ room: object|null, error?: string }}
+ */
+function transferHost(code, playerId) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    const player = room.players.find(p => p.id === playerId);
+    if (!player || player.isBot || player.kicked) return { room: null, error: 'Only a player in the room can become host' };
+    if (!player.connected) return { room: null, error: `${player.name} is not connected` };
+
+    room.host = playerId;
+    return { room };
+}
+
+/**
+ * Lock or unlock a room to new joins.
+ * @param {string} code
+ * @param {boolean} locked
+ * @returns {{ room: object|null, error?: string }}
+ */
+function setLocked(code, locked) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, error: 'Room not found' };
+    room.locked = !!locked;
+    return { room };
+}
+
 /**
  * Mark a player as disconnected (for reconnection support).
  * @param {string} code
@@ -137,18 +597,32 @@ function markDisconnected(code, playerId) {
 }
 
 /**
- * Reconnect a player to a room.
+ * Reconnect a player to a room. A guest's seat is reclaimed with its id and
+ * secret; a seat held by an account only by that account, which may omit
+ * both.
  * @param {string} code
- * @param {string} playerId
+ * @param {string|null} playerId
+ * @param {string|null} secret — the seat's secret, from when it was taken
  * @param {WebSocket} newWs
+ * @param {string|null} [accountId=null]
  * @returns {{ room: object|null, playerIndex: number, error?: string }}
  */
-function reconnectPlayer(code, playerId, newWs) {
+function reconnectPlayer(code, playerId, secret, newWs, accountId = null) {
     const room = rooms.get(code);
     if (!room) return { room: null, playerIndex: -1, error: 'Room not found' };
 
-    const playerIndex = room.players.findIndex(p => p.id === playerId);
+    const playerIndex = playerId
+        ? room.players.findIndex(p => p.id === playerId)
+        : room.players.findIndex(p => accountId && p.accountId === accountId);
     if (playerIndex === -1) return { room: null, playerIndex: -1, error: 'Player not found in room' };
+    if (room.players[playerIndex].kicked) return { room: null, playerIndex: -1, error: 'You were removed from this room' };
+    const seatAccount = room.players[playerIndex].accountId;
+    if (seatAccount && seatAccount !== accountId) {
+        return { room: null, playerIndex: -1, error: 'Sign in to the account that holds this seat' };
+    }
+    if (!seatAccount && !secretMatches(room.players[playerIndex].secret, secret)) {
+        return { room: null, playerIndex: -1, error: 'Player not found in room' };
+    }
 
     room.players[playerIndex].ws = newWs;
     room.players[playerIndex].connected = true;
@@ -156,6 +630,48 @@ function reconnectPlayer(code, playerId, newWs) {
     return { room, playerIndex };
 }
 
+/**
+ * Public player list for lobby messages, in seat order. No sockets, and no
+ * ids or secrets — seats are addressed by index.
+ * @param {object} room
+ * @returns {Array<{ name: string, colour: string, icon: string, isHost: boolean, isBot: boolean, difficulty: string|null, signedIn: boolean, connected: boolean, ready: boolean }>}
+ */
+function getPlayerList(room) {
+    return room.players.map(p => ({
+        name: p.name,
+        colour: p.colour,
+        icon: p.icon,
+        isHost: p.id === room.host,
+        isBot: !!p.isBot,
+        difficulty: p.isBot ? p.difficulty : null,
+        signedIn: !!p.accountId,
+        connected: p.connected,
+        ready: isReady(room, p)
+    }));
+}
+
+/**
+ * Note that someone in the room did something (the room sweeper's idle clock).
+ * @param {string} code
+ */
+function touchRoom(code) {
+    const room = rooms.get(code);
+    if (room) room.lastActivityAt = Date.now();
+}
+
+/**
+ * Remove a room from the server and delete its snapshot. Its timers are the
+ * game server's to clear (`gameServer.disposeRoom`).
+ * @param {string} code
+ * @returns {object|null} the removed room
+ */
+function deleteRoom(code) {
+    const room = rooms.get(code) || null;
+    rooms.delete(code);
+    cleanupSnapshot(code);
+    return room;
+}
+
 /**
  * Get a room by code.
  * @param {string} code
@@ -165,6 +681,14 @@ function getRoom(code) {
     return rooms.get(code) || null;
 }
 
+/**
+ * Every room on the server.
+ * @returns {Array<object>}
+ */
+function getAllRooms() {
+    return [...rooms.values()];
+}
+
 /**
  * Get all open rooms (waiting for players).
  * @returns {Array<{ code: string, host: string, playerCount: number, maxPlayers: number }>}
@@ -172,7 +696,7 @@ function getRoom(code) {
 function getOpenRooms() {
     const open = [];
     for (const [code, room] of rooms) {
-        if (room.status === 'waiting') {
+        if (room.status === 'waiting' && !room.locked) {
             open.push({
                 code,
                 host: room.players.find(p => p.id === room.host)?.name || '?',
@@ -202,103 +726,229 @@ function findByWs(ws) {
     return { room: null, player: null };
 }
 
+// ═══════════════════════════════
+// SPECTATORS
+// ═══════════════════════════════
+
+/**
+ * Attach a read-only socket to a running game.
+ * @param {string} code
+ * @param {string} name
+ * @param {WebSocket} ws
+ * @returns {{ room: object|null, spectator: object|null, error?: string }}
+ */
+function addSpectator(code, name, ws) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, spectator: null, error: 'Room not found' };
+    if (room.settings.ALLOW_SPECTATORS === false) {
+        return { room: null, spectator: null, error: 'Spectating is turned off in this room' };
+    }
+    if (room.status !== 'playing') return { room: null, spectator: null, error: 'The game has not started yet' };
+    if (room.spectators.length >= MAX_SPECTATORS) return { room: null, spectator: null, error: 'Too many spectators' };
+
+    const spectator = { id: uuidv4(), name, ws, connected: true };
+    room.spectators.push(spectator);
+    return { room, spectator };
+}
+
+/**
+ * Detach a spectator.
+ * @param {string} code
+ * @param {string} spectatorId
+ * @returns {object|null} the room, if it still exists
+ */
+function removeSpectator(code, spectatorId) {
+    const room = rooms.get(code);
+    if (!room) return null;
+    room.spectators = room.spectators.filter(s => s.id !== spectatorId);
+    return room;
+}
+
+/**
+ * Turn spectating on or off. Turning it off drops everyone watching.
+ * @param {string} code
+ * @param {boolean} allowed
+ * @returns {{ room: object|null, removed: Array<object>, error?: string }}
+ */
+function setSpectating(code, allowed) {
+    const room = rooms.get(code);
+    if (!room) return { room: null, removed: [], error: 'Room not found' };
+
+    room.settings.ALLOW_SPECTATORS = allowed;
+    const removed = allowed ? [] : room.spectators;
+    if (!allowed) room.spectators = [];
+    return { room, removed };
+}
+
+/**
+ * Public spectator list (no sockets).
+ * @param {object} room
+ * @returns {Array<{ id: string, name: string }>}
+ */
+function getSpectatorList(room) {
+    return room.spectators.map(s => ({ id: s.id, name: s.name }));
+}
+
 // ═══════════════════════════════
 // SNAPSHOT PERSISTENCE
 // ═══════════════════════════════
 
 /**
- * Save room state to a JSON file for crash recovery.
+ * Save room state as the `rooms/<code>` document for crash recovery.
  * @param {object} room
  */
 function saveSnapshot(room) {
     try {
-        if (!fs.existsSync(SNAPSHOT_DIR)) {
-            fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
-        }
         const snapshot = {
             code: room.code,
             host: room.host,
             players: room.players.map(p => ({
                 id: p.id,
+                secret: p.secret || null,
                 name: p.name,
                 colour: p.colour,
                 icon: p.icon,
-                connected: p.connected
+                accountId: p.accountId || null,
+                connected: p.connected,
+                isBot: !!p.isBot,
+                difficulty: p.difficulty || null,
+                botControlled: !!p.botControlled,
+                kicked: !!p.kicked
             })),
             settings: room.settings,
+            firstDealer: room.firstDealer || null,
+            locked: !!room.locked,
+            bans: room.bans || [],
+            pause: room.pause || null,
+            series: room.series || null,
+            tournament: room.tournament || null,
+            // Time left on the running turn, so a restart can carry on from here
+            turnSecondsLeft: room.turnDeadline ? Math.max(1, Math.ceil((room.turnDeadline - Date.now()) / 1000)) : null,
+            chat: room.chat || [],
             gameState: room.gameState,
+            // The game so far, so a replay spans a restart
+            replay: room.replay || null,
             status: room.status,
             createdAt: room.createdAt,
+            finishedAt: room.finishedAt || null,
             savedAt: Date.now()
         };
-        const filePath = path.join(SNAPSHOT_DIR, `${room.code}.json`);
-        fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2), 'utf-8');
+        storage.write(`rooms/${room.code}`, snapshot);
     } catch (err) {
         console.warn('saveSnapshot: failed —', err.message);
     }
 }
 
 /**
- * Load all saved room snapshots on server restart.
- * @returns {number} count of restored rooms
+ * Snapshot every room (graceful shutdown).
+ * @returns {number} count of rooms saved
+ */
+function saveAllSnapshots() {
+    for (const room of rooms.values()) saveSnapshot(room);
+    return rooms.size;
+}
+
+/**
+ * Load all saved room snapshots on server restart. Waiting and playing
+ * rooms come back without sockets — everyone has to reconnect — and remember
+ * how long the server was down (`downtimeSeconds`). Timers are the game
+ * server's job (`gameServer.restoreRoom`). Snapshots of any other status
+ * are deleted.
+ * @returns {Array<object>} the restored rooms
  */
 function loadSnapshots() {
+    const restored = [];
     try {
-        if (!fs.existsSync(SNAPSHOT_DIR)) return 0;
-        const files = fs.readdirSync(SNAPSHOT_DIR).filter(f => f.endsWith('.json'));
-        let count = 0;
-        for (const file of files) {
+        for (const name of storage.list('rooms')) {
             try {
-                const raw = fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf-8');
-                const snapshot = JSON.parse(raw);
-                if (snapshot.status === 'playing') {
+                const snapshot = storage.read(name);
+                if (snapshot && (snapshot.status === 'playing' || snapshot.status === 'waiting')) {
                     // Restore room without WebSocket connections (players must reconnect)
                     const room = {
                         ...snapshot,
+                        firstDealer: snapshot.firstDealer || null,
+                        locked: !!snapshot.locked,
+                        bans: snapshot.bans || [],
+                        spectators: [],
+                        chat: snapshot.chat || [],
+                        replay: snapshot.replay || null,
+                        // Everyone gets a full idle allowance to come back after a restart
+                        lastActivityAt: Date.now(),
+                        finishedAt: snapshot.finishedAt || null,
+                        downtimeSeconds: Math.max(0, Math.round((Date.now() - (snapshot.savedAt || Date.now())) / 1000)),
                         players: snapshot.players.map(p => ({
                             ...p,
                             ws: null,
-                            connected: false
+                            connected: !!p.isBot,
+                            ready: false,
+                            // Cleared once they are told how long the server was down
+                            missedRestart: !p.isBot
                         }))
                     };
                     rooms.set(room.code, room);
-                    count++;
+                    restored.push(room);
+                } else {
+                    storage.remove(name);
                 }
             } catch (err) {
-                console.warn(`loadSnapshots: failed to load ${file} —`, err.message);
+                console.warn(`loadSnapshots: failed to load ${name} —`, err.message);
             }
         }
-        return count;
-    } catch {
-        return 0;
+    } catch (err) {
+        console.warn('loadSnapshots: failed —', err.message);
     }
+    return restored;
 }
 
 /**
- * Clean up snapshot file for a finished/destroyed room.
+ * Clean up the snapshot of a finished/destroyed room.
  * @param {string} code
  */
 function cleanupSnapshot(code) {
     try {
-        const filePath = path.join(SNAPSHOT_DIR, `${code}.json`);
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-        }
+        storage.remove(`rooms/${code}`);
     } catch (err) {
         console.warn('cleanupSnapshot: failed —', err.message);
     }
 }
 
 module.exports = {
+    issueSecret,
+    secretMatches,
     createRoom,
+    createTableRoom,
     joinRoom,
+    addBot,
+    removeBot,
+    updateSettings,
+    kickPlayer,
+    transferHost,
+    setLocked,
+    setAppearance,
+    setReady,
+    getUnreadyPlayers,
+    setSeatOrder,
+    shuffleSeats,
+    setFirstDealer,
+    getFirstDealer,
+    resolveFirstDealer,
+    prepareRematch,
     leaveRoom,
     markDisconnected,
     reconnectPlayer,
+    touchRoom,
+    deleteRoom,
     getRoom,
+    getAllRooms,
+    getPlayerList,
+    addSpectator,
+    removeSpectator,
+    setSpectating,
+    getSpectatorList,
     getOpenRooms,
     findByWs,
     saveSnapshot,
+    saveAllSnapshots,
     loadSnapshots,
     cleanupSnapshot
 };
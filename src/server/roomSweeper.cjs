@@ -0,0 +1,204 @@
+/**
+ * Room garbage collection. A periodic sweep expires rooms nobody is using:
+ * waiting rooms left idle, games with no human connected, and finished
+ * games. An expired room has its timers cleared, settles its tournament
+ * table if it was one, is archived to the `history/<code>-<createdAt>`
+ * document and loses its snapshot.
+ * @module server/roomSweeper
+ */
+
+const roomManager = require('./roomManager.cjs');
+const gameServer = require('./gameServer.cjs');
+const storage = require('./storage.cjs');
+const chat = require('./chat.cjs');
+const tournaments = require('./tournamentManager.cjs');
+const { ROOM_TTL } = require('../engine/gameConfig.js');
+
+/** Why each kind of room was closed, as told to anyone still in it */
+const CLOSE_REASONS = {
+    waiting: 'The room was idle for too long and has closed',
+    abandoned: 'Everyone left the game and the room has closed',
+    finished: 'The game is over and the room has closed'
+};
+
+/** Rooms expired since the server started, by kind */
+const expiredCounts = { waiting: 0, abandoned: 0, finished: 0 };
+
+let ttl = { ...ROOM_TTL };
+let sweepTimer = null;
+let lastSweepAt = null;
+
+/**
+ * `ROOM_TTL`, with any `ROOM_TTL_<KEY>` env var applied on top.
+ * @returns {typeof ROOM_TTL}
+ */
+function readTtl() {
+    const result = { ...ROOM_TTL };
+    for (const key of Object.keys(ROOM_TTL)) {
+        const value = Number(process.env[`ROOM_TTL_${key}`]);
+        if (Number.isFinite(value) && value > 0) result[key] = value;
+    }
+    return result;
+}
+
+/**
+ * Which lifetime rule applies to a room right now.
+ * @param {object} room
+ * @returns {'waiting'|'playing'|'abandoned'|'finished'}
+ */
+function classify(room) {
+    if (room.status === 'waiting') return 'waiting';
+    if (room.gameState?.phase === gameServer.PHASE.GAME_OVER) return 'finished';
+    return room.players.some(p => !p.isBot && p.connected) ? 'playing' : 'abandoned';
+}
+
+/**
+ * When a room of the given kind runs out of time (null = never).
+ * @param {object} room
+ * @param {string} kind — from `classify`
+ * @returns {number|null} epoch ms
+ */
+function expiryTime(room, kind) {
+    const minute = 60 * 1000;
+    const idleSince = room.lastActivityAt || room.createdAt;
+    switch (kind) {
+        case 'waiting': return idleSince + ttl.WAITING_MINUTES * minute;
+        case 'abandoned': return idleSince + ttl.ABANDONED_MINUTES * minute;
+        case 'finished': return (room.finishedAt || idleSince) + ttl.FINISHED_MINUTES * minute;
+        default: return null;
+    }
+}
+
+/**
+ * Expire every room whose time is up.
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{ code: string, kind: string }>} the rooms removed
+ */
+function sweep(now = Date.now()) {
+    lastSweepAt = now;
+    const expired = [];
+    for (const room of roomManager.getAllRooms()) {
+        const kind = classify(room);
+        const expiresAt = expiryTime(room, kind);
+        if (expiresAt === null || expiresAt > now) continue;
+        expireRoom(room, kind, now);
+        expired.push({ code: room.code, kind });
+    }
+    return expired;
+}
+
+/**
+ * Close one room: tell whoever is still there, stop its timers, archive it
+ * and remove it with its snapshot.
+ * @param {object} room
+ * @param {'waiting'|'abandoned'|'finished'} kind
+ * @param {number} now
+ */
+function expireRoom(room, kind, now) {
+    const reason = CLOSE_REASONS[kind];
+    for (const player of room.players) {
+        gameServer.sendToPlayer(player, { type: 'room_closed', roomCode: room.code, reason });
+        chat.forgetSender(player.id);
+    }
+    for (const spectator of room.spectators) {
+        if (spectator.ws?.readyState === 1) {
+            spectator.ws.send(JSON.stringify({ type: 'spectate_ended', reason }));
+        }
+    }
+
+    gameServer.disposeRoom(room);
+    // A tournament table nobody finished still has to count for the bracket
+    tournaments.recordTable(room);
+    try {
+        storage.write(`history/${room.code}-${room.createdAt}`, archiveRecord(room, kind, now));
+    } catch (err) {
+        console.warn(`roomSweeper: failed to archive ${room.code} —`, err.message);
+    }
+    roomManager.deleteRoom(room.code);
+    expiredCounts[kind]++;
+    console.log(`[ROOM] Expired ${kind} room ${room.code}`);
+}
+
+/**
+ * What is kept of a room once it is gone. Finished games keep their replay.
+ * @param {object} room
+ * @param {string} kind
+ * @param {number} now
+ * @returns {object}
+ */
+function archiveRecord(room, kind, now) {
+    const state = room.gameState;
+    return {
+        code: room.code,
+        outcome: kind,
+        createdAt: room.createdAt,
+        finishedAt: room.finishedAt || null,
+        expiredAt: now,
+        settings: room.settings,
+        rounds: state?.roundNumber || 0,
+        seed: kind === 'finished' ? state?.seed || null : null,
+        players: room.players.map((p, i) => ({
+            name: p.name,
+            accountId: p.accountId || null,
+            isBot: !!p.isBot,
+            score: state?.players[i]?.score ?? null,
+            eliminated: !!state?.players[i]?.eliminated
+        })),
+        replay: kind === 'finished' ? room.replay || null : null
+    };
+}
+
+/**
+ * The replay of a finished game whose room has already been swept away
+ * (the latest one, if the code was used more than once).
+ * @param {string} code
+ * @returns {{ replay?: object, error?: string }}
+ */
+function getArchivedReplay(code) {
+    const names = storage.list('history').filter(name => name.startsWith(`history/${code}-`));
+    const record = names.length > 0 ? storage.read(names[names.length - 1]) : null;
+    if (!record) return { error: 'Room not found' };
+    if (!record.replay) return { error: 'No replay recorded for this room' };
+    return { replay: record.replay };
+}
+
+/**
+ * Room counts for monitoring: rooms alive now by kind, and rooms expired
+ * since the server started.
+ * @returns {{ active: object, expired: object, ttl: object, lastSweepAt: number|null }}
+ */
+function getStats() {
+    const active = { waiting: 0, playing: 0, abandoned: 0, finished: 0, total: 0 };
+    for (const room of roomManager.getAllRooms()) {
+        active[classify(room)]++;
+        active.total++;
+    }
+    const expired = { ...expiredCounts, total: expiredCounts.waiting + expiredCounts.abandoned + expiredCounts.finished };
+    return { active, expired, ttl: { ...ttl }, lastSweepAt };
+}
+
+/**
+ * Start sweeping every `SWEEP_SECONDS`.
+ */
+function startSweeper() {
+    stopSweeper();
+    ttl = readTtl();
+    sweepTimer = setInterval(sweep, ttl.SWEEP_SECONDS * 1000);
+    sweepTimer.unref();
+}
+
+/**
+ * Stop the periodic sweep (shutdown).
+ */
+function stopSweeper() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+}
+
+module.exports = {
+    startSweeper,
+    stopSweeper,
+    sweep,
+    getStats,
+    getArchivedReplay
+};
@@ -0,0 +1,305 @@
+/**
+ * Persistence for the server — rooms, leaderboard, accounts and game history.
+ * Everything is stored as named JSON documents (`'leaderboard'`,
+ * `'accounts'`, `'rooms/ABC123'`) behind one small interface:
+ *
+ *   read(name) · write(name, value) · remove(name) · list(collection)
+ *   flush() · flushSync()
+ *
+ * Reads are served from memory once loaded; writes update memory at once and
+ * reach the backend in one batched, asynchronous flush shortly after, so a
+ * burst of game actions costs a single write per document.
+ *
+ * Backends (chosen with `STORAGE_BACKEND`):
+ * - `file` (default) — one JSON file per document under `src/data` (or `DATA_DIR`),
+ *   written to a temporary file and renamed into place so a crash never
+ *   leaves a torn file behind.
+ * - `sqlite` — one embedded database (`SQLITE_FILE`, default
+ *   `src/data/remik.db`) via `node:sqlite` (Node 22.5+).
+ * @module server/storage
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+/** Delay between the first unsaved change and the flush that writes it */
+const FLUSH_DELAY_MS = 250;
+
+// ═══════════════════════════════
+// BACKENDS
+// ═══════════════════════════════
+
+/**
+ * A backend stores serialised documents. `read` and `list` are synchronous
+ * (they run at startup or on a cache miss); `write` receives a batch of
+ * `[name, text]` pairs, where `text === null` deletes the document.
+ * @typedef {object} StorageBackend
+ * @property {string} name
+ * @property {(name: string) => string|null} read
+ * @property {(collection: string) => string[]} list — document names under `collection/`
+ * @property {(changes: Array<[string, string|null]>) => Promise<void>} write
+ * @property {(changes: Array<[string, string|null]>) => void} writeSync
+ */
+
+/**
+ * JSON files: document `rooms/ABC123` lives at `<dir>/rooms/ABC123.json`.
+ * @param {string} dir
+ * @returns {StorageBackend}
+ */
+function createFileBackend(dir) {
+    const fileFor = name => path.join(dir, `${name}.json`);
+    const tempFor = file => `${file}.${process.pid}.tmp`;
+
+    return {
+        name: 'file',
+
+        read(name) {
+            try {
+                return fs.readFileSync(fileFor(name), 'utf-8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        list(collection) {
+            const folder = path.join(dir, collection);
+            if (!fs.existsSync(folder)) return [];
+            return fs.readdirSync(folder)
+                .filter(f => f.endsWith('.json'))
+                .map(f => `${collection}/${f.slice(0, -'.json'.length)}`);
+        },
+
+        async write(changes) {
+            for (const [name, text] of changes) {
+                const file = fileFor(name);
+                if (text === null) {
+                    await fsp.rm(file, { force: true });
+                    continue;
+                }
+                await fsp.mkdir(path.dirname(file), { recursive: true });
+                await fsp.writeFile(tempFor(file), text, 'utf-8');
+                await fsp.rename(tempFor(file), file);
+            }
+        },
+
+        writeSync(changes) {
+            for (const [name, text] of changes) {
+                const file = fileFor(name);
+                if (text === null) {
+                    fs.rmSync(file, { force: true });
+                    continue;
+                }
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(tempFor(file), text, 'utf-8');
+                fs.renameSync(tempFor(file), file);
+            }
+        }
+    };
+}
+
+/**
+ * Embedded SQLite: one `documents` table keyed by name. Each flush is a
+ * single transaction.
+ * @param {string} file — database path
+ * @returns {StorageBackend}
+ */
+function createSqliteBackend(file) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = require('node:sqlite'));
+    } catch {
+        throw new Error(`The sqlite storage backend needs node:sqlite (Node 22.5 or newer) — running ${process.version}`);
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+    db.exec(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS documents (
+            name TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at INTEGER NOT NULL
+        );
+    `);
+
+    const selectOne = db.prepare('SELECT value FROM documents WHERE name = ?');
+    const selectNames = db.prepare("SELECT name FROM documents WHERE name LIKE ? ESCAPE '\\' ORDER BY name");
+    const upsert = db.prepare(`
+        INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const deleteOne = db.prepare('DELETE FROM documents WHERE name = ?');
+
+    function writeSync(changes) {
+        db.exec('BEGIN');
+        try {
+            const now = Date.now();
+            for (const [name, text] of changes) {
+                if (text === null) deleteOne.run(name);
+                else upsert.run(name, text, now);
+            }
+            db.exec('COMMIT');
+        } catch (err) {
+            db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    return {
+        name: 'sqlite',
+
+        read(name) {
+            const row = selectOne.get(name);
+            return row ? row.value : null;
+        },
+
+        list(collection) {
+            const pattern = `${collection.replace(/[\\%_]/g, '\\$&')}/%`;
+            return selectNames.all(pattern).map(row => row.name);
+        },
+
+        async write(changes) {
+            writeSync(changes);
+        },
+
+        writeSync
+    };
+}
+
+// ═══════════════════════════════
+// STORE
+// ═══════════════════════════════
+
+/**
+ * Wrap a backend with an in-memory cache and debounced flushing.
+ * Values are kept serialised, so every `read` hands out a fresh copy and
+ * callers may mutate it freely before writing it back.
+ * @param {StorageBackend} backend
+ * @param {{ flushDelayMs?: number }} [options]
+ */
+function createStore(backend, { flushDelayMs = FLUSH_DELAY_MS } = {}) {
+    /** @type {Map<string, string|null>} name → serialised value (null = deleted) */
+    const cache = new Map();
+    /** @type {Set<string>} names changed since the last flush */
+    const dirty = new Set();
+    let flushTimer = null;
+    let flushing = Promise.resolve();
+
+    function read(name) {
+        if (!cache.has(name)) cache.set(name, backend.read(name));
+        const text = cache.get(name);
+        return text === null ? null : JSON.parse(text);
+    }
+
+    function write(name, value) {
+        cache.set(name, JSON.stringify(value));
+        markDirty(name);
+    }
+
+    function remove(name) {
+        cache.set(name, null);
+        markDirty(name);
+    }
+
+    function list(collection) {
+        const prefix = `${collection}/`;
+        const names = new Set(backend.list(collection));
+        for (const [name, text] of cache) {
+            if (!name.startsWith(prefix)) continue;
+            if (text === null) names.delete(name);
+            else names.add(name);
+        }
+        return [...names].sort();
+    }
+
+    function markDirty(name) {
+        dirty.add(name);
+        if (!flushTimer) flushTimer = setTimeout(flush, flushDelayMs);
+    }
+
+    function takeChanges() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        const changes = [...dirty].map(name => [name, cache.get(name)]);
+        dirty.clear();
+        return changes;
+    }
+
+    /**
+     * Write every pending change. Flushes run one after another, so a
+     * slower earlier flush never overwrites a newer one.
+     * @returns {Promise<void>}
+     */
+    function flush() {
+        flushing = flushing.then(async () => {
+            const changes = takeChanges();
+            if (changes.length === 0) return;
+            try {
+                await backend.write(changes);
+            } catch (err) {
+                // Keep them pending and try again, newer changes included
+                changes.forEach(([name]) => markDirty(name));
+                console.warn(`storage: ${backend.name} flush failed —`, err.message);
+            }
+        });
+        return flushing;
+    }
+
+    /** Write every pending change before returning (process exit). */
+    function flushSync() {
+        const changes = takeChanges();
+        if (changes.length === 0) return;
+        try {
+            backend.writeSync(changes);
+        } catch (err) {
+            console.warn(`storage: ${backend.name} flush failed —`, err.message);
+        }
+    }
+
+    return { backend: backend.name, read, write, remove, list, flush, flushSync };
+}
+
+// ═══════════════════════════════
+// DEFAULT STORE
+// ═══════════════════════════════
+
+let defaultStore = null;
+
+/**
+ * The server's store, created on first use from `STORAGE_BACKEND`.
+ * Pending changes are written synchronously when the process exits.
+ */
+function getStore() {
+    if (defaultStore) return defaultStore;
+
+    const kind = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+    let backend;
+    if (kind === 'file') {
+        backend = createFileBackend(DATA_DIR);
+    } else if (kind === 'sqlite') {
+        backend = createSqliteBackend(process.env.SQLITE_FILE || path.join(DATA_DIR, 'remik.db'));
+    } else {
+        throw new Error(`Unknown STORAGE_BACKEND "${kind}" — use "file" or "sqlite"`);
+    }
+
+    defaultStore = createStore(backend);
+    process.on('exit', () => defaultStore.flushSync());
+    return defaultStore;
+}
+
+module.exports = {
+    read: name => getStore().read(name),
+    write: (name, value) => getStore().write(name, value),
+    remove: name => getStore().remove(name),
+    list: collection => getStore().list(collection),
+    flush: () => getStore().flush(),
+    flushSync: () => getStore().flushSync(),
+    getStore,
+    createStore,
+    createFileBackend,
+    createSqliteBackend,
+    DATA_DIR
+};
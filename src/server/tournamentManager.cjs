@@ -0,0 +1,738 @@
+/**
+ * Tournaments — club evenings played over many tables at once. A tournament
+ * sits above the rooms: players register, the organiser starts it, and every
+ * round seats the players still in at tables of 2–4 (one locked room each,
+ * see `roomManager.createTableRoom`). When a table's game is over its
+ * placings feed the bracket (`gameServer.onGameOver`), and once every table
+ * of the round has finished the next round is drawn.
+ *
+ * Formats:
+ * - `knockout` — the top `advancePerTable` finishers of each table go
+ *   through (always at least one player per table goes out). A round played
+ *   at a single table is the final.
+ * - `swiss` — everyone plays every round, seated with players on a similar
+ *   record, for `swissRounds` rounds.
+ *
+ * A table finish scores one point per player beaten there. Tournaments are
+ * kept as `tournaments/<code>` documents.
+ * @module server/tournamentManager
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const roomManager = require('./roomManager.cjs');
+const gameServer = require('./gameServer.cjs');
+const storage = require('./storage.cjs');
+const { TOURNAMENT } = require('../engine/gameConfig.js');
+
+/** @type {Map<string, object>} tournament code → tournament */
+const tournaments = new Map();
+
+/** @type {Map<string, NodeJS.Timeout>} table room code → start-anyway timer */
+const seatTimers = new Map();
+
+const FORMATS = ['knockout', 'swiss'];
+
+/** Most rounds a Swiss tournament may be set to */
+const MAX_SWISS_ROUNDS = 10;
+
+/**
+ * Generate a tournament code: `T` and five characters, so it is never
+ * mistaken for a room code.
+ * @returns {string}
+ */
+function generateCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = 'T';
+    for (let i = 0; i < 5; i++) {
+        code += chars[Math.floor(Math.random() * chars.length)];
+    }
+    if (tournaments.has(code)) return generateCode();
+    return code;
+}
+
+// ═══════════════════════════════
+// REGISTRATION
+// ═══════════════════════════════
+
+/**
+ * Open a new tournament for registration. The organiser is registered as
+ * its first player.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {'knockout'|'swiss'} [options.format='knockout']
+ * @param {number} [options.tableSize] — most players per table (2–4)
+ * @param {number} [options.advancePerTable] — knockout: finishers who go through
+ * @param {number} [options.swissRounds] — swiss: rounds to play
+ * @param {object} [options.settings] — already-validated room settings for every table
+ * @param {{ name: string, colour: string, icon: string, accountId: string|null, ws: WebSocket }} organiser
+ * @returns {{ tournament: object|null, playerId: string|null, error?: string }}
+ */
+function createTournament(options, organiser) {
+    const format = options.format || 'knockout';
+    const tableSize = Number(options.tableSize ?? TOURNAMENT.TABLE_SIZE);
+    const advancePerTable = Number(options.advancePerTable ?? TOURNAMENT.ADVANCE_PER_TABLE);
+    const swissRounds = Number(options.swissRounds ?? TOURNAMENT.SWISS_ROUNDS);
+
+    if (!FORMATS.includes(format)) return { tournament: null, playerId: null, error: `Unknown format: ${format}` };
+    if (!Number.isInteger(tableSize) || tableSize < 2 || tableSize > TOURNAMENT.TABLE_SIZE) {
+        return { tournament: null, playerId: null, error: `Tables seat between 2 and ${TOURNAMENT.TABLE_SIZE} players` };
+    }
+    if (format === 'knockout' && (!Number.isInteger(advancePerTable) || advancePerTable < 1 || advancePerTable >= tableSize)) {
+        return { tournament: null, playerId: null, error: 'Between 1 and one fewer than the table size go through from each table' };
+    }
+    if (format === 'swiss' && (!Number.isInteger(swissRounds) || swissRounds < 1 || swissRounds > MAX_SWISS_ROUNDS)) {
+        return { tournament: null, playerId: null, error: `A Swiss tournament plays between 1 and ${MAX_SWISS_ROUNDS} rounds` };
+    }
+
+    const player = createPlayer(organiser);
+    const tournament = {
+        code: generateCode(),
+        name: (options.name || '').trim().slice(0, 40) || `${player.name}'s tournament`,
+        organiser: player.id,
+        format,
+        tableSize,
+        advancePerTable: format === 'knockout' ? advancePerTable : null,
+        swissRounds: format === 'swiss' ? swissRounds : null,
+        // Every table plays a single game — series and rematches are for casual rooms
+        settings: { ...options.settings, SERIES_LENGTH: 0 },
+        status: 'registration', // 'registration' | 'running' | 'finished'
+        players: [player],
+        rounds: [],
+        createdAt: Date.now(),
+        finishedAt: null
+    };
+
+    tournaments.set(tournament.code, tournament);
+    save(tournament);
+    return { tournament, playerId: player.id };
+}
+
+/**
+ * A registered player. `secret` is what rejoins the tournament and is only
+ * ever sent to the player; table seats get ids and secrets of their own.
+ * @param {{ name: string, colour: string, icon: string, accountId: string|null, ws: WebSocket }} entrant
+ * @returns {object}
+ */
+function createPlayer(entrant) {
+    return {
+        id: uuidv4(),
+        secret: roomManager.issueSecret(),
+        name: entrant.name,
+        colour: entrant.colour,
+        icon: entrant.icon,
+        accountId: entrant.accountId || null,
+        ws: entrant.ws,
+        /** One per opponent beaten at a table */
+        points: 0,
+        wins: 0,
+        /** Final game scores added up — the lower the better */
+        score: 0,
+        played: 0,
+        /** Rounds sat out for want of an opponent */
+        byes: 0,
+        /** Knockout: the round this player went out in (null = still in) */
+        eliminatedInRound: null,
+        lastPlacing: null
+    };
+}
+
+/**
+ * Register for a tournament that has not started yet.
+ * @param {string} code
+ * @param {{ name: string, colour: string, icon: string, accountId: string|null, ws: WebSocket }} entrant
+ * @returns {{ tournament: object|null, playerId: string|null, error?: string }}
+ */
+function register(code, entrant) {
+    const tournament = tournaments.get(code);
+    if (!tournament) return { tournament: null, playerId: null, error: 'Tournament not found' };
+    if (tournament.status !== 'registration') return { tournament: null, playerId: null, error: 'Registration has closed' };
+    if (tournament.players.length >= TOURNAMENT.MAX_PLAYERS) return { tournament: null, playerId: null, error: 'The tournament is full' };
+    if (tournament.players.some(p => p.name.toLowerCase() === entrant.name.toLowerCase())) {
+        return { tournament: null, playerId: null, error: 'Name already taken in this tournament' };
+    }
+    if (entrant.accountId && tournament.players.some(p => p.accountId === entrant.accountId)) {
+        return { tournament: null, playerId: null, error: 'You are already registered' };
+    }
+
+    const player = createPlayer(entrant);
+    tournament.players.push(player);
+    save(tournament);
+    broadcastUpdate(tournament);
+    return { tournament, playerId: player.id };
+}
+
+/**
+ * Withdraw before the tournament starts. The organiser's role passes to the
+ * next player; a tournament left with nobody is cancelled.
+ * @param {string} code
+ * @param {string} playerId
+ * @returns {{ tournament: object|null, cancelled: boolean, error?: string }}
+ */
+function withdraw(code, playerId) {
+    const tournament = tournaments.get(code);
+    if (!tournament) return { tournament: null, cancelled: false, error: 'Tournament not found' };
+    if (tournament.status !== 'registration') return { tournament: null, cancelled: false, error: 'The tournament has already started' };
+    if (!tournament.players.some(p => p.id === playerId)) return { tournament: null, cancelled: false, error: 'You are not registered' };
+
+    tournament.players = tournament.players.filter(p => p.id !== playerId);
+    if (tournament.players.length === 0) {
+        tournaments.delete(code);
+        storage.remove(`tournaments/${code}`);
+        return { tournament: null, cancelled: true };
+    }
+    if (tournament.organiser === playerId) tournament.organiser = tournament.players[0].id;
+    save(tournament);
+    broadcastUpdate(tournament);
+    return { tournament, cancelled: false };
+}
+
+/**
+ * Attach a new connection to a registered player. A player registered with
+ * an account can only come back signed in to it; a guest needs the secret
+ * they were given on registering.
+ * @param {string} code
+ * @param {string} playerId
+ * @param {string|null} secret
+ * @param {WebSocket} ws
+ * @param {string|null} [accountId=null]
+ * @returns {{ tournament: object|null, error?: string }}
+ */
+function rejoin(code, playerId, secret, ws, accountId = null) {
+    const tournament = tournaments.get(code);
+    if (!tournament) return { tournament: null, error: 'Tournament not found' };
+    const player = tournament.players.find(p => p.id === playerId);
+    if (!player || (!player.accountId && !roomManager.secretMatches(player.secret, secret))) {
+        return { tournament: null, error: 'You are not registered in this tournament' };
+    }
+    if (player.accountId && player.accountId !== accountId) {
+        return { tournament: null, error: 'Sign in to the account you registered with' };
+    }
+
+    player.ws = ws;
+    broadcastUpdate(tournament);
+    return { tournament };
+}
+
+/**
+ * Forget a closed connection (it can come back with `rejoin`).
+ * @param {WebSocket} ws
+ */
+function socketClosed(ws) {
+    for (const tournament of tournaments.values()) {
+        const player = tournament.players.find(p => p.ws === ws);
+        if (!player) continue;
+        player.ws = null;
+        broadcastUpdate(tournament);
+    }
+}
+
+// ═══════════════════════════════
+// ROUNDS & TABLES
+// ═══════════════════════════════
+
+/**
+ * Close registration and seat the first round (organiser only).
+ * @param {string} code
+ * @param {string} playerId
+ * @returns {{ tournament: object|null, error?: string }}
+ */
+function startTournament(code, playerId) {
+    const tournament = tournaments.get(code);
+    if (!tournament) return { tournament: null, error: 'Tournament not found' };
+    if (tournament.organiser !== playerId) return { tournament: null, error: 'Only the organiser can start the tournament' };
+    if (tournament.status !== 'registration') return { tournament: null, error: 'The tournament has already started' };
+    if (tournament.players.length < TOURNAMENT.MIN_PLAYERS) {
+        return { tournament: null, error: `Need at least ${TOURNAMENT.MIN_PLAYERS} players` };
+    }
+
+    tournament.status = 'running';
+    console.log(`[TOURNAMENT] ${tournament.code} "${tournament.name}" started with ${tournament.players.length} players (${tournament.format})`);
+    startRound(tournament);
+    return { tournament };
+}
+
+/**
+ * Draw the next round: everyone still in, at balanced tables. The first
+ * round is drawn at random. After that, Swiss seats players on a similar
+ * record together, and knockout spreads the leaders across the tables.
+ * @param {object} tournament
+ */
+function startRound(tournament) {
+    const entrants = tournament.format === 'knockout'
+        ? tournament.players.filter(p => p.eliminatedInRound === null)
+        : tournament.players;
+    const order = tournament.rounds.length === 0
+        ? shuffle(entrants)
+        : standings(tournament).filter(p => entrants.includes(p));
+    const bye = tableSizes(order.length, tournament.tableSize).includes(1) ? pickBye(order) : null;
+    if (bye) order.splice(order.indexOf(bye), 1);
+    const sizes = tableSizes(order.length, tournament.tableSize);
+    const groups = tournament.format === 'knockout' ? dealTables(order, sizes) : chunkTables(order, sizes);
+
+    const round = { number: tournament.rounds.length + 1, tables: [], byes: bye ? [bye.id] : [] };
+    tournament.rounds.push(round);
+    if (bye) awardBye(tournament, bye);
+
+    groups.forEach((group, i) => {
+        const tag = { code: tournament.code, name: tournament.name, round: round.number, table: i + 1 };
+        const room = roomManager.createTableRoom(group, tournament.settings, tag);
+        // Seat ids line up with playerIds
+        round.tables.push({ number: i + 1, roomCode: room.code, playerIds: group.map(p => p.id), seatIds: room.players.map(p => p.id), result: null });
+        roomManager.saveSnapshot(room);
+        scheduleSeatWait(room);
+    });
+    console.log(`[TOURNAMENT] ${tournament.code} round ${round.number}: ${round.tables.length} table(s) — ${round.tables.map(t => t.roomCode).join(', ')}`);
+
+    save(tournament);
+    broadcastUpdate(tournament);
+}
+
+/**
+ * The player who sits a round out when the field would leave someone at a
+ * table of their own: the lowest in `order` who has had the fewest byes.
+ * @param {Array<object>} order — in seeding order
+ * @returns {object}
+ */
+function pickBye(order) {
+    const fewest = Math.min(...order.map(p => p.byes || 0));
+    return order.findLast(p => (p.byes || 0) === fewest);
+}
+
+/**
+ * A bye goes through in a knockout, and scores as beating one opponent in
+ * Swiss. It is no game played.
+ * @param {object} tournament
+ * @param {object} player
+ */
+function awardBye(tournament, player) {
+    player.byes = (player.byes || 0) + 1;
+    if (tournament.format === 'swiss') player.points++;
+    console.log(`[TOURNAMENT] ${tournament.code} round ${tournament.rounds.length}: ${player.name} has a bye`);
+}
+
+/**
+ * Split `count` players into the fewest tables of at most `maxSize`, as
+ * evenly as possible. An odd field at `maxSize` 2 leaves a table of one —
+ * `startRound` gives that player a bye instead.
+ * @param {number} count
+ * @param {number} maxSize
+ * @returns {number[]} seats per table, largest first
+ */
+function tableSizes(count, maxSize) {
+    const tables = Math.max(1, Math.ceil(count / maxSize));
+    const base = Math.floor(count / tables);
+    const extra = count % tables;
+    return Array.from({ length: tables }, (_, i) => base + (i < extra ? 1 : 0));
+}
+
+/**
+ * Consecutive players sit together (Swiss: similar records meet).
+ * @param {Array<object>} players — in seeding order
+ * @param {number[]} sizes
+ * @returns {Array<Array<object>>}
+ */
+function chunkTables(players, sizes) {
+    let next = 0;
+    return sizes.map(size => {
+        const group = players.slice(next, next + size);
+        next += size;
+        return group;
+    });
+}
+
+/**
+ * Players are dealt round the tables like cards (knockout: the leaders
+ * don't knock each other out early).
+ * @param {Array<object>} players — in seeding order
+ * @param {number[]} sizes
+ * @returns {Array<Array<object>>}
+ */
+function dealTables(players, sizes) {
+    return sizes.map((_, t) => players.filter((__, i) => i % sizes.length === t));
+}
+
+/**
+ * @param {Array<object>} items
+ * @returns {Array<object>} a shuffled copy
+ */
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Give a new table `SEAT_WAIT_SECONDS` to fill before it starts anyway.
+ * @param {object} room
+ */
+function scheduleSeatWait(room) {
+    clearTimeout(seatTimers.get(room.code));
+    const timer = setTimeout(() => {
+        seatTimers.delete(room.code);
+        if (roomManager.getRoom(room.code) === room) startTable(room);
+    }, TOURNAMENT.SEAT_WAIT_SECONDS * 1000);
+    timer.unref();
+    seatTimers.set(room.code, timer);
+}
+
+/**
+ * A seat at a table was taken or left: keep the standings page up to date,
+ * and deal as soon as everyone is sitting down.
+ * @param {object} room
+ */
+function checkTable(room) {
+    const tournament = room.tournament && tournaments.get(room.tournament.code);
+    if (!tournament) return;
+    broadcastUpdate(tournament);
+    if (room.status === 'waiting' && room.players.every(p => p.connected)) startTable(room);
+}
+
+/**
+ * Deal a table's game. Anyone who has not sat down yet gets the usual
+ * grace period before a bot plays for them.
+ * @param {object} room
+ */
+function startTable(room) {
+    clearTimeout(seatTimers.get(room.code));
+    seatTimers.delete(room.code);
+    if (room.status !== 'waiting') return;
+
+    const absent = room.players.filter(p => !p.connected);
+    console.log(`[TOURNAMENT] Table ${room.code} starts${absent.length ? ` without ${absent.map(p => p.name).join(', ')}` : ''}`);
+    gameServer.startGame(room);
+    absent.forEach(p => gameServer.scheduleTakeover(room, p.id));
+    gameServer.checkHost(room);
+
+    const tournament = tournaments.get(room.tournament.code);
+    if (tournament) broadcastUpdate(tournament);
+}
+
+/**
+ * Feed a table's result into its tournament: the final placings once the
+ * game is over, or the standings at the time if the table was closed
+ * before it finished (nobody there to play it out). Called for every room
+ * — rooms outside a tournament are ignored, as is a table already recorded.
+ * @param {object} room
+ */
+function recordTable(room) {
+    const tag = room.tournament;
+    const tournament = tag && tournaments.get(tag.code);
+    const table = tournament?.rounds[tag.round - 1]?.tables.find(t => t.roomCode === room.code);
+    if (!table || table.result) return;
+
+    const state = room.gameState;
+    const placings = state ? gameServer.placeSeats(state.players) : null;
+    const result = table.playerIds.map(playerId => {
+        const seat = state ? state.players.findIndex(p => p.playerId === seatIdOf(table, playerId)) : -1;
+        return {
+            playerId,
+            placing: seat === -1 ? 1 : placings[seat],
+            score: seat === -1 ? 0 : state.players[seat].score
+        };
+    });
+    clearTimeout(seatTimers.get(room.code));
+    seatTimers.delete(room.code);
+    settleTable(tournament, tag.round, table, result);
+}
+
+/**
+ * Score a table, and move on once the round is complete.
+ * @param {object} tournament
+ * @param {number} roundNumber
+ * @param {object} table
+ * @param {Array<{ playerId: string, placing: number, score: number }>} result
+ */
+function settleTable(tournament, roundNumber, table, result) {
+    table.result = result;
+    for (const entry of result) {
+        const player = tournament.players.find(p => p.id === entry.playerId);
+        if (!player) continue;
+        player.points += result.filter(o => o.placing > entry.placing).length;
+        if (entry.placing === 1) player.wins++;
+        player.score += entry.score;
+        player.played++;
+        player.lastPlacing = entry.placing;
+    }
+
+    if (tournament.format === 'knockout') {
+        // Ties go to the lower score, then to seat order — somebody always goes out
+        const ranked = [...result].sort((a, b) => a.placing - b.placing || a.score - b.score);
+        const through = Math.min(tournament.advancePerTable, ranked.length - 1);
+        for (const entry of ranked.slice(through)) {
+            const player = tournament.players.find(p => p.id === entry.playerId);
+            if (player) player.eliminatedInRound = roundNumber;
+        }
+    }
+    console.log(`[TOURNAMENT] ${tournament.code} round ${roundNumber} table ${table.number} (${table.roomCode}) finished`);
+
+    const round = tournament.rounds[roundNumber - 1];
+    if (round === tournament.rounds[tournament.rounds.length - 1] && round.tables.every(t => t.result)) {
+        finishRound(tournament, round);
+    } else {
+        save(tournament);
+        broadcastUpdate(tournament);
+    }
+}
+
+/**
+ * Every table of the round is done: draw the next one, or finish.
+ * @param {object} tournament
+ * @param {object} round
+ */
+function finishRound(tournament, round) {
+    // A knockout ends with a single table and nobody waiting on a bye
+    const isLast = tournament.format === 'knockout'
+        ? round.tables.length === 1 && !round.byes?.length
+        : round.number >= tournament.swissRounds;
+    if (!isLast) {
+        startRound(tournament);
+        return;
+    }
+
+    tournament.status = 'finished';
+    tournament.finishedAt = Date.now();
+    console.log(`[TOURNAMENT] ${tournament.code} finished — winner: ${standings(tournament)[0].name}`);
+    save(tournament);
+    broadcastUpdate(tournament);
+}
+
+// ═══════════════════════════════
+// STANDINGS & VIEWS
+// ═══════════════════════════════
+
+/**
+ * Players best first. Knockout ranks by how far each got, then by their
+ * last finish; Swiss by points. Wins, then the lower total score, break ties.
+ * @param {object} tournament
+ * @returns {Array<object>}
+ */
+function standings(tournament) {
+    const reached = p => p.eliminatedInRound ?? Infinity;
+    return [...tournament.players].sort((a, b) => {
+        if (tournament.format === 'knockout') {
+            if (reached(a) !== reached(b)) return reached(b) - reached(a);
+            if (a.lastPlacing !== b.lastPlacing) return (a.lastPlacing ?? Infinity) - (b.lastPlacing ?? Infinity);
+        }
+        return b.points - a.points || b.wins - a.wins || a.score - b.score;
+    });
+}
+
+/**
+ * The room seat id of a player at a table (tables saved before seats had
+ * ids of their own used the player id).
+ * @param {object} table
+ * @param {string} playerId
+ * @returns {string}
+ */
+function seatIdOf(table, playerId) {
+    return (table.seatIds || table.playerIds)[table.playerIds.indexOf(playerId)];
+}
+
+/**
+ * The table a player should be sitting at now, if any, with the seat id
+ * and secret that claim their seat — for that player's eyes only.
+ * @param {object} tournament
+ * @param {string} playerId
+ * @returns {{ roomCode: string, round: number, table: number, playerId: string, seatSecret: string|null }|null}
+ */
+function currentTable(tournament, playerId) {
+    const round = tournament.rounds[tournament.rounds.length - 1];
+    const table = round?.tables.find(t => !t.result && t.playerIds.includes(playerId));
+    if (!table) return null;
+    const seatId = seatIdOf(table, playerId);
+    const seat = roomManager.getRoom(table.roomCode)?.players.find(p => p.id === seatId);
+    return { roomCode: table.roomCode, round: round.number, table: table.number, playerId: seatId, seatSecret: seat?.secret || null };
+}
+
+/**
+ * Public view of a tournament — the standings page. Player and seat ids
+ * are left out.
+ * @param {object} tournament
+ * @returns {object}
+ */
+function describeTournament(tournament) {
+    const byId = new Map(tournament.players.map(p => [p.id, p]));
+    const ranked = standings(tournament);
+    return {
+        code: tournament.code,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        organiserName: byId.get(tournament.organiser)?.name || '?',
+        tableSize: tournament.tableSize,
+        advancePerTable: tournament.advancePerTable,
+        swissRounds: tournament.swissRounds,
+        minPlayers: TOURNAMENT.MIN_PLAYERS,
+        maxPlayers: TOURNAMENT.MAX_PLAYERS,
+        createdAt: tournament.createdAt,
+        finishedAt: tournament.finishedAt,
+        winnerName: tournament.status === 'finished' ? ranked[0]?.name || null : null,
+        standings: ranked.map((p, i) => ({
+            rank: i + 1,
+            name: p.name,
+            colour: p.colour,
+            icon: p.icon,
+            points: p.points,
+            wins: p.wins,
+            score: p.score,
+            played: p.played,
+            eliminatedInRound: p.eliminatedInRound,
+            connected: !!p.ws,
+            isOrganiser: p.id === tournament.organiser
+        })),
+        rounds: tournament.rounds.map(round => ({
+            number: round.number,
+            byes: (round.byes || []).map(id => byId.get(id)?.name || '?'),
+            tables: round.tables.map(table => {
+                const room = roomManager.getRoom(table.roomCode);
+                return {
+                    number: table.number,
+                    roomCode: table.roomCode,
+                    status: table.result ? 'finished' : room?.status === 'waiting' ? 'seating' : 'playing',
+                    players: table.playerIds.map(id => {
+                        const entry = table.result?.find(r => r.playerId === id);
+                        return {
+                            name: byId.get(id)?.name || '?',
+                            seated: !!room?.players.find(p => p.id === seatIdOf(table, id))?.connected,
+                            placing: entry ? entry.placing : null,
+                            score: entry ? entry.score : null
+                        };
+                    })
+                };
+            })
+        }))
+    };
+}
+
+/**
+ * Send every connected player the standings, and where they should be sitting.
+ * @param {object} tournament
+ */
+function broadcastUpdate(tournament) {
+    const view = describeTournament(tournament);
+    for (const player of tournament.players) {
+        sendTo(player, {
+            type: 'tournament_updated',
+            tournament: view,
+            myTable: currentTable(tournament, player.id),
+            isOrganiser: player.id === tournament.organiser
+        });
+    }
+}
+
+/**
+ * @param {object} player
+ * @param {object} msg
+ */
+function sendTo(player, msg) {
+    if (player.ws?.readyState !== 1) return;
+    try {
+        player.ws.send(JSON.stringify(msg));
+    } catch (err) {
+        console.warn(`tournament: failed to send to ${player.name} —`, err.message);
+    }
+}
+
+/**
+ * @param {string} code
+ * @returns {object|null}
+ */
+function getTournament(code) {
+    return tournaments.get(code) || null;
+}
+
+/**
+ * Tournaments for the lobby, newest first: open ones, running ones, and
+ * the most recent finished ones.
+ * @returns {Array<{ code: string, name: string, format: string, status: string, organiserName: string, playerCount: number, maxPlayers: number }>}
+ */
+function listTournaments() {
+    return [...tournaments.values()]
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .filter((t, i) => t.status !== 'finished' || i < 20)
+        .map(t => ({
+            code: t.code,
+            name: t.name,
+            format: t.format,
+            status: t.status,
+            organiserName: t.players.find(p => p.id === t.organiser)?.name || '?',
+            playerCount: t.players.length,
+            maxPlayers: TOURNAMENT.MAX_PLAYERS
+        }));
+}
+
+// ═══════════════════════════════
+// PERSISTENCE
+// ═══════════════════════════════
+
+/**
+ * Save a tournament as its `tournaments/<code>` document (no sockets).
+ * @param {object} tournament
+ */
+function save(tournament) {
+    try {
+        storage.write(`tournaments/${tournament.code}`, {
+            ...tournament,
+            players: tournament.players.map(({ ws, ...player }) => player)
+        });
+    } catch (err) {
+        console.warn(`tournament: failed to save ${tournament.code} —`, err.message);
+    }
+}
+
+/**
+ * Load every saved tournament on startup — after the rooms, so running
+ * tables are back already. Players have to rejoin. Tables still seating
+ * get a fresh wait; a table whose room did not survive counts as a
+ * shared finish for everyone at it.
+ * @returns {Array<object>} the loaded tournaments
+ */
+function loadTournaments() {
+    const loaded = [];
+    for (const name of storage.list('tournaments')) {
+        try {
+            const saved = storage.read(name);
+            if (!saved) continue;
+            const tournament = { ...saved, players: saved.players.map(p => ({ ...p, ws: null })) };
+            tournaments.set(tournament.code, tournament);
+            loaded.push(tournament);
+        } catch (err) {
+            console.warn(`loadTournaments: failed to load ${name} —`, err.message);
+        }
+    }
+
+    for (const tournament of loaded) {
+        if (tournament.status !== 'running') continue;
+        const round = tournament.rounds[tournament.rounds.length - 1];
+        for (const table of round.tables) {
+            if (table.result) continue;
+            const room = roomManager.getRoom(table.roomCode);
+            if (!room) settleTable(tournament, round.number, table, table.playerIds.map(playerId => ({ playerId, placing: 1, score: 0 })));
+            else if (room.status === 'waiting') scheduleSeatWait(room);
+            else if (room.gameState?.phase === gameServer.PHASE.GAME_OVER) recordTable(room);
+        }
+    }
+    return loaded;
+}
+
+// A finished table feeds the bracket straight away
+gameServer.onGameOver(recordTable);
+
+module.exports = {
+    createTournament,
+    register,
+    withdraw,
+    rejoin,
+    socketClosed,
+    startTournament,
+    checkTable,
+    recordTable,
+    getTournament,
+    listTournaments,
+    describeTournament,
+    currentTable,
+    loadTournaments
+};
@@ -0,0 +1,127 @@
+/**
+ * Chat panel — room chat and quick reactions, shown under the event log.
+ * Message text and names arrive HTML-escaped from the server.
+ * @module ui/chatPanel
+ */
+
+import { CHAT_LIMITS, QUICK_REACTIONS } from '../engine/gameConfig.js';
+
+/**
+ * Manages the chat panel in the game sidebar.
+ */
+export class ChatPanel {
+    /**
+     * @param {{ onSend?: (text: string) => void, onReact?: (reactionId: string) => void, readOnly?: boolean }} [options]
+     */
+    constructor({ onSend = null, onReact = null, readOnly = false } = {}) {
+        /** @type {Array<object>} messages as sent by the server */
+        this.messages = [];
+        /** @type {HTMLElement|null} */
+        this.container = null;
+        /** @type {HTMLElement|null} */
+        this.listEl = null;
+        this.onSend = onSend;
+        this.onReact = onReact;
+        this.readOnly = readOnly;
+    }
+
+    /**
+     * Build the panel inside a DOM container.
+     * @param {HTMLElement} el
+     */
+    mount(el) {
+        this.container = el;
+        el.innerHTML = `
+          <div class="event-log__header">
+            <h3 class="event-log__title">💬 Chat</h3>
+          </div>
+          <div class="chat__messages"></div>
+          ${this.readOnly ? '' : `
+          <div class="chat__reactions">
+            ${QUICK_REACTIONS.map(r => `<button class="chat__reaction" data-reaction="${r.id}" title="${r.text}">${r.emoji}</button>`).join('')}
+          </div>
+          <form class="chat__form">
+            <input class="chat__input" type="text" maxlength="${CHAT_LIMITS.MAX_LENGTH}" placeholder="Say something…" autocomplete="off" />
+            <button class="chat__send" type="submit">➤</button>
+          </form>`}
+        `;
+        this.listEl = el.querySelector('.chat__messages');
+
+        if (!this.readOnly) {
+            el.querySelectorAll('.chat__reaction').forEach(btn => {
+                btn.addEventListener('click', () => this.onReact?.(btn.dataset.reaction));
+            });
+            const input = el.querySelector('.chat__input');
+            el.querySelector('.chat__form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const text = input.value.trim();
+                if (!text) return;
+                this.onSend?.(text);
+                input.value = '';
+            });
+            // Keep typing from reaching the board's keyboard shortcuts
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        }
+
+        this.renderMessages();
+    }
+
+    /**
+     * Append a message (ignores duplicates, e.g. history resent on reconnect).
+     * @param {object} message
+     */
+    addMessage(message) {
+        if (this.messages.some(m => m.id === message.id)) return;
+        this.messages.push(message);
+        if (this.messages.length > CHAT_LIMITS.HISTORY_SIZE) this.messages.shift();
+        this.renderMessages();
+    }
+
+    /**
+     * Replace the history with the server's copy.
+     * @param {Array<object>} messages
+     */
+    load(messages) {
+        if (!Array.isArray(messages)) return;
+        this.messages = messages.slice(-CHAT_LIMITS.HISTORY_SIZE);
+        this.renderMessages();
+    }
+
+    /**
+     * Render messages into the list and keep it scrolled to the newest.
+     */
+    renderMessages() {
+        if (!this.listEl) return;
+
+        this.listEl.innerHTML = this.messages.map(m => {
+            const time = new Date(m.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const kind = m.reaction ? 'chat__message--reaction' : '';
+            return `
+              <div class="chat__message ${kind}">
+                <span class="chat__name" style="color: ${m.colour || 'inherit'}">${m.name}</span>
+                <span class="chat__text">${m.text}</span>
+                <span class="event-log__time">${time}</span>
+              </div>`;
+        }).join('');
+
+        this.listEl.scrollTop = this.listEl.scrollHeight;
+    }
+}
+
+/**
+ * Float a reaction bubble over an element (e.g. the sender's seat).
+ * Attached to the body so board re-renders don't cut it short.
+ * @param {HTMLElement|null} anchorEl
+ * @param {string} html — escaped reaction text
+ */
+export function showFloatingReaction(anchorEl, html) {
+    if (!anchorEl) return;
+    const rect = anchorEl.getBoundingClientRect();
+    const bubble = document.createElement('div');
+    bubble.className = 'chat-bubble';
+    bubble.innerHTML = html;
+    bubble.style.left = `${rect.left + rect.width / 2}px`;
+    bubble.style.top = `${rect.top}px`;
+    document.body.appendChild(bubble);
+    bubble.addEventListener('animationend', () => bubble.remove());
+}
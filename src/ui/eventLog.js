@@ -95,6 +95,52 @@ export class EventLog {
         this.container.scrollTop = this.container.scrollHeight;
     }
 
+    /**
+     * Log a server `game_event` message (multiplayer board and spectators).
+     * @param {{ eventType: string, playerName?: string, details?: object }} msg
+     */
+    addGameEvent(msg) {
+        const { eventType, playerName } = msg;
+        const details = msg.details || {};
+
+        switch (eventType) {
+            case 'draw':
+                this.addEntry('📥', details.source === 'stock'
+                    ? `${playerName} drew from stock`
+                    : `${playerName} drew ${details.card ? cardToString(details.card) : '?'} from discard`);
+                break;
+            case 'meld':
+                this.addEntry('✅', `${playerName} played meld: ${details.meldStr}`);
+                break;
+            case 'extend':
+                this.addEntry('➕', `${playerName} extended meld: ${details.cardStr}`);
+                break;
+            case 'discard':
+                this.addEntry('🗑️', `${playerName} discarded ${details.card ? cardToString(details.card) : '?'}`);
+                break;
+            case 'return_discard':
+                this.addEntry('↩️', `${playerName} put ${details.card ? cardToString(details.card) : '?'} back on the discard pile`);
+                break;
+            case 'reshuffle':
+                this.addEntry('🔄', `Stock reshuffled (${details.count} cards)`);
+                break;
+            case 'reposition_joker':
+                this.addEntry('🃏', `${playerName} moved Joker from ${details.from} to ${details.to} of meld`);
+                break;
+            case 'bot_takeover':
+                this.addEntry('🤖', details.kicked
+                    ? `${playerName} was removed — a bot plays their seat`
+                    : `${playerName}'s seat is now played by a bot`);
+                break;
+            case 'forfeit':
+                this.addEntry('🚪', `${playerName} was removed and forfeits (+${details.penalty} pts)`, 'info');
+                break;
+            case 'bot_handback':
+                this.addEntry('✅', `${playerName} took back control from the bot`);
+                break;
+        }
+    }
+
     /**
      * Wire up to EventBus events for automatic logging.
      * @param {object} events — the EventBus instance
@@ -133,6 +179,11 @@ export class EventLog {
             this.addEntry('🗑️', `${name} discarded ${cardStr}`);
         });
 
+        events.on('returnDiscard', (data) => {
+            const name = players[data.playerIndex].name;
+            this.addEntry('↩️', `${name} put ${cardToString(data.card)} back on the discard pile`);
+        });
+
         events.on('roundStart', (data) => {
             this.addRoundSeparator(data.roundNumber);
         });
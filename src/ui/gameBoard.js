@@ -13,20 +13,23 @@ import {
     createGame, startRound, nextRound,
     drawFromStock, drawFromDiscard,
     playMelds, addToTableMeld, swapJoker,
-    discard, skipMeld
+    discard, skipMeld, returnDiscardPickup, pendingDiscardPickup
 } from '../engine/gameState.js';
-import { aiDecideTurn, aiDecideMeldsAndDiscard } from '../engine/ai.js';
+import { aiDecideTurn, aiDecideMeldsAndDiscard, rememberAction } from '../engine/ai.js';
 import { classifyMeld, autoSplitMelds, canExtendMeld } from '../engine/melds.js';
 import { cardToString, getCardValue } from '../engine/card.js';
 import { saveScoreHistory } from './lobby.js';
 import { saveGame, deleteSave } from '../engine/saveManager.js';
 import { TurnTracker } from '../engine/turnTracker.js';
 import { EventLog } from './eventLog.js';
+import { ChatPanel, showFloatingReaction } from './chatPanel.js';
 import { showStatsViewer } from './statsViewer.js';
+import { showReplayViewer, downloadReplay } from './replayViewer.js';
 import { showRulebook } from './rulebook.js';
 import { showLeaderboard } from './leaderboard.js';
 import * as sound from '../engine/soundManager.js';
 import * as net from '../engine/networkClient.js';
+import { AI_DIFFICULTY_LABELS } from '../engine/gameConfig.js';
 
 /** @type {object|null} */
 let gameState = null;
@@ -46,6 +49,8 @@ let stagedCardIds = new Set();
 let turnTracker = new TurnTracker();
 /** @type {EventLog} */
 let eventLog = new EventLog();
+/** @type {ChatPanel|null} room chat (multiplayer only) */
+let chatPanel = null;
 
 // ── Multiplayer state ──
 /** @type {boolean} */
@@ -62,6 +67,14 @@ let isHost = false;
 let timerInterval = null;
 /** @type {number} tracks previous player index to detect turn changes */
 let lastCurrentPlayerIndex = -1;
+/** @type {boolean} whether the room currently lets people spectate (host toggle) */
+let spectatingAllowed = true;
+/** @type {{ autoNextRound: number, deadline: number|null, acked: number[], waitingFor: string[] }|null} multiplayer round-over status */
+let roundEndInfo = null;
+/** @type {number|null} */
+let roundCountdownInterval = null;
+/** @type {number|null} ticks the paused overlay and vote banner countdowns */
+let pauseCountdownInterval = null;
 
 /**
  * Initialize and render the game board (SOLO mode).
@@ -70,8 +83,9 @@ let lastCurrentPlayerIndex = -1;
  * @param {Function} onReturnToLobby
  * @param {{ savedState?: object, savedTurnTracker?: object, savedEventLog?: object }} [resumeData]
  * @param {object} [configOverrides={}]
+ * @param {Array<{ name: string, isHuman: boolean, colour?: string, icon?: string }>} [players] — human first, then 1–3 AI seats
  */
-export function renderGameBoard(root, playerName, onReturnToLobby, resumeData = null, configOverrides = {}) {
+export function renderGameBoard(root, playerName, onReturnToLobby, resumeData = null, configOverrides = {}, players = null) {
     rootEl = root;
     returnToLobbyFn = onReturnToLobby;
     isMultiplayer = false;
@@ -82,6 +96,7 @@ export function renderGameBoard(root, playerName, onReturnToLobby, resumeData =
     // Reset modules
     turnTracker = new TurnTracker();
     eventLog = new EventLog();
+    chatPanel = null;
 
     if (resumeData && resumeData.savedState) {
         gameState = resumeData.savedState;
@@ -89,7 +104,7 @@ export function renderGameBoard(root, playerName, onReturnToLobby, resumeData =
             turnTracker.fromJSON(resumeData.savedTurnTracker);
         }
     } else {
-        gameState = createGame(playerName, configOverrides);
+        gameState = createGame(players || playerName, configOverrides);
         startRound(gameState);
     }
 
@@ -115,6 +130,9 @@ export function renderGameBoard(root, playerName, onReturnToLobby, resumeData =
     events.on('stateChange', () => updateUI());
     events.on('roundEnd', onRoundEnd);
 
+    // AI seats remember public pickups/passes for card counting
+    events.on('draw', (action) => rememberAction(gameState, action));
+
     // Sound hooks via EventBus
     events.on('draw', () => sound.playCardDraw());
     events.on('meld', () => sound.playMeldSuccess());
@@ -156,10 +174,212 @@ export function renderMultiplayerBoard(root, playerName, onReturnToLobby, player
     net.on('timer_expired', onTimerExpired);
     net.on('round_start', onNetworkRoundStart);
     net.on('round_end', onRoundEnd);
+    net.on('round_acks', onRoundAcks);
     net.on('player_disconnected', onPlayerDisconnected);
     net.on('player_reconnected', onPlayerReconnected);
     net.on('action_error', onActionError);
     net.on('game_event', onNetworkGameEvent);
+    net.on('replay', onReplayReceived);
+    net.on('spectators_changed', onSpectatorsChanged);
+    net.on('chat', onChatMessage);
+    net.on('chat_history', (msg) => chatPanel.load(msg.messages));
+    net.on('chat_error', (msg) => showToast(msg.error, 'error'));
+    net.on('host_changed', onHostChanged);
+    net.on('player_kicked', (msg) => showToast(`🚪 ${msg.playerName} was removed by the host`, 'warning'));
+    net.on('kicked', onKicked);
+    net.on('room_closed', onRoomClosed);
+    net.on('rematch', onRematch);
+    net.on('server_restarting', () => {
+        showToast('🔄 The server is restarting — you will be reconnected', 'warning');
+        eventLog.addEntry('🔄', 'Server restarting', 'info');
+    });
+    net.on('reconnected', (msg) => {
+        if (msg.serverDowntimeSeconds === null || msg.serverDowntimeSeconds === undefined) return;
+        showToast(`✅ Back in the game — the server was down for ${formatCountdown(msg.serverDowntimeSeconds)}`, 'success');
+        eventLog.addEntry('✅', `Server back after ${formatCountdown(msg.serverDowntimeSeconds)}`, 'info');
+    });
+    net.on('vote_update', (msg) => renderVoteBanner(msg.vote));
+    net.on('vote_ended', onVoteEnded);
+    net.on('game_paused', (msg) => eventLog.addEntry('⏸️', `Game paused (asked by ${msg.byName})`, 'info'));
+    net.on('game_resumed', (msg) => {
+        renderVoteBanner(null);
+        showToast(msg.reason === 'timeout' ? '▶️ Pause time is up — play resumes' : '▶️ Play resumes', 'info');
+        eventLog.addEntry('▶️', msg.reason === 'timeout' ? 'Game resumed (pause time up)' : 'Game resumed', 'info');
+    });
+
+    // Chat lives under the event log
+    const chatEl = document.getElementById('chat-panel');
+    chatEl.style.display = '';
+    chatPanel = new ChatPanel({
+        onSend: (text) => net.send('chat', { text }),
+        onReact: (reaction) => net.send('chat', { reaction })
+    });
+    chatPanel.mount(chatEl);
+
+    // Host can switch spectating on/off from the board
+    const spectatorsBtn = document.getElementById('btn-spectators');
+    spectatorsBtn.style.display = '';
+    spectatorsBtn.addEventListener('click', () => {
+        if (!isHost) return;
+        sound.playButtonClick();
+        net.send('set_spectating', { allowed: !spectatingAllowed });
+    });
+
+    // Anyone may ask the table for a pause (or to resume one)
+    const pauseBtn = document.getElementById('btn-pause');
+    pauseBtn.style.display = '';
+    pauseBtn.addEventListener('click', () => {
+        sound.playButtonClick();
+        net.send('request_vote', { kind: gameState?.paused ? 'resume' : 'pause' });
+    });
+
+    // Host moderation — kick a player or hand over host
+    const moderateBtn = document.getElementById('btn-moderate');
+    moderateBtn.style.display = isHost ? '' : 'none';
+    moderateBtn.addEventListener('click', () => {
+        sound.playButtonClick();
+        showModerationPanel();
+    });
+}
+
+/** @param {{ hostIndex: number, hostName: string }} msg */
+function onHostChanged(msg) {
+    isHost = msg.hostIndex === myPlayerIndex;
+    document.getElementById('btn-moderate').style.display = isHost ? '' : 'none';
+    document.getElementById('moderation-panel')?.remove();
+    const reason = msg.automatic ? `${msg.previousHostName} disconnected — ` : '';
+    showToast(`👑 ${reason}${isHost ? 'You are now the host' : `${msg.hostName} is now the host`}`, 'info');
+    eventLog.addEntry('👑', `${reason}${msg.hostName} is now the host`, 'info');
+    renderRoundActions();
+}
+
+/** @param {{ banned: boolean }} msg */
+function onKicked(msg) {
+    net.clearSession();
+    net.off();
+    net.disconnect();
+    renderPauseState(null);
+    renderVoteBanner(null);
+    alert(msg.banned ? 'The host removed you from the room and banned you from rejoining.' : 'The host removed you from the room.');
+    returnToLobbyFn?.();
+}
+
+/**
+ * The table voted to play again: clear the finished game and wait for the
+ * new deal. Seats may have moved if someone left.
+ * @param {{ myIndex: number, hostIndex: number, series: object|null }} msg
+ */
+function onRematch(msg) {
+    myPlayerIndex = msg.myIndex;
+    isHost = msg.hostIndex === myPlayerIndex;
+    document.getElementById('btn-moderate').style.display = isHost ? '' : 'none';
+    document.querySelector('.win-overlay')?.remove();
+    document.querySelector('.overlay')?.remove();
+    renderVoteBanner(null);
+    clearInterval(roundCountdownInterval);
+    roundEndInfo = null;
+    gameState = null;
+    lastCurrentPlayerIndex = -1;
+    turnTracker = new TurnTracker();
+    eventLog.clear();
+    const { series } = msg;
+    eventLog.addEntry('🔁', series ? `Game ${series.gameNumber} of ${series.length} starting` : 'Rematch starting', 'round');
+    showToast(series ? `🔁 Game ${series.gameNumber} of the best-of-${series.length} series` : '🔁 Rematch!', 'info');
+}
+
+/**
+ * The server swept the room away (only finished games reach the board):
+ * the results stay on screen, but there is nothing left to reconnect to.
+ * @param {{ reason: string }} msg
+ */
+function onRoomClosed(msg) {
+    net.clearSession();
+    net.off();
+    net.disconnect();
+    renderPauseState(null);
+    renderVoteBanner(null);
+    eventLog.addEntry('🚪', msg.reason, 'info');
+    showToast(`🚪 ${msg.reason}`, 'info');
+}
+
+/**
+ * Host panel: remove a player (a bot takes the seat, or it forfeits) or make
+ * someone else host.
+ */
+function showModerationPanel() {
+    if (!gameState || document.getElementById('moderation-panel')) return;
+
+    const seats = gameState.players
+        .map((p, i) => ({ ...p, index: i }))
+        .filter(p => !p.isMe && !p.isBot);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.id = 'moderation-panel';
+    overlay.innerHTML = `
+    <div class="overlay__panel moderation">
+      <h2 class="overlay__title">Moderation</h2>
+      ${seats.length === 0 ? '<p class="overlay__subtitle">No other players to manage.</p>' : `
+        <label class="moderation__ban"><input type="checkbox" id="moderation-ban" /> Ban from rejoining this room</label>
+        <ul class="moderation__list">
+          ${seats.map(p => `
+            <li class="moderation__row">
+              <span class="moderation__name" style="color: ${p.colour}">${p.icon} ${p.name}${p.eliminated ? ' (out)' : ''}</span>
+              <button class="moderation__btn" data-kick="bot" data-seat="${p.index}" title="Remove them; a bot plays their seat">🤖 Kick</button>
+              <button class="moderation__btn" data-kick="forfeit" data-seat="${p.index}" title="Remove them; their hand is added to their score and they are out" ${p.eliminated ? 'disabled' : ''}>🚪 Forfeit</button>
+              <button class="moderation__btn" data-host data-seat="${p.index}" title="Hand host rights to them">👑 Make host</button>
+            </li>
+          `).join('')}
+        </ul>
+      `}
+      <button class="overlay__btn" id="moderation-close">Close</button>
+    </div>
+  `;
+    document.body.appendChild(overlay);
+
+    const close = () => overlay.remove();
+    overlay.querySelector('#moderation-close').addEventListener('click', close);
+    overlay.querySelectorAll('[data-kick]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const seat = gameState.players[Number(btn.dataset.seat)];
+            const ban = overlay.querySelector('#moderation-ban').checked;
+            if (!confirm(`Remove ${seat.name} from the game${ban ? ' and ban them' : ''}?`)) return;
+            net.send('kick_player', { playerIndex: Number(btn.dataset.seat), mode: btn.dataset.kick, ban });
+            close();
+        });
+    });
+    overlay.querySelectorAll('[data-host]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            net.send('transfer_host', { playerIndex: Number(btn.dataset.seat) });
+            close();
+        });
+    });
+}
+
+/** @param {{ spectators: Array<{ name: string }>, allowed: boolean }} msg */
+function onSpectatorsChanged(msg) {
+    spectatingAllowed = msg.allowed;
+    const btn = document.getElementById('btn-spectators');
+    if (!btn) return;
+    btn.textContent = msg.allowed ? `👁️ ${msg.spectators.length}` : '👁️ off';
+    const watching = msg.spectators.length > 0 ? `Watching: ${msg.spectators.map(s => s.name).join(', ')}` : 'Nobody is watching';
+    btn.title = isHost
+        ? `${watching} — click to turn spectating ${msg.allowed ? 'off' : 'on'}`
+        : watching;
+}
+
+/** @param {{ message: object }} msg */
+function onChatMessage(msg) {
+    const { message } = msg;
+    chatPanel.addMessage(message);
+    if (message.reaction) {
+        const seatEl = message.playerIndex === myPlayerIndex
+            ? document.querySelector('.hand-area')
+            : document.querySelector(`.ai-area__opponent[data-seat="${message.playerIndex}"]`);
+        showFloatingReaction(seatEl, message.text);
+    } else if (message.playerIndex !== myPlayerIndex) {
+        sound.playButtonClick();
+    }
 }
 
 /**
@@ -177,7 +397,8 @@ function onNetworkGameState(msg) {
             isHuman: true,
             colour: p.colour,
             icon: p.icon,
-            isMe: p.isMe
+            isMe: p.isMe,
+            isBot: p.isBot
         })),
         stock: { length: msg.stock.count },
         discardPile: msg.discardPile.topCard ? [msg.discardPile.topCard] : [],
@@ -186,10 +407,17 @@ function onNetworkGameState(msg) {
         phase: msg.phase,
         roundNumber: msg.roundNumber,
         drawnFromDiscard: msg.drawnFromDiscard,
+        pendingPickup: msg.pendingPickup,
+        pickupReturned: msg.pickupReturned,
         lastAction: msg.lastAction,
+        paused: msg.paused,
+        series: msg.series,
+        tournament: msg.tournament,
         config: msg.config
     };
     myPlayerIndex = msg.myIndex;
+    renderPauseState(msg.paused);
+    renderVoteBanner(msg.vote);
 
     if (!eventLog._mounted) {
         eventLog.subscribe(events, gameState.players);
@@ -210,6 +438,113 @@ function onNetworkGameState(msg) {
     updateUI();
 }
 
+// ═══════════════════════════════
+// PAUSE & VOTES
+// ═══════════════════════════════
+
+/**
+ * Show, update or clear the paused overlay and switch the top-bar button
+ * between asking for a pause and asking to resume.
+ * @param {{ byName: string, resumeIn: number }|null} paused
+ */
+function renderPauseState(paused) {
+    const btn = document.getElementById('btn-pause');
+    if (btn) {
+        btn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+        btn.title = paused ? 'Ask the table to resume' : 'Ask the table to pause';
+    }
+
+    let overlay = document.getElementById('paused-overlay');
+    if (!paused) {
+        overlay?.remove();
+        return;
+    }
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.className = 'overlay overlay--paused';
+        overlay.id = 'paused-overlay';
+        document.body.appendChild(overlay);
+    }
+    const resumeAt = Date.now() + paused.resumeIn * 1000;
+    overlay.innerHTML = `
+    <div class="overlay__panel">
+      <h2 class="overlay__title">⏸️ Paused</h2>
+      <p class="overlay__subtitle">${paused.byName} asked for a break. Play resumes by itself in <span id="pause-countdown">${formatCountdown(paused.resumeIn)}</span>.</p>
+      <button class="overlay__btn" id="btn-vote-resume">▶️ Vote to resume</button>
+    </div>
+  `;
+    overlay.querySelector('#btn-vote-resume').addEventListener('click', () => {
+        sound.playButtonClick();
+        net.send('request_vote', { kind: 'resume' });
+    });
+
+    clearInterval(pauseCountdownInterval);
+    pauseCountdownInterval = setInterval(() => {
+        const el = document.getElementById('pause-countdown');
+        if (!el) {
+            clearInterval(pauseCountdownInterval);
+            return;
+        }
+        el.textContent = formatCountdown(Math.max(0, Math.ceil((resumeAt - Date.now()) / 1000)));
+    }, 1000);
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} m:ss
+ */
+function formatCountdown(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/** What the banner says each kind of vote asks for */
+const VOTE_LABELS = {
+    pause: 'wants to pause the game',
+    resume: 'wants to resume the game',
+    rematch: 'wants to play again'
+};
+
+/**
+ * Show the running table vote with Yes/No buttons for anyone who has not
+ * voted yet, or clear it.
+ * @param {{ kind: string, byName: string, yes: number[], no: number[], needed: number, endsIn: number }|null} vote
+ */
+function renderVoteBanner(vote) {
+    let banner = document.getElementById('vote-banner');
+    if (!vote) {
+        banner?.remove();
+        return;
+    }
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.className = 'vote-banner';
+        banner.id = 'vote-banner';
+        document.body.appendChild(banner);
+    }
+
+    const voted = vote.yes.includes(myPlayerIndex) || vote.no.includes(myPlayerIndex);
+    banner.innerHTML = `
+    <span class="vote-banner__text">${vote.byName} ${VOTE_LABELS[vote.kind] || 'called a vote'}</span>
+    <span class="vote-banner__tally">✔ ${vote.yes.length} / ${vote.needed} · ✖ ${vote.no.length}</span>
+    ${voted ? '<span class="vote-banner__tally">Waiting for the others…</span>' : `
+      <button class="vote-banner__btn" data-vote="yes">✔ Yes</button>
+      <button class="vote-banner__btn" data-vote="no">✖ No</button>
+    `}
+  `;
+    banner.querySelectorAll('[data-vote]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            sound.playButtonClick();
+            net.send('cast_vote', { yes: btn.dataset.vote === 'yes' });
+        });
+    });
+}
+
+/** @param {{ kind: string, byName: string, passed: boolean }} msg */
+function onVoteEnded(msg) {
+    renderVoteBanner(null);
+    if (!msg.passed) showToast(`The vote ${msg.kind === 'rematch' ? 'to play again' : `to ${msg.kind}`} did not pass`, 'info');
+}
+
 /** @param {object} msg */
 function onTimerTick(msg) {
     timerRemaining = msg.remaining;
@@ -227,6 +562,7 @@ function onNetworkRoundStart(msg) {
     // fast-forward cleanup
     const overlay = document.querySelector('.overlay');
     if (overlay) overlay.remove();
+    roundEndInfo = null;
 
     // Clear local staging
     if (handManager) {
@@ -259,46 +595,26 @@ function onActionError(msg) {
     showToast(msg.error, 'error');
 }
 
+/** What to do with the next replay the server sends: 'download' or 'watch' */
+let pendingReplayIntent = null;
+
+/** @param {object} msg */
+function onReplayReceived(msg) {
+    if (pendingReplayIntent === 'watch') showReplayViewer(msg.replay);
+    else downloadReplay(msg.replay);
+    pendingReplayIntent = null;
+}
+
 /**
  * Handle game events for the log (multiplayer).
  * @param {object} msg
  */
 function onNetworkGameEvent(msg) {
-    const { eventType, playerName, playerIndex, details } = msg;
-    let icon = 'ℹ️';
-    let text = '';
-
-    switch (eventType) {
-        case 'draw':
-            icon = '📥';
-            text = details.source === 'stock'
-                ? `${playerName} drew from stock`
-                : `${playerName} drew ${details.card ? cardToString(details.card) : '?'} from discard`;
-            break;
-        case 'meld':
-            icon = '✅';
-            text = `${playerName} played meld: ${details.meldStr}`;
-            break;
-        case 'extend':
-            icon = '➕';
-            text = `${playerName} extended meld: ${details.cardStr}`;
-            break;
-        case 'discard':
-            icon = '🗑️';
-            text = `${playerName} discarded ${details.card ? cardToString(details.card) : '?'}`;
-            break;
-        case 'reshuffle':
-            icon = '🔄';
-            text = `Stock reshuffled (${details.count} cards)`;
-            break;
-        case 'reposition_joker':
-            icon = '🃏';
-            text = `${playerName} moved Joker from ${details.from} to ${details.to} of meld`;
-            break;
-    }
+    const { eventType, playerName, playerIndex } = msg;
+    eventLog.addGameEvent(msg);
 
-    if (text) {
-        eventLog.addEntry(icon, text);
+    if (eventType === 'bot_takeover') {
+        showToast(`🤖 A bot is playing for ${playerName}`, 'warning');
     }
 
     // Play sounds for opponent actions so everyone can hear what's happening
@@ -330,6 +646,9 @@ function buildBoardDOM() {
             <button class="top-bar__stats-btn" id="btn-rules" title="View game rules">📖 Rules</button>
             <button class="top-bar__stats-btn" id="btn-leaderboard" title="View PvP leaderboard">🏆 Ranks</button>
             <button class="top-bar__stats-btn" id="btn-theme" title="Toggle board theme">🎨 Theme</button>
+            <button class="top-bar__stats-btn" id="btn-spectators" style="display:none" title="Nobody is watching">👁️ 0</button>
+            <button class="top-bar__stats-btn" id="btn-pause" style="display:none" title="Ask the table to pause">⏸️ Pause</button>
+            <button class="top-bar__stats-btn" id="btn-moderate" style="display:none" title="Kick players or hand over host">🛡️ Host</button>
             <div class="turn-indicator" id="turn-indicator"></div>
           </div>
         </div>
@@ -383,6 +702,7 @@ function buildBoardDOM() {
           <h3 class="event-log__title">📜 Event Log</h3>
         </div>
         <div class="event-log__entries" id="event-log-entries"></div>
+        <div class="chat" id="chat-panel" style="display:none"></div>
       </div>
     </div>
   `;
@@ -452,7 +772,11 @@ function updateUI(dealAnim = false) {
     const isHumanTurn = state.currentPlayerIndex === myPlayerIndex;
 
     // Round label
-    document.getElementById('round-label').textContent = `Round ${state.roundNumber}`;
+    document.getElementById('round-label').textContent = state.tournament
+        ? `🏆 R${state.tournament.round} Table ${state.tournament.table} · Round ${state.roundNumber}`
+        : state.series
+            ? `Game ${state.series.gameNumber}/${state.series.length} · Round ${state.roundNumber}`
+            : `Round ${state.roundNumber}`;
 
     // Scores
     const scoresEl = document.getElementById('scores-display');
@@ -487,10 +811,18 @@ function updateUI(dealAnim = false) {
         if (i === myPlayerIndex) return; // skip own hand
         const opponentDiv = document.createElement('div');
         opponentDiv.className = 'ai-area__opponent';
+        opponentDiv.dataset.seat = i;
+        if (i === state.currentPlayerIndex) opponentDiv.classList.add('ai-area__opponent--active');
+        if (p.eliminated) opponentDiv.classList.add('ai-area__opponent--eliminated');
         const nameTag = document.createElement('span');
         nameTag.className = 'ai-area__name';
         nameTag.style.color = p.colour || '#ccc';
         nameTag.textContent = `${p.icon || '♠'} ${p.name} (${p.hand?.length || 0})`;
+        if (p.difficulty) nameTag.title = `${AI_DIFFICULTY_LABELS[p.difficulty] || p.difficulty} AI`;
+        if (p.botControlled) {
+            nameTag.textContent += ' 🤖';
+            nameTag.title = 'Disconnected — a bot is playing this seat';
+        }
         opponentDiv.appendChild(nameTag);
         const cardsRow = document.createElement('div');
         cardsRow.className = 'ai-area__cards';
@@ -546,13 +878,13 @@ function updateUI(dealAnim = false) {
 
     // Player hand
     const newCardId = state.drawnCard ? state.drawnCard.id : null;
-    const newCardAnim = state.lastAction?.type === 'draw'
+    const newCardAnim = state.lastAction?.type === 'draw' && !isSpeedMode()
         ? (state.lastAction.source === 'stock' ? 'anim-draw-stock' : 'anim-draw-discard')
         : '';
     // Filter out nulls (multiplayer opponent hand stubs)
     const realHand = (humanPlayer.hand || []).filter(c => c !== null);
     handManager.render(realHand, {
-        animate: dealAnim,
+        animate: dealAnim && !isSpeedMode(),
         newCardId: isHumanTurn ? newCardId : null,
         newCardAnimClass: newCardAnim,
         stagedIds: stagedCardIds
@@ -702,6 +1034,7 @@ function renderControls() {
     const selected = allSelected.filter(id => !stagedCardIds.has(id));
     const hasSelection = selected.length > 0;
     const hasStagedMelds = stagedMelds.length > 0;
+    const pickup = isHumanTurn ? getPendingPickup() : null;
 
     let buttons = '';
 
@@ -742,8 +1075,13 @@ function renderControls() {
         </button>`;
             }
 
-            // Skip meld button
-            if (state.phase === PHASE.MELD) {
+            // A discard pickup must be melded — or put back before the turn can end
+            if (pickup) {
+                buttons += `<button class="hand-controls__btn hand-controls__btn--warning" id="btn-return-pickup" title="Put the card back on the discard pile and draw from the stock instead">
+          ↩ Put Back ${cardToString(pickup)}
+        </button>`;
+            } else if (state.phase === PHASE.MELD) {
+                // Skip meld button
                 buttons += `<button class="hand-controls__btn" id="btn-skip-meld" title="Skip melding and go to discard">
           ⏭ Skip to Discard
         </button>`;
@@ -768,6 +1106,7 @@ function renderControls() {
     document.getElementById('btn-clear-staged')?.addEventListener('click', () => { sound.playButtonClick(); onClearStagedMelds(); });
     document.getElementById('btn-discard')?.addEventListener('click', () => { sound.playButtonClick(); onDiscard(); });
     document.getElementById('btn-skip-meld')?.addEventListener('click', () => { sound.playButtonClick(); onSkipMeld(); });
+    document.getElementById('btn-return-pickup')?.addEventListener('click', () => { sound.playButtonClick(); onReturnPickup(); });
     document.getElementById('btn-clear-selection')?.addEventListener('click', () => { sound.playButtonClick(); handManager.clearSelection(); });
 }
 
@@ -789,7 +1128,8 @@ function updateStatusMessage() {
             const currentName = state.players[state.currentPlayerIndex].name;
             el.innerHTML = `<span class="ai-thinking"><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span></span> ${currentName} is making a move…`;
         } else {
-            el.innerHTML = `<span class="ai-thinking"><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span></span> Computer is thinking…`;
+            const aiName = state.players[state.currentPlayerIndex].name;
+            el.innerHTML = `<span class="ai-thinking"><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span><span class="ai-thinking__dot"></span></span> ${aiName} is thinking…`;
         }
         return;
     }
@@ -797,10 +1137,14 @@ function updateStatusMessage() {
     const player = state.players[myPlayerIndex];
     switch (state.phase) {
         case PHASE.DRAW:
-            el.textContent = '📥 Draw a card — click the Stock or Discard pile';
+            el.textContent = state.pickupReturned
+                ? '📥 You put the discard back — draw from the Stock'
+                : '📥 Draw a card — click the Stock or Discard pile';
             break;
         case PHASE.MELD:
-            if (!player.hasOpened) {
+            if (getPendingPickup()) {
+                el.textContent = `🃏 Use ${cardToString(getPendingPickup())} from the discard pile in a meld — or put it back and draw from the Stock`;
+            } else if (!player.hasOpened) {
                 el.textContent = '🃏 Select cards to meld (need ≥51 pts with a pure sequence to open) — or skip to discard';
             } else {
                 el.textContent = '🃏 Select cards to play melds, drag to existing melds, or skip to discard';
@@ -841,6 +1185,11 @@ function onDiscardClick() {
         showToast('Discard pile is empty', 'error');
         return;
     }
+    if (gameState.pickupReturned) {
+        sound.playError();
+        showToast('You put that card back — draw from the Stock', 'error');
+        return;
+    }
     sound.playCardClick();
 
     if (isMultiplayer) {
@@ -996,8 +1345,9 @@ function renderStagingArea() {
 
     const isHumanTurn = gameState && gameState.currentPlayerIndex === myPlayerIndex;
     const inMeldPhase = gameState && (gameState.phase === PHASE.MELD || gameState.phase === PHASE.DISCARD);
+    const pickup = isHumanTurn ? getPendingPickup() : null;
 
-    if (!isHumanTurn || !inMeldPhase || stagedMelds.length === 0) {
+    if (!isHumanTurn || !inMeldPhase || (stagedMelds.length === 0 && !pickup)) {
         stagingEl.style.display = 'none';
         zoneEl.innerHTML = '';
         return;
@@ -1006,6 +1356,22 @@ function renderStagingArea() {
     stagingEl.style.display = '';
     zoneEl.innerHTML = '';
 
+    // Discard pickup constraint — the card has to go into a meld this turn
+    if (pickup) {
+        const staged = stagedCardIds.has(pickup.id);
+        const notice = document.createElement('div');
+        notice.className = `meld-staging__pickup${staged ? ' meld-staging__pickup--met' : ''}`;
+        notice.appendChild(renderCard(pickup, { table: true }));
+        const text = document.createElement('span');
+        text.textContent = staged
+            ? 'Discard pickup is in a staged meld ✅'
+            : 'You took this from the discard pile — it must go into a meld (or onto a table meld) this turn';
+        notice.appendChild(text);
+        zoneEl.appendChild(notice);
+    }
+
+    if (stagedMelds.length === 0) return;
+
     // Header
     const header = document.createElement('div');
     header.className = 'meld-staging__header';
@@ -1088,10 +1454,52 @@ function onSkipMeld() {
         net.send('game_action', { action: 'skip_meld' });
         return;
     }
-    skipMeld(gameState);
+    const result = skipMeld(gameState);
+    if (!result.success) {
+        sound.playError();
+        showToast(result.reason, 'error');
+        return;
+    }
     updateUI();
 }
 
+/**
+ * Put an unusable discard pickup back and return to the draw phase.
+ * Staged melds that contain the card are dropped with it.
+ */
+function onReturnPickup() {
+    const pickup = getPendingPickup();
+    if (!pickup) return;
+
+    const keep = stagedMelds.filter(meld => !meld.some(c => c.id === pickup.id));
+    stagedMelds = keep;
+    stagedCardIds = new Set(keep.flat().map(c => c.id));
+    handManager.selectedIds.delete(pickup.id);
+
+    if (isMultiplayer) {
+        net.send('game_action', { action: 'return_discard' });
+        return;
+    }
+
+    const result = returnDiscardPickup(gameState);
+    if (!result.success) {
+        sound.playError();
+        showToast(result.reason, 'error');
+    } else {
+        turnTracker.takeSnapshot(gameState, `${gameState.players[myPlayerIndex].name} put ${cardToString(pickup)} back`);
+    }
+}
+
+/**
+ * The discard-pile card the current player still has to meld this turn.
+ * Solo derives it from the engine state; multiplayer gets it from the server.
+ * @returns {object|null}
+ */
+function getPendingPickup() {
+    if (!gameState) return null;
+    return isMultiplayer ? gameState.pendingPickup || null : pendingDiscardPickup(gameState);
+}
+
 function handleReorder(draggedId, targetId) {
     const player = gameState.players[myPlayerIndex];
     const hand = player.hand;
@@ -1247,10 +1655,11 @@ function onJokerSwapDrop(e, tableMeldIndex, jokerCardIndex) {
 
 function scheduleAiTurn() {
     if (aiTurnInProgress) return;
+    if (gameState.players[gameState.currentPlayerIndex].isHuman) return;
     aiTurnInProgress = true;
 
     // Add a delay so the human can see what's happening
-    setTimeout(() => executeAiTurn(), 1200);
+    setTimeout(() => executeAiTurn(), isSpeedMode() ? 0 : 1200);
 }
 
 async function executeAiTurn() {
@@ -1259,14 +1668,17 @@ async function executeAiTurn() {
         return;
     }
 
-    const aiName = gameState.players[1].name;
+    // Whichever AI seat is up — solo games can have 1–3 of them
+    const aiIndex = gameState.currentPlayerIndex;
+    const aiPlayer = gameState.players[aiIndex];
+    const aiName = aiPlayer.name;
 
     try {
         // 1. AI decides draw source
         const drawActions = aiDecideTurn(gameState);
         const drawAction = drawActions[0];
 
-        await delay(600);
+        await aiPause(600);
 
         // If AI already has 14 cards (starting player), skip the draw
         if (gameState.phase === PHASE.MELD || gameState.phase === PHASE.DISCARD) {
@@ -1286,13 +1698,24 @@ async function executeAiTurn() {
             return;
         }
 
-        await delay(800);
+        await aiPause(800);
 
         // 2. AI decides melds and discard
-        const meldActions = aiDecideMeldsAndDiscard(gameState);
+        let meldActions = aiDecideMeldsAndDiscard(gameState);
 
-        for (const action of meldActions) {
-            await delay(700);
+        while (meldActions.length > 0) {
+            const action = meldActions.shift();
+            await aiPause(700);
+
+            if (action.type === 'return_discard') {
+                // The pickup can't be used after all — put it back, draw blind and re-plan
+                returnDiscardPickup(gameState);
+                drawFromStock(gameState);
+                turnTracker.takeSnapshot(gameState, `${aiName} put the discard back and drew from stock`);
+                if (gameState.phase === PHASE.ROUND_OVER || gameState.phase === PHASE.GAME_OVER) break;
+                meldActions = aiDecideMeldsAndDiscard(gameState);
+                continue;
+            }
 
             if (action.type === 'meld') {
                 const result = playMelds(gameState, action.meldCardIds);
@@ -1304,7 +1727,7 @@ async function executeAiTurn() {
                 addToTableMeld(gameState, action.tableMeldIndex, action.cardIds, action.position);
                 turnTracker.takeSnapshot(gameState, `${aiName} extended a meld`);
             } else if (action.type === 'discard') {
-                const card = gameState.players[1].hand.find(c => c.id === action.cardId);
+                const card = aiPlayer.hand.find(c => c.id === action.cardId);
                 discard(gameState, action.cardId);
                 if (card) {
                     showToast(`${aiName} discarded ${cardToString(card)}`, 'info');
@@ -1316,23 +1739,37 @@ async function executeAiTurn() {
                 break;
             }
         }
+
+        // A planned meld was rejected and the discard refused — let the fallback end the turn
+        if (gameState.currentPlayerIndex === aiIndex && pendingDiscardPickup(gameState)) {
+            throw new Error('discard pickup left in hand');
+        }
     } catch (err) {
         console.error('AI turn error:', err);
         // Fallback: just draw and discard
+        if (pendingDiscardPickup(gameState)) {
+            returnDiscardPickup(gameState);
+        }
         if (gameState.phase === PHASE.DRAW) {
             drawFromStock(gameState);
         }
-        if (gameState.players[1].hand.length > 0 && gameState.phase !== PHASE.ROUND_OVER) {
-            const lastCard = gameState.players[1].hand[gameState.players[1].hand.length - 1];
+        if (gameState.currentPlayerIndex === aiIndex && aiPlayer.hand.length > 0 && gameState.phase !== PHASE.ROUND_OVER) {
+            const lastCard = aiPlayer.hand[aiPlayer.hand.length - 1];
             discard(gameState, lastCard.id);
         }
     }
 
     aiTurnInProgress = false;
 
-    // Notify human player that it's now their turn
-    if (gameState.phase !== PHASE.ROUND_OVER && gameState.phase !== PHASE.GAME_OVER) {
+    if (gameState.phase === PHASE.ROUND_OVER || gameState.phase === PHASE.GAME_OVER) return;
+
+    if (gameState.currentPlayerIndex === myPlayerIndex) {
+        // Notify human player that it's now their turn
         showTurnNotification();
+    } else {
+        // Next seat is another AI — the stateChange from our discard fired while
+        // this turn was still in progress, so queue the follow-up turn here
+        scheduleAiTurn();
     }
 }
 
@@ -1352,6 +1789,22 @@ function onRoundEnd(data) {
         console.error('[onRoundEnd] turnTracker error (non-fatal):', err);
     }
 
+    // Solo logs the result through the EventBus; online it only arrives here
+    if (isMultiplayer) {
+        renderPauseState(null);
+        renderVoteBanner(null);
+        roundEndInfo = {
+            autoNextRound: data.autoNextRound || 0,
+            deadline: data.nextRoundIn ? Date.now() + data.nextRoundIn * 1000 : null,
+            acked: [],
+            waitingFor: []
+        };
+        const winner = data.winnerIndex !== null ? data.scores[data.winnerIndex]?.name : null;
+        if (data.isRemik) eventLog.addEntry('🎉', `${winner} played REMIK!`, 'round');
+        else if (winner) eventLog.addEntry('🏆', `${winner} wins the round!`, 'round');
+        else eventLog.addEntry('📊', 'Stock exhausted — no winner', 'round');
+    }
+
     // Play win/lose sound
     if (data.winnerIndex === myPlayerIndex) {
         sound.playRoundWin();
@@ -1359,7 +1812,7 @@ function onRoundEnd(data) {
         sound.playRoundLose();
     }
 
-    setTimeout(() => showRoundOverlay(data), 600);
+    setTimeout(() => showRoundOverlay(data), isSpeedMode() ? 0 : 600);
 }
 
 function showRoundOverlay(data) {
@@ -1449,17 +1902,15 @@ function showRoundOverlay(data) {
     `;
     }).join('');
 
-    let buttonHTML = `<button class="overlay__btn" id="btn-next-round">Next Round</button>`;
-
-    // Multiplayer: Only host can click Next Round
-    if (isMultiplayer && !isHost) {
-        buttonHTML = `<div class="overlay__waiting">Waiting for host to start next round... <span class="spinner"></span></div>`;
-    }
+    // Multiplayer: who may start the next round changes while the overlay is up
+    const buttonHTML = isMultiplayer
+        ? '<div id="round-actions"></div>'
+        : `<button class="overlay__btn" id="btn-next-round">Next Round</button>`;
 
     overlay.innerHTML = `
     <div class="overlay__panel overlay__panel--wide">
       <h2 class="overlay__title">${title}</h2>
-      <p class="overlay__subtitle">${subtitle}</p>
+      <p class="overlay__subtitle${isRemik ? ' overlay__subtitle--remik' : ''}">${subtitle}</p>
       <div class="overlay__scores">${playerStats}</div>
       ${buttonHTML}
     </div>
@@ -1468,19 +1919,16 @@ function showRoundOverlay(data) {
     console.log('[showRoundOverlay] Appending overlay to DOM');
     document.body.appendChild(overlay);
 
+    if (isMultiplayer) {
+        renderRoundActions();
+        return;
+    }
+
     const btn = document.getElementById('btn-next-round');
     if (btn) {
         btn.addEventListener('click', () => {
             sound.playButtonClick();
 
-            if (isMultiplayer) {
-                // Host starting next round
-                net.send('next_round', {});
-                btn.disabled = true;
-                btn.textContent = 'Starting...';
-                return;
-            }
-
             // Solo mode — advance to next round
             overlay.remove();
             nextRound(gameState);
@@ -1499,12 +1947,94 @@ function showRoundOverlay(data) {
     }
 }
 
+/**
+ * Rating movement badge for a game-over score row (multiplayer only —
+ * bots and solo games have no rating).
+ * @param {{ before: number, after: number, change: number, provisional: boolean }|null|undefined} rating
+ * @returns {string}
+ */
+function renderRatingChange(rating) {
+    if (!rating) return '';
+    const sign = rating.change >= 0 ? '+' : '';
+    const cls = rating.change >= 0 ? 'win-overlay__rating-change--up' : 'win-overlay__rating-change--down';
+    return `
+        <span class="win-overlay__rating" title="Rating ${rating.before} → ${rating.after}${rating.provisional ? ' (provisional)' : ''}">
+            ${rating.after}${rating.provisional ? '?' : ''}
+            <span class="${cls}">${sign}${rating.change}</span>
+        </span>`;
+}
+
+/**
+ * Multiplayer round-over controls: the host's Next Round button, the Ready
+ * button when auto-advance is on, and the countdown once it is running.
+ * Re-rendered when acknowledgements come in or host changes hands.
+ */
+function renderRoundActions() {
+    const el = document.getElementById('round-actions');
+    if (!el || !roundEndInfo) return;
+    const { autoNextRound, deadline, acked, waitingFor } = roundEndInfo;
+    const secondsLeft = () => Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+    // Tournament tables always count down, and nobody may deal early
+    const canDeal = isHost && !gameState?.tournament;
+    let html = canDeal ? `<button class="overlay__btn" id="btn-next-round">Next Round</button>` : '';
+    if (deadline) {
+        // Speed mode or everyone is ready: the server starts it by itself (the host may still go early)
+        html += `<div class="overlay__waiting">Next round in <span id="next-round-countdown">${secondsLeft()}</span>s…</div>`;
+    } else if (autoNextRound) {
+        if (!acked.includes(myPlayerIndex)) {
+            html += `<button class="overlay__btn" id="btn-ack-round">✔ Ready</button>`;
+        }
+        const waiting = waitingFor.length ? ` Waiting for ${waitingFor.join(', ')}…` : '';
+        html += `<div class="overlay__waiting">The next round starts ${autoNextRound}s after everyone is ready.${waiting}</div>`;
+    } else if (!isHost) {
+        html += `<div class="overlay__waiting">Waiting for host to start next round... <span class="spinner"></span></div>`;
+    }
+    el.innerHTML = html;
+
+    clearInterval(roundCountdownInterval);
+    if (deadline) {
+        roundCountdownInterval = setInterval(() => {
+            const countdownEl = document.getElementById('next-round-countdown');
+            if (!countdownEl || secondsLeft() <= 0) {
+                clearInterval(roundCountdownInterval);
+                return;
+            }
+            countdownEl.textContent = secondsLeft();
+        }, 1000);
+    }
+
+    el.querySelector('#btn-next-round')?.addEventListener('click', (e) => {
+        sound.playButtonClick();
+        net.send('next_round', {});
+        e.currentTarget.disabled = true;
+        e.currentTarget.textContent = 'Starting...';
+    });
+    el.querySelector('#btn-ack-round')?.addEventListener('click', (e) => {
+        sound.playButtonClick();
+        net.send('ack_round', {});
+        e.currentTarget.disabled = true;
+    });
+}
+
+/** @param {{ acked: number[], waitingFor: string[], nextRoundIn: number|null }} msg */
+function onRoundAcks(msg) {
+    if (!roundEndInfo) return;
+    roundEndInfo.acked = msg.acked;
+    roundEndInfo.waitingFor = msg.waitingFor;
+    if (msg.nextRoundIn) roundEndInfo.deadline = Date.now() + msg.nextRoundIn * 1000;
+    renderRoundActions();
+}
+
 /**
  * Full-screen dramatic win screen shown when the game is over.
  * Includes fireworks, falling card emojis, final scores, and a "Back to Menu" button.
  */
 function showGameOverOverlay(data) {
-    const { scores, winnerIndex } = data;
+    const { scores, winnerIndex, ratings, series } = data;
+    const seed = data.seed || gameState?.seed;
+    // Tournament tables play one game, then everyone goes back to the bracket
+    const tournament = isMultiplayer ? gameState?.tournament : null;
 
     // Determine overall winner: lowest score among non-eliminated players, or last standing
     const activePlayers = scores.filter(s => !s.eliminated);
@@ -1529,7 +2059,7 @@ function showGameOverOverlay(data) {
         return `
             <div class="win-overlay__score-row ${rowClass}">
                 <span class="win-overlay__player-name">${medal} ${s.name}${s.eliminated ? ' (Eliminated)' : ''}</span>
-                <span class="win-overlay__player-score">${s.score} pts</span>
+                <span class="win-overlay__player-score">${s.score} pts${renderRatingChange(ratings?.[i])}</span>
             </div>`;
     }).join('');
 
@@ -1537,8 +2067,17 @@ function showGameOverOverlay(data) {
         <div class="win-overlay__content">
             <div class="win-overlay__title">🏆 Game Over!</div>
             <div class="win-overlay__winner">🎉 ${overallWinner.name} wins the game!</div>
+            ${data.isRemik && winnerIndex !== null ? `<div class="win-overlay__remik">${scores[winnerIndex].name} finished with a REMIK! (Penalties doubled)</div>` : ''}
             <div class="win-overlay__scores">${scoreRows}</div>
-            <button class="win-overlay__btn" id="btn-game-over-menu">Back to Menu</button>
+            ${series ? renderSeriesScoreboard(series) : ''}
+            ${seed ? `<div class="win-overlay__seed" title="Start a game with this seed to replay the same deals">Seed: <code>${seed}</code></div>` : ''}
+            ${isMultiplayer ? `
+            ${tournament ? '' : `<button class="win-overlay__btn" id="btn-rematch">${playAgainLabel(series)}</button>`}
+            <div class="win-overlay__actions">
+                <button class="win-overlay__btn win-overlay__btn--secondary" id="btn-watch-replay">🎞️ Watch Replay</button>
+                <button class="win-overlay__btn win-overlay__btn--secondary" id="btn-save-replay">💾 Save Replay</button>
+            </div>` : ''}
+            <button class="win-overlay__btn" id="btn-game-over-menu">${tournament ? '🏆 Back to Tournament' : 'Back to Menu'}</button>
         </div>`;
 
     // Fireworks
@@ -1568,16 +2107,32 @@ function showGameOverOverlay(data) {
 
     document.body.appendChild(overlay);
 
+    // Replays come from the server's action log (multiplayer only)
+    const requestReplay = (intent) => {
+        sound.playButtonClick();
+        pendingReplayIntent = intent;
+        net.send('get_replay', {});
+    };
+    // A table vote — the banner shows the tally, the server refuses a second one
+    document.getElementById('btn-rematch')?.addEventListener('click', () => {
+        sound.playButtonClick();
+        net.send('request_vote', { kind: 'rematch' });
+    });
+    document.getElementById('btn-watch-replay')?.addEventListener('click', () => requestReplay('watch'));
+    document.getElementById('btn-save-replay')?.addEventListener('click', () => requestReplay('download'));
+
     document.getElementById('btn-game-over-menu').addEventListener('click', () => {
         sound.playButtonClick();
         overlay.remove();
         if (isMultiplayer) {
+            // The game is over — nothing left to reconnect to
+            net.clearSession();
             returnToLobbyFn?.();
         } else {
             saveScoreHistory({
                 playerName: gameState.players[0].name,
                 playerScore: gameState.players[0].score,
-                aiScore: gameState.players[1].score,
+                opponents: gameState.players.slice(1).map(p => ({ name: p.name, score: p.score })),
                 won: !gameState.players[0].eliminated
             });
             deleteSave();
@@ -1586,6 +2141,42 @@ function showGameOverOverlay(data) {
     });
 }
 
+/**
+ * Series standings between games: wins (first to `target` takes it) and
+ * total points across the series as the tie-break.
+ * @param {{ length: number, target: number, gameNumber: number, standings: Array<{ name: string, wins: number, points: number }>, winnerName: string|null }} series
+ * @returns {string}
+ */
+function renderSeriesScoreboard(series) {
+    const rows = series.standings.map(row => `
+        <div class="series-board__row${row.name === series.winnerName ? ' series-board__row--winner' : ''}">
+            <span class="series-board__name">${row.name}</span>
+            <span class="series-board__wins">${'★'.repeat(row.wins)}${'☆'.repeat(Math.max(0, series.target - row.wins))}</span>
+            <span class="series-board__points">${row.points} pts</span>
+        </div>`).join('');
+    const status = series.winnerName
+        ? `🏆 ${series.winnerName} wins the series!`
+        : `Game ${series.gameNumber} of ${series.length} — first to ${series.target} wins`;
+
+    return `
+        <div class="series-board">
+            <div class="series-board__title">Best of ${series.length}</div>
+            <div class="series-board__status">${status}</div>
+            ${rows}
+        </div>`;
+}
+
+/**
+ * Label for the game-over button that calls a rematch vote.
+ * @param {object|null} series
+ * @returns {string}
+ */
+function playAgainLabel(series) {
+    if (!series) return '🔁 Rematch';
+    if (series.winnerName) return '🔁 New Series';
+    return `▶️ Next Game (${series.gameNumber + 1} of ${series.length})`;
+}
+
 /**
  * Calculate the raw hand penalty for a player (before Remik doubling).
  * @param {number} playerIdx
@@ -1608,6 +2199,24 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * The AI's "thinking" pause — skipped in speed mode.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function aiPause(ms) {
+    return delay(isSpeedMode() ? 0 : ms);
+}
+
+/**
+ * Speed mode: no AI pauses, no deal/draw animations, automatic next round.
+ * Solo config uses `SPEED_MODE`, the server's broadcast config `speedMode`.
+ * @returns {boolean}
+ */
+function isSpeedMode() {
+    return !!(gameState?.config?.speedMode || gameState?.config?.SPEED_MODE);
+}
+
 // ═══════════════════════════════
 // TURN NOTIFICATION HUD
 // ═══════════════════════════════
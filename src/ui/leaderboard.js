@@ -1,9 +1,12 @@
 /**
- * Leaderboard overlay — displays PvP rankings.
- * Fetches data from /api/leaderboard and renders a sortable table.
+ * Leaderboard overlay — displays PvP rankings by skill rating.
+ * Fetches data from /api/leaderboard and renders a sortable table; clicking
+ * a row shows that player's rating history.
  * @module ui/leaderboard
  */
 
+import { getStoredAccount } from '../engine/accountClient.js';
+
 /**
  * Show the leaderboard overlay.
  * @param {string} [currentPlayerName=''] — highlight this player's row
@@ -84,14 +87,20 @@ function renderLeaderboardTable(entries, currentPlayerName) {
     }
 
     const normalizedCurrent = (currentPlayerName || '').toLowerCase();
+    const account = getStoredAccount();
 
     const rows = entries.map(e => {
-        const isMe = e.name.toLowerCase() === normalizedCurrent;
+        // Signed in: match the account's row; guests only match guest rows by name
+        const isMe = account
+            ? e.accountId === account.id
+            : !e.accountId && e.name.toLowerCase() === normalizedCurrent;
         const rowClass = isMe ? 'leaderboard-row leaderboard-row--me' : 'leaderboard-row';
+        const key = e.accountId ? `accountId=${encodeURIComponent(e.accountId)}` : `name=${encodeURIComponent(e.name)}`;
         return `
-            <tr class="${rowClass}">
+            <tr class="${rowClass}" data-history="${key}" title="Show rating history">
                 <td class="leaderboard-rank">${getRankBadge(e.rank)}</td>
                 <td class="leaderboard-name">${escapeHtml(e.name)}${isMe ? ' <span class="leaderboard-tag">YOU</span>' : ''}</td>
+                <td class="leaderboard-stat leaderboard-rating">${formatRating(e.rating, e.provisional)}</td>
                 <td class="leaderboard-stat">${e.wins}</td>
                 <td class="leaderboard-stat">${e.losses}</td>
                 <td class="leaderboard-stat">${e.winRate}</td>
@@ -106,6 +115,7 @@ function renderLeaderboardTable(entries, currentPlayerName) {
                 <tr>
                     <th>#</th>
                     <th>Player</th>
+                    <th>Rating</th>
                     <th>Wins</th>
                     <th>Losses</th>
                     <th>Win Rate</th>
@@ -116,7 +126,82 @@ function renderLeaderboardTable(entries, currentPlayerName) {
                 ${rows}
             </tbody>
         </table>
+        <p class="leaderboard-note">? = provisional rating (fewer than 10 rated games)</p>
     `;
+
+    content.querySelectorAll('.leaderboard-row').forEach(row => {
+        row.addEventListener('click', () => toggleHistory(row));
+    });
+}
+
+/**
+ * Show or hide a player's rating history under their row.
+ * @param {HTMLTableRowElement} row
+ */
+async function toggleHistory(row) {
+    const open = row.nextElementSibling;
+    if (open?.classList.contains('leaderboard-history')) {
+        open.remove();
+        return;
+    }
+
+    const detail = document.createElement('tr');
+    detail.className = 'leaderboard-history';
+    detail.innerHTML = `<td colspan="${row.children.length}">Loading…</td>`;
+    row.after(detail);
+
+    try {
+        const res = await fetch(`/api/leaderboard/history?${row.dataset.history}`);
+        const data = res.ok ? await res.json() : null;
+        detail.firstElementChild.innerHTML = data?.history.length
+            ? renderHistory(data.history)
+            : 'No rated games yet — ratings move once two people finish a game together.';
+    } catch (err) {
+        detail.firstElementChild.textContent = `Could not load history (${err.message})`;
+    }
+}
+
+/**
+ * Sparkline of a rating over time plus the most recent changes.
+ * @param {Array<{ at: number, rating: number, change: number }>} history — oldest first
+ * @returns {string}
+ */
+function renderHistory(history) {
+    const width = 240;
+    const height = 48;
+    const ratings = history.map(h => h.rating);
+    const min = Math.min(...ratings);
+    const span = Math.max(...ratings) - min || 1;
+    const step = history.length > 1 ? width / (history.length - 1) : 0;
+    const points = ratings
+        .map((r, i) => `${(i * step).toFixed(1)},${(height - ((r - min) / span) * height).toFixed(1)}`)
+        .join(' ');
+
+    const recent = history.slice(-5).reverse().map(h => {
+        const sign = h.change >= 0 ? '+' : '';
+        const cls = h.change >= 0 ? 'leaderboard-history__change--up' : 'leaderboard-history__change--down';
+        return `<li>${new Date(h.at).toLocaleDateString()} — ${h.rating} <span class="${cls}">(${sign}${h.change})</span></li>`;
+    }).join('');
+
+    return `
+        <div class="leaderboard-history__body">
+            <svg class="leaderboard-history__chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polyline points="${points}" />
+            </svg>
+            <ul class="leaderboard-history__list">${recent}</ul>
+        </div>
+    `;
+}
+
+/**
+ * @param {number} rating
+ * @param {boolean} provisional
+ * @returns {string}
+ */
+function formatRating(rating, provisional) {
+    return provisional
+        ? `${rating}<span class="leaderboard-provisional" title="Provisional">?</span>`
+        : `${rating}`;
 }
 
 /**
@@ -6,23 +6,39 @@
 
 import { hasSave, deleteSave } from '../engine/saveManager.js';
 import { playButtonClick } from '../engine/soundManager.js';
-import { PLAYER_COLOURS, PLAYER_ICONS, DEFAULTS } from '../engine/gameConfig.js';
-import { getSession } from '../engine/networkClient.js';
+import {
+  PLAYER_COLOURS, PLAYER_ICONS, DEFAULTS, SPEED_PROFILE, SETTINGS_SCHEMA,
+  AI_OPPONENT_DEFAULTS, AI_DIFFICULTY_LABELS, TOURNAMENT
+} from '../engine/gameConfig.js';
+import { getSession, getTournamentSession } from '../engine/networkClient.js';
+import * as accountClient from '../engine/accountClient.js';
+
+/** Room settings schema — replaced by the server's copy once fetched */
+let settingsSchema = SETTINGS_SCHEMA;
 
 /**
  * Render the lobby screen.
  * @param {HTMLElement} root — container element
  * @param {object} callbacks
- * @param {Function} callbacks.onStartSolo — called with (playerName, configOverrides)
+ * @param {Function} callbacks.onStartSolo — called with (playerName, configOverrides, players)
  * @param {Function} callbacks.onResume — called when resuming a saved solo game
  * @param {Function} callbacks.onCreateRoom — called with (playerName, colour, icon, settings)
  * @param {Function} callbacks.onJoinRoom — called with (roomCode, playerName, colour, icon)
  * @param {Function} callbacks.onReconnect — called with session info
+ * @param {Function} [callbacks.onSpectate] — called with (roomCode, playerName)
+ * @param {Function} [callbacks.onWatchReplay] — called to open a replay file
+ * @param {Function} [callbacks.onCreateTournament] — called with (playerName, colour, icon, options, settings)
+ * @param {Function} [callbacks.onRegisterTournament] — called with (tournamentCode, playerName, colour, icon)
+ * @param {Function} [callbacks.onViewTournament] — called with (tournamentCode) for the standings page
+ * @param {Function} [callbacks.onRejoinTournament] — called with tournament session info
  */
 export function renderLobby(root, callbacks) {
   const history = loadScoreHistory();
   const canResume = hasSave();
   const session = getSession();
+  const tournamentSession = getTournamentSession();
+  const opponents = loadSoloOpponents();
+  const maxOpponents = DEFAULTS.MAX_PLAYERS - 1;
 
   root.innerHTML = `
         <div class="lobby">
@@ -40,6 +56,7 @@ export function renderLobby(root, callbacks) {
 
             <!-- Name + Personalisation (shared) -->
             <div class="lobby__personalisation">
+                <div class="lobby__account" id="account-bar"></div>
                 <input
                     type="text"
                     class="lobby__input"
@@ -81,7 +98,20 @@ export function renderLobby(root, callbacks) {
                             <span>Jokers</span>
                             <input type="number" id="solo-jokers" class="lobby__setting-input" value="4" min="0" max="10" />
                         </label>
+                        <label class="lobby__setting">
+                            <span>Deal Seed (optional)</span>
+                            <input type="text" id="solo-seed" class="lobby__setting-input" placeholder="Random" maxlength="64" autocomplete="off" />
+                        </label>
+                        <label class="lobby__setting">
+                            <span>Opponents</span>
+                            <select id="solo-opponent-count" class="lobby__setting-input">
+                                ${Array.from({ length: maxOpponents }, (_, i) =>
+    `<option value="${i + 1}"${i + 1 === opponents.length ? ' selected' : ''}>${i + 1}</option>`
+  ).join('')}
+                            </select>
+                        </label>
                     </div>
+                    <div class="lobby__opponents" id="solo-opponents"></div>
                     <button type="submit" class="lobby__btn">New Game</button>
                     ${canResume ? '<button type="button" class="lobby__btn lobby__btn--resume" id="btn-resume">▶ Resume Game</button>' : ''}
                 </form>
@@ -95,56 +125,93 @@ export function renderLobby(root, callbacks) {
                     <div class="lobby__join-row">
                         <input type="text" class="lobby__input lobby__input--code" id="join-code" placeholder="Room code…" maxlength="6" autocomplete="off" />
                         <button type="button" class="lobby__btn lobby__btn--join" id="btn-join-room">🚪 Join</button>
+                        <button type="button" class="lobby__btn lobby__btn--spectate" id="btn-spectate-room" title="Watch a running game">👁️ Watch</button>
                     </div>
                     ${session ? `<button type="button" class="lobby__btn lobby__btn--reconnect" id="btn-reconnect">🔄 Resume Game (${session.roomCode})</button>` : ''}
+                    <button type="button" class="lobby__btn lobby__btn--replay" id="btn-watch-replay">🎞️ Watch Replay</button>
+                    <button type="button" class="lobby__btn lobby__btn--tournament" id="btn-tournaments">🏆 Tournaments</button>
+                    ${tournamentSession ? `<button type="button" class="lobby__btn lobby__btn--reconnect" id="btn-tournament-rejoin">🏆 Back to Tournament (${tournamentSession.tournamentCode})</button>` : ''}
                 </div>
+                <div id="account-history"></div>
 
                 <!-- Room settings (shown after Create Room) -->
                 <div class="lobby__room-settings lobby__room-settings--hidden" id="room-settings">
                     <h3 class="lobby__settings-title">Room Settings</h3>
+                    <div class="lobby__settings-grid" id="room-settings-grid">
+                        ${renderSettingsFields(SETTINGS_SCHEMA)}
+                    </div>
+                    <button type="button" class="lobby__btn lobby__btn--create-go" id="btn-create-go">Create & Wait for Players</button>
+                </div>
+
+                <!-- Tournaments (shown after Tournaments) -->
+                <div class="lobby__room-settings lobby__room-settings--hidden" id="tournament-setup">
+                    <h3 class="lobby__settings-title">Tournaments</h3>
+                    <div class="lobby__join-row">
+                        <input type="text" class="lobby__input lobby__input--code" id="tournament-code" placeholder="Code…" maxlength="6" autocomplete="off" />
+                        <button type="button" class="lobby__btn lobby__btn--join" id="btn-tournament-register">📝 Register</button>
+                        <button type="button" class="lobby__btn lobby__btn--spectate" id="btn-tournament-view" title="See the standings">📊 Standings</button>
+                    </div>
+                    <ul class="lobby__tournament-list" id="tournament-list"></ul>
+
+                    <h3 class="lobby__settings-title">Organise a Tournament</h3>
                     <div class="lobby__settings-grid">
                         <label class="lobby__setting">
-                            <span>Points Limit</span>
-                            <input type="number" id="mp-points" class="lobby__setting-input" value="501" min="50" max="2000" step="50" />
-                        </label>
-                        <label class="lobby__setting">
-                            <span>Jokers</span>
-                            <input type="number" id="mp-jokers" class="lobby__setting-input" value="4" min="0" max="10" />
+                            <span>Name</span>
+                            <input type="text" id="tournament-name" class="lobby__setting-input" placeholder="Club night" maxlength="40" autocomplete="off" />
                         </label>
                         <label class="lobby__setting">
-                            <span>Turn Timer (sec)</span>
-                            <input type="number" id="mp-timer" class="lobby__setting-input" value="300" min="30" max="600" step="30" />
+                            <span>Format</span>
+                            <select id="tournament-format" class="lobby__setting-input">
+                                <option value="knockout">Knockout</option>
+                                <option value="swiss">Swiss</option>
+                            </select>
                         </label>
                         <label class="lobby__setting">
-                            <span>Hand Size (first player)</span>
-                            <input type="number" id="mp-hand-first" class="lobby__setting-input" value="14" min="7" max="20" />
-                        </label>
-                        <label class="lobby__setting">
-                            <span>Hand Size (others)</span>
-                            <input type="number" id="mp-hand-other" class="lobby__setting-input" value="13" min="7" max="20" />
-                        </label>
-                        <label class="lobby__setting lobby__setting--toggle">
-                            <span>Opening Requirement (51pts)</span>
-                            <input type="checkbox" id="mp-require-opening" checked />
+                            <span>Players per Table</span>
+                            <select id="tournament-table-size" class="lobby__setting-input">
+                                ${Array.from({ length: TOURNAMENT.TABLE_SIZE - 1 }, (_, i) => i + 2).map(n =>
+    `<option value="${n}"${n === TOURNAMENT.TABLE_SIZE ? ' selected' : ''}>Up to ${n}</option>`
+  ).join('')}
+                            </select>
                         </label>
-                        <label class="lobby__setting lobby__setting--toggle">
-                            <span>Allow Joker Swap</span>
-                            <input type="checkbox" id="mp-joker-swap" />
+                        <label class="lobby__setting" id="tournament-advance-field" title="Finishers per table who go through to the next round">
+                            <span>Go Through</span>
+                            <select id="tournament-advance" class="lobby__setting-input"></select>
                         </label>
-                        <label class="lobby__setting lobby__setting--toggle">
-                            <span>Speed Mode (60s, no anims)</span>
-                            <input type="checkbox" id="mp-speed-mode" />
+                        <label class="lobby__setting lobby__btn--hidden" id="tournament-rounds-field">
+                            <span>Rounds</span>
+                            <select id="tournament-rounds" class="lobby__setting-input">
+                                ${Array.from({ length: 10 }, (_, i) => i + 1).map(n =>
+    `<option value="${n}"${n === TOURNAMENT.SWISS_ROUNDS ? ' selected' : ''}>${n}</option>`
+  ).join('')}
+                            </select>
                         </label>
                     </div>
-                    <button type="button" class="lobby__btn lobby__btn--create-go" id="btn-create-go">Create & Wait for Players</button>
+                    <h3 class="lobby__settings-title">Table Rules</h3>
+                    <div class="lobby__settings-grid" id="tournament-settings-grid">
+                        ${renderSettingsFields(tableSettingsSchema(SETTINGS_SCHEMA))}
+                    </div>
+                    <button type="button" class="lobby__btn lobby__btn--create-go" id="btn-tournament-create">🏆 Open Registration</button>
                 </div>
             </div>
 
             <!-- Waiting room (shown after creating/joining) -->
             <div class="lobby__waiting lobby__waiting--hidden" id="waiting-room">
-                <h3 class="lobby__waiting-title">Room: <span id="waiting-room-code">---</span></h3>
+                <h3 class="lobby__waiting-title">Room: <span id="waiting-room-code">---</span> <span class="lobby__waiting-locked lobby__btn--hidden" id="waiting-locked" title="Locked — nobody new can join">🔒</span></h3>
                 <p class="lobby__waiting-hint">Share this code with your friend!</p>
                 <div class="lobby__waiting-players" id="waiting-players"></div>
+                <div class="lobby__waiting-seating" id="waiting-seating"></div>
+                <div class="lobby__waiting-appearance lobby__btn--hidden" id="waiting-appearance"></div>
+                <div class="lobby__waiting-settings" id="waiting-settings"></div>
+                <div class="lobby__add-bot lobby__btn--hidden" id="add-bot-row">
+                    <select id="bot-difficulty" class="lobby__setting-input" title="Bot difficulty">
+                        ${Object.entries(AI_DIFFICULTY_LABELS).map(([value, label]) =>
+    `<option value="${value}"${value === 'normal' ? ' selected' : ''}>${label}</option>`
+  ).join('')}
+                    </select>
+                    <button type="button" class="lobby__btn lobby__btn--add-bot" id="btn-add-bot">🤖 Add Bot</button>
+                </div>
+                <button type="button" class="lobby__btn lobby__btn--ready lobby__btn--hidden" id="btn-ready">✋ I'm Ready</button>
                 <button type="button" class="lobby__btn lobby__btn--start lobby__btn--hidden" id="btn-start-game">🎮 Start Game</button>
                 <p class="lobby__waiting-status" id="waiting-status">Waiting for players…</p>
             </div>
@@ -200,6 +267,177 @@ export function renderLobby(root, callbacks) {
     });
   });
 
+  // ── ACCOUNT ──
+  const accountBar = root.querySelector('#account-bar');
+  const accountHistoryEl = root.querySelector('#account-history');
+
+  /** Pre-select a colour/icon swatch (from account preferences) */
+  function selectPersonalisation(colour, icon) {
+    const swatch = colour && root.querySelector(`.lobby__colour-swatch[data-colour="${colour}"]`);
+    if (swatch) swatch.click();
+    const iconBtn = icon && [...root.querySelectorAll('.lobby__icon-btn')].find(b => b.dataset.icon === icon);
+    if (iconBtn) iconBtn.click();
+  }
+
+  /**
+   * @param {object|null} account
+   * @param {object|null} [stats]
+   */
+  function renderAccount(account, stats = null) {
+    if (!account) {
+      accountBar.innerHTML = `
+                <span class="lobby__account-status">Playing as a guest</span>
+                <button type="button" class="lobby__account-link" id="btn-account-open">Sign in / create account</button>
+                <form class="lobby__account-form lobby__panel--hidden" id="account-form">
+                    <input type="text" class="lobby__input" id="account-username" placeholder="Username" maxlength="20" autocomplete="username" />
+                    <input type="password" class="lobby__input" id="account-password" placeholder="Password (optional for a new account)" autocomplete="current-password" />
+                    <div class="lobby__account-actions">
+                        <button type="submit" class="lobby__btn" data-action="login">Sign in</button>
+                        <button type="button" class="lobby__btn lobby__btn--secondary" data-action="register">Create account</button>
+                    </div>
+                    <p class="lobby__account-error" id="account-error"></p>
+                </form>`;
+      accountHistoryEl.innerHTML = '';
+
+      const form = accountBar.querySelector('#account-form');
+      accountBar.querySelector('#btn-account-open').addEventListener('click', () => {
+        playButtonClick();
+        form.classList.toggle('lobby__panel--hidden');
+      });
+
+      const submit = async (action) => {
+        playButtonClick();
+        const username = form.querySelector('#account-username').value.trim();
+        const password = form.querySelector('#account-password').value;
+        const { account: signedIn, error } = action === 'register'
+          ? await accountClient.register(username, password)
+          : await accountClient.login(username, password);
+        if (error) {
+          form.querySelector('#account-error').textContent = error;
+          return;
+        }
+        nameInput.value = signedIn.displayName;
+        selectPersonalisation(signedIn.colour, signedIn.icon);
+        renderAccount(signedIn);
+      };
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submit('login');
+      });
+      form.querySelector('[data-action="register"]').addEventListener('click', () => submit('register'));
+      return;
+    }
+
+    const record = stats ? ` — ${stats.wins}W / ${stats.losses}L` : '';
+    accountBar.innerHTML = `
+            <span class="lobby__account-status">✓ Signed in as <strong>${escapeHtml(account.username)}</strong>${record}</span>
+            <button type="button" class="lobby__account-link" id="btn-account-save-look" title="Online you always play as your account's name and look">Save this name &amp; look to my account</button>
+            <button type="button" class="lobby__account-link" id="btn-account-logout">Sign out</button>
+            <p class="lobby__account-error" id="account-look-status"></p>
+            ${account.hasPassword ? '' : `
+            <form class="lobby__account-form" id="account-password-form">
+                <input type="password" class="lobby__input" id="account-new-password" placeholder="Add a password to sign in on other devices" autocomplete="new-password" />
+                <button type="submit" class="lobby__btn lobby__btn--secondary">Save</button>
+                <p class="lobby__account-error" id="account-error"></p>
+            </form>`}`;
+
+    accountHistoryEl.innerHTML = account.history?.length > 0
+      ? renderHistory(account.history.map(h => ({ ...h, playerName: account.displayName, playerScore: h.score })), 'Your Online Games')
+      : '';
+
+    accountBar.querySelector('#btn-account-logout').addEventListener('click', async () => {
+      playButtonClick();
+      await accountClient.logout();
+      renderAccount(null);
+    });
+    accountBar.querySelector('#btn-account-save-look').addEventListener('click', async () => {
+      playButtonClick();
+      const { account: updated, error } = await accountClient.updateAccount({
+        displayName: nameInput.value.trim(),
+        colour: selectedColour,
+        icon: selectedIcon
+      });
+      if (error) {
+        accountBar.querySelector('#account-look-status').textContent = error;
+        return;
+      }
+      renderAccount(updated, stats);
+    });
+    accountBar.querySelector('#account-password-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      playButtonClick();
+      const { account: updated, error } = await accountClient.updateAccount({
+        password: accountBar.querySelector('#account-new-password').value
+      });
+      if (error) {
+        accountBar.querySelector('#account-error').textContent = error;
+        return;
+      }
+      renderAccount(updated, stats);
+    });
+  }
+
+  const storedAccount = accountClient.getStoredAccount();
+  renderAccount(storedAccount);
+  if (storedAccount) {
+    if (!savedName) nameInput.value = storedAccount.displayName;
+    selectPersonalisation(storedAccount.colour, storedAccount.icon);
+    // Confirm the token is still valid and pick up stats/history
+    accountClient.refreshAccount().then(({ account, stats }) => {
+      if (accountBar.isConnected) renderAccount(account, stats);
+    });
+  }
+
+  // ── SOLO OPPONENTS ──
+  const opponentsEl = root.querySelector('#solo-opponents');
+  const opponentCountSelect = root.querySelector('#solo-opponent-count');
+  const seats = AI_OPPONENT_DEFAULTS.map((def, i) => ({ ...def, ...opponents[i] }));
+
+  function renderOpponentSeats() {
+    const count = parseInt(opponentCountSelect.value) || 1;
+    opponentsEl.innerHTML = seats.slice(0, count).map((seat, i) => `
+            <div class="lobby__opponent" data-seat="${i}">
+                <button type="button" class="lobby__opponent-colour" data-seat="${i}" style="background:${seat.colour}" title="Change colour"></button>
+                <button type="button" class="lobby__opponent-icon" data-seat="${i}" title="Change icon">${seat.icon}</button>
+                <input type="text" class="lobby__input lobby__opponent-name" data-seat="${i}" maxlength="20" autocomplete="off" />
+                <select class="lobby__setting-input lobby__opponent-difficulty" data-seat="${i}" title="AI difficulty">
+                    ${Object.entries(AI_DIFFICULTY_LABELS).map(([value, label]) =>
+    `<option value="${value}"${value === seat.difficulty ? ' selected' : ''}>${label}</option>`
+  ).join('')}
+                </select>
+            </div>
+        `).join('');
+
+    opponentsEl.querySelectorAll('.lobby__opponent-colour').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const seat = seats[btn.dataset.seat];
+        seat.colour = PLAYER_COLOURS[(PLAYER_COLOURS.indexOf(seat.colour) + 1) % PLAYER_COLOURS.length];
+        btn.style.background = seat.colour;
+      });
+    });
+    opponentsEl.querySelectorAll('.lobby__opponent-icon').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const seat = seats[btn.dataset.seat];
+        seat.icon = PLAYER_ICONS[(PLAYER_ICONS.indexOf(seat.icon) + 1) % PLAYER_ICONS.length];
+        btn.textContent = seat.icon;
+      });
+    });
+    opponentsEl.querySelectorAll('.lobby__opponent-name').forEach(input => {
+      input.value = seats[input.dataset.seat].name;
+      input.addEventListener('input', () => {
+        seats[input.dataset.seat].name = input.value;
+      });
+    });
+    opponentsEl.querySelectorAll('.lobby__opponent-difficulty').forEach(select => {
+      select.addEventListener('change', () => {
+        seats[select.dataset.seat].difficulty = select.value;
+      });
+    });
+  }
+
+  opponentCountSelect.addEventListener('change', renderOpponentSeats);
+  renderOpponentSeats();
+
   // ── SOLO FORM ──
   root.querySelector('#solo-form').addEventListener('submit', (e) => {
     e.preventDefault();
@@ -211,9 +449,23 @@ export function renderLobby(root, callbacks) {
     const configOverrides = {
       POINTS_LIMIT: parseInt(root.querySelector('#solo-points').value) || 501,
       JOKER_COUNT: parseInt(root.querySelector('#solo-jokers').value) ?? 4,
+      SEED: root.querySelector('#solo-seed').value.trim(),
     };
 
-    callbacks.onStartSolo(name, configOverrides);
+    const aiSeats = seats.slice(0, parseInt(opponentCountSelect.value) || 1).map((seat, i) => ({
+      name: seat.name.trim() || AI_OPPONENT_DEFAULTS[i].name,
+      colour: seat.colour,
+      icon: seat.icon,
+      difficulty: seat.difficulty
+    }));
+    localStorage.setItem('remik_soloOpponents', JSON.stringify(aiSeats));
+
+    const players = [
+      { name, isHuman: true, colour: selectedColour, icon: selectedIcon },
+      ...aiSeats.map(seat => ({ ...seat, isHuman: false }))
+    ];
+
+    callbacks.onStartSolo(name, configOverrides, players);
   });
 
   // Resume solo
@@ -224,11 +476,23 @@ export function renderLobby(root, callbacks) {
     });
   }
 
+  // ── MULTIPLAYER: REPLAY FILE ──
+  root.querySelector('#btn-watch-replay')?.addEventListener('click', () => {
+    playButtonClick();
+    callbacks.onWatchReplay?.();
+  });
+
   // ── MULTIPLAYER: CREATE ROOM ──
   const roomSettingsDiv = root.querySelector('#room-settings');
+  const roomSettingsGrid = root.querySelector('#room-settings-grid');
   root.querySelector('#btn-create-room')?.addEventListener('click', () => {
     playButtonClick();
     roomSettingsDiv.classList.remove('lobby__room-settings--hidden');
+
+    // The server's schema wins — it is what the room will be validated against
+    fetchSettingsSchema().then((schema) => {
+      if (schema) roomSettingsGrid.innerHTML = renderSettingsFields(schema);
+    });
   });
 
   root.querySelector('#btn-create-go')?.addEventListener('click', () => {
@@ -236,18 +500,7 @@ export function renderLobby(root, callbacks) {
     const name = nameInput.value.trim() || 'Player';
     localStorage.setItem('remik_playerName', name);
 
-    const speedMode = root.querySelector('#mp-speed-mode').checked;
-    const settings = {
-      POINTS_LIMIT: parseInt(root.querySelector('#mp-points').value) || 501,
-      JOKER_COUNT: parseInt(root.querySelector('#mp-jokers').value) ?? 4,
-      TURN_TIMER_SECONDS: speedMode ? 60 : (parseInt(root.querySelector('#mp-timer').value) || 300),
-      HAND_SIZE_FIRST: parseInt(root.querySelector('#mp-hand-first').value) || 14,
-      HAND_SIZE_OTHER: parseInt(root.querySelector('#mp-hand-other').value) || 13,
-      REQUIRE_OPENING: root.querySelector('#mp-require-opening').checked,
-      ALLOW_JOKER_SWAP: root.querySelector('#mp-joker-swap').checked,
-      SPEED_MODE: speedMode,
-    };
-
+    const settings = readSettingsFields(roomSettingsGrid, settingsSchema);
     callbacks.onCreateRoom(name, selectedColour, selectedIcon, settings);
   });
 
@@ -266,6 +519,88 @@ export function renderLobby(root, callbacks) {
     callbacks.onJoinRoom(code, name, selectedColour, selectedIcon);
   });
 
+  root.querySelector('#btn-spectate-room')?.addEventListener('click', () => {
+    playButtonClick();
+    const name = nameInput.value.trim() || 'Spectator';
+    const code = joinCodeInput.value.trim().toUpperCase();
+    if (!code || code.length < 4) return;
+    callbacks.onSpectate?.(code, name);
+  });
+
+  // ── MULTIPLAYER: TOURNAMENTS ──
+  const tournamentSetup = root.querySelector('#tournament-setup');
+  const tournamentCodeInput = root.querySelector('#tournament-code');
+  const tournamentGrid = root.querySelector('#tournament-settings-grid');
+  const formatSelect = root.querySelector('#tournament-format');
+  const tableSizeSelect = root.querySelector('#tournament-table-size');
+  const advanceSelect = root.querySelector('#tournament-advance');
+
+  /** Knockout: at least one player per table has to go out */
+  function renderAdvanceOptions() {
+    const tableSize = parseInt(tableSizeSelect.value, 10);
+    const current = Math.min(parseInt(advanceSelect.value, 10) || TOURNAMENT.ADVANCE_PER_TABLE, tableSize - 1);
+    advanceSelect.innerHTML = Array.from({ length: tableSize - 1 }, (_, i) => i + 1)
+      .map(n => `<option value="${n}"${n === current ? ' selected' : ''}>Top ${n}</option>`).join('');
+  }
+  renderAdvanceOptions();
+  tableSizeSelect.addEventListener('change', renderAdvanceOptions);
+  formatSelect.addEventListener('change', () => {
+    const swiss = formatSelect.value === 'swiss';
+    root.querySelector('#tournament-advance-field').classList.toggle('lobby__btn--hidden', swiss);
+    root.querySelector('#tournament-rounds-field').classList.toggle('lobby__btn--hidden', !swiss);
+  });
+
+  tournamentCodeInput.addEventListener('input', () => {
+    tournamentCodeInput.value = tournamentCodeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  });
+
+  root.querySelector('#btn-tournaments').addEventListener('click', () => {
+    playButtonClick();
+    tournamentSetup.classList.remove('lobby__room-settings--hidden');
+    fetchSettingsSchema().then((schema) => {
+      if (schema) tournamentGrid.innerHTML = renderSettingsFields(tableSettingsSchema(schema));
+    });
+    fetchTournaments().then((list) => renderTournamentList(root.querySelector('#tournament-list'), list, (code) => {
+      tournamentCodeInput.value = code;
+    }));
+  });
+
+  root.querySelector('#btn-tournament-register').addEventListener('click', () => {
+    playButtonClick();
+    const name = nameInput.value.trim() || 'Player';
+    const code = tournamentCodeInput.value.trim();
+    if (!code) return;
+    localStorage.setItem('remik_playerName', name);
+    callbacks.onRegisterTournament?.(code, name, selectedColour, selectedIcon);
+  });
+
+  root.querySelector('#btn-tournament-view').addEventListener('click', () => {
+    playButtonClick();
+    const code = tournamentCodeInput.value.trim();
+    if (code) callbacks.onViewTournament?.(code);
+  });
+
+  root.querySelector('#btn-tournament-create').addEventListener('click', () => {
+    playButtonClick();
+    const name = nameInput.value.trim() || 'Player';
+    localStorage.setItem('remik_playerName', name);
+
+    const options = {
+      name: root.querySelector('#tournament-name').value.trim(),
+      format: formatSelect.value,
+      tableSize: parseInt(tableSizeSelect.value, 10),
+      advancePerTable: parseInt(advanceSelect.value, 10),
+      swissRounds: parseInt(root.querySelector('#tournament-rounds').value, 10)
+    };
+    const settings = readSettingsFields(tournamentGrid, tableSettingsSchema(settingsSchema));
+    callbacks.onCreateTournament?.(name, selectedColour, selectedIcon, options, settings);
+  });
+
+  root.querySelector('#btn-tournament-rejoin')?.addEventListener('click', () => {
+    playButtonClick();
+    callbacks.onRejoinTournament?.(tournamentSession);
+  });
+
   // ── RECONNECT ──
   root.querySelector('#btn-reconnect')?.addEventListener('click', () => {
     playButtonClick();
@@ -277,12 +612,34 @@ export function renderLobby(root, callbacks) {
  * Update the waiting room UI with player list.
  * @param {HTMLElement} root
  * @param {string} roomCode
- * @param {Array<object>} players
+ * @param {Array<object>} players — in seat order
  * @param {boolean} isHost
+ * @param {object} [actions] — waiting-room controls (host-only ones are hidden from guests)
+ * @param {Function} [actions.onAddBot] — host: called with (difficulty)
+ * @param {Function} [actions.onRemoveBot] — host: called with (seatIndex)
+ * @param {Function} [actions.onUpdateSettings] — host: called with (settings)
+ * @param {Function} [actions.onSetSeatOrder] — host: called with (seat indexes in their new order)
+ * @param {Function} [actions.onShuffleSeats] — host
+ * @param {Function} [actions.onSetFirstDealer] — host: called with (seatIndex | 'random' | null)
+ * @param {Function} [actions.onStart] — host
+ * @param {Function} [actions.onKick] — host: called with (seatIndex, ban)
+ * @param {Function} [actions.onTransferHost] — host: called with (seatIndex)
+ * @param {Function} [actions.onLock] — host: called with (locked)
+ * @param {Function} [actions.onReady] — called with (ready)
+ * @param {Function} [actions.onSetAppearance] — called with (colour, icon)
+ * @param {Function} [actions.onDismissAdjusted] — called when the clash prompt is closed
+ * @param {object} [view={}]
+ * @param {object|null} [view.settings] — live room settings; omitted leaves the shown ones as they are
+ * @param {string[]} [view.changed] — setting keys to highlight as just changed
+ * @param {number|string|null} [view.firstDealer] — seat index, 'random', or null for the first seat
+ * @param {number|null} [view.myIndex] — this player's seat
+ * @param {{ colour: boolean, icon: boolean }|null} [view.adjusted] — show the colour/icon clash prompt
+ * @param {boolean} [view.locked] — room is closed to new players
  */
-export function updateWaitingRoom(root, roomCode, players, isHost) {
+export function updateWaitingRoom(root, roomCode, players, isHost, actions = {}, view = {}) {
   const waitingRoom = root.querySelector('#waiting-room');
   if (!waitingRoom) return;
+  const { settings = null, changed = [], firstDealer = null, myIndex = null, adjusted = null, locked = false } = view;
 
   // Show waiting room, hide other panels
   root.querySelector('#panel-solo')?.classList.add('lobby__panel--hidden');
@@ -293,21 +650,140 @@ export function updateWaitingRoom(root, roomCode, players, isHost) {
 
   // Room code
   const codeEl = root.querySelector('#waiting-room-code');
-  if (codeEl) codeEl.textContent = roomCode;
+  if (codeEl && roomCode) codeEl.textContent = roomCode;
+  root.querySelector('#waiting-locked')?.classList.toggle('lobby__btn--hidden', !locked);
 
-  // Players list
+  // Players list (seat order)
   const playersEl = root.querySelector('#waiting-players');
   if (playersEl) {
-    playersEl.innerHTML = players.map(p => `
-            <div class="lobby__waiting-player" style="border-color: ${p.colour || '#666'}">
+    playersEl.innerHTML = players.map((p, i) => `
+            <div class="lobby__waiting-player${i === myIndex ? ' lobby__waiting-player--me' : ''}" style="border-color: ${p.colour || '#666'}">
+                <span class="lobby__waiting-player-seat">${i + 1}</span>
                 <span class="lobby__waiting-player-icon" style="color: ${p.colour || '#fff'}">${p.icon || '♠'}</span>
                 <span class="lobby__waiting-player-name">${escapeHtml(p.name)}</span>
                 ${p.isHost ? '<span class="lobby__waiting-player-badge">HOST</span>' : ''}
+                ${p.signedIn ? '<span class="lobby__waiting-player-badge lobby__waiting-player-badge--account" title="Signed in">✓</span>' : ''}
+                ${p.isBot ? `<span class="lobby__waiting-player-badge lobby__waiting-player-badge--bot">🤖 ${AI_DIFFICULTY_LABELS[p.difficulty] || 'Bot'}</span>` : ''}
+                ${!p.isHost && !p.isBot ? `<span class="lobby__waiting-player-ready${p.ready ? ' lobby__waiting-player-ready--yes' : ''}">${p.ready ? 'Ready' : 'Not ready'}</span>` : ''}
+                ${isHost ? `
+                  <button type="button" class="lobby__waiting-player-move" data-seat="${i}" data-move="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+                  <button type="button" class="lobby__waiting-player-move" data-seat="${i}" data-move="1" title="Move down" ${i === players.length - 1 ? 'disabled' : ''}>▼</button>
+                ` : ''}
+                ${p.isBot && isHost ? `<button type="button" class="lobby__waiting-player-remove" data-seat="${i}" title="Remove bot">✕</button>` : ''}
+                ${!p.isBot && !p.isHost && isHost ? `
+                  <button type="button" class="lobby__waiting-player-mod" data-seat="${i}" data-mod="host" title="Make host">👑</button>
+                  <button type="button" class="lobby__waiting-player-mod" data-seat="${i}" data-mod="kick" title="Kick">👢</button>
+                  <button type="button" class="lobby__waiting-player-mod" data-seat="${i}" data-mod="ban" title="Kick and ban from this room">⛔</button>
+                ` : ''}
             </div>
         `).join('');
+
+    playersEl.querySelectorAll('.lobby__waiting-player-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        playButtonClick();
+        actions.onRemoveBot?.(Number(btn.dataset.seat));
+      });
+    });
+
+    playersEl.querySelectorAll('.lobby__waiting-player-mod').forEach(btn => {
+      btn.addEventListener('click', () => {
+        playButtonClick();
+        const seat = Number(btn.dataset.seat);
+        const name = players[seat]?.name || 'this player';
+        if (btn.dataset.mod === 'host') actions.onTransferHost?.(seat);
+        else if (confirm(btn.dataset.mod === 'ban' ? `Kick ${name} and ban them from this room?` : `Kick ${name}?`)) {
+          actions.onKick?.(seat, btn.dataset.mod === 'ban');
+        }
+      });
+    });
+
+    playersEl.querySelectorAll('.lobby__waiting-player-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        playButtonClick();
+        const order = players.map((p, i) => i);
+        const from = Number(btn.dataset.seat);
+        const to = from + Number(btn.dataset.move);
+        [order[from], order[to]] = [order[to], order[from]];
+        actions.onSetSeatOrder?.(order);
+      });
+    });
   }
 
-  // Start button (host only, 2+ players)
+  // Seat arrangement: shuffle + first dealer (host edits, everyone sees)
+  const seatingEl = root.querySelector('#waiting-seating');
+  if (seatingEl) {
+    const dealerName = firstDealer === 'random'
+      ? 'Random'
+      : (players[firstDealer] || players[0])?.name || '—';
+    seatingEl.innerHTML = isHost ? `
+        <button type="button" class="lobby__btn lobby__btn--shuffle" id="btn-shuffle-seats">🎲 Shuffle Seats</button>
+        <button type="button" class="lobby__btn lobby__btn--shuffle" id="btn-lock-room">${locked ? '🔓 Unlock Room' : '🔒 Lock Room'}</button>
+        <label class="lobby__first-dealer">
+          <span>First dealer</span>
+          <select id="first-dealer" class="lobby__setting-input">
+            <option value="">Seat 1</option>
+            <option value="random"${firstDealer === 'random' ? ' selected' : ''}>Random</option>
+            ${players.map((p, i) => `<option value="${i}"${i === firstDealer ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+          </select>
+        </label>
+      ` : `<p class="lobby__first-dealer">First dealer: <strong>${escapeHtml(dealerName)}</strong></p>`;
+
+    seatingEl.querySelector('#btn-shuffle-seats')?.addEventListener('click', () => {
+      playButtonClick();
+      actions.onShuffleSeats?.();
+    });
+    seatingEl.querySelector('#btn-lock-room')?.addEventListener('click', () => {
+      playButtonClick();
+      actions.onLock?.(!locked);
+    });
+    seatingEl.querySelector('#first-dealer')?.addEventListener('change', (e) => {
+      const { value } = e.target;
+      actions.onSetFirstDealer?.(value === '' ? null : value === 'random' ? value : Number(value));
+    });
+  }
+
+  // Colour/icon clash prompt
+  const appearanceEl = root.querySelector('#waiting-appearance');
+  const me = myIndex === null ? null : players[myIndex];
+  if (appearanceEl) {
+    appearanceEl.classList.toggle('lobby__btn--hidden', !(adjusted && me));
+    if (adjusted && me) renderAppearancePrompt(appearanceEl, me, players, adjusted, actions);
+  }
+
+  // Ready toggle (guests only — the host readies up by starting)
+  const readyBtn = root.querySelector('#btn-ready');
+  if (readyBtn) {
+    const showReady = !isHost && me && !me.isBot;
+    readyBtn.classList.toggle('lobby__btn--hidden', !showReady);
+    readyBtn.classList.toggle('lobby__btn--ready-on', !!me?.ready);
+    readyBtn.textContent = me?.ready ? '✅ Ready — click to cancel' : '✋ I\'m Ready';
+    readyBtn.onclick = () => {
+      playButtonClick();
+      actions.onReady?.(!me.ready);
+    };
+  }
+
+  // Room settings (everyone sees them; the host can edit them)
+  const settingsEl = root.querySelector('#waiting-settings');
+  if (settingsEl && settings) {
+    renderWaitingSettings(settingsEl, settings, changed, isHost ? actions.onUpdateSettings : null);
+  }
+
+  // Add-bot controls (host only, while seats are free)
+  const addBotRow = root.querySelector('#add-bot-row');
+  if (addBotRow) {
+    const canAddBot = isHost && actions.onAddBot && players.length < DEFAULTS.MAX_PLAYERS;
+    addBotRow.classList.toggle('lobby__btn--hidden', !canAddBot);
+    const addBotBtn = root.querySelector('#btn-add-bot');
+    // Assigned (not added) so repeated updates don't stack handlers
+    addBotBtn.onclick = () => {
+      playButtonClick();
+      actions.onAddBot?.(root.querySelector('#bot-difficulty').value);
+    };
+  }
+
+  // Start button (host only, 2+ players, everyone ready)
+  const unready = players.filter(p => !p.ready).map(p => p.name);
   const startBtn = root.querySelector('#btn-start-game');
   if (startBtn) {
     if (isHost && players.length >= 2) {
@@ -315,6 +791,11 @@ export function updateWaitingRoom(root, roomCode, players, isHost) {
     } else {
       startBtn.classList.add('lobby__btn--hidden');
     }
+    startBtn.disabled = unready.length > 0;
+    startBtn.onclick = () => {
+      playButtonClick();
+      actions.onStart?.();
+    };
   }
 
   // Status
@@ -322,6 +803,8 @@ export function updateWaitingRoom(root, roomCode, players, isHost) {
   if (statusEl) {
     if (isHost && players.length < 2) {
       statusEl.textContent = 'Waiting for players…';
+    } else if (unready.length > 0) {
+      statusEl.textContent = `Waiting for ${unready.join(', ')} to be ready…`;
     } else if (isHost) {
       statusEl.textContent = `${players.length} player(s) ready — you can start!`;
     } else {
@@ -330,21 +813,264 @@ export function updateWaitingRoom(root, roomCode, players, isHost) {
   }
 }
 
+/**
+ * Tell a player their colour or icon was already taken and offer the free ones.
+ * @param {HTMLElement} el
+ * @param {object} me — this player's list entry
+ * @param {Array<object>} players
+ * @param {{ colour: boolean, icon: boolean }} adjusted
+ * @param {object} actions
+ */
+function renderAppearancePrompt(el, me, players, adjusted, actions) {
+  const others = players.filter(p => p !== me);
+  const freeColours = PLAYER_COLOURS.filter(c => !others.some(p => p.colour === c));
+  const freeIcons = PLAYER_ICONS.filter(ic => !others.some(p => p.icon === ic));
+  const what = [adjusted.colour && 'colour', adjusted.icon && 'icon'].filter(Boolean).join(' and ');
+
+  el.innerHTML = `
+      <p class="lobby__appearance-note">
+        Your ${what} was already taken, so you've been given
+        <span style="color: ${me.colour}">${me.icon}</span>. Pick another if you like:
+      </p>
+      <div class="lobby__colour-grid">
+        ${freeColours.map(c => `<button type="button" class="lobby__colour-swatch${c === me.colour ? ' lobby__colour-swatch--active' : ''}" data-colour="${c}" style="background:${c}" title="${c}"></button>`).join('')}
+      </div>
+      <div class="lobby__icon-grid">
+        ${freeIcons.map(ic => `<button type="button" class="lobby__icon-btn${ic === me.icon ? ' lobby__icon-btn--active' : ''}" data-icon="${ic}">${ic}</button>`).join('')}
+      </div>
+      <button type="button" class="lobby__btn lobby__btn--keep-look" id="btn-keep-look">Keep this look</button>
+    `;
+
+  el.querySelectorAll('[data-colour]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      playButtonClick();
+      actions.onSetAppearance?.(btn.dataset.colour, me.icon);
+    });
+  });
+  el.querySelectorAll('[data-icon]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      playButtonClick();
+      actions.onSetAppearance?.(me.colour, btn.dataset.icon);
+    });
+  });
+  el.querySelector('#btn-keep-look').addEventListener('click', () => {
+    playButtonClick();
+    actions.onDismissAdjusted?.();
+  });
+}
+
+/**
+ * Show the live room settings in the waiting room, with changed ones
+ * highlighted. The host also gets an edit form.
+ * @param {HTMLElement} el
+ * @param {object} settings
+ * @param {string[]} changed
+ * @param {Function|null} onUpdateSettings — host only, called with (settings)
+ */
+function renderWaitingSettings(el, settings, changed, onUpdateSettings) {
+  const changedLabels = settingsSchema.filter(f => changed.includes(f.key)).map(f => f.label);
+  const items = settingsSchema.map((field) => `
+      <li class="lobby__waiting-setting${changed.includes(field.key) ? ' lobby__waiting-setting--changed' : ''}">
+        <span>${escapeHtml(field.label)}</span>
+        <strong>${escapeHtml(formatSettingValue(field, settings[field.key]))}</strong>
+      </li>
+    `).join('');
+
+  el.innerHTML = `
+      <h4 class="lobby__waiting-settings-title">Room Settings</h4>
+      ${changedLabels.length ? `<p class="lobby__waiting-settings-changed">Host changed: ${escapeHtml(changedLabels.join(', '))}</p>` : ''}
+      <ul class="lobby__waiting-settings-list">${items}</ul>
+      ${onUpdateSettings ? `
+        <button type="button" class="lobby__btn lobby__btn--edit-settings" id="btn-edit-settings">✏️ Edit Settings</button>
+        <div class="lobby__settings-edit lobby__btn--hidden" id="waiting-settings-edit">
+          <div class="lobby__settings-grid">${renderSettingsFields(settingsSchema, settings)}</div>
+          <button type="button" class="lobby__btn lobby__btn--create-go" id="btn-save-settings">Save Settings</button>
+        </div>
+      ` : ''}
+    `;
+
+  if (!onUpdateSettings) return;
+  const editForm = el.querySelector('#waiting-settings-edit');
+  el.querySelector('#btn-edit-settings').addEventListener('click', () => {
+    playButtonClick();
+    editForm.classList.toggle('lobby__btn--hidden');
+  });
+  el.querySelector('#btn-save-settings').addEventListener('click', () => {
+    playButtonClick();
+    onUpdateSettings(readSettingsFields(editForm, settingsSchema));
+  });
+}
+
+/**
+ * Display text for one setting value.
+ * @param {object} field — SETTINGS_SCHEMA entry
+ * @param {*} value
+ * @returns {string}
+ */
+function formatSettingValue(field, value) {
+  if (field.type === 'boolean') return value ? 'On' : 'Off';
+  if (field.type === 'string') return value || 'Random';
+  if (field.options) return (field.options.find(o => o.value === value) || field.options[0]).label;
+  if (field.zeroOff && value === 0) return 'Off';
+  return String(value ?? field.default);
+}
+
+/**
+ * Fetch the room settings schema from the server.
+ * @returns {Promise<Array<object>|null>} null when the server is unreachable
+ */
+async function fetchSettingsSchema() {
+  try {
+    const res = await fetch('/api/settings/schema');
+    if (!res.ok) return null;
+    const schema = await res.json();
+    if (!Array.isArray(schema)) return null;
+    settingsSchema = schema;
+    return schema;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Room settings that apply to a tournament table — each table plays a
+ * single game, so there is no series to choose.
+ * @param {Array<object>} schema
+ * @returns {Array<object>}
+ */
+function tableSettingsSchema(schema) {
+  return schema.filter(field => field.key !== 'SERIES_LENGTH');
+}
+
+/**
+ * Fetch the tournaments the server knows about.
+ * @returns {Promise<Array<object>>} empty when the server is unreachable
+ */
+async function fetchTournaments() {
+  try {
+    const res = await fetch('/api/tournaments');
+    if (!res.ok) return [];
+    const list = await res.json();
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * List tournaments; picking one fills in its code.
+ * @param {HTMLElement} el
+ * @param {Array<object>} list
+ * @param {Function} onPick — called with (tournamentCode)
+ */
+function renderTournamentList(el, list, onPick) {
+  const statusLabels = { registration: 'Registration open', running: 'In play', finished: 'Finished' };
+  el.innerHTML = list.length === 0
+    ? '<li class="lobby__tournament-empty">No tournaments yet — organise one below</li>'
+    : list.map(t => `
+        <li>
+          <button type="button" class="lobby__tournament-item" data-code="${t.code}">
+            <strong>${escapeHtml(t.name)}</strong>
+            <span>${t.code} · ${t.format === 'swiss' ? 'Swiss' : 'Knockout'} · ${t.playerCount}/${t.maxPlayers} · ${statusLabels[t.status] || t.status}</span>
+          </button>
+        </li>`).join('');
+  el.querySelectorAll('.lobby__tournament-item').forEach(btn => {
+    btn.addEventListener('click', () => {
+      playButtonClick();
+      onPick(btn.dataset.code);
+    });
+  });
+}
+
+/**
+ * Render one form control per room setting.
+ * @param {Array<object>} schema — SETTINGS_SCHEMA entries
+ * @param {object} [values={}] — current values (defaults otherwise)
+ * @returns {string}
+ */
+function renderSettingsFields(schema, values = {}) {
+  return schema.map((field) => {
+    const value = values[field.key] ?? field.default;
+    const title = field.hint ? ` title="${escapeHtml(field.hint)}"` : '';
+
+    if (field.type === 'boolean') {
+      return `
+        <label class="lobby__setting lobby__setting--toggle"${title}>
+          <span>${escapeHtml(field.label)}</span>
+          <input type="checkbox" data-setting="${field.key}" ${value ? 'checked' : ''} />
+        </label>`;
+    }
+    if (field.type === 'string') {
+      return `
+        <label class="lobby__setting"${title}>
+          <span>${escapeHtml(field.label)}</span>
+          <input type="text" data-setting="${field.key}" class="lobby__setting-input" value="${escapeHtml(value).replace(/"/g, '&quot;')}"
+            placeholder="Random" maxlength="${field.maxLength}" autocomplete="off" />
+        </label>`;
+    }
+    if (field.options) {
+      return `
+        <label class="lobby__setting"${title}>
+          <span>${escapeHtml(field.label)}</span>
+          <select data-setting="${field.key}" class="lobby__setting-input">
+            ${field.options.map(o => `<option value="${o.value}" ${o.value === value ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+          </select>
+        </label>`;
+    }
+    return `
+      <label class="lobby__setting"${title}>
+        <span>${escapeHtml(field.label)}</span>
+        <input type="number" data-setting="${field.key}" class="lobby__setting-input" value="${value}"
+          min="${field.zeroOff ? 0 : field.min}" max="${field.max}" step="${field.step || 1}" />
+      </label>`;
+  }).join('');
+}
+
+/**
+ * Read the settings form back into a settings object.
+ * Empty or unreadable number inputs fall back to the schema default, and
+ * speed mode caps the turn timer the same way the server does.
+ * @param {HTMLElement} container
+ * @param {Array<object>} schema
+ * @returns {object}
+ */
+function readSettingsFields(container, schema) {
+  const settings = {};
+  for (const field of schema) {
+    const input = container.querySelector(`[data-setting="${field.key}"]`);
+    if (!input) continue;
+    if (field.type === 'boolean') settings[field.key] = input.checked;
+    else if (field.type === 'string') settings[field.key] = input.value.trim();
+    else {
+      const n = parseInt(input.value, 10);
+      settings[field.key] = Number.isNaN(n) ? field.default : n;
+    }
+  }
+  if (settings.SPEED_MODE && settings.TURN_TIMER_SECONDS !== undefined) {
+    settings.TURN_TIMER_SECONDS = Math.min(settings.TURN_TIMER_SECONDS, SPEED_PROFILE.TURN_TIMER_SECONDS);
+  }
+  return settings;
+}
+
 /**
  * Render score history section.
  * @param {Array<object>} history
+ * @param {string} [title='Recent Games']
  * @returns {string}
  */
-function renderHistory(history) {
+function renderHistory(history, title = 'Recent Games') {
   const rows = history.slice(0, 10).map(entry => {
     const date = new Date(entry.date).toLocaleDateString();
     const result = entry.won ? '🏆 Won' : '💀 Lost';
-    return `<li>${date} — ${entry.playerName}: ${entry.playerScore} pts, Computer: ${entry.aiScore} pts — ${result}</li>`;
+    const opponentScores = entry.opponents
+      ? entry.opponents.map(o => `${escapeHtml(o.name)}: ${o.score} pts`).join(', ')
+      : `Computer: ${entry.aiScore} pts`;
+    return `<li>${date} — ${escapeHtml(entry.playerName)}: ${entry.playerScore} pts, ${opponentScores} — ${result}</li>`;
   }).join('');
 
   return `
         <div class="lobby__scores">
-            <h3 class="lobby__scores-title">Recent Games</h3>
+            <h3 class="lobby__scores-title">${title}</h3>
             <ul class="lobby__scores-list">${rows}</ul>
         </div>
     `;
@@ -352,7 +1078,7 @@ function renderHistory(history) {
 
 /**
  * Save a game result to localStorage.
- * @param {object} result — { playerName, playerScore, aiScore, won }
+ * @param {object} result — { playerName, playerScore, opponents: [{ name, score }], won }
  */
 export function saveScoreHistory(result) {
   const history = loadScoreHistory();
@@ -372,6 +1098,22 @@ function loadScoreHistory() {
   }
 }
 
+/**
+ * Load the last-used solo opponent seats from localStorage.
+ * @returns {Array<{ name: string, colour: string, icon: string, difficulty: string }>}
+ */
+function loadSoloOpponents() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('remik_soloOpponents') || '[]');
+    if (Array.isArray(saved) && saved.length > 0) {
+      return saved.slice(0, DEFAULTS.MAX_PLAYERS - 1);
+    }
+  } catch {
+    // fall through to default
+  }
+  return AI_OPPONENT_DEFAULTS.slice(0, 1);
+}
+
 /**
  * Escape HTML to prevent XSS.
  * @param {string} str
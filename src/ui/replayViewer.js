@@ -0,0 +1,223 @@
+/**
+ * Replay viewer — steps through a finished game recorded by the server.
+ * Every hand is shown face up; replays are only exported once a game is
+ * over. Shares the stats viewer's layout (same shell, nav and panels).
+ * @module ui/replayViewer
+ */
+
+import { renderCard, showToast } from './cards.js';
+import { validateReplay, buildTimeline, buildCardLookup } from '../engine/replay.js';
+
+/**
+ * Open the replay viewer overlay.
+ * @param {object} replay — parsed replay file
+ */
+export function showReplayViewer(replay) {
+    const check = validateReplay(replay);
+    if (!check.valid) {
+        showToast(check.reason, 'error');
+        return;
+    }
+
+    document.getElementById('replay-overlay')?.remove();
+
+    const timeline = buildTimeline(replay);
+    const lookup = buildCardLookup(replay);
+    const { players } = replay;
+    let position = 0;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay stats-overlay replay-overlay';
+    overlay.id = 'replay-overlay';
+
+    const started = new Date(replay.startedAt).toLocaleString();
+    overlay.innerHTML = `
+        <div class="overlay__panel stats-panel">
+            <div class="stats-panel__header">
+                <h2 class="overlay__title">🎞️ Replay${replay.roomCode ? ` — ${escapeHtml(replay.roomCode)}` : ''}</h2>
+                <button class="stats-close" id="replay-close">✕</button>
+            </div>
+            <div class="replay-meta">${players.map(p => `${escapeHtml(p.icon || '♠')} ${escapeHtml(p.name)}`).join(' • ')} — ${started}</div>
+            <div id="replay-content"></div>
+        </div>
+    `;
+
+    const contentEl = overlay.querySelector('#replay-content');
+
+    /** @param {number} id */
+    const cardHTML = (id) => {
+        const card = lookup.get(id);
+        return card ? renderCard(card, { table: true }).outerHTML : '';
+    };
+
+    /**
+     * Render the position under the cursor.
+     */
+    function updateContent() {
+        const entry = timeline[position];
+        const { frame } = entry;
+        const roundStart = timeline.findIndex(e => e.roundIndex === entry.roundIndex);
+
+        const roundTabs = replay.rounds.map((round, i) => {
+            const active = i === entry.roundIndex ? 'stats-tab--active' : '';
+            return `<button class="stats-tab ${active}" data-round="${i}">Round ${escapeHtml(round.roundNumber)}</button>`;
+        }).join('');
+
+        const playerPanels = players.map((p, i) => {
+            const hand = frame.hands[i] || [];
+            const active = i === frame.currentPlayerIndex ? 'stats-player--active' : '';
+            return `
+                <div class="stats-player ${active}">
+                    <div class="stats-player__header">
+                        <span class="stats-player__name" style="color: ${safeColour(p.colour)}">${escapeHtml(p.icon || '♠')} ${escapeHtml(p.name)}${p.isBot ? ' 🤖' : ''}</span>
+                        <span class="stats-player__info">${hand.length} cards • Score: ${escapeHtml(frame.scores[i])}</span>
+                        <span class="stats-player__opened">${frame.opened[i] ? '✓ Opened' : '✗ Not opened'}</span>
+                    </div>
+                    <div class="stats-player__hand">${hand.map(cardHTML).join('')}</div>
+                </div>
+            `;
+        }).join('');
+
+        const meldsHTML = frame.tableMelds.length > 0
+            ? frame.tableMelds.map(m => `
+                <div class="stats-meld">
+                    <span class="stats-meld__owner">${escapeHtml(players[m.owner]?.name || '?')}</span>${m.cards.map(cardHTML).join('')}
+                </div>`).join('')
+            : '<span class="stats-meld--empty">No melds on table</span>';
+
+        const result = replay.rounds[entry.roundIndex].result;
+        const isRoundEnd = position === timeline.length - 1 || timeline[position + 1].roundIndex !== entry.roundIndex;
+        const resultHTML = isRoundEnd && result
+            ? `<div class="stats-action">${result.winnerIndex === null
+                ? 'Stock ran out — nobody went out'
+                : `${escapeHtml(players[result.winnerIndex]?.name || '?')} went out${result.isRemik ? ' with a Remik!' : ''}`}</div>`
+            : '';
+
+        contentEl.innerHTML = `
+            <div class="stats-tabs">${roundTabs}</div>
+
+            <div class="stats-turn-nav">
+                <button class="stats-turn-btn" id="replay-prev" ${position === 0 ? 'disabled' : ''}>◀</button>
+                <div class="stats-turn-slider">
+                    <input type="range" min="0" max="${timeline.length - 1}" value="${position}"
+                           id="replay-slider" class="stats-slider" />
+                    <span class="stats-turn-label">Step ${position - roundStart + 1} of round ${escapeHtml(entry.roundNumber)} • ${position + 1} / ${timeline.length}</span>
+                </div>
+                <button class="stats-turn-btn" id="replay-next" ${position >= timeline.length - 1 ? 'disabled' : ''}>▶</button>
+            </div>
+
+            <div class="stats-action">${entry.step?.auto ? '⏱️ ' : ''}${escapeHtml(entry.label)}</div>
+            ${resultHTML}
+
+            <div class="stats-game-info">
+                <span>Stock: ${escapeHtml(frame.stockCount)}</span>
+                <span>Discard: ${escapeHtml(frame.discardCount)}</span>
+                <span class="replay-discard">Top: ${frame.discardTop != null ? cardHTML(frame.discardTop) : '—'}</span>
+            </div>
+
+            <div class="stats-players">${playerPanels}</div>
+
+            <div class="stats-melds-section">
+                <h3 class="stats-section-title">Table Melds</h3>
+                <div class="stats-melds">${meldsHTML}</div>
+            </div>
+        `;
+
+        contentEl.querySelectorAll('.stats-tab').forEach(btn => {
+            btn.addEventListener('click', () => {
+                position = timeline.findIndex(e => e.roundIndex === parseInt(btn.dataset.round, 10));
+                updateContent();
+            });
+        });
+        contentEl.querySelector('#replay-prev').addEventListener('click', () => step(-1));
+        contentEl.querySelector('#replay-next').addEventListener('click', () => step(1));
+        contentEl.querySelector('#replay-slider').addEventListener('input', (e) => {
+            position = parseInt(e.target.value, 10);
+            updateContent();
+        });
+    }
+
+    /** @param {number} delta */
+    function step(delta) {
+        const next = Math.max(0, Math.min(timeline.length - 1, position + delta));
+        if (next === position) return;
+        position = next;
+        updateContent();
+    }
+
+    /** Arrow keys step through the game while the viewer is open */
+    function onKey(e) {
+        if (e.key === 'ArrowLeft') step(-1);
+        else if (e.key === 'ArrowRight') step(1);
+        else if (e.key === 'Escape') close();
+    }
+
+    function close() {
+        document.removeEventListener('keydown', onKey);
+        overlay.remove();
+    }
+
+    overlay.querySelector('#replay-close').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.addEventListener('keydown', onKey);
+
+    updateContent();
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Ask the user for a replay file and open it in the viewer.
+ */
+export function openReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+        const file = input.files?.[0];
+        if (!file) return;
+        try {
+            showReplayViewer(JSON.parse(await file.text()));
+        } catch {
+            showToast('Could not read that replay file', 'error');
+        }
+    });
+    input.click();
+}
+
+/**
+ * Save a replay to disk as JSON.
+ * @param {object} replay
+ */
+export function downloadReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = new Date(replay.startedAt).toISOString().slice(0, 10);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `remik-${replay.roomCode || 'game'}-${date}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Escape HTML to prevent XSS — replays come from other players' names and
+ * from imported files.
+ * @param {*} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * A player colour fit for a `style` attribute, or `inherit`.
+ * @param {*} colour
+ * @returns {string}
+ */
+function safeColour(colour) {
+    return typeof colour === 'string' && /^#[0-9a-f]{3,8}$/i.test(colour) ? colour : 'inherit';
+}
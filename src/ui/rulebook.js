@@ -125,6 +125,7 @@ function getRulesHTML() {
             <ul>
                 <li>If you draw from the discard pile, you <strong>must</strong> use that card in a meld this turn</li>
                 <li>You <strong>cannot</strong> discard the same card you just drew from the discard pile</li>
+                <li>Can't use it after all? <strong>Put it back</strong> and draw from the stock instead</li>
             </ul>
         </section>
 
@@ -0,0 +1,163 @@
+/**
+ * Spectator view — a read-only table for people watching a running
+ * multiplayer game. Hands are face down on a live feed, or all face up when
+ * the room delays its spectator feed.
+ * @module ui/spectatorView
+ */
+
+import { renderCard, renderCardBack, showToast } from './cards.js';
+import { EventLog } from './eventLog.js';
+import { ChatPanel, showFloatingReaction } from './chatPanel.js';
+import * as net from '../engine/networkClient.js';
+
+/**
+ * Render the spectator screen and subscribe to the room's feed.
+ * @param {HTMLElement} root
+ * @param {{ roomCode: string, players: Array<object>, delaySeconds: number }} info — the `spectating` message
+ * @param {Function} onLeave — called after leaving (button or host ended spectating)
+ */
+export function renderSpectatorView(root, info, onLeave) {
+    const eventLog = new EventLog();
+    const chatPanel = new ChatPanel({ readOnly: true });
+    let state = null;
+    let spectatorCount = 1;
+
+    const feedNote = info.delaySeconds > 0
+        ? `All hands shown • ${info.delaySeconds}s behind the table`
+        : 'Live • hands hidden';
+
+    root.innerHTML = `
+    <div class="game-layout spectator">
+      <div class="game-board" id="game-board">
+        <div class="top-bar">
+          <span class="top-bar__round" id="spectator-round">Waiting for the table…</span>
+          <span class="spectator__badge">👁️ Spectating ${info.roomCode}</span>
+          <span class="spectator__feed">${feedNote}</span>
+          <div class="top-bar__actions">
+            <span class="spectator__count" id="spectator-count"></span>
+            <button class="top-bar__stats-btn" id="btn-stop-spectating">🚪 Leave</button>
+          </div>
+        </div>
+        <div class="spectator__seats" id="spectator-seats"></div>
+        <div class="piles">
+          <div class="pile">
+            <div id="spectator-stock"></div>
+            <span class="pile__label">Stock</span>
+            <span class="pile__count" id="spectator-stock-count"></span>
+          </div>
+          <div class="pile">
+            <div id="spectator-discard"></div>
+            <span class="pile__label">Discard</span>
+            <span class="pile__count" id="spectator-discard-count"></span>
+          </div>
+        </div>
+        <div class="table-melds" id="spectator-melds"></div>
+      </div>
+      <div class="event-log-panel">
+        <div class="event-log__header">
+          <h3 class="event-log__title">📜 Event Log</h3>
+        </div>
+        <div class="event-log__entries" id="spectator-log"></div>
+        <div class="chat" id="spectator-chat"></div>
+      </div>
+    </div>`;
+
+    eventLog.mount(root.querySelector('#spectator-log'));
+    chatPanel.mount(root.querySelector('#spectator-chat'));
+
+    /** Redraw the table from the latest state */
+    function render() {
+        if (!state) return;
+
+        root.querySelector('#spectator-round').textContent = `Round ${state.roundNumber}`;
+
+        const seatsEl = root.querySelector('#spectator-seats');
+        seatsEl.innerHTML = '';
+        state.players.forEach((p, i) => {
+            const seat = document.createElement('div');
+            seat.className = 'spectator__seat';
+            seat.dataset.seat = i;
+            if (i === state.currentPlayerIndex) seat.classList.add('spectator__seat--active');
+            if (p.eliminated) seat.classList.add('spectator__seat--eliminated');
+
+            const name = document.createElement('div');
+            name.className = 'spectator__seat-name';
+            name.style.color = p.colour || '#ccc';
+            name.textContent = `${p.icon || '♠'} ${p.name} — ${p.score} pts${p.hasOpened ? ' ✓' : ''}${p.botControlled ? ' 🤖' : ''}`;
+            seat.appendChild(name);
+
+            const cards = document.createElement('div');
+            cards.className = 'spectator__seat-cards';
+            if (p.hand.length > 0) {
+                p.hand.forEach(c => cards.appendChild(renderCard(c, { table: true })));
+            } else {
+                for (let j = 0; j < p.handSize; j++) cards.appendChild(renderCardBack({ small: true }));
+            }
+            seat.appendChild(cards);
+            seatsEl.appendChild(seat);
+        });
+
+        const stockEl = root.querySelector('#spectator-stock');
+        stockEl.innerHTML = '';
+        if (state.stock.count > 0) stockEl.appendChild(renderCardBack());
+        root.querySelector('#spectator-stock-count').textContent = `${state.stock.count} cards`;
+
+        const discardEl = root.querySelector('#spectator-discard');
+        discardEl.innerHTML = '';
+        if (state.discardPile.topCard) discardEl.appendChild(renderCard(state.discardPile.topCard));
+        root.querySelector('#spectator-discard-count').textContent = `${state.discardPile.count} cards`;
+
+        const meldsEl = root.querySelector('#spectator-melds');
+        meldsEl.innerHTML = '';
+        state.tableMelds.forEach(m => {
+            const meldEl = document.createElement('div');
+            meldEl.className = 'table-meld';
+            meldEl.title = state.players[m.owner]?.name || '';
+            m.cards.forEach(c => meldEl.appendChild(renderCard(c, { table: true })));
+            meldsEl.appendChild(meldEl);
+        });
+
+        root.querySelector('#spectator-count').textContent = `👁️ ${spectatorCount}`;
+    }
+
+    function leave() {
+        net.send('leave_room', {});
+        net.off();
+        net.disconnect();
+        onLeave();
+    }
+
+    net.on('game_state', (msg) => {
+        state = msg;
+        render();
+    });
+    net.on('game_event', (msg) => eventLog.addGameEvent(msg));
+    net.on('round_start', (msg) => eventLog.addRoundSeparator(msg.roundNumber));
+    net.on('round_end', (msg) => {
+        const winner = msg.winnerIndex !== null ? msg.scores[msg.winnerIndex]?.name : null;
+        if (msg.isRemik) eventLog.addEntry('🎉', `${winner} played REMIK!`, 'round');
+        else if (winner) eventLog.addEntry('🏆', `${winner} wins the round!`, 'round');
+        else eventLog.addEntry('📊', 'Stock exhausted — no winner', 'round');
+        if (msg.gameOver) showToast('🏁 Game over', 'info');
+    });
+    net.on('chat', ({ message }) => {
+        chatPanel.addMessage(message);
+        if (message.reaction) {
+            showFloatingReaction(root.querySelector(`.spectator__seat[data-seat="${message.playerIndex}"]`), message.text);
+        }
+    });
+    net.on('chat_history', (msg) => chatPanel.load(msg.messages));
+    net.on('spectators_changed', (msg) => {
+        spectatorCount = msg.spectators.length;
+        root.querySelector('#spectator-count').title = msg.spectators.map(s => s.name).join(', ');
+        render();
+    });
+    net.on('spectate_ended', (msg) => {
+        showToast(msg.reason || 'Spectating ended', 'warning');
+        net.off();
+        net.disconnect();
+        onLeave();
+    });
+
+    root.querySelector('#btn-stop-spectating').addEventListener('click', leave);
+}
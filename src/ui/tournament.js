@@ -0,0 +1,225 @@
+/**
+ * Tournament screen — registration, the standings page and each round's
+ * tables. Registered players also get their own seat: a button to sit down
+ * at the table they were drawn at.
+ * @module ui/tournament
+ */
+
+import { playButtonClick } from '../engine/soundManager.js';
+
+/** What each table status looks like on the bracket */
+const TABLE_STATUS = {
+    seating: '🪑 Seating',
+    playing: '🃏 Playing',
+    finished: '✅ Finished'
+};
+
+/**
+ * Render (or re-render) the tournament screen.
+ * @param {HTMLElement} root
+ * @param {object} view
+ * @param {object} view.tournament — from `describeTournament` on the server
+ * @param {{ roomCode: string, round: number, table: number }|null} [view.myTable] — where this player should sit
+ * @param {boolean} [view.isOrganiser]
+ * @param {boolean} [view.registered] — false for a read-only standings page
+ * @param {string|null} [view.seatedAt] — room code of the table this player has sat down at
+ * @param {string} [view.myName]
+ * @param {object} [actions]
+ * @param {Function} [actions.onStart] — organiser: close registration and draw round one
+ * @param {Function} [actions.onWithdraw] — leave before it starts
+ * @param {Function} [actions.onTakeSeat] — sit down at `myTable`
+ * @param {Function} [actions.onRefresh] — read-only page: fetch the standings again
+ * @param {Function} actions.onBack — back to the lobby
+ */
+export function renderTournament(root, view, actions = {}) {
+    const { tournament: t, myTable = null, isOrganiser = false, registered = true, seatedAt = null, myName = '' } = view;
+    const me = t.standings.find(s => s.name === myName);
+    const canStart = t.standings.length >= t.minPlayers;
+
+    root.innerHTML = `
+        <div class="tournament">
+            <h1 class="tournament__title">🏆 ${escapeHtml(t.name)}</h1>
+            <p class="tournament__meta">
+                Code <strong class="tournament__code">${t.code}</strong> · ${describeFormat(t)} · organised by ${escapeHtml(t.organiserName)}
+            </p>
+            <p class="tournament__status">${describeStatus(t)}</p>
+
+            ${registered ? renderMyTable(t, myTable, seatedAt, me) : ''}
+
+            <div class="tournament__actions">
+                ${registered && isOrganiser && t.status === 'registration' ? `
+                    <button type="button" class="lobby__btn lobby__btn--start" id="btn-tournament-start" ${canStart ? '' : 'disabled'}
+                        title="${canStart ? 'Close registration and draw the first round' : `Needs at least ${t.minPlayers} players`}">▶️ Start Tournament</button>` : ''}
+                ${registered && t.status === 'registration' ? '<button type="button" class="lobby__btn lobby__btn--secondary" id="btn-tournament-withdraw">Withdraw</button>' : ''}
+                ${actions.onRefresh ? '<button type="button" class="lobby__btn lobby__btn--secondary" id="btn-tournament-refresh">🔄 Refresh</button>' : ''}
+                <button type="button" class="lobby__btn lobby__btn--secondary" id="btn-tournament-back">Back to Menu</button>
+            </div>
+
+            <h2 class="tournament__heading">${t.status === 'registration' ? `Registered (${t.standings.length}/${t.maxPlayers})` : 'Standings'}</h2>
+            ${renderStandings(t, myName)}
+
+            ${t.rounds.slice().reverse().map(round => renderRound(t, round, myName)).join('')}
+        </div>
+    `;
+
+    root.querySelector('#btn-tournament-start')?.addEventListener('click', () => {
+        playButtonClick();
+        actions.onStart?.();
+    });
+    root.querySelector('#btn-tournament-withdraw')?.addEventListener('click', () => {
+        playButtonClick();
+        if (confirm('Withdraw from this tournament?')) actions.onWithdraw?.();
+    });
+    root.querySelector('#btn-tournament-seat')?.addEventListener('click', () => {
+        playButtonClick();
+        actions.onTakeSeat?.();
+    });
+    root.querySelector('#btn-tournament-refresh')?.addEventListener('click', () => {
+        playButtonClick();
+        actions.onRefresh?.();
+    });
+    root.querySelector('#btn-tournament-back').addEventListener('click', () => {
+        playButtonClick();
+        actions.onBack();
+    });
+}
+
+/**
+ * @param {object} t
+ * @returns {string}
+ */
+function describeFormat(t) {
+    return t.format === 'knockout'
+        ? `Knockout, top ${t.advancePerTable} per table go through`
+        : `Swiss, ${t.swissRounds} round${t.swissRounds === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {object} t
+ * @returns {string}
+ */
+function describeStatus(t) {
+    if (t.status === 'registration') return 'Registration is open — share the code with your club';
+    if (t.status === 'finished') return `🎉 ${escapeHtml(t.winnerName)} wins the tournament!`;
+    const round = t.rounds[t.rounds.length - 1];
+    const done = round.tables.filter(table => table.status === 'finished').length;
+    return `Round ${round.number} in play — ${done} of ${round.tables.length} table${round.tables.length === 1 ? '' : 's'} finished`;
+}
+
+/**
+ * This player's place in the running tournament: their table, or how
+ * they fared.
+ * @param {object} t
+ * @param {object|null} myTable
+ * @param {string|null} seatedAt
+ * @param {object|undefined} me — this player's standings row
+ * @returns {string}
+ */
+function renderMyTable(t, myTable, seatedAt, me) {
+    if (t.status !== 'running') return '';
+    if (myTable) {
+        const table = t.rounds[myTable.round - 1]?.tables.find(tb => tb.roomCode === myTable.roomCode);
+        const missing = table ? table.players.filter(p => !p.seated).map(p => escapeHtml(p.name)) : [];
+        if (seatedAt === myTable.roomCode) {
+            return `
+                <div class="tournament__my-table tournament__my-table--seated">
+                    🪑 You're seated at table ${myTable.table} (${myTable.roomCode})
+                    <span class="tournament__waiting">${missing.length ? `Waiting for ${missing.join(', ')}…` : 'Dealing…'}</span>
+                </div>`;
+        }
+        return `
+            <div class="tournament__my-table">
+                Round ${myTable.round}: your table ${myTable.table} (${myTable.roomCode}) is ready
+                <button type="button" class="lobby__btn lobby__btn--join" id="btn-tournament-seat">🪑 Take Your Seat</button>
+            </div>`;
+    }
+    if (me && t.rounds[t.rounds.length - 1]?.byes.includes(me.name)) {
+        return '<div class="tournament__my-table tournament__my-table--out">You have a bye this round — waiting for the rest of the round</div>';
+    }
+    if (me?.eliminatedInRound) {
+        return `<div class="tournament__my-table tournament__my-table--out">You went out in round ${me.eliminatedInRound} — follow the rest here</div>`;
+    }
+    return '<div class="tournament__my-table tournament__my-table--out">Your table is done — waiting for the rest of the round</div>';
+}
+
+/**
+ * @param {object} t
+ * @param {string} myName
+ * @returns {string}
+ */
+function renderStandings(t, myName) {
+    const rows = t.standings.map(s => `
+        <tr class="${s.name === myName ? 'tournament__row--me' : ''}${s.eliminatedInRound ? ' tournament__row--out' : ''}">
+            <td>${t.status === 'registration' ? '' : s.rank}</td>
+            <td>
+                <span style="color:${s.colour}">${s.icon}</span> ${escapeHtml(s.name)}
+                ${s.isOrganiser ? '<span class="tournament__badge">ORGANISER</span>' : ''}
+                <span class="tournament__presence${s.connected ? ' tournament__presence--on' : ''}" title="${s.connected ? 'Online' : 'Offline'}">●</span>
+            </td>
+            <td>${s.points}</td>
+            <td>${s.wins}</td>
+            <td>${s.played}</td>
+            <td>${s.score}</td>
+            <td>${s.eliminatedInRound ? `Out in R${s.eliminatedInRound}` : ''}</td>
+        </tr>`).join('');
+
+    return `
+        <table class="tournament__standings">
+            <thead>
+                <tr>
+                    <th>#</th><th>Player</th>
+                    <th title="One per opponent finished ahead of">Pts</th>
+                    <th title="Tables won">Wins</th>
+                    <th title="Games played">GP</th>
+                    <th title="Final scores added up — lower is better">Score</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * One round of the bracket: its tables and, once played, their placings.
+ * @param {object} t
+ * @param {object} round
+ * @param {string} myName
+ * @returns {string}
+ */
+function renderRound(t, round, myName) {
+    const isFinal = t.format === 'knockout' && round.tables.length === 1 && round.byes.length === 0;
+    const tables = round.tables.map(table => {
+        const players = [...table.players]
+            .sort((a, b) => (a.placing ?? 0) - (b.placing ?? 0))
+            .map(p => `
+                <li class="${p.name === myName ? 'tournament__row--me' : ''}">
+                    ${p.placing ? `<span class="tournament__placing">${p.placing}.</span>` : `<span class="tournament__presence${p.seated ? ' tournament__presence--on' : ''}">●</span>`}
+                    ${escapeHtml(p.name)}
+                    ${p.score !== null ? `<span class="tournament__score">${p.score} pts</span>` : ''}
+                </li>`).join('');
+        return `
+            <div class="tournament__table tournament__table--${table.status}">
+                <div class="tournament__table-title">Table ${table.number} <code>${table.roomCode}</code> · ${TABLE_STATUS[table.status]}</div>
+                <ul class="tournament__table-players">${players}</ul>
+            </div>`;
+    }).join('');
+    const byes = round.byes.length
+        ? `<p class="tournament__byes">Bye: ${round.byes.map(escapeHtml).join(', ')} — ${t.format === 'knockout' ? 'through without playing' : 'scored as one opponent beaten'}</p>`
+        : '';
+
+    return `
+        <h2 class="tournament__heading">${isFinal ? 'Final' : `Round ${round.number}`}</h2>
+        <div class="tournament__tables">${tables}</div>
+        ${byes}`;
+}
+
+/**
+ * Escape HTML to prevent XSS.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
@@ -0,0 +1,74 @@
+/**
+ * Accounts — sign-in and sign-up throttling and token upkeep.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the accounts out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const accounts = require('../src/server/accounts.cjs');
+const storage = require('../src/server/storage.cjs');
+
+after(() => {
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('repeated wrong passwords lock sign-in out, even with the right one', () => {
+    accounts.register('throttled', 'right-password');
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(accounts.login('throttled', 'wrong', '10.0.0.1').retryAfterSeconds, undefined);
+    }
+    accounts.login('throttled', 'wrong', '10.0.0.1');
+
+    const locked = accounts.login('throttled', 'right-password', '10.0.0.2');
+    assert.equal(locked.account, null);
+    assert.ok(locked.retryAfterSeconds > 0);
+});
+
+test('one address guessing many usernames is locked out too', () => {
+    accounts.register('bystander', 'right-password');
+
+    for (let i = 0; i < 6; i++) accounts.login(`guess-${i}`, 'wrong', '10.0.0.3');
+
+    assert.ok(accounts.login('bystander', 'right-password', '10.0.0.3').retryAfterSeconds > 0);
+    assert.ok(accounts.login('bystander', 'right-password', '10.0.0.4').token);
+});
+
+test('one address opening many accounts is slowed down', () => {
+    for (let i = 0; i < 6; i++) {
+        assert.ok(accounts.register(`signup-${i}`, 'right-password', '10.0.0.5').token);
+    }
+
+    const refused = accounts.register('signup-6', 'right-password', '10.0.0.5');
+    assert.equal(refused.account, null);
+    assert.ok(refused.retryAfterSeconds > 0);
+    assert.ok(accounts.register('signup-6', 'right-password', '10.0.0.6').token);
+});
+
+test('checking a token does not rewrite the accounts', () => {
+    const { token } = accounts.register('quiet', 'right-password');
+    const write = storage.write;
+    let writes = 0;
+    storage.write = (...args) => {
+        writes++;
+        return write(...args);
+    };
+    try {
+        assert.equal(accounts.authenticate(token).username, 'quiet');
+        assert.equal(accounts.authenticate(token).username, 'quiet');
+    } finally {
+        storage.write = write;
+    }
+    assert.equal(writes, 0);
+});
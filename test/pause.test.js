@@ -0,0 +1,123 @@
+/**
+ * Pause and resume — table votes decided by a majority of the connected
+ * players, and the pause that lifts itself.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the server's rooms out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const roomManager = require('../src/server/roomManager.cjs');
+const gameServer = require('../src/server/gameServer.cjs');
+const storage = require('../src/server/storage.cjs');
+
+const openRooms = [];
+
+after(() => {
+    for (const room of openRooms) {
+        gameServer.disposeRoom(room);
+        roomManager.deleteRoom(room.code);
+    }
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A game in progress between four people.
+ * @returns {{ room: object, ids: string[] }}
+ */
+function fourPlayerGame() {
+    const { room, playerId } = roomManager.createRoom('Ann', null);
+    const ids = [playerId];
+    for (const name of ['Ben', 'Cat', 'Dan']) ids.push(roomManager.joinRoom(room.code, name, null).playerId);
+    gameServer.startGame(room);
+    openRooms.push(room);
+    return { room, ids };
+}
+
+test('a pause needs a majority of the table: three of four', () => {
+    const { room, ids } = fourPlayerGame();
+
+    assert.equal(gameServer.requestVote(room, ids[0], 'pause').success, true);
+    gameServer.castVote(room, ids[1], true);
+    assert.ok(!room.pause);
+
+    gameServer.castVote(room, ids[2], true);
+    assert.equal(room.vote, null);
+    assert.equal(room.pause.byName, 'Ann');
+
+    // Nothing moves while paused
+    const state = room.gameState;
+    const current = state.players[state.currentPlayerIndex];
+    const result = gameServer.handleAction(room, current.playerId, { action: 'discard', cardId: current.hand[0].id });
+    assert.deepEqual(result, { success: false, error: 'The game is paused' });
+});
+
+test('a vote fails once a majority can no longer be reached', () => {
+    const { room, ids } = fourPlayerGame();
+
+    gameServer.requestVote(room, ids[0], 'pause');
+    gameServer.castVote(room, ids[1], false);
+    assert.ok(room.vote);
+    gameServer.castVote(room, ids[2], false);
+    assert.equal(room.vote, null);
+    assert.ok(!room.pause);
+});
+
+test('the majority counts only the players still connected', () => {
+    const { room, ids } = fourPlayerGame();
+    roomManager.markDisconnected(room.code, ids[2]);
+    roomManager.markDisconnected(room.code, ids[3]);
+
+    // Two at the table: both must agree
+    gameServer.requestVote(room, ids[0], 'pause');
+    assert.ok(!room.pause);
+    assert.deepEqual(gameServer.castVote(room, ids[2], true), { success: false, error: 'Only players at the table can vote' });
+    gameServer.castVote(room, ids[1], true);
+    assert.ok(room.pause);
+});
+
+test('only one vote runs at a time, and only a paused game can be resumed', () => {
+    const { room, ids } = fourPlayerGame();
+
+    assert.equal(gameServer.requestVote(room, ids[0], 'resume').error, 'The game is not paused');
+    gameServer.requestVote(room, ids[0], 'pause');
+    assert.equal(gameServer.requestVote(room, ids[1], 'pause').error, 'A vote is already running');
+});
+
+test('a resume vote picks up the turn timer where it stopped', () => {
+    const { room, ids } = fourPlayerGame();
+    gameServer.requestVote(room, ids[0], 'pause');
+    gameServer.castVote(room, ids[1], true);
+    gameServer.castVote(room, ids[2], true);
+    const left = room.pause.turnSecondsLeft;
+    assert.ok(left > 0);
+
+    gameServer.requestVote(room, ids[1], 'resume');
+    gameServer.castVote(room, ids[2], true);
+    gameServer.castVote(room, ids[3], true);
+    assert.ok(!room.pause);
+    assert.equal(Math.round((room.turnDeadline - Date.now()) / 1000), left);
+});
+
+test('a pause lifts itself after the longest pause allowed', async () => {
+    const { room, ids } = fourPlayerGame();
+    // MAX_PAUSE_SECONDS is at least 30 in the room settings — shorten it here
+    room.gameState.config.maxPauseSeconds = 0.05;
+    gameServer.requestVote(room, ids[0], 'pause');
+    gameServer.castVote(room, ids[1], true);
+    gameServer.castVote(room, ids[2], true);
+    assert.ok(room.pause);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.ok(!room.pause);
+});
@@ -0,0 +1,59 @@
+/**
+ * Ratings — pairwise Elo across every player at the table.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const rating = require('../src/server/rating.cjs');
+
+/**
+ * @param {number} r
+ * @param {number} placing
+ * @param {number} [ratedGames=20] — established by default
+ */
+const player = (r, placing, ratedGames = 20) => ({ rating: r, ratedGames, placing });
+
+test('equal ratings are an even match, and 400 points is ten to one', () => {
+    assert.equal(rating.expectedScore(1500, 1500), 0.5);
+    assert.ok(Math.abs(rating.expectedScore(1600, 1200) - 10 / 11) < 1e-9);
+    assert.ok(Math.abs(rating.expectedScore(1200, 1600) + rating.expectedScore(1600, 1200) - 1) < 1e-9);
+});
+
+test('a head-to-head win between equals moves half the K-factor', () => {
+    const [winner, loser] = rating.computeRatingChanges([player(1200, 1), player(1200, 2)]);
+    assert.deepEqual(winner, { before: 1200, after: 1216, change: 16 });
+    assert.deepEqual(loser, { before: 1200, after: 1184, change: -16 });
+});
+
+test('provisional players move twice as fast', () => {
+    const [winner, loser] = rating.computeRatingChanges([player(1200, 1, 0), player(1200, 2)]);
+    assert.equal(winner.change, 32);
+    assert.equal(loser.change, -16);
+    assert.equal(rating.isProvisional(rating.PROVISIONAL_GAMES - 1), true);
+    assert.equal(rating.isProvisional(rating.PROVISIONAL_GAMES), false);
+});
+
+test('every pair counts by placing, and K is split across the table', () => {
+    const changes = rating.computeRatingChanges([player(1200, 1), player(1200, 2), player(1200, 3), player(1200, 4)]);
+    // First beats three opponents: 32 / 3 × (3 − 1.5)
+    assert.deepEqual(changes.map(c => c.change), [16, 5, -5, -16]);
+});
+
+test('shared placings draw, and an upset pays more than the expected win', () => {
+    const draw = rating.computeRatingChanges([player(1200, 1), player(1200, 1)]);
+    assert.deepEqual(draw.map(c => c.change), [0, 0]);
+
+    const [upset] = rating.computeRatingChanges([player(1200, 1), player(1600, 2)]);
+    const [expected] = rating.computeRatingChanges([player(1600, 1), player(1200, 2)]);
+    assert.ok(upset.change > expected.change);
+    assert.equal(upset.change, Math.round(32 * (1 - 1 / 11)));
+});
+
+test('a lone player is not rated', () => {
+    assert.deepEqual(rating.computeRatingChanges([player(1300, 1)]), [{ before: 1300, after: 1300, change: 0 }]);
+});
@@ -0,0 +1,112 @@
+/**
+ * Room seats — who may take a seat back, and what the rest of the room
+ * learns about it — and what a room snapshot brings back.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the server's rooms out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const roomManager = require('../src/server/roomManager.cjs');
+const gameServer = require('../src/server/gameServer.cjs');
+const storage = require('../src/server/storage.cjs');
+
+const openRooms = [];
+
+after(() => {
+    for (const room of openRooms) roomManager.deleteRoom(room.code);
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A waiting room with a host and one guest.
+ * @returns {{ room: object, host: { playerId: string, secret: string }, guest: { playerId: string, secret: string } }}
+ */
+function twoSeatRoom() {
+    const { room, playerId, secret } = roomManager.createRoom('Ann', null);
+    const guest = roomManager.joinRoom(room.code, 'Ben', null);
+    openRooms.push(room);
+    return { room, host: { playerId, secret }, guest: { playerId: guest.playerId, secret: guest.secret } };
+}
+
+test('player lists name nobody by id or secret', () => {
+    const { room, host, guest } = twoSeatRoom();
+    const sent = JSON.stringify(roomManager.getPlayerList(room));
+
+    for (const value of [host.playerId, host.secret, guest.playerId, guest.secret]) {
+        assert.equal(sent.includes(value), false);
+    }
+});
+
+test('a seat is only reclaimed with its own secret', () => {
+    const { room, host, guest } = twoSeatRoom();
+    roomManager.markDisconnected(room.code, guest.playerId);
+
+    assert.ok(roomManager.reconnectPlayer(room.code, guest.playerId, null, null).error);
+    assert.ok(roomManager.reconnectPlayer(room.code, guest.playerId, host.secret, null).error);
+    assert.equal(room.players[1].connected, false);
+
+    const { playerIndex, error } = roomManager.reconnectPlayer(room.code, guest.playerId, guest.secret, null);
+    assert.equal(error, undefined);
+    assert.equal(playerIndex, 1);
+});
+
+test('an account seat is reclaimed by its account, not by a secret', () => {
+    const { room, playerId, secret } = roomManager.createRoom('Ann', null, {}, undefined, undefined, 'account-1');
+    openRooms.push(room);
+
+    assert.ok(roomManager.reconnectPlayer(room.code, playerId, secret, null, null).error);
+    assert.equal(roomManager.reconnectPlayer(room.code, null, null, null, 'account-1').playerIndex, 0);
+});
+
+test('seat order and first dealer are set by seat index', () => {
+    const { room, guest } = twoSeatRoom();
+
+    assert.ok(roomManager.setSeatOrder(room.code, [0, 0]).error);
+    assert.equal(roomManager.setFirstDealer(room.code, 1).error, undefined);
+    assert.equal(roomManager.setSeatOrder(room.code, [1, 0]).error, undefined);
+
+    assert.equal(room.players[0].id, guest.playerId);
+    // The first dealer follows the player to their new seat
+    assert.equal(roomManager.getFirstDealer(room), 0);
+    assert.ok(roomManager.setFirstDealer(room.code, 2).error);
+});
+
+test('a game keeps its replay across a restart', () => {
+    const { room } = twoSeatRoom();
+    gameServer.startGame(room);
+    const state = room.gameState;
+    const starter = state.players[state.currentPlayerIndex];
+    gameServer.handleAction(room, starter.playerId, { action: 'discard', cardId: starter.hand[0].id });
+    roomManager.saveSnapshot(room);
+    gameServer.disposeRoom(room);
+
+    const restored = roomManager.loadSnapshots().find(r => r.code === room.code);
+    assert.deepEqual(restored.replay, room.replay);
+    assert.equal(restored.replay.rounds[0].steps.length, 1);
+});
+
+test('an empty room snapshot is cleared on load, not reported as a failure', () => {
+    storage.write('rooms/EMPTY1', null);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        roomManager.loadSnapshots();
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.equal(storage.list('rooms').includes('rooms/EMPTY1'), false);
+    assert.deepEqual(warnings.filter(w => w.includes('EMPTY1')), []);
+});
@@ -0,0 +1,320 @@
+/**
+ * Conformance suite — the solo engine (gameState.js) and the multiplayer
+ * server (gameServer.cjs) must apply every rule identically. Each test
+ * drives both from the same seed with the same actions and compares the
+ * full game state after every step.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import * as solo from '../src/engine/gameState.js';
+import { PHASE, layMelds } from '../src/engine/rules.js';
+import { createDeck } from '../src/engine/deck.js';
+import { mergeConfig } from '../src/engine/gameConfig.js';
+import { aiDecideTurn, aiDecideMeldsAndDiscard } from '../src/engine/ai.js';
+
+// Keep the server's rooms, ratings and history out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const roomManager = require('../src/server/roomManager.cjs');
+const gameServer = require('../src/server/gameServer.cjs');
+const storage = require('../src/server/storage.cjs');
+
+const NAMES = ['Ann', 'Ben', 'Cat'];
+const openRooms = [];
+
+after(() => {
+    for (const room of openRooms) {
+        gameServer.disposeRoom(room);
+        roomManager.deleteRoom(room.code);
+    }
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+// ═══════════════════════════════
+// HARNESS
+// ═══════════════════════════════
+
+/**
+ * The same seeded game, once solo and once in a server room.
+ * @param {string} seed
+ * @param {object} [settings] — settings keys (`POINTS_LIMIT`, …)
+ * @returns {{ soloState: object, room: object }}
+ */
+function startBoth(seed, settings = {}) {
+    const config = mergeConfig({ ...settings, SEED: seed });
+
+    const soloState = solo.createGame(NAMES.map(name => ({ name, isHuman: true })), config);
+    solo.startRound(soloState);
+
+    const { room } = roomManager.createRoom(NAMES[0], null, config);
+    for (const name of NAMES.slice(1)) roomManager.joinRoom(room.code, name, null);
+    gameServer.startGame(room);
+    openRooms.push(room);
+
+    return { soloState, room };
+}
+
+/**
+ * Everything the rules decide, with cards reduced to their ids.
+ * @param {object} state
+ * @returns {object}
+ */
+function snapshot(state) {
+    const ids = cards => cards.map(c => c.id);
+    return {
+        roundNumber: state.roundNumber,
+        startingPlayerIndex: state.startingPlayerIndex,
+        currentPlayerIndex: state.currentPlayerIndex,
+        phase: state.phase,
+        players: state.players.map(p => ({
+            hand: ids(p.hand),
+            hasOpened: p.hasOpened,
+            score: p.score,
+            eliminated: p.eliminated
+        })),
+        stock: ids(state.stock),
+        discardPile: ids(state.discardPile),
+        tableMelds: state.tableMelds.map(m => ({ owner: m.owner, cards: ids(m.cards) })),
+        stockReshuffleCount: state.stockReshuffleCount,
+        drawnFromDiscard: state.drawnFromDiscard,
+        pickupReturned: state.pickupReturned,
+        openedThisTurn: state.openedThisTurn,
+        roundWinner: state.roundWinner
+    };
+}
+
+/** Solo call and server message for each AI move type */
+const MOVES = {
+    draw_stock: {
+        solo: state => solo.drawFromStock(state),
+        server: () => ({ action: 'draw_stock' })
+    },
+    draw_discard: {
+        solo: state => solo.drawFromDiscard(state),
+        server: () => ({ action: 'draw_discard' })
+    },
+    meld: {
+        solo: (state, a) => solo.playMelds(state, a.meldCardIds),
+        server: a => ({ action: 'play_melds', meldCardIds: a.meldCardIds })
+    },
+    extend: {
+        solo: (state, a) => solo.addToTableMeld(state, a.tableMeldIndex, a.cardIds, a.position),
+        server: a => ({ action: 'extend_meld', tableMeldIndex: a.tableMeldIndex, cardIds: a.cardIds, position: a.position })
+    },
+    discard: {
+        solo: (state, a) => solo.discard(state, a.cardId),
+        server: a => ({ action: 'discard', cardId: a.cardId })
+    },
+    return_discard: {
+        solo: state => solo.returnDiscardPickup(state),
+        server: () => ({ action: 'return_discard' })
+    },
+    skip_meld: {
+        solo: state => solo.skipMeld(state),
+        server: () => ({ action: 'skip_meld' })
+    }
+};
+
+/**
+ * Apply one move to both games and check they agree on the outcome and on
+ * the state it leaves behind.
+ * @param {{ soloState: object, room: object }} game
+ * @param {object} move — `{ type, ... }` as the AI plans it
+ * @returns {boolean} whether it was accepted
+ */
+function play(game, move) {
+    const { soloState, room } = game;
+    const type = move.type === 'draw' ? `draw_${move.source}` : move.type;
+    const seat = room.gameState.players[room.gameState.currentPlayerIndex].playerId;
+
+    const soloResult = MOVES[type].solo(soloState, move);
+    const serverResult = gameServer.handleAction(room, seat, MOVES[type].server(move));
+
+    const label = `${type} in round ${soloState.roundNumber}`;
+    // An exhausted stock is a refused draw solo and an accepted, round-ending one online
+    if (soloState.stockReshuffleCount === 0 || soloState.stock.length > 0 || type !== 'draw_stock') {
+        assert.equal(serverResult.success, soloResult.success, `${label}: ${soloResult.reason || serverResult.error}`);
+    }
+    assert.deepEqual(snapshot(room.gameState), snapshot(soloState), `${label}: states differ`);
+    return soloResult.success;
+}
+
+/**
+ * One AI-planned turn for the current seat, played on both sides.
+ * @param {{ soloState: object, room: object }} game
+ */
+function playTurn(game) {
+    const state = game.soloState;
+    const seat = state.currentPlayerIndex;
+    const isOver = () => state.phase === PHASE.ROUND_OVER || state.phase === PHASE.GAME_OVER;
+
+    if (state.phase === PHASE.DRAW) play(game, aiDecideTurn(state)[0]);
+    if (isOver()) return;
+
+    let moves = aiDecideMeldsAndDiscard(state);
+    while (moves.length > 0 && !isOver() && state.currentPlayerIndex === seat) {
+        const move = moves.shift();
+        play(game, move);
+        if (move.type === 'return_discard') {
+            play(game, { type: 'draw', source: 'stock' });
+            moves = isOver() ? [] : aiDecideMeldsAndDiscard(state);
+        }
+    }
+
+    // A rejected plan can leave the turn unfinished — end it the plain way
+    if (!isOver() && state.currentPlayerIndex === seat) {
+        if (solo.pendingDiscardPickup(state)) play(game, { type: 'return_discard' });
+        if (state.phase === PHASE.DRAW) play(game, { type: 'draw', source: 'stock' });
+        if (!isOver()) play(game, { type: 'discard', cardId: state.players[seat].hand.at(-1).id });
+    }
+}
+
+/**
+ * Play whole rounds until the game ends or `maxRounds` have been played.
+ * @param {{ soloState: object, room: object }} game
+ * @param {number} maxRounds
+ * @returns {number} turns played
+ */
+function playGame(game, maxRounds) {
+    const { soloState, room } = game;
+    let turns = 0;
+
+    while (soloState.phase !== PHASE.GAME_OVER) {
+        while (soloState.phase !== PHASE.ROUND_OVER && soloState.phase !== PHASE.GAME_OVER) {
+            playTurn(game);
+            turns++;
+            assert.ok(turns < 2000, 'game does not progress');
+        }
+        if (soloState.phase === PHASE.GAME_OVER || soloState.roundNumber >= maxRounds) break;
+
+        solo.nextRound(soloState);
+        gameServer.nextRound(room);
+        assert.deepEqual(snapshot(room.gameState), snapshot(soloState), `round ${soloState.roundNumber} deal differs`);
+    }
+    return turns;
+}
+
+// ═══════════════════════════════
+// TESTS
+// ═══════════════════════════════
+
+test('the same seed deals the same round solo and online', () => {
+    const { soloState, room } = startBoth('deal-check');
+    assert.deepEqual(snapshot(room.gameState), snapshot(soloState));
+});
+
+for (const seed of ['conformance-1', 'conformance-2', 'conformance-3']) {
+    test(`a seeded game plays out identically solo and online (${seed})`, () => {
+        const game = startBoth(seed, { POINTS_LIMIT: 150 });
+        const turns = playGame(game, 12);
+        assert.ok(turns > 0);
+        assert.deepEqual(
+            game.room.gameState.players.map(p => p.score),
+            game.soloState.players.map(p => p.score)
+        );
+    });
+}
+
+test('a finished game is recorded once and is not dealt on', () => {
+    const game = startBoth('conformance-1', { POINTS_LIMIT: 150 });
+    let recorded = 0;
+    gameServer.onGameOver(room => {
+        if (room === game.room) recorded++;
+    });
+
+    playGame(game, 12);
+    assert.equal(game.room.gameState.phase, PHASE.GAME_OVER);
+    assert.equal(recorded, 1);
+
+    const before = snapshot(game.room.gameState);
+    assert.equal(gameServer.nextRound(game.room).success, false);
+    assert.deepEqual(snapshot(game.room.gameState), before);
+    assert.equal(recorded, 1);
+});
+
+test('both sides refuse the same illegal moves and change nothing', () => {
+    const game = startBoth('illegal-moves');
+    const { soloState } = game;
+    const starter = soloState.players[soloState.currentPlayerIndex];
+
+    // The starting player holds a full hand and may not draw
+    assert.equal(play(game, { type: 'draw', source: 'stock' }), false);
+    // Not a card in their hand
+    assert.equal(play(game, { type: 'discard', cardId: -1 }), false);
+    // Three unrelated cards are no meld, and a lone card is no opening
+    assert.equal(play(game, { type: 'meld', meldCardIds: [starter.hand.slice(0, 1).map(c => c.id)] }), false);
+    // Nobody has opened, so nothing can be laid off
+    assert.equal(play(game, { type: 'extend', tableMeldIndex: 0, cardIds: [starter.hand[0].id], position: 'end' }), false);
+    // A card may not be used twice
+    const id = starter.hand[0].id;
+    assert.equal(play(game, { type: 'meld', meldCardIds: [[id, id, id]] }), false);
+
+    assert.equal(play(game, { type: 'discard', cardId: starter.hand[0].id }), true);
+    // Next player: skipping the meld phase before drawing is refused
+    assert.equal(play(game, { type: 'skip_meld' }), false);
+});
+
+test('a meld naming a card not in hand is refused whole, not laid without it', () => {
+    const deck = createDeck(0);
+    const sevens = deck.filter(c => c.rank === '7').slice(0, 3);
+    const player = { hand: [...sevens, deck[0]], hasOpened: true };
+    const state = { phase: PHASE.MELD, currentPlayerIndex: 0, players: [player], tableMelds: [] };
+    const options = { requireOpening: true, openRequirement: 51 };
+
+    const forged = layMelds(state, [[...sevens.map(c => c.id), 9999]], options);
+    assert.deepEqual(forged, { success: false, reason: 'Some cards not found in hand' });
+    assert.equal(player.hand.length, 4);
+    assert.equal(state.tableMelds.length, 0);
+
+    assert.equal(layMelds(state, [sevens.map(c => c.id)], options).success, true);
+});
+
+test('a discard pickup must be melded or put back on both sides', () => {
+    const game = startBoth('pickup-rule');
+    const { soloState } = game;
+
+    play(game, { type: 'discard', cardId: soloState.players[soloState.currentPlayerIndex].hand[0].id });
+    assert.equal(play(game, { type: 'draw', source: 'discard' }), true);
+
+    const pickup = soloState.drawnCard;
+    const other = soloState.players[soloState.currentPlayerIndex].hand.find(c => c.id !== pickup.id);
+    assert.equal(play(game, { type: 'discard', cardId: other.id }), false);
+    assert.equal(play(game, { type: 'skip_meld' }), false);
+    assert.equal(play(game, { type: 'return_discard' }), true);
+    // Put back — it cannot be taken again this turn
+    assert.equal(play(game, { type: 'draw', source: 'discard' }), false);
+    assert.equal(play(game, { type: 'draw', source: 'stock' }), true);
+});
+
+test('the stock is rebuilt once, and the round ends when it runs out again', () => {
+    const game = startBoth('stock-rule');
+    const { soloState, room } = game;
+
+    play(game, { type: 'discard', cardId: soloState.players[soloState.currentPlayerIndex].hand[0].id });
+    // Empty the stock onto the discard pile on both sides alike
+    for (const state of [soloState, room.gameState]) {
+        state.discardPile.unshift(...state.stock.splice(0));
+    }
+
+    assert.equal(play(game, { type: 'draw', source: 'stock' }), true);
+    assert.equal(soloState.stockReshuffleCount, 1);
+
+    play(game, { type: 'discard', cardId: soloState.players[soloState.currentPlayerIndex].hand[0].id });
+    for (const state of [soloState, room.gameState]) {
+        state.discardPile.unshift(...state.stock.splice(0));
+    }
+
+    play(game, { type: 'draw', source: 'stock' });
+    assert.equal(soloState.phase, PHASE.ROUND_OVER);
+    assert.equal(soloState.roundWinner, null);
+});
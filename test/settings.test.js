@@ -0,0 +1,77 @@
+/**
+ * Room settings — strict validation of what a client sends, and clamping
+ * of whatever reaches the game config.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULTS, SETTINGS_SCHEMA, mergeConfig, validateSettings } from '../src/engine/gameConfig.js';
+
+test('valid settings pass and are merged over the defaults', () => {
+    const { settings, errors } = validateSettings({ POINTS_LIMIT: 300, REQUIRE_OPENING: false, SEED: '  club night  ' });
+    assert.deepEqual(errors, {});
+    assert.equal(settings.POINTS_LIMIT, 300);
+    assert.equal(settings.REQUIRE_OPENING, false);
+    assert.equal(settings.SEED, 'club night');
+    assert.equal(settings.JOKER_COUNT, DEFAULTS.JOKER_COUNT);
+});
+
+test('nothing invalid is clamped silently — every bad field is named', () => {
+    const { settings, errors } = validateSettings({
+        POINTS_LIMIT: 10,
+        JOKER_COUNT: 2.5,
+        TURN_TIMER_SECONDS: '60',
+        REQUIRE_OPENING: 'yes',
+        SERIES_LENGTH: 4,
+        SEED: 'x'.repeat(65),
+        CHEAT_MODE: true
+    });
+    assert.equal(settings, null);
+    assert.deepEqual(Object.keys(errors).sort(), [
+        'CHEAT_MODE', 'JOKER_COUNT', 'POINTS_LIMIT', 'REQUIRE_OPENING', 'SEED', 'SERIES_LENGTH', 'TURN_TIMER_SECONDS'
+    ]);
+    assert.equal(errors.POINTS_LIMIT, 'Points Limit must be between 50 and 2000');
+    assert.equal(errors.CHEAT_MODE, 'Unknown setting');
+    assert.equal(errors.SERIES_LENGTH, 'Series must be one of: Single game, Best of 3, Best of 5');
+});
+
+test('0 switches off a zero-off setting, but is no shortcut below the minimum elsewhere', () => {
+    assert.deepEqual(validateSettings({ BOT_TAKEOVER_SECONDS: 0 }).errors, {});
+    assert.equal(validateSettings({ BOT_TAKEOVER_SECONDS: 2 }).errors.BOT_TAKEOVER_SECONDS, 'Bot Takeover must be between 5 and 300 (or 0)');
+    assert.ok(validateSettings({ HOST_MIGRATION_SECONDS: 0 }).errors.HOST_MIGRATION_SECONDS);
+});
+
+test('settings that are not an object are refused whole', () => {
+    for (const input of [[], 'POINTS_LIMIT=50', 7]) {
+        assert.deepEqual(validateSettings(input), { settings: null, errors: { settings: 'Settings must be an object' } });
+    }
+});
+
+test('mergeConfig clamps into range and falls back to the default for junk', () => {
+    const config = mergeConfig({
+        POINTS_LIMIT: 99999,
+        JOKER_COUNT: -3,
+        TURN_TIMER_SECONDS: 'soon',
+        OPEN_REQUIREMENT: 51.6,
+        SERIES_LENGTH: 4,
+        AUTO_NEXT_ROUND_SECONDS: 0,
+        ALLOW_SPECTATORS: 0,
+        SEED: 12345
+    });
+    assert.equal(config.POINTS_LIMIT, 2000);
+    assert.equal(config.JOKER_COUNT, 0);
+    assert.equal(config.TURN_TIMER_SECONDS, DEFAULTS.TURN_TIMER_SECONDS);
+    assert.equal(config.OPEN_REQUIREMENT, 52);
+    assert.equal(config.SERIES_LENGTH, DEFAULTS.SERIES_LENGTH);
+    assert.equal(config.AUTO_NEXT_ROUND_SECONDS, 0);
+    assert.equal(config.ALLOW_SPECTATORS, false);
+    assert.equal(config.SEED, '12345');
+});
+
+test('every default is itself a valid setting', () => {
+    const defaults = Object.fromEntries(SETTINGS_SCHEMA.map(f => [f.key, f.default]));
+    assert.deepEqual(validateSettings(defaults).errors, {});
+});
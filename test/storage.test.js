@@ -0,0 +1,117 @@
+/**
+ * Storage — atomic file writes and the batched, debounced flush.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, mkdirSync, readFileSync, readdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const storage = require('../src/server/storage.cjs');
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/** @param {number} ms */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A backend that keeps every batch it is handed, failing the first
+ * `failures` of them.
+ * @param {number} [failures=0]
+ */
+function recordingBackend(failures = 0) {
+    const batches = [];
+    return {
+        name: 'test',
+        batches,
+        read: () => null,
+        list: () => [],
+        async write(changes) {
+            if (failures-- > 0) throw new Error('disk full');
+            batches.push(changes);
+        },
+        writeSync(changes) {
+            batches.push(changes);
+        }
+    };
+}
+
+/**
+ * Run `fn` with console.warn silenced.
+ * @param {Function} fn
+ */
+async function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('a file document is written through a temp file and renamed into place', async () => {
+    const dir = join(dataDir, 'atomic');
+    const backend = storage.createFileBackend(dir);
+
+    await backend.write([['rooms/ABC123', '{"v":1}']]);
+    assert.equal(readFileSync(join(dir, 'rooms', 'ABC123.json'), 'utf-8'), '{"v":1}');
+    assert.deepEqual(readdirSync(join(dir, 'rooms')), ['ABC123.json']);
+    assert.deepEqual(backend.list('rooms'), ['rooms/ABC123']);
+});
+
+test('a write that fails midway leaves the old file whole', async () => {
+    const dir = join(dataDir, 'torn');
+    const backend = storage.createFileBackend(dir);
+    const file = join(dir, 'leaderboard.json');
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(file, '{"old":true}');
+    // Something already in the temp file's place makes writing it fail
+    mkdirSync(`${file}.${process.pid}.tmp`);
+
+    await assert.rejects(backend.write([['leaderboard', '{"new":true}']]));
+    assert.equal(readFileSync(file, 'utf-8'), '{"old":true}');
+});
+
+test('a burst of writes reaches the backend as one batch, latest values only', async () => {
+    const backend = recordingBackend();
+    const store = storage.createStore(backend, { flushDelayMs: 20 });
+
+    store.write('accounts', { n: 1 });
+    store.write('accounts', { n: 2 });
+    store.write('rooms/ABC123', { code: 'ABC123' });
+    assert.equal(backend.batches.length, 0);
+    assert.deepEqual(store.read('accounts'), { n: 2 });
+
+    await sleep(60);
+    assert.equal(backend.batches.length, 1);
+    assert.deepEqual(new Map(backend.batches[0]), new Map([['accounts', '{"n":2}'], ['rooms/ABC123', '{"code":"ABC123"}']]));
+});
+
+test('reads hand out copies', () => {
+    const store = storage.createStore(recordingBackend(), { flushDelayMs: 20 });
+    store.write('leaderboard', { players: [] });
+    store.read('leaderboard').players.push('x');
+    assert.deepEqual(store.read('leaderboard'), { players: [] });
+    store.flushSync();
+});
+
+test('a failed flush is retried by itself', async () => {
+    const backend = recordingBackend(1);
+    const store = storage.createStore(backend, { flushDelayMs: 20 });
+
+    await quietly(async () => {
+        store.write('accounts', { n: 1 });
+        await sleep(100);
+    });
+    assert.deepEqual(backend.batches, [[['accounts', '{"n":1}']]]);
+});
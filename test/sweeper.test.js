@@ -0,0 +1,120 @@
+/**
+ * Room sweeper — which rooms count as idle, abandoned or finished, when
+ * each expires, and what is archived of it.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the server's rooms and history out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const roomManager = require('../src/server/roomManager.cjs');
+const gameServer = require('../src/server/gameServer.cjs');
+const roomSweeper = require('../src/server/roomSweeper.cjs');
+const storage = require('../src/server/storage.cjs');
+
+const MINUTE = 60 * 1000;
+const openRooms = [];
+
+after(() => {
+    for (const room of openRooms) {
+        gameServer.disposeRoom(room);
+        roomManager.deleteRoom(room.code);
+    }
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A two-player room, dealt when `started`.
+ * @param {boolean} [started=false]
+ * @returns {{ room: object, ids: string[] }}
+ */
+function twoSeatRoom(started = false) {
+    const { room, playerId } = roomManager.createRoom('Ann', null);
+    const ids = [playerId, roomManager.joinRoom(room.code, 'Ben', null).playerId];
+    if (started) gameServer.startGame(room);
+    openRooms.push(room);
+    return { room, ids };
+}
+
+/**
+ * Sweep at `minutes` after the room was last active and report whether it went.
+ * @param {object} room
+ * @param {number} minutes
+ * @returns {boolean}
+ */
+function sweptAfter(room, minutes) {
+    const since = room.lastActivityAt || room.createdAt;
+    return roomSweeper.sweep(since + minutes * MINUTE).some(r => r.code === room.code);
+}
+
+/**
+ * The archived record of a room.
+ * @param {object} room
+ * @returns {object|null}
+ */
+function archived(room) {
+    return storage.read(`history/${room.code}-${room.createdAt}`);
+}
+
+test('an idle waiting room closes after WAITING_MINUTES', () => {
+    const { room } = twoSeatRoom();
+
+    assert.equal(sweptAfter(room, 29), false);
+    assert.equal(sweptAfter(room, 31), true);
+    assert.equal(roomManager.getRoom(room.code), null);
+
+    const record = archived(room);
+    assert.equal(record.outcome, 'waiting');
+    assert.deepEqual(record.players.map(p => p.name), ['Ann', 'Ben']);
+    assert.equal(record.replay, null);
+});
+
+test('a game with someone connected is never swept, however long it runs', () => {
+    const { room, ids } = twoSeatRoom(true);
+    roomManager.markDisconnected(room.code, ids[1]);
+
+    assert.equal(sweptAfter(room, 24 * 60), false);
+    assert.equal(roomSweeper.getStats().active.playing >= 1, true);
+});
+
+test('a game everyone has left is abandoned after ABANDONED_MINUTES', () => {
+    const { room, ids } = twoSeatRoom(true);
+    for (const id of ids) roomManager.markDisconnected(room.code, id);
+
+    assert.equal(sweptAfter(room, 14), false);
+    const before = roomSweeper.getStats().expired.abandoned;
+    assert.equal(sweptAfter(room, 16), true);
+    assert.equal(roomSweeper.getStats().expired.abandoned, before + 1);
+
+    const record = archived(room);
+    assert.equal(record.outcome, 'abandoned');
+    assert.equal(record.rounds, 1);
+    // An unfinished game gives nothing away
+    assert.equal(record.seed, null);
+    assert.equal(record.replay, null);
+});
+
+test('a finished game closes FINISHED_MINUTES after the end and keeps its replay', () => {
+    const { room } = twoSeatRoom(true);
+    room.gameState.phase = gameServer.PHASE.GAME_OVER;
+    room.finishedAt = Date.now();
+
+    assert.equal(roomSweeper.sweep(room.finishedAt + 9 * MINUTE).some(r => r.code === room.code), false);
+    assert.equal(roomSweeper.sweep(room.finishedAt + 11 * MINUTE).some(r => r.code === room.code), true);
+
+    const record = archived(room);
+    assert.equal(record.outcome, 'finished');
+    assert.equal(record.seed, room.gameState.seed);
+    assert.deepEqual(roomSweeper.getArchivedReplay(room.code).replay, room.replay);
+    assert.equal(roomSweeper.getArchivedReplay('NOROOM').error, 'Room not found');
+});
@@ -0,0 +1,142 @@
+/**
+ * Tournaments — the keys to a player's tournament place and table seat stay
+ * with that player.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the tournaments out of src/data
+const dataDir = mkdtempSync(join(tmpdir(), 'remik-test-'));
+process.env.DATA_DIR = dataDir;
+const require = createRequire(import.meta.url);
+const tournaments = require('../src/server/tournamentManager.cjs');
+const roomManager = require('../src/server/roomManager.cjs');
+const gameServer = require('../src/server/gameServer.cjs');
+const storage = require('../src/server/storage.cjs');
+
+const openRooms = [];
+
+after(() => {
+    for (const code of openRooms) {
+        const room = roomManager.getRoom(code);
+        if (room) gameServer.disposeRoom(room);
+        roomManager.deleteRoom(code);
+    }
+    storage.flushSync();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A started four-player knockout, all guests.
+ * @param {object} [settings] — settings for every table
+ * @returns {{ tournament: object, playerIds: string[] }}
+ */
+function startedTournament(settings = {}) {
+    const entrant = name => ({ name, colour: '#e63946', icon: '🦊', accountId: null, ws: null });
+    const { tournament, playerId } = tournaments.createTournament({ name: 'Cup', tableSize: 2, settings }, entrant('Ann'));
+    const playerIds = [playerId];
+    for (const name of ['Ben', 'Cat', 'Dan']) playerIds.push(tournaments.register(tournament.code, entrant(name)).playerId);
+    tournaments.startTournament(tournament.code, playerId);
+    for (const table of tournament.rounds[0].tables) openRooms.push(table.roomCode);
+    return { tournament, playerIds };
+}
+
+test('table seats have their own ids, and only the player learns theirs', () => {
+    const { tournament, playerIds } = startedTournament();
+    const sent = JSON.stringify([
+        tournaments.describeTournament(tournament),
+        ...tournament.rounds[0].tables.map(t => roomManager.getPlayerList(roomManager.getRoom(t.roomCode)))
+    ]);
+
+    for (const playerId of playerIds) {
+        const myTable = tournaments.currentTable(tournament, playerId);
+        const seat = roomManager.getRoom(myTable.roomCode).players.find(p => p.id === myTable.playerId);
+        assert.notEqual(myTable.playerId, playerId);
+        assert.equal(seat.secret, myTable.seatSecret);
+        for (const value of [playerId, myTable.playerId, myTable.seatSecret]) {
+            assert.equal(sent.includes(value), false);
+        }
+    }
+});
+
+test('a guest rejoins the tournament only with their own secret', () => {
+    const { tournament, playerIds } = startedTournament();
+    const [ann, ben] = playerIds.map(id => tournament.players.find(p => p.id === id));
+
+    assert.ok(tournaments.rejoin(tournament.code, ann.id, null, null).error);
+    assert.ok(tournaments.rejoin(tournament.code, ann.id, ben.secret, null).error);
+    assert.equal(tournaments.rejoin(tournament.code, ann.id, ann.secret, null).error, undefined);
+});
+
+test('a table nobody sat down at is played out by bots', async () => {
+    const { tournament } = startedTournament({ SPEED_MODE: true });
+    const room = roomManager.getRoom(tournament.rounds[0].tables[0].roomCode);
+    gameServer.startGame(room);
+
+    // What the takeover grace period ends in for every absent player
+    for (const seat of room.players) seat.botControlled = true;
+    for (const player of room.gameState.players) player.botControlled = true;
+    gameServer.scheduleBotTurn(room);
+
+    const deadline = Date.now() + 10000;
+    while (room.gameState.phase !== gameServer.PHASE.ROUND_OVER && room.gameState.phase !== gameServer.PHASE.GAME_OVER) {
+        assert.ok(Date.now() < deadline, 'the bots did not finish the round');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+});
+
+test('an odd player out at tables of two gets a bye, not a table of one', () => {
+    const entrant = name => ({ name, colour: '#e63946', icon: '🦊', accountId: null, ws: null });
+    const { tournament, playerId } = tournaments.createTournament({ name: 'Odd Cup', tableSize: 2 }, entrant('Ann'));
+    for (const name of ['Ben', 'Cat', 'Dan', 'Eve']) tournaments.register(tournament.code, entrant(name));
+    tournaments.startTournament(tournament.code, playerId);
+
+    const playRound = () => {
+        const round = tournament.rounds.at(-1);
+        for (const table of round.tables) {
+            openRooms.push(table.roomCode);
+            assert.equal(table.playerIds.length, 2);
+        }
+        // Close each table unplayed — one player still goes through from each
+        for (const table of round.tables) tournaments.recordTable(roomManager.getRoom(table.roomCode));
+        return round;
+    };
+
+    const first = playRound();
+    assert.equal(first.tables.length, 2);
+    assert.equal(first.byes.length, 1);
+    const bye = tournament.players.find(p => p.id === first.byes[0]);
+    assert.equal(bye.eliminatedInRound, null);
+    assert.equal(bye.played, 0);
+
+    // Three left: one table and a bye for someone who has not had one
+    const second = playRound();
+    assert.equal(second.tables.length, 1);
+    assert.equal(second.byes.length, 1);
+    assert.notEqual(second.byes[0], bye.id);
+    assert.equal(tournament.status, 'running');
+
+    const final = playRound();
+    assert.equal(final.byes.length, 0);
+    assert.equal(tournament.status, 'finished');
+    assert.equal(tournaments.describeTournament(tournament).rounds[0].byes[0], bye.name);
+});
+
+test('a Swiss bye scores as one opponent beaten', () => {
+    const entrant = name => ({ name, colour: '#e63946', icon: '🦊', accountId: null, ws: null });
+    const { tournament, playerId } = tournaments.createTournament({ name: 'Swiss Cup', format: 'swiss', tableSize: 2, swissRounds: 1 }, entrant('Ann'));
+    for (const name of ['Ben', 'Cat', 'Dan', 'Eve']) tournaments.register(tournament.code, entrant(name));
+    tournaments.startTournament(tournament.code, playerId);
+
+    const round = tournament.rounds[0];
+    for (const table of round.tables) openRooms.push(table.roomCode);
+    const bye = tournament.players.find(p => p.id === round.byes[0]);
+    assert.deepEqual({ points: bye.points, wins: bye.wins, played: bye.played }, { points: 1, wins: 0, played: 0 });
+});